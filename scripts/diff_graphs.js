@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Compare deux fichiers de graphe exportés ({nodes, links}) et affiche les
+ * nœuds ajoutés, supprimés, renommés, modifiés, changés de cluster et
+ * déplacés, ainsi que les liens ajoutés, supprimés ou modifiés.
+ *
+ * Le calcul est partagé avec la page /graph-diff (src/utils/graphDiff.js).
+ *
+ * Usage :
+ *   node scripts/diff_graphs.js <avant.json> [après.json] [--threshold <n>] [--limit <n>] [--json <diff.json>]
+ *
+ * Sans second fichier, la comparaison se fait avec
+ * public/data/final_spatialized_graph.data.json.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  DEFAULT_MOVE_THRESHOLD,
+  diffGraphs,
+  isEmptyDiff,
+} from "../src/utils/graphDiff.js";
+
+const ROOT_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  ".."
+);
+const DEFAULT_AFTER = path.join(
+  ROOT_DIR,
+  "public",
+  "data",
+  "final_spatialized_graph.data.json"
+);
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    threshold: { type: "string", default: String(DEFAULT_MOVE_THRESHOLD) },
+    limit: { type: "string", default: "20" },
+    json: { type: "string" },
+  },
+});
+
+const formatValue = (value) => (value === null ? "∅" : JSON.stringify(value));
+
+const formatChanges = (changes) =>
+  changes
+    .map(
+      ({ attribute, before, after }) =>
+        `${attribute} ${formatValue(before)} -> ${formatValue(after)}`
+    )
+    .join(", ");
+
+const formatNode = ({ id, name }) =>
+  name && name !== id ? `${name} (${id})` : id;
+
+/**
+ * Affiche une rubrique du diff en limitant le nombre de lignes
+ * @param {string} title - Titre de la rubrique
+ * @param {Array} items - Entrées de la rubrique
+ * @param {Function} format - Formatage d'une entrée
+ * @param {number} limit - Nombre maximum de lignes affichées
+ */
+function printSection(title, items, format, limit) {
+  if (items.length === 0) return;
+
+  console.log(`\n${title} (${items.length})`);
+  items.slice(0, limit).forEach((item) => console.log(`  ${format(item)}`));
+  if (items.length > limit) {
+    console.log(`  … ${items.length - limit} de plus`);
+  }
+}
+
+async function main() {
+  if (positionals.length < 1 || positionals.length > 2) {
+    throw new Error("Usage: diff_graphs.js <avant.json> [après.json]");
+  }
+
+  const threshold = Number(options.threshold);
+  const limit = Number.parseInt(options.limit, 10);
+  if (!Number.isFinite(threshold) || threshold < 0) {
+    throw new Error(`--threshold invalide: ${options.threshold}`);
+  }
+  if (!Number.isFinite(limit) || limit <= 0) {
+    throw new Error(`--limit invalide: ${options.limit}`);
+  }
+
+  const [beforePath, afterPath = DEFAULT_AFTER] = positionals;
+  const [beforeGraph, afterGraph] = await Promise.all(
+    [beforePath, afterPath].map(async (file) =>
+      JSON.parse(await readFile(file, "utf8"))
+    )
+  );
+
+  const diff = diffGraphs(beforeGraph, afterGraph, {
+    moveThreshold: threshold,
+  });
+  const { summary, nodes, links } = diff;
+
+  console.log(`Avant: ${path.relative(ROOT_DIR, path.resolve(beforePath))}`);
+  console.log(`Après: ${path.relative(ROOT_DIR, path.resolve(afterPath))}`);
+  console.log(
+    `Nœuds: ${summary.nodesBefore} -> ${summary.nodesAfter}, liens: ${summary.linksBefore} -> ${summary.linksAfter}`
+  );
+
+  if (isEmptyDiff(diff)) {
+    console.log("Aucune différence");
+  }
+
+  printSection(
+    "Nœuds ajoutés",
+    nodes.added,
+    (node) => `+ ${formatNode(node)}`,
+    limit
+  );
+  printSection(
+    "Nœuds supprimés",
+    nodes.removed,
+    (node) => `- ${formatNode(node)}`,
+    limit
+  );
+  printSection(
+    "Nœuds renommés",
+    nodes.renamed,
+    ({ before, after }) => `${formatNode(before)} -> ${formatNode(after)}`,
+    limit
+  );
+  printSection(
+    "Attributs modifiés",
+    nodes.changed,
+    (node) => `~ ${formatNode(node)}: ${formatChanges(node.changes)}`,
+    limit
+  );
+  printSection(
+    "Changements de cluster",
+    nodes.reassigned,
+    (node) =>
+      `${formatNode(node)}: ${node.before.clusterSlug ?? node.before.cluster} -> ${
+        node.after.clusterSlug ?? node.after.cluster
+      }`,
+    limit
+  );
+  printSection(
+    `Nœuds déplacés (max ${summary.maxDistance.toFixed(1)})`,
+    nodes.moved,
+    (node) => `${node.distance.toFixed(1).padStart(8)}  ${formatNode(node)}`,
+    limit
+  );
+  printSection(
+    "Liens ajoutés",
+    links.added,
+    ({ source, target }) => `+ ${source} -> ${target}`,
+    limit
+  );
+  printSection(
+    "Liens supprimés",
+    links.removed,
+    ({ source, target }) => `- ${source} -> ${target}`,
+    limit
+  );
+  printSection(
+    "Liens modifiés",
+    links.changed,
+    ({ source, target, changes }) =>
+      `~ ${source} -> ${target}: ${formatChanges(changes)}`,
+    limit
+  );
+
+  if (options.json) {
+    await writeFile(options.json, JSON.stringify(diff, null, 2));
+    console.log(`\nDiff écrit dans ${path.relative(ROOT_DIR, options.json)}`);
+  }
+}
+
+main().catch((error) => {
+  console.error("Erreur lors de la comparaison des graphes:", error);
+  process.exit(1);
+});
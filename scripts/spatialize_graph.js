@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * Construit et spatialise le graphe sans navigateur, puis écrit
+ * final_spatialized_graph.data.json directement dans public/data.
+ *
+ * Reprend le même pipeline que la page /spatialize-and-export-forcegraph :
+ * buildGraphFromCharacterData, repositionnement des clusters par district,
+ * puis simulation d3-force-3d avec les forces districtSeparation,
+ * districtCenter et clusterCohesion (src/pages/ExportForceGraphPage/Graph/utils/districtForces.js).
+ *
+ * Usage :
+ *   node scripts/spatialize_graph.js [--input <database.json>] [--output <graph.json>] [--seed <seed>] [--ticks <n>] [--verbose]
+ *   node scripts/spatialize_graph.js --incremental [--previous <graph.json>] [--report <report.json>]
+ *
+ * En mode --incremental, les nœuds présents dans le fichier précédent (par défaut
+ * le fichier de sortie) gardent leur position et seuls les nœuds nouveaux ou
+ * modifiés sont simulés ; un rapport des déplacements est affiché.
+ *
+ * Sans --seed, la graine de graphConfig est utilisée ; elle est enregistrée
+ * dans les métadonnées du fichier pour pouvoir reconstruire la même carte.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  graphConfig,
+  buildGraphFromCharacterData,
+  buildExportData,
+  cleanOrphanLinks,
+  updateGraphConfig,
+} from "../src/pages/ExportForceGraphPage/Graph/utils/graphDataUtils.js";
+import {
+  SIMULATION_SETTINGS,
+  computeDistrictLayout,
+} from "../src/pages/ExportForceGraphPage/Graph/utils/districtForces.js";
+import { computeIncrementalLayout } from "../src/pages/ExportForceGraphPage/Graph/utils/incrementalLayout.js";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DATA_DIR = path.join(ROOT_DIR, "public", "data");
+
+const { values: options } = parseArgs({
+  options: {
+    input: {
+      type: "string",
+      default: path.join(DATA_DIR, "database.data.json"),
+    },
+    output: {
+      type: "string",
+      default: path.join(DATA_DIR, "final_spatialized_graph.data.json"),
+    },
+    seed: { type: "string" },
+    ticks: {
+      type: "string",
+      default: String(SIMULATION_SETTINGS.cooldownTicks),
+    },
+    incremental: { type: "boolean", default: false },
+    previous: { type: "string" },
+    report: { type: "string" },
+    verbose: { type: "boolean", default: false },
+  },
+});
+
+/**
+ * Exécute une fonction en masquant les console.log (très bavards dans graphDataUtils)
+ * @param {Function} fn - Fonction à exécuter
+ * @returns {any} - Résultat de la fonction
+ */
+function quietly(fn) {
+  if (options.verbose) return fn();
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Affiche le rapport de la re-disposition incrémentale
+ * @param {Object} report - Rapport retourné par computeIncrementalLayout
+ */
+function printIncrementalReport(report) {
+  console.log(
+    `Nœuds figés: ${report.pinned}, ajoutés: ${report.added.length}, modifiés: ${report.changed.length}, supprimés: ${report.removed.length}`
+  );
+
+  report.added.forEach(({ key }) => console.log(`  + ${key}`));
+  report.removed.forEach(({ key }) => console.log(`  - ${key}`));
+  report.changed.forEach(({ key, reasons }) =>
+    console.log(`  ~ ${key} (${reasons.join(", ")})`)
+  );
+
+  if (report.moved.length > 0) {
+    console.log("Déplacements des nœuds modifiés:");
+    report.moved.forEach(({ id, name, distance }) =>
+      console.log(`  ${distance.toFixed(1).padStart(8)}  ${name} (${id})`)
+    );
+  }
+}
+
+/**
+ * Dispose le graphe en conservant les positions du fichier précédent
+ * @returns {Promise<Object>} - Métadonnées à enregistrer dans l'export
+ */
+async function runIncrementalLayout(nodes, links, maxTicks) {
+  const previousPath = options.previous ?? options.output;
+  console.log(`Positions précédentes: ${path.relative(ROOT_DIR, previousPath)}`);
+  const previousGraph = JSON.parse(await readFile(previousPath, "utf8"));
+
+  const { ticks, report } = computeIncrementalLayout(
+    nodes,
+    links,
+    previousGraph,
+    { seed: graphConfig.seed, maxTicks }
+  );
+  console.log(`Simulation terminée en ${ticks} ticks`);
+  printIncrementalReport(report);
+
+  if (options.report) {
+    await writeFile(options.report, JSON.stringify(report, null, 2));
+    console.log(`Rapport écrit dans ${path.relative(ROOT_DIR, options.report)}`);
+  }
+
+  return {
+    ticks,
+    layoutMode: "incremental",
+    pinned: report.pinned,
+    added: report.added.length,
+    changed: report.changed.length,
+    removed: report.removed.length,
+  };
+}
+
+async function main() {
+  const maxTicks = Number.parseInt(options.ticks, 10);
+  if (!Number.isFinite(maxTicks) || maxTicks <= 0) {
+    throw new Error(`--ticks invalide: ${options.ticks}`);
+  }
+
+  if (options.seed !== undefined) {
+    // Les graines numériques restent des nombres pour correspondre à graphConfig
+    const numericSeed = Number(options.seed);
+    quietly(() =>
+      updateGraphConfig({
+        seed: Number.isFinite(numericSeed) ? numericSeed : options.seed,
+      })
+    );
+  }
+  console.log(`Graine: ${graphConfig.seed}`);
+
+  console.log(`Lecture de ${path.relative(ROOT_DIR, options.input)}`);
+  const characterData = JSON.parse(await readFile(options.input, "utf8"));
+
+  const graph = quietly(() => {
+    const built = buildGraphFromCharacterData(characterData);
+    return cleanOrphanLinks(built.nodes, built.links);
+  });
+
+  // Simuler sur le format exporté, comme la page qui recharge le fichier final
+  const { nodes, links } = buildExportData(graph.nodes, graph.links);
+  console.log(`Graphe construit: ${nodes.length} nœuds, ${links.length} liens`);
+
+  let metadata;
+  if (options.incremental) {
+    metadata = await runIncrementalLayout(nodes, links, maxTicks);
+  } else {
+    const { ticks, repositioned, clusterDistricts } = computeDistrictLayout(
+      nodes,
+      links,
+      { seed: graphConfig.seed, maxTicks }
+    );
+    console.log(
+      `${repositioned}/${nodes.length} nœuds repositionnés dans ${
+        Object.keys(clusterDistricts).length
+      } clusters avec district`
+    );
+    console.log(`Simulation terminée en ${ticks} ticks`);
+    metadata = { ticks };
+  }
+
+  const exportData = buildExportData(nodes, links, metadata);
+  await writeFile(options.output, JSON.stringify(exportData, null, 2));
+  console.log(`Graphe écrit dans ${path.relative(ROOT_DIR, options.output)}`);
+}
+
+main().catch((error) => {
+  console.error("Erreur lors de la spatialisation du graphe:", error);
+  process.exit(1);
+});
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/**
+ * Serveur local de synchronisation multi-écrans (socket.io). L'écran
+ * principal du jeu (index.html?sync#/game) publie le niveau ouvert, le nœud
+ * actif, la pose de la caméra et l'avancement de l'interview ; les écrans
+ * secondaires (#/screen/bio, #/screen/map, #/screen/subtitles) les reçoivent.
+ *
+ * Le serveur garde le dernier état en mémoire et l'envoie à chaque écran qui
+ * se connecte ou se reconnecte. Il relaie aussi les événements de l'ancien
+ * client (updateActivePost, resetView, activeNodeUpdated).
+ *
+ * Les télécommandes (#/remote sur un téléphone) envoient leurs entrées à
+ * l'écran principal ; une seule pilote à la fois, jusqu'à ce qu'elle rende la
+ * main, se déconnecte ou reste inactive.
+ *
+ * Le protocole est partagé avec le jeu (src/utils/syncProtocol.js).
+ *
+ * Usage :
+ *   node scripts/sync_server.js [--port <n>] [--host <adresse>]
+ */
+
+import { createServer } from "node:http";
+import { parseArgs } from "node:util";
+import { Server } from "socket.io";
+import {
+  DEFAULT_SYNC_PORT,
+  SYNC_ROLES,
+  SYNC_EVENTS,
+  REMOTE_EVENTS,
+  REMOTE_IDLE_TIMEOUT,
+  LEGACY_EVENTS,
+  createSyncState,
+  applySyncPatch,
+  isSameSyncNode,
+} from "../src/utils/syncProtocol.js";
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: "string", default: String(DEFAULT_SYNC_PORT) },
+    host: { type: "string", default: "0.0.0.0" },
+  },
+});
+
+// Dernier état connu, rejoué aux écrans arrivés en cours de visite
+let state = createSyncState();
+let activePost = null;
+// Télécommande qui pilote l'écran principal
+const driver = { id: null, lastInputTime: 0 };
+
+// GET /state : état courant, pour vérifier le serveur depuis un navigateur
+const httpServer = createServer((request, response) => {
+  if (request.method === "GET" && request.url === "/state") {
+    response.writeHead(200, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+    });
+    response.end(JSON.stringify({ ...state, activePost }));
+    return;
+  }
+  response.writeHead(404);
+  response.end();
+});
+
+const io = new Server(httpServer, { cors: { origin: "*" } });
+
+const countClients = () => {
+  const counts = Object.fromEntries(
+    Object.values(SYNC_ROLES).map((role) => [role, 0])
+  );
+  io.sockets.sockets.forEach((socket) => {
+    counts[socket.data.role] += 1;
+  });
+  return `${counts[SYNC_ROLES.MAIN]} principal, ${
+    counts[SYNC_ROLES.DISPLAY]
+  } secondaire(s), ${counts[SYNC_ROLES.REMOTE]} télécommande(s)`;
+};
+
+const emitLock = (target = io.to(SYNC_ROLES.REMOTE)) =>
+  target.emit(REMOTE_EVENTS.LOCK, { driverId: driver.id });
+
+const releaseDriver = (reason) => {
+  if (!driver.id) return;
+  console.log(`Télécommande ${driver.id} libérée (${reason})`);
+  driver.id = null;
+  // Entrées de la télécommande remises à zéro sur l'écran principal
+  io.to(SYNC_ROLES.MAIN).emit(REMOTE_EVENTS.INPUT, null);
+  emitLock();
+};
+
+setInterval(() => {
+  if (driver.id && Date.now() - driver.lastInputTime > REMOTE_IDLE_TIMEOUT) {
+    releaseDriver("inactivité");
+  }
+}, 5000).unref();
+
+io.on("connection", (socket) => {
+  // L'ancien client ne s'identifie pas : il est traité comme un écran
+  const role = socket.handshake.auth?.role;
+  socket.data.role = Object.values(SYNC_ROLES).includes(role)
+    ? role
+    : SYNC_ROLES.DISPLAY;
+  socket.join(socket.data.role);
+  console.log(`+ ${socket.data.role} ${socket.id} (${countClients()})`);
+
+  socket.emit(SYNC_EVENTS.SNAPSHOT, state);
+  if (activePost) socket.emit(LEGACY_EVENTS.ACTIVE_POST_UPDATED, activePost);
+  if (socket.data.role === SYNC_ROLES.REMOTE) emitLock(socket);
+
+  socket.on(SYNC_EVENTS.PUBLISH, (patch) => {
+    if (socket.data.role !== SYNC_ROLES.MAIN) return;
+    if (!patch || typeof patch !== "object") return;
+
+    const previousNode = state.node;
+    state = applySyncPatch(state, patch);
+
+    // La caméra change sans cesse : un message perdu sera remplacé par le
+    // suivant, inutile de le mettre en file pour un écran déconnecté
+    const isCameraOnly = Object.keys(patch).every((key) => key === "camera");
+    (isCameraOnly ? socket.broadcast.volatile : socket.broadcast).emit(
+      SYNC_EVENTS.UPDATE,
+      patch
+    );
+
+    if ("node" in patch && !isSameSyncNode(previousNode, state.node)) {
+      socket.broadcast.emit(LEGACY_EVENTS.ACTIVE_NODE_UPDATED, {
+        node: state.node || previousNode,
+        eventType: state.node ? "activation" : "deactivation",
+      });
+    }
+  });
+
+  socket.on(REMOTE_EVENTS.CLAIM, () => {
+    if (socket.data.role !== SYNC_ROLES.REMOTE) return;
+    // Refus : la télécommande reçoit seulement l'identité de celle qui pilote
+    if (driver.id && driver.id !== socket.id) {
+      emitLock(socket);
+      return;
+    }
+    driver.id = socket.id;
+    driver.lastInputTime = Date.now();
+    console.log(`Télécommande ${socket.id} aux commandes`);
+    emitLock();
+  });
+
+  socket.on(REMOTE_EVENTS.RELEASE, () => {
+    if (driver.id === socket.id) releaseDriver("rendue");
+  });
+
+  socket.on(REMOTE_EVENTS.INPUT, (inputs) => {
+    if (driver.id !== socket.id) return;
+    driver.lastInputTime = Date.now();
+    io.to(SYNC_ROLES.MAIN).emit(REMOTE_EVENTS.INPUT, inputs);
+  });
+
+  socket.on(LEGACY_EVENTS.UPDATE_ACTIVE_POST, (post) => {
+    activePost = post ?? null;
+    socket.broadcast.emit(LEGACY_EVENTS.ACTIVE_POST_UPDATED, activePost);
+  });
+
+  socket.on(LEGACY_EVENTS.RESET_VIEW, (data) => {
+    socket.broadcast.emit(LEGACY_EVENTS.RESET_VIEW, data);
+  });
+
+  socket.on("disconnect", (reason) => {
+    if (driver.id === socket.id) releaseDriver("déconnectée");
+    console.log(
+      `- ${socket.data.role} ${socket.id}: ${reason} (${countClients()})`
+    );
+  });
+});
+
+httpServer.on("error", (error) => {
+  console.error("Erreur du serveur de synchronisation:", error.message);
+  process.exit(1);
+});
+
+httpServer.listen(Number(options.port), options.host, () => {
+  console.log(
+    `Serveur de synchronisation sur http://${options.host}:${options.port} (Ctrl+C pour arrêter)`
+  );
+});
+
+process.on("SIGINT", () => {
+  console.log("\nArrêt du serveur de synchronisation");
+  io.close(() => process.exit(0));
+});
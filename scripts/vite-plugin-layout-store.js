@@ -0,0 +1,243 @@
+/**
+ * Plugin Vite (serveur de développement uniquement) qui permet aux éditeurs
+ * de graphe d'enregistrer, lister et recharger des versions nommées de la
+ * disposition directement dans public/data, sans passer par les
+ * téléchargements et watch_downloads.py.
+ *
+ * Routes :
+ *   GET  /__layouts          -> liste des dispositions ({nodes, links}) de public/data
+ *   GET  /__layouts/<nom>    -> contenu de <nom>.data.json
+ *   PUT  /__layouts/<nom>    -> écrit <nom>.data.json (sauvegarde horodatée de
+ *                               l'ancienne version dans data-backups/)
+ *
+ * Avec `apply: "serve"`, le plugin n'existe pas dans les builds de production.
+ */
+
+import {
+  readFile,
+  writeFile,
+  readdir,
+  stat,
+  mkdir,
+  copyFile,
+  rename,
+} from "node:fs/promises";
+import path from "node:path";
+
+export const LAYOUT_STORE_ROUTE = "/__layouts";
+
+const LAYOUT_EXTENSION = ".data.json";
+// Taille maximale acceptée pour une disposition envoyée par un éditeur
+const MAX_BODY_SIZE = 20 * 1024 * 1024;
+// Noms de version autorisés : pas de séparateur de chemin ni de ".."
+const LAYOUT_NAME_PATTERN = /^[\w-][\w .-]*$/;
+// Fichiers de public/data qui ne sont pas des dispositions
+const PROTECTED_FILES = ["database.data.json"];
+
+/**
+ * Convertit un nom de version en nom de fichier de public/data
+ * @param {string} name - Nom de la version (avec ou sans .data.json)
+ * @returns {string|null} - Nom de fichier, null si le nom est invalide
+ */
+const toFileName = (name) => {
+  const baseName = name.endsWith(LAYOUT_EXTENSION)
+    ? name.slice(0, -LAYOUT_EXTENSION.length)
+    : name;
+  if (!LAYOUT_NAME_PATTERN.test(baseName) || baseName.includes("..")) {
+    return null;
+  }
+  return `${baseName}${LAYOUT_EXTENSION}`;
+};
+
+const isLayout = (data) =>
+  Array.isArray(data?.nodes) && Array.isArray(data?.links);
+
+const sendJSON = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Lit le corps d'une requête en limitant sa taille
+ * @param {import("node:http").IncomingMessage} req - Requête
+ * @returns {Promise<string>} - Corps de la requête
+ */
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new Error("Disposition trop volumineuse"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.dataDir="public/data"] - Dossier des dispositions
+ * @param {string} [options.backupDir="data-backups"] - Dossier des sauvegardes horodatées
+ * @returns {import("vite").Plugin}
+ */
+export default function layoutStorePlugin({
+  dataDir = "public/data",
+  backupDir = "data-backups",
+} = {}) {
+  let dataPath;
+  let backupPath;
+
+  /**
+   * Liste les dispositions de public/data avec leurs statistiques
+   * @returns {Promise<Array<Object>>} - Versions triées de la plus récente à la plus ancienne
+   */
+  const listLayouts = async () => {
+    const files = (await readdir(dataPath)).filter(
+      (file) =>
+        file.endsWith(LAYOUT_EXTENSION) && !PROTECTED_FILES.includes(file)
+    );
+
+    const layouts = await Promise.all(
+      files.map(async (file) => {
+        const filePath = path.join(dataPath, file);
+        try {
+          const [content, info] = await Promise.all([
+            readFile(filePath, "utf8"),
+            stat(filePath),
+          ]);
+          const data = JSON.parse(content);
+          if (!isLayout(data)) return null;
+          return {
+            name: file.slice(0, -LAYOUT_EXTENSION.length),
+            file,
+            nodes: data.nodes.length,
+            links: data.links.length,
+            exportDate: data.metadata?.exportDate ?? null,
+            seed: data.metadata?.seed ?? null,
+            modified: info.mtime.toISOString(),
+          };
+        } catch {
+          return null;
+        }
+      })
+    );
+
+    return layouts
+      .filter(Boolean)
+      .sort((a, b) => b.modified.localeCompare(a.modified));
+  };
+
+  /**
+   * Copie la version existante dans le dossier de sauvegarde avant écrasement
+   * @param {string} file - Nom du fichier dans public/data
+   * @returns {Promise<string|null>} - Nom de la sauvegarde, null s'il n'y avait rien à sauvegarder
+   */
+  const backupLayout = async (file) => {
+    const source = path.join(dataPath, file);
+    try {
+      await stat(source);
+    } catch {
+      return null;
+    }
+
+    await mkdir(backupPath, { recursive: true });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const backupFile = file.replace(
+      LAYOUT_EXTENSION,
+      `.${timestamp}${LAYOUT_EXTENSION}`
+    );
+    await copyFile(source, path.join(backupPath, backupFile));
+    return backupFile;
+  };
+
+  const handleRequest = async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const name = decodeURIComponent(url.pathname.replace(/^\/+/, ""));
+
+    if (!name) {
+      if (req.method !== "GET") {
+        sendJSON(res, 405, { error: "Méthode non autorisée" });
+        return;
+      }
+      sendJSON(res, 200, { layouts: await listLayouts() });
+      return;
+    }
+
+    const file = toFileName(name);
+    if (!file || PROTECTED_FILES.includes(file)) {
+      sendJSON(res, 400, { error: `Nom de disposition invalide: ${name}` });
+      return;
+    }
+    const filePath = path.join(dataPath, file);
+
+    if (req.method === "GET") {
+      try {
+        res.setHeader("Content-Type", "application/json");
+        res.end(await readFile(filePath, "utf8"));
+      } catch {
+        sendJSON(res, 404, { error: `Disposition introuvable: ${file}` });
+      }
+      return;
+    }
+
+    if (req.method === "PUT" || req.method === "POST") {
+      let data;
+      try {
+        data = JSON.parse(await readBody(req));
+      } catch (error) {
+        sendJSON(res, 400, { error: `Corps invalide: ${error.message}` });
+        return;
+      }
+      if (!isLayout(data)) {
+        sendJSON(res, 400, {
+          error: "Structure de données invalide: nodes ou links manquants",
+        });
+        return;
+      }
+
+      const backup = await backupLayout(file);
+
+      // Écriture atomique : un fichier temporaire renommé une fois complet
+      const tempPath = `${filePath}.tmp`;
+      await writeFile(tempPath, JSON.stringify(data, null, 2));
+      await rename(tempPath, filePath);
+
+      console.log(
+        `[layout-store] ${file} enregistré (${data.nodes.length} nœuds)${
+          backup ? `, sauvegarde: ${backup}` : ""
+        }`
+      );
+      sendJSON(res, 200, {
+        name: file.slice(0, -LAYOUT_EXTENSION.length),
+        file,
+        backup,
+      });
+      return;
+    }
+
+    sendJSON(res, 405, { error: "Méthode non autorisée" });
+  };
+
+  return {
+    name: "layout-store",
+    apply: "serve",
+    configResolved(config) {
+      dataPath = path.resolve(config.root, dataDir);
+      backupPath = path.resolve(config.root, backupDir);
+    },
+    configureServer(server) {
+      server.middlewares.use(LAYOUT_STORE_ROUTE, (req, res) => {
+        handleRequest(req, res).catch((error) => {
+          console.error("[layout-store] Erreur:", error);
+          sendJSON(res, 500, { error: error.message });
+        });
+      });
+    },
+  };
+}
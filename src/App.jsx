@@ -1,4 +1,4 @@
-import { Routes, Route, useLocation } from "react-router-dom";
+import { Routes, Route, Navigate, useLocation } from "react-router-dom";
 import { AnimatePresence } from "framer-motion";
 import { ThemeProvider } from "@mui/material";
 import CssBaseline from "@mui/material/CssBaseline";
@@ -10,28 +10,55 @@ import Game from "./pages/Game/Game";
 import Game2 from "./pages/Game2/Game";
 import ExportForceGraphPage from "./pages/ExportForceGraphPage/ExportForceGraphPage";
 import MovablePage from "./pages/MovablePage";
+import GraphDiffPage from "./pages/GraphDiffPage";
+import AnalyticsPage from "./pages/AnalyticsPage";
+import SyncScreen from "./pages/SyncScreen";
+import RemotePage from "./pages/RemotePage";
 import Navbar from "./components/Navbar";
 import Footer from "./components/Footer";
 import BackgroundCanvas from "./components/BackgroundCanvas";
+import KioskErrorBoundary from "./components/KioskErrorBoundary";
+import { isKioskMode } from "./utils/kiosk";
 
 function App() {
   const location = useLocation();
+  // Les sous-routes du jeu (/game/cluster/...) ne doivent pas le remonter
+  const routeKey = location.pathname.split("/").slice(0, 2).join("/");
+
+  // Borne : uniquement le jeu, sans navigation ni pied de page
+  if (isKioskMode()) {
+    return (
+      <ThemeProvider theme={theme}>
+        <CssBaseline />
+        <KioskErrorBoundary>
+          <Routes location={location} key={routeKey}>
+            <Route path="/game/*" element={<Game2 />} />
+            <Route path="*" element={<Navigate to="/game" replace />} />
+          </Routes>
+        </KioskErrorBoundary>
+      </ThemeProvider>
+    );
+  }
 
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
       <BackgroundCanvas />
       <AnimatePresence mode="wait">
-        <Routes location={location} key={location.pathname}>
+        <Routes location={location} key={routeKey}>
           <Route path="/" element={<Home />} />
           <Route path="/controls" element={<Controls />} />
           <Route path="/game2" element={<Game />} />
-          <Route path="/game" element={<Game2 />} />
+          <Route path="/game/*" element={<Game2 />} />
           <Route
             path="/spatialize-and-export-forcegraph"
             element={<ExportForceGraphPage />}
           />
           <Route path="/move-and-export-forcegraph" element={<MovablePage />} />
+          <Route path="/graph-diff" element={<GraphDiffPage />} />
+          <Route path="/analytics" element={<AnalyticsPage />} />
+          <Route path="/screen/:view" element={<SyncScreen />} />
+          <Route path="/remote" element={<RemotePage />} />
         </Routes>
       </AnimatePresence>
       <Footer />
@@ -0,0 +1,74 @@
+import { Component } from "react";
+
+// Délai avant rechargement automatique après une erreur (ms)
+const RELOAD_DELAY = 10000;
+
+/**
+ * Filet de sécurité du mode borne : une erreur de rendu, ou la perte du
+ * contexte WebGL, recharge la page après un court délai, sans souris ni clavier
+ */
+class KioskErrorBoundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+    this.reloadTimerId = null;
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    console.error("Mode borne : erreur de rendu", error, info);
+    this.scheduleReload();
+  }
+
+  componentDidMount() {
+    // Contexte WebGL perdu (pilote, mémoire) : la scène ne se rétablit pas
+    this.handleContextLost = () => {
+      console.error("Mode borne : contexte WebGL perdu");
+      this.scheduleReload();
+    };
+    window.addEventListener("webglcontextlost", this.handleContextLost, true);
+  }
+
+  componentWillUnmount() {
+    clearTimeout(this.reloadTimerId);
+    window.removeEventListener(
+      "webglcontextlost",
+      this.handleContextLost,
+      true
+    );
+  }
+
+  scheduleReload() {
+    if (this.reloadTimerId) return;
+    this.reloadTimerId = setTimeout(() => {
+      window.location.reload();
+    }, RELOAD_DELAY);
+  }
+
+  render() {
+    if (!this.state.error) return this.props.children;
+
+    return (
+      <div
+        style={{
+          width: "100vw",
+          height: "100vh",
+          background: "#000",
+          color: "#f5f5f5",
+          fontFamily: "monospace",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          opacity: 0.6,
+        }}
+      >
+        restarting...
+      </div>
+    );
+  }
+}
+
+export default KioskErrorBoundary;
@@ -0,0 +1,97 @@
+import { memo, useRef, useState } from "react";
+
+/**
+ * Joystick tactile (Pointer Events : doigt, stylet ou souris). Chaque
+ * joystick suit un seul pointeur, ce qui permet d'en manipuler deux à la fois
+ * @param {Object} props
+ * @param {Function} props.onChange - Reçoit {x, y} entre -1 et 1 (y vers le haut)
+ * @param {number} [props.size=140] - Diamètre en pixels
+ * @param {number} [props.deadzone=0.15] - Zone morte autour du centre
+ * @param {string} [props.label] - Libellé affiché sous le joystick
+ * @returns {JSX.Element} - Le composant TouchJoystick
+ */
+const TouchJoystick = memo(
+  ({ onChange, size = 140, deadzone = 0.15, label }) => {
+    const baseRef = useRef(null);
+    const pointerIdRef = useRef(null);
+    const [knob, setKnob] = useState({ x: 0, y: 0 });
+
+    const update = (event) => {
+      const rect = baseRef.current.getBoundingClientRect();
+      const radius = rect.width / 2;
+      let x = (event.clientX - rect.left - radius) / radius;
+      let y = (event.clientY - rect.top - radius) / radius;
+      const length = Math.hypot(x, y);
+      if (length > 1) {
+        x /= length;
+        y /= length;
+      }
+      setKnob({ x, y });
+
+      const isInDeadzone = Math.min(length, 1) < deadzone;
+      onChange({ x: isInDeadzone ? 0 : x, y: isInDeadzone ? 0 : -y });
+    };
+
+    const handlePointerDown = (event) => {
+      if (pointerIdRef.current !== null) return;
+      pointerIdRef.current = event.pointerId;
+      event.currentTarget.setPointerCapture(event.pointerId);
+      update(event);
+    };
+
+    const handlePointerMove = (event) => {
+      if (event.pointerId === pointerIdRef.current) update(event);
+    };
+
+    const handlePointerUp = (event) => {
+      if (event.pointerId !== pointerIdRef.current) return;
+      pointerIdRef.current = null;
+      setKnob({ x: 0, y: 0 });
+      onChange({ x: 0, y: 0 });
+    };
+
+    const knobSize = size * 0.4;
+    const travel = (size - knobSize) / 2;
+
+    return (
+      <div style={{ textAlign: "center", userSelect: "none" }}>
+        <div
+          ref={baseRef}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          style={{
+            position: "relative",
+            width: `${size}px`,
+            height: `${size}px`,
+            borderRadius: "50%",
+            border: "2px solid rgba(255, 255, 255, 0.4)",
+            background: "rgba(255, 255, 255, 0.08)",
+            touchAction: "none",
+          }}
+        >
+          <div
+            style={{
+              position: "absolute",
+              left: `${size / 2 - knobSize / 2 + knob.x * travel}px`,
+              top: `${size / 2 - knobSize / 2 + knob.y * travel}px`,
+              width: `${knobSize}px`,
+              height: `${knobSize}px`,
+              borderRadius: "50%",
+              background: "rgba(255, 255, 255, 0.7)",
+              pointerEvents: "none",
+            }}
+          />
+        </div>
+        {label && (
+          <div style={{ marginTop: "8px", fontSize: "12px", opacity: 0.6 }}>
+            {label}
+          </div>
+        )}
+      </div>
+    );
+  }
+);
+
+export default TouchJoystick;
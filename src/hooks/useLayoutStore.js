@@ -0,0 +1,52 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import {
+  isLayoutStoreAvailable,
+  listLayouts,
+  loadLayout,
+  saveLayout,
+} from "../utils/layoutStore";
+
+/**
+ * Hook pour enregistrer et recharger les versions de la disposition du graphe
+ * dans public/data (serveur de développement uniquement)
+ * @returns {Object} - {available, layouts, refresh, save, load}
+ */
+const useLayoutStore = () => {
+  const [layouts, setLayouts] = useState([]);
+
+  const refresh = useCallback(async () => {
+    if (!isLayoutStoreAvailable) return;
+    try {
+      setLayouts(await listLayouts());
+    } catch (error) {
+      console.error("Erreur lors de la lecture des dispositions:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Enregistrer puis rafraîchir la liste des versions
+  const save = useCallback(
+    async (name, graph) => {
+      const result = await saveLayout(name, graph);
+      await refresh();
+      return result;
+    },
+    [refresh]
+  );
+
+  return useMemo(
+    () => ({
+      available: isLayoutStoreAvailable,
+      layouts,
+      refresh,
+      save,
+      load: loadLayout,
+    }),
+    [layouts, refresh, save]
+  );
+};
+
+export default useLayoutStore;
@@ -0,0 +1,272 @@
+import { useState, useEffect, useMemo, useCallback } from "react";
+import { Paper, Button } from "@mui/material";
+import { styled } from "@mui/material/styles";
+import DownloadIcon from "@mui/icons-material/Download";
+
+import PageTransition from "../../components/PageTransition";
+import {
+  getAllEvents,
+  clearEvents,
+  downloadEvents,
+  aggregateSessions,
+  SESSION_END_REASONS,
+} from "../../utils/analyticsLog";
+
+// Nombre de sessions affichées dans le tableau (les exports contiennent tout)
+const MAX_SESSIONS = 100;
+
+const END_REASON_LABELS = {
+  [SESSION_END_REASONS.IDLE]: "inactivité",
+  [SESSION_END_REASONS.NEW_SESSION]: "nouvelle visite",
+  [SESSION_END_REASONS.EXIT]: "page quittée",
+};
+
+const ReportPanel = styled(Paper)({
+  width: "min(1100px, 95vw)",
+  maxHeight: "calc(100vh - 120px)",
+  marginTop: "64px",
+  padding: "16px 20px",
+  backgroundColor: "rgba(0, 0, 0, 0.8)",
+  color: "#fff",
+  overflowY: "auto",
+  fontSize: "13px",
+  borderRadius: "4px",
+});
+
+const cellStyle = {
+  padding: "4px 8px",
+  borderBottom: "1px solid rgba(255, 255, 255, 0.15)",
+  textAlign: "left",
+};
+
+/**
+ * Durée lisible (ex. 2 min 05 s)
+ * @param {number} ms - Durée en millisecondes
+ * @returns {string}
+ */
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds} s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes} min ${String(seconds % 60).padStart(2, "0")} s`;
+};
+
+const formatDate = (time) =>
+  new Date(time).toLocaleString("fr-FR", {
+    dateStyle: "short",
+    timeStyle: "short",
+  });
+
+/**
+ * Tableau simple d'une rubrique du rapport
+ * @param {Object} props
+ * @param {string} props.title - Titre de la rubrique
+ * @param {Array<string>} props.columns - En-têtes
+ * @param {Array<Array>} props.rows - Cellules de chaque ligne
+ */
+const ReportTable = ({ title, columns, rows }) => (
+  <div style={{ marginTop: "20px" }}>
+    <div style={{ fontWeight: "bold", marginBottom: "6px" }}>{title}</div>
+    {rows.length === 0 ? (
+      <div style={{ color: "#888" }}>Aucune donnée</div>
+    ) : (
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr>
+            {columns.map((column) => (
+              <th key={column} style={{ ...cellStyle, color: "#aaa" }}>
+                {column}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, i) => (
+            <tr key={i}>
+              {row.map((cell, j) => (
+                <td key={j} style={cellStyle}>
+                  {cell}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+/**
+ * Page opérateur : agrège le journal de fréquentation local (IndexedDB) par
+ * session et par cluster, et l'exporte en JSON ou en CSV
+ */
+const AnalyticsPage = () => {
+  const [events, setEvents] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadEvents = useCallback(async () => {
+    try {
+      setEvents(await getAllEvents());
+      setError(null);
+    } catch (err) {
+      console.error("Erreur lors de la lecture du journal:", err);
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const report = useMemo(
+    () => (events ? aggregateSessions(events) : null),
+    [events]
+  );
+
+  const handleClear = async () => {
+    if (!window.confirm("Effacer définitivement le journal de fréquentation ?"))
+      return;
+    try {
+      await clearEvents();
+      loadEvents();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const totals = report?.totals;
+
+  return (
+    <PageTransition>
+      <ReportPanel>
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "8px",
+            flexWrap: "wrap",
+          }}
+        >
+          <div style={{ fontSize: "18px", fontWeight: "bold", flex: 1 }}>
+            Fréquentation de l&apos;installation
+          </div>
+          <Button size="small" variant="outlined" onClick={loadEvents}>
+            Actualiser
+          </Button>
+          {["json", "csv"].map((format) => (
+            <Button
+              key={format}
+              size="small"
+              variant="outlined"
+              startIcon={<DownloadIcon />}
+              disabled={!events?.length}
+              onClick={() => downloadEvents(events, format)}
+            >
+              {format.toUpperCase()}
+            </Button>
+          ))}
+          <Button
+            size="small"
+            variant="outlined"
+            color="error"
+            disabled={!events?.length}
+            onClick={handleClear}
+          >
+            Effacer
+          </Button>
+        </div>
+
+        <div style={{ color: "#888", marginTop: "4px" }}>
+          Données enregistrées uniquement sur cette machine
+        </div>
+
+        {error && <div style={{ color: "red" }}>Erreur: {error}</div>}
+        {!report && !error && <div>Chargement du journal...</div>}
+
+        {report && (
+          <>
+            <div style={{ marginTop: "16px", lineHeight: 1.8 }}>
+              <div>
+                {totals.sessions} sessions · {totals.events} événements
+              </div>
+              <div>
+                Durée active moyenne :{" "}
+                {formatDuration(totals.averageActiveTime)}
+              </div>
+              <div>
+                Niveaux ouverts par session :{" "}
+                {totals.averageLevelsOpened.toFixed(1)}
+              </div>
+              <div>
+                Interactions par session :{" "}
+                {totals.averageInteractions.toFixed(1)}
+              </div>
+              <div>
+                Abandons (inactivité) : {totals.abandoned}
+                {totals.sessions > 0 &&
+                  ` (${Math.round((totals.abandoned / totals.sessions) * 100)}%)`}
+              </div>
+            </div>
+
+            <ReportTable
+              title="Clusters et personas"
+              columns={[
+                "Nom",
+                "Ouvertures",
+                "Sessions",
+                "Temps moyen",
+                "Temps total",
+                "Survols",
+              ]}
+              rows={report.levels.map((level) => [
+                level.name || level.target,
+                level.opens,
+                level.sessions,
+                formatDuration(level.averageDwell),
+                formatDuration(level.dwell),
+                level.hovers,
+              ])}
+            />
+
+            <ReportTable
+              title="Lieux d'abandon"
+              columns={["Niveau", "Sessions"]}
+              rows={report.abandonments.map(({ name, count }) => [name, count])}
+            />
+
+            <ReportTable
+              title={`Sessions (${Math.min(
+                MAX_SESSIONS,
+                report.sessions.length
+              )} plus récentes)`}
+              columns={[
+                "Début",
+                "Durée active",
+                "Niveaux",
+                "Nœuds",
+                "Interactions",
+                "Son",
+                "Fin",
+              ]}
+              rows={report.sessions
+                .slice(0, MAX_SESSIONS)
+                .map((session) => [
+                  formatDate(session.start),
+                  formatDuration(session.activeTime),
+                  Object.keys(session.levels).length,
+                  session.nodesOpened,
+                  session.interactCount,
+                  session.audioToggles,
+                  session.abandoned
+                    ? `abandon (${session.abandonedAt || "Monde"})`
+                    : END_REASON_LABELS[session.endReason] || "en cours",
+                ])}
+            />
+          </>
+        )}
+      </ReportPanel>
+    </PageTransition>
+  );
+};
+
+export default AnalyticsPage;
@@ -0,0 +1,3 @@
+import AnalyticsPage from "./AnalyticsPage";
+
+export default AnalyticsPage;
@@ -1,23 +1,46 @@
 import { useRef, useEffect, useState, useCallback } from "react";
 import { Canvas } from "@react-three/fiber";
 import { Stats, OrbitControls } from "@react-three/drei";
-import { Button, Paper } from "@mui/material";
+import { Button, Paper, MenuItem, Select } from "@mui/material";
 import { styled } from "@mui/material/styles";
 import DownloadIcon from "@mui/icons-material/Download";
+import UploadIcon from "@mui/icons-material/Upload";
+import SaveIcon from "@mui/icons-material/Save";
 
 import ForceGraph from "./Graph/ForceGraph";
 import {
+  graphConfig,
   loadGraphData,
-  getNodesWithPositions,
+  buildExportData,
+  cleanOrphanLinks,
 } from "./Graph/utils/graphDataUtils";
+import { computeDistrictLayout } from "./Graph/utils/districtForces";
 import PageTransition from "../../components/PageTransition";
+import useLayoutStore from "../../hooks/useLayoutStore";
+import {
+  GRAPH_FORMATS,
+  downloadGraph,
+  readGraphFiles,
+} from "../../utils/graphFormats";
 
-// Style pour le bouton d'export
-const ExportButton = styled(Button)(({ theme }) => ({
+// Extensions acceptées par le bouton d'import
+const IMPORT_ACCEPT = Object.values(GRAPH_FORMATS)
+  .map((format) => `.${format.extension.split(".").pop()}`)
+  .join(",");
+
+// Conteneur des boutons d'import / export
+const ExportToolbar = styled("div")({
   position: "absolute",
   top: "80px",
   right: "20px",
   zIndex: 100,
+  display: "flex",
+  flexDirection: "column",
+  gap: "8px",
+});
+
+// Style pour les boutons d'export
+const ExportButton = styled(Button)(({ theme }) => ({
   color: "#fff",
   borderColor: "#fff",
   "&:hover": {
@@ -26,6 +49,37 @@ const ExportButton = styled(Button)(({ theme }) => ({
   },
 }));
 
+// Sélecteur des versions enregistrées dans public/data
+const LayoutSelect = styled(Select)({
+  color: "#fff",
+  fontSize: "14px",
+  "& .MuiOutlinedInput-notchedOutline": {
+    borderColor: "#fff",
+  },
+  "& .MuiSvgIcon-root": { color: "#fff" },
+});
+
+// Nom proposé par défaut à l'enregistrement : le fichier lu par le jeu
+const DEFAULT_LAYOUT_NAME = "final_spatialized_graph";
+
+/**
+ * Fige les positions d'un graphe déjà spatialisé pour que ForceGraph ne le
+ * re-simule pas
+ * @param {Object} data - Graphe {nodes, links}
+ */
+const pinSpatializedNodes = (data) => {
+  const isSpatialized = data.nodes.every((node) =>
+    [node.x, node.y, node.z].every(Number.isFinite)
+  );
+  if (!isSpatialized) return;
+
+  data.nodes.forEach((node) => {
+    node.fx = node.x;
+    node.fy = node.y;
+    node.fz = node.z;
+  });
+};
+
 // Style pour les informations d'aide
 const HelpText = styled(Paper)(({ theme }) => ({
   position: "absolute",
@@ -55,136 +109,111 @@ const ExportForceGraphPage = () => {
     }
   }, []);
 
-  // Fonction d'export des données spatialisées
-  const handleExportGraph = useCallback(() => {
+  const layoutStore = useLayoutStore();
+
+  /**
+   * Récupère le graphe au format exporté avec les positions actuelles des nœuds
+   * @returns {Object|null} - Données à exporter, null si le graphe n'est pas prêt
+   */
+  const getExportData = useCallback(() => {
     if (!graphInstanceRef.current) {
       console.warn("Référence du graphe non disponible");
-      return;
+      return null;
     }
 
-    try {
-      // Obtenir les positions spatiales actuelles des nœuds
-      const nodesWithPositions = graphInstanceRef.current.getNodesPositions();
+    // Obtenir les positions spatiales actuelles des nœuds
+    const nodesWithPositions = graphInstanceRef.current.getNodesPositions();
 
-      if (!nodesWithPositions || nodesWithPositions.length === 0) {
-        console.warn("Aucune donnée de nœud à exporter");
-        return;
+    if (!nodesWithPositions || nodesWithPositions.length === 0) {
+      console.warn("Aucune donnée de nœud à exporter");
+      return null;
+    }
+
+    // Ne conserver que les propriétés utiles au jeu
+    return buildExportData(nodesWithPositions, graphData.links || []);
+  }, [graphData]);
+
+  // Fonction d'export des données spatialisées
+  const handleExportGraph = useCallback(
+    (formatId) => {
+      try {
+        const exportData = getExportData();
+        if (!exportData) return;
+
+        downloadGraph(exportData, formatId);
+
+        console.log(`Données du graphe exportées en ${formatId}`);
+      } catch (err) {
+        console.error("Erreur lors de l'export des données:", err);
       }
+    },
+    [getExportData]
+  );
+
+  // Enregistrement direct dans public/data via le serveur de développement
+  const handleSaveLayout = useCallback(async () => {
+    const exportData = getExportData();
+    if (!exportData) return;
 
-      // Récupérer les liens depuis les données du graphe
-      const links = graphData.links || [];
-
-      // Nettoyer les nœuds pour n'inclure que les propriétés essentielles
-      const cleanNodes = nodesWithPositions.map((node) => {
-        // Extraire uniquement les propriétés dont nous avons besoin
-        return {
-          id: node.id,
-          name: node.name,
-          type: node.type,
-          cluster: node.cluster,
-          x: node.x,
-          y: node.y,
-          z: node.z,
-          value: node.value || node.val,
-          color: node.color,
-          slug: node.originalId,
-          isClusterMaster: node.isClusterOrigin || false, // Utiliser la propriété existante
-          // Propriétés supplémentaires demandées
-          displayName: node.displayName,
-          aliases: node.aliases,
-          isJoshua: node.isJoshua,
-          fictionOrImpersonation: node.fictionOrImpersonation,
-          thematic: node.thematic,
-          thematicGroup: node.thematicGroup,
-          career: node.career,
-          genre: node.genre,
-          polarisation: node.polarisation,
-          cercle: node.cercle,
-          politicalSphere: node.politicalSphere,
-          clusterSlug: node.clusterSlug,
-        };
-      });
-
-      // Nettoyer les liens pour n'inclure que les propriétés essentielles
-      const cleanLinks = links.map((link) => {
-        // Assurer que source et target sont des chaînes d'ID et non des objets
-        const source =
-          typeof link.source === "object" ? link.source.id : link.source;
-        const target =
-          typeof link.target === "object" ? link.target.id : link.target;
-
-        // Récupérer les données originales du lien si elles existent
-        const originalData = link.originalLinkData || {};
-
-        // Supprimer les propriétés problématiques du lien actuel
-        const cleanLink = {
-          // Ne garder que les propriétés essentielles
-          value: link.value,
-          color: link.color,
-          // Autres propriétés non problématiques...
-        };
-
-        // Garantir que chaque propriété est correctement préservée
-        // en privilégiant les données originales
-        const exportedLink = {
-          // Propriétés de base
-          source: source,
-          target: target,
-          value: link.value,
-          color: link.color,
-
-          // Propriétés importantes - prendre d'abord de originalData, sinon du lien
-          type: originalData.type || link.type,
-          isDirect: originalData.isDirect || link.isDirect,
-          relationType: originalData.relationType || link.relationType,
-          mediaImpact: originalData.mediaImpact || link.mediaImpact,
-          virality: originalData.virality || link.virality,
-          mediaCoverage: originalData.mediaCoverage || link.mediaCoverage,
-          linkType: originalData.linkType || link.linkType,
-          platforms: originalData.platforms || link.platforms,
-        };
-
-        // Ajouter toutes les autres propriétés de originalData qui ne sont pas déjà incluses
-        Object.keys(originalData).forEach((key) => {
-          if (exportedLink[key] === undefined) {
-            exportedLink[key] = originalData[key];
-          }
-        });
-
-        return exportedLink;
-      });
-
-      // Créer l'objet complet à exporter
-      const exportData = {
-        nodes: cleanNodes,
-        links: cleanLinks,
-      };
-
-      // Convertir en JSON
-      const jsonString = JSON.stringify(exportData, null, 2);
-
-      // Créer le blob pour le téléchargement
-      const blob = new Blob([jsonString], { type: "application/json" });
-      const url = URL.createObjectURL(blob);
-
-      // Créer un lien temporaire pour le téléchargement
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = "spatialized_graph.data.json";
-      document.body.appendChild(a);
-      a.click();
-
-      // Nettoyer
-      setTimeout(() => {
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-      }, 100);
-
-      console.log("Données du graphe exportées avec succès");
+    const name = window.prompt("Nom de la version", DEFAULT_LAYOUT_NAME);
+    if (!name) return;
+
+    try {
+      const { file, backup } = await layoutStore.save(name, exportData);
+      console.log(
+        `Disposition enregistrée dans public/data/${file}${
+          backup ? ` (sauvegarde: ${backup})` : ""
+        }`
+      );
     } catch (err) {
-      console.error("Erreur lors de l'export des données:", err);
+      console.error("Erreur lors de l'enregistrement de la disposition:", err);
+      alert(`Erreur pendant l'enregistrement: ${err.message}`);
     }
-  }, [graphData]);
+  }, [getExportData, layoutStore]);
+
+  // Remplace le graphe affiché par un graphe importé ou rechargé
+  const showGraph = useCallback((graph) => {
+    const data = cleanOrphanLinks(graph.nodes, graph.links);
+    console.log(
+      `Graphe chargé: ${data.nodes.length} nœuds, ${data.links.length} liens`
+    );
+
+    // Un graphe déjà spatialisé (ex. retouché dans Gephi) garde ses positions
+    pinSpatializedNodes(data);
+
+    setError(null);
+    setGraphData(data);
+  }, []);
+
+  // Import d'un graphe GEXF, GraphML, CSV (nœuds + liens) ou JSON
+  const handleImportGraph = useCallback(
+    async (event) => {
+      const { files } = event.target;
+      try {
+        showGraph(await readGraphFiles(files));
+      } catch (err) {
+        console.error("Erreur lors de l'import du graphe:", err);
+        setError(err.message);
+      } finally {
+        // Permettre de réimporter le même fichier
+        event.target.value = "";
+      }
+    },
+    [showGraph]
+  );
+
+  // Rechargement d'une version enregistrée dans public/data
+  const handleLoadLayout = useCallback(
+    async (name) => {
+      try {
+        showGraph(await layoutStore.load(name));
+      } catch (err) {
+        console.error("Erreur lors du chargement de la disposition:", err);
+        setError(err.message);
+      }
+    },
+    [layoutStore, showGraph]
+  );
 
   // Charger les données du graphe au montage du composant
   useEffect(() => {
@@ -192,6 +221,19 @@ const ExportForceGraphPage = () => {
       try {
         setIsLoading(true);
         const data = await loadGraphData();
+
+        // Avec une graine, calculer la disposition d'avance et la figer pour
+        // obtenir exactement la même carte que scripts/spatialize_graph.js
+        if (graphConfig.seed !== null) {
+          const { ticks } = computeDistrictLayout(data.nodes, data.links, {
+            seed: graphConfig.seed,
+          });
+          pinSpatializedNodes(data);
+          console.log(
+            `Disposition calculée avec la graine ${graphConfig.seed} (${ticks} ticks)`
+          );
+        }
+
         setGraphData(data);
         setIsLoading(false);
       } catch (err) {
@@ -213,15 +255,63 @@ const ExportForceGraphPage = () => {
           position: "relative",
         }}
       >
-        {/* Bouton d'export des données */}
-        <ExportButton
-          variant="outlined"
-          startIcon={<DownloadIcon />}
-          onClick={handleExportGraph}
-          disabled={isLoading || !!error}
-        >
-          Exporter JSON
-        </ExportButton>
+        {/* Boutons d'import / export des données */}
+        <ExportToolbar>
+          {Object.values(GRAPH_FORMATS).map((format) => (
+            <ExportButton
+              key={format.id}
+              variant="outlined"
+              startIcon={<DownloadIcon />}
+              onClick={() => handleExportGraph(format.id)}
+              disabled={isLoading || !!error}
+            >
+              Exporter {format.label}
+            </ExportButton>
+          ))}
+          <ExportButton
+            variant="outlined"
+            component="label"
+            startIcon={<UploadIcon />}
+            disabled={isLoading}
+          >
+            Importer
+            <input
+              type="file"
+              hidden
+              multiple
+              accept={IMPORT_ACCEPT}
+              onChange={handleImportGraph}
+            />
+          </ExportButton>
+          {layoutStore.available && (
+            <>
+              <ExportButton
+                variant="outlined"
+                startIcon={<SaveIcon />}
+                onClick={handleSaveLayout}
+                disabled={isLoading || !!error}
+              >
+                Enregistrer dans public/data
+              </ExportButton>
+              <LayoutSelect
+                size="small"
+                value=""
+                displayEmpty
+                onOpen={layoutStore.refresh}
+                onChange={(e) => handleLoadLayout(e.target.value)}
+              >
+                <MenuItem value="" disabled>
+                  Charger une version
+                </MenuItem>
+                {layoutStore.layouts.map((layout) => (
+                  <MenuItem key={layout.name} value={layout.name}>
+                    {layout.name} ({layout.nodes} nœuds)
+                  </MenuItem>
+                ))}
+              </LayoutSelect>
+            </>
+          )}
+        </ExportToolbar>
 
         {/* Message d'erreur ou de chargement */}
         {isLoading && (
@@ -13,6 +13,14 @@ import {
   createLinkObject,
   updateLinkPosition,
 } from "./utils/nodeUtils";
+import {
+  DISTRICTS,
+  SIMULATION_SETTINGS,
+  getDistrictColor,
+  repositionClustersByDistrict,
+  applyDistrictForces,
+} from "./utils/districtForces";
+import { isBridgeLink } from "../../../utils/interClusterLinks";
 import { Html, Text } from "@react-three/drei";
 import * as d3 from "d3";
 // import { COLORS } from "./Node/Node"; // Non utilisé car tous les nodes sont blancs sauf cluster masters
@@ -21,17 +29,6 @@ import * as THREE from "three";
 // Contexte pour l'affichage d'informations UI (simplifié)
 export const ForceGraphContext = createContext(null);
 
-// Tableau des districts avec leurs couleurs (même que dans Game2/Graph.jsx)
-const DISTRICTS = [
-  { text: "Libertarians", position: [500, 200, -300], color: "#c0392b" },
-  { text: "Antisystem", position: [-200, 350, 200], color: "#f39c12" },
-  { text: "Conservatives", position: [300, -200, 400], color: "#d35400" },
-  { text: "Nationalists", position: [-500, -150, -250], color: "#27ae60" },
-  { text: "Religious", position: [200, 400, 300], color: "#fff8e" },
-  { text: "Culture", position: [-300, 100, 500], color: "#3498db" },
-  { text: "Social justice", position: [-150, -350, 100], color: "#44adfff" },
-];
-
 // Couleurs de clusters supprimées car tous les nodes sont blancs sauf cluster masters
 // const clusterColors = [ ... ];
 
@@ -276,8 +273,20 @@ const ForceGraphComponent = forwardRef((props, ref) => {
     [graphData]
   );
 
-  // Déterminer quelles données afficher
-  const displayData = graphError || !graphData ? null : graphData;
+  // Déterminer quelles données afficher. Les ponts entre clusters restent dans
+  // graphData (pour l'export) mais ne sont ni simulés ni affichés ici.
+  const displayData = useMemo(
+    () =>
+      graphError || !graphData
+        ? null
+        : {
+            ...graphData,
+            links: (graphData.links || []).filter(
+              (link) => !isBridgeLink(link)
+            ),
+          },
+    [graphData, graphError]
+  );
 
   // Vérifier si les données sont vraiment disponibles et complètes
   const dataIsReady =
@@ -308,6 +317,11 @@ const ForceGraphComponent = forwardRef((props, ref) => {
     // Reset du flag de repositionnement quand les données changent
     repositionedRef.current = false;
 
+    // Disposition déjà calculée avec une graine (nœuds figés) : ne pas repositionner
+    const isPrecomputedLayout = graphData.nodes.every(
+      (node) => node.fx !== undefined
+    );
+
     // Configuration des forces D3 pour améliorer la séparation des districts
     const setupDistrictForces = (attempt = 1) => {
       console.log(`🚀 setupDistrictForces appelé (tentative ${attempt})`);
@@ -449,252 +463,28 @@ const ForceGraphComponent = forwardRef((props, ref) => {
       console.log("✅ clusterInfo disponible:", Object.keys(clusterInfo.clusterMasters).length, "cluster masters");
 
       // ÉTAPE 1: Repositionner immédiatement les clusters selon le thematicGroup de leur cluster master
-      const repositionClustersByDistrict = () => {
-        const nodes = simulation.nodes();
-        console.log("🔄 Repositionnement des clusters par district basé sur les cluster masters...");
-
-        // Test de la fonction getDistrictPosition
-        console.log("🧪 Test des positions de districts:");
-        DISTRICTS.forEach(district => {
-          const pos = getDistrictPosition(district.text);
-          console.log(`  ${district.text}: [${pos.join(', ')}]`);
-        });
-
-        console.log("📊 Nodes dans la simulation:", nodes.length);
-        console.log("📊 Clusters avec masters:", Object.keys(clusterInfo.clusterMasters));
-        console.log("📊 Clusters avec districts:", Object.keys(clusterInfo.clusterDistricts));
-
-        // Compter les repositionnements par cluster
-        const repositionedClusters = new Set();
-        let repositionedNodesCount = 0;
-
-        nodes.forEach((node, index) => {
-          // Debug pour les premiers nodes
-          if (index < 5) {
-            console.log(`🔍 Node ${index}: cluster=${node.cluster}, hasMaster=${!!clusterInfo.clusterMasters[node.cluster]}, hasDistrict=${!!clusterInfo.clusterDistricts[node.cluster]}`);
-          }
-
-          // Vérifier que le cluster a un master et un district assigné
-          if (node.cluster !== undefined &&
-              clusterInfo.clusterMasters[node.cluster] &&
-              clusterInfo.clusterDistricts[node.cluster]) {
-
-            const clusterMaster = clusterInfo.clusterMasters[node.cluster];
-            const clusterThematicGroup = clusterInfo.clusterDistricts[node.cluster];
-            const districtPosition = getDistrictPosition(clusterThematicGroup);
-
-            // Log seulement une fois par cluster avec informations du master
-            if (!repositionedClusters.has(node.cluster)) {
-              const oldPos = `[${node.x?.toFixed(1) || 'undefined'}, ${node.y?.toFixed(1) || 'undefined'}, ${node.z?.toFixed(1) || 'undefined'}]`;
-              console.log(`📍 Cluster ${node.cluster} (Master: ${clusterMaster.name}, District: ${clusterThematicGroup}): ${oldPos} → [${districtPosition.join(', ')}]`);
-              repositionedClusters.add(node.cluster);
-            }
-
-            // Position de base du district pour ce cluster
-            const baseX = districtPosition[0];
-            const baseY = districtPosition[1];
-            const baseZ = districtPosition[2];
-
-            // Dispersion cohérente pour tout le cluster
-            const clusterSeed = node.cluster * 1000;
-            const spreadRadius = 150;
-            const clusterAngle = (clusterSeed % 360) * (Math.PI / 180);
-            const clusterDistance = (clusterSeed % 100) * (spreadRadius / 100);
-
-            // Nouvelle position du cluster
-            const clusterX = baseX + Math.cos(clusterAngle) * clusterDistance;
-            const clusterY = baseY + ((clusterSeed % 200) - 100);
-            const clusterZ = baseZ + Math.sin(clusterAngle) * clusterDistance;
-
-            // Dispersion individuelle au sein du cluster
-            let nodeX = clusterX;
-            let nodeY = clusterY;
-            let nodeZ = clusterZ;
-
-            if (node.offsetX !== undefined && node.offsetY !== undefined && node.offsetZ !== undefined) {
-              // Utiliser les offsets relatifs du cluster pour la dispersion interne
-              nodeX += node.offsetX * 0.2; // Réduire l'influence des offsets
-              nodeY += node.offsetY * 0.2;
-              nodeZ += node.offsetZ * 0.2;
-            } else {
-              // Dispersion aléatoire réduite pour les nodes sans offsets
-              const nodeAngle = Math.random() * Math.PI * 2;
-              const nodeDistance = Math.random() * 50;
-              nodeX += Math.cos(nodeAngle) * nodeDistance;
-              nodeZ += Math.sin(nodeAngle) * nodeDistance;
-              nodeY += (Math.random() - 0.5) * 30;
-            }
-
-            // Ajustement selon le type
-            if (node.type === "platform") {
-              nodeY += 20;
-            } else if (node.type === "character" && node.id.includes("_")) {
-              // Personnage secondaire - plus proche du centre du cluster
-              const secondaryAngle = Math.random() * Math.PI * 2;
-              const secondaryRadius = 15 + Math.random() * 10;
-              nodeX += Math.cos(secondaryAngle) * secondaryRadius;
-              nodeZ += Math.sin(secondaryAngle) * secondaryRadius;
-            }
-
-            // FORCER la nouvelle position
-            const oldX = node.x;
-            const oldY = node.y;
-            const oldZ = node.z;
-
-            node.x = nodeX;
-            node.y = nodeY;
-            node.z = nodeZ;
-
-            // Debug: Afficher le changement de position pour quelques nodes
-            if (Math.random() < 0.01) { // 1% des nodes pour éviter trop de logs
-              console.log(`🔄 Node ${node.id}: [${oldX?.toFixed(1)}, ${oldY?.toFixed(1)}, ${oldZ?.toFixed(1)}] → [${nodeX.toFixed(1)}, ${nodeY.toFixed(1)}, ${nodeZ.toFixed(1)}]`);
-            }
-
-            // Réinitialiser les vitesses pour éviter les mouvements erratiques
-            node.vx = 0;
-            node.vy = 0;
-            node.vz = 0;
-
-            repositionedNodesCount++;
-          }
-        });
-
-        // Afficher un résumé des repositionnements
-        const clusterList = Object.keys(clusterInfo.clusterDistricts);
-        const totalNodes = nodes.length;
-
-        console.log("✅ Repositionnement terminé");
-        console.log(`📊 Résumé: ${repositionedNodesCount}/${totalNodes} nodes repositionnés dans ${clusterList.length} clusters avec cluster master`);
-        console.log("🏛️ Districts utilisés:", Object.values(clusterInfo.clusterDistricts));
-        console.log(`🎯 Clusters repositionnés:`, Array.from(repositionedClusters).sort((a, b) => a - b));
-
-        // Marquer le repositionnement comme terminé
-        repositionedRef.current = true;
-
-        // Ne pas fixer les positions - laisser les forces personnalisées maintenir le positionnement
-        console.log("🌊 Positions repositionnées, les forces personnalisées maintiendront l'organisation par districts");
-
-        // Redémarrer la simulation avec une énergie modérée
-        simulation.alpha(0.3);
-        simulation.restart();
-      };
-
-      // Appliquer le repositionnement immédiatement
-      repositionClustersByDistrict();
-
-      // Force de séparation entre clusters de districts différents
-      const districtSeparationForce = (alpha) => {
-        const nodes = simulation.nodes();
-
-        nodes.forEach((nodeA) => {
-          if (nodeA.cluster === undefined || !clusterInfo.clusterDistricts[nodeA.cluster]) return;
-
-          const clusterDistrictA = clusterInfo.clusterDistricts[nodeA.cluster];
-
-          nodes.forEach((nodeB) => {
-            if (nodeA === nodeB || nodeB.cluster === undefined || !clusterInfo.clusterDistricts[nodeB.cluster]) return;
-
-            const clusterDistrictB = clusterInfo.clusterDistricts[nodeB.cluster];
-
-            // Si les clusters sont dans des districts différents, les repousser
-            if (clusterDistrictA !== clusterDistrictB) {
-              const dx = nodeA.x - nodeB.x;
-              const dy = nodeA.y - nodeB.y;
-              const dz = nodeA.z - nodeB.z;
-              const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-
-              if (distance < 400) { // Distance minimale entre clusters de districts différents
-                const force = alpha * 0.05 * (400 - distance) / distance; // Réduit de 0.15 à 0.05
-                const fx = dx * force;
-                const fy = dy * force;
-                const fz = dz * force;
-
-                nodeA.vx += fx;
-                nodeA.vy += fy;
-                nodeA.vz += fz;
-                nodeB.vx -= fx;
-                nodeB.vy -= fy;
-                nodeB.vz -= fz;
-              }
-            }
-          });
-        });
-      };
-
-      // Force d'attraction des clusters vers le centre de leur district
-      const districtCenterForce = (alpha) => {
-        const nodes = simulation.nodes();
-
-        nodes.forEach((node) => {
-          if (node.cluster === undefined || !clusterInfo.clusterDistricts[node.cluster]) return;
-
-          const clusterDistrict = clusterInfo.clusterDistricts[node.cluster];
-          const districtPosition = getDistrictPosition(clusterDistrict);
-
-          const dx = districtPosition[0] - node.x;
-          const dy = districtPosition[1] - node.y;
-          const dz = districtPosition[2] - node.z;
-
-          const force = alpha * 0.02; // Force d'attraction vers le centre du district (équilibrée)
-          node.vx += dx * force;
-          node.vy += dy * force;
-          node.vz += dz * force;
-        });
-      };
-
-      // Force de cohésion interne des clusters
-      const clusterCohesionForce = (alpha) => {
-        const nodes = simulation.nodes();
-        const clusterCenters = {};
-
-        // Calculer les centres de chaque cluster
-        nodes.forEach((node) => {
-          if (node.cluster === undefined) return;
-
-          if (!clusterCenters[node.cluster]) {
-            clusterCenters[node.cluster] = { x: 0, y: 0, z: 0, count: 0 };
-          }
-
-          clusterCenters[node.cluster].x += node.x;
-          clusterCenters[node.cluster].y += node.y;
-          clusterCenters[node.cluster].z += node.z;
-          clusterCenters[node.cluster].count++;
-        });
-
-        // Normaliser les centres
-        Object.keys(clusterCenters).forEach((clusterId) => {
-          const center = clusterCenters[clusterId];
-          if (center.count > 0) {
-            center.x /= center.count;
-            center.y /= center.count;
-            center.z /= center.count;
-          }
-        });
-
-        // Appliquer la force de cohésion
-        nodes.forEach((node) => {
-          if (node.cluster === undefined || !clusterCenters[node.cluster]) return;
-
-          const center = clusterCenters[node.cluster];
-          const dx = center.x - node.x;
-          const dy = center.y - node.y;
-          const dz = center.z - node.z;
-
-          const force = alpha * 0.04; // Force de cohésion interne du cluster réduite (de 0.08 à 0.04)
-          node.vx += dx * force;
-          node.vy += dy * force;
-          node.vz += dz * force;
-        });
-      };
-
-      // Ajouter les forces personnalisées
-      simulation.force("districtSeparation", districtSeparationForce);
-      simulation.force("districtCenter", districtCenterForce);
-      simulation.force("clusterCohesion", clusterCohesionForce);
+      console.log("🔄 Repositionnement des clusters par district basé sur les cluster masters...");
+      const repositionedNodesCount = repositionClustersByDistrict(
+        simulation.nodes(),
+        clusterInfo.clusterDistricts
+      );
+      console.log(`📊 Résumé: ${repositionedNodesCount}/${simulation.nodes().length} nodes repositionnés dans ${Object.keys(clusterInfo.clusterDistricts).length} clusters avec cluster master`);
+
+      // Marquer le repositionnement comme terminé
+      repositionedRef.current = true;
+
+      // Ne pas fixer les positions - laisser les forces personnalisées maintenir le positionnement
+      simulation.alpha(SIMULATION_SETTINGS.reheatAlpha);
+      simulation.restart();
+
+      // ÉTAPE 2: Ajouter les forces personnalisées (séparation, centre de district, cohésion)
+      applyDistrictForces(simulation, clusterInfo.clusterDistricts);
     };
 
     // Configurer les forces après un délai pour s'assurer que la simulation est prête
-    const timeoutId = setTimeout(setupDistrictForces, 1000);
+    const timeoutId = isPrecomputedLayout
+      ? null
+      : setTimeout(setupDistrictForces, 1000);
 
     // Animation avec throttling pour améliorer la performance
     let animationFrameId;
@@ -715,7 +505,7 @@ const ForceGraphComponent = forwardRef((props, ref) => {
       clearTimeout(timeoutId);
       cancelAnimationFrame(animationFrameId);
     };
-  }, [dataIsReady, clusterInfo]);
+  }, [dataIsReady, clusterInfo, graphData]);
 
   // Afficher l'état de chargement/erreur si nécessaire
   if (!dataIsReady) return <Html center />;
@@ -729,18 +519,6 @@ const ForceGraphComponent = forwardRef((props, ref) => {
     );
   }
 
-  // Fonction pour obtenir la couleur d'un district par son nom
-  const getDistrictPosition = (thematicGroup) => {
-    const district = DISTRICTS.find(d => d.text === thematicGroup);
-    return district ? district.position : [500, 0, 0]
-  };
-
-  // Fonction pour obtenir la couleur d'un district par son nom
-  const getDistrictColor = (thematicGroup) => {
-    const district = DISTRICTS.find(d => d.text === thematicGroup);
-    return district ? district.color : "#ffffff"; // Blanc par défaut
-  };
-
   // Fonctions pour le rendu du graphe
   const getNodeColor = (node) => {
     // SEULS les cluster masters sont colorés par district
@@ -783,12 +561,12 @@ const ForceGraphComponent = forwardRef((props, ref) => {
         nodeLabel="name"
         linkOpacity={0.3}
         showNavInfo={false}
-        cooldownTicks={1000}
+        cooldownTicks={SIMULATION_SETTINGS.cooldownTicks}
         cooldownTime={5000}
         backgroundColor="#000000"
-        d3AlphaDecay={0.02}
-        d3VelocityDecay={0.5}
-        d3AlphaMin={0.001}
+        d3AlphaDecay={SIMULATION_SETTINGS.alphaDecay}
+        d3VelocityDecay={SIMULATION_SETTINGS.velocityDecay}
+        d3AlphaMin={SIMULATION_SETTINGS.alphaMin}
         forceEngine="d3"
         dagMode={null}
         nodeRelSize={25}
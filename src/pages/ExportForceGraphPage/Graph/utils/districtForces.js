@@ -0,0 +1,377 @@
+/**
+ * Forces de spatialisation par district, partagées entre la page
+ * /spatialize-and-export-forcegraph (ForceGraph.jsx) et la commande Node
+ * scripts/spatialize_graph.js. Ce module ne doit dépendre ni de React ni de three
+ * pour rester exécutable hors du navigateur.
+ */
+
+import {
+  forceSimulation,
+  forceLink,
+  forceManyBody,
+  forceCenter,
+} from "d3-force-3d";
+import { createSeededRandom } from "./seededRandom.js";
+import { isBridgeLink } from "../../../../utils/interClusterLinks.js";
+
+// Tableau des districts avec leurs couleurs (même que dans Game2/Graph.jsx)
+export const DISTRICTS = [
+  { text: "Libertarians", position: [500, 200, -300], color: "#c0392b" },
+  { text: "Antisystem", position: [-200, 350, 200], color: "#f39c12" },
+  { text: "Conservatives", position: [300, -200, 400], color: "#d35400" },
+  { text: "Nationalists", position: [-500, -150, -250], color: "#27ae60" },
+  { text: "Religious", position: [200, 400, 300], color: "#fff8e" },
+  { text: "Culture", position: [-300, 100, 500], color: "#3498db" },
+  { text: "Social justice", position: [-150, -350, 100], color: "#44adfff" },
+];
+
+// Paramètres de la simulation d3 (identiques aux props de R3fForceGraph)
+export const SIMULATION_SETTINGS = {
+  alphaDecay: 0.02,
+  velocityDecay: 0.5,
+  alphaMin: 0.001,
+  cooldownTicks: 1000,
+  // Énergie de redémarrage après le repositionnement par district
+  reheatAlpha: 0.3,
+};
+
+// Réglages des forces personnalisées
+export const DISTRICT_FORCE_SETTINGS = {
+  separationDistance: 400, // Distance minimale entre clusters de districts différents
+  separationStrength: 0.05,
+  centerStrength: 0.02,
+  cohesionStrength: 0.04,
+  spreadRadius: 150, // Dispersion des clusters autour du centre de leur district
+};
+
+/**
+ * Position du centre d'un district
+ * @param {string} thematicGroup - Nom du district
+ * @returns {Array<number>} - Position [x, y, z]
+ */
+export const getDistrictPosition = (thematicGroup) => {
+  const district = DISTRICTS.find((d) => d.text === thematicGroup);
+  return district ? district.position : [500, 0, 0];
+};
+
+/**
+ * Couleur d'un district
+ * @param {string} thematicGroup - Nom du district
+ * @returns {string} - Couleur hexadécimale
+ */
+export const getDistrictColor = (thematicGroup) => {
+  const district = DISTRICTS.find((d) => d.text === thematicGroup);
+  return district ? district.color : "#ffffff"; // Blanc par défaut
+};
+
+/**
+ * Associe chaque cluster au district de son cluster master
+ * @param {Array} nodes - Nœuds du graphe
+ * @returns {{clusterMasters: Object, clusterDistricts: Object}}
+ */
+export const getClusterDistricts = (nodes) => {
+  const clusterMasters = {};
+  const clusterDistricts = {};
+
+  nodes.forEach((node) => {
+    if (node.cluster === undefined) return;
+    if (node.type !== "character" || node.isClusterMaster !== true) return;
+
+    clusterMasters[node.cluster] = node;
+    if (node.thematicGroup) {
+      clusterDistricts[node.cluster] = node.thematicGroup;
+    }
+  });
+
+  return { clusterMasters, clusterDistricts };
+};
+
+/**
+ * Replace chaque cluster autour du centre du district de son cluster master.
+ * Les positions et vitesses des nœuds sont modifiées sur place.
+ * @param {Array} nodes - Nœuds de la simulation
+ * @param {Object} clusterDistricts - Map cluster -> thematicGroup
+ * @param {Function} [random=Math.random] - Source aléatoire pour la dispersion individuelle
+ * @returns {number} - Nombre de nœuds repositionnés
+ */
+export const repositionClustersByDistrict = (
+  nodes,
+  clusterDistricts,
+  random = Math.random
+) => {
+  const { spreadRadius } = DISTRICT_FORCE_SETTINGS;
+  let repositionedNodesCount = 0;
+
+  nodes.forEach((node) => {
+    if (node.cluster === undefined || !clusterDistricts[node.cluster]) return;
+
+    const [baseX, baseY, baseZ] = getDistrictPosition(
+      clusterDistricts[node.cluster]
+    );
+
+    // Dispersion cohérente pour tout le cluster
+    const clusterSeed = node.cluster * 1000;
+    const clusterAngle = (clusterSeed % 360) * (Math.PI / 180);
+    const clusterDistance = (clusterSeed % 100) * (spreadRadius / 100);
+
+    let nodeX = baseX + Math.cos(clusterAngle) * clusterDistance;
+    let nodeY = baseY + ((clusterSeed % 200) - 100);
+    let nodeZ = baseZ + Math.sin(clusterAngle) * clusterDistance;
+
+    if (
+      node.offsetX !== undefined &&
+      node.offsetY !== undefined &&
+      node.offsetZ !== undefined
+    ) {
+      // Utiliser les offsets relatifs du cluster pour la dispersion interne
+      nodeX += node.offsetX * 0.2;
+      nodeY += node.offsetY * 0.2;
+      nodeZ += node.offsetZ * 0.2;
+    } else {
+      // Dispersion aléatoire réduite pour les nodes sans offsets
+      const nodeAngle = random() * Math.PI * 2;
+      const nodeDistance = random() * 50;
+      nodeX += Math.cos(nodeAngle) * nodeDistance;
+      nodeZ += Math.sin(nodeAngle) * nodeDistance;
+      nodeY += (random() - 0.5) * 30;
+    }
+
+    // Ajustement selon le type
+    if (node.type === "platform") {
+      nodeY += 20;
+    } else if (node.type === "character" && node.id.includes("_")) {
+      // Personnage secondaire - plus proche du centre du cluster
+      const secondaryAngle = random() * Math.PI * 2;
+      const secondaryRadius = 15 + random() * 10;
+      nodeX += Math.cos(secondaryAngle) * secondaryRadius;
+      nodeZ += Math.sin(secondaryAngle) * secondaryRadius;
+    }
+
+    node.x = nodeX;
+    node.y = nodeY;
+    node.z = nodeZ;
+
+    // Réinitialiser les vitesses pour éviter les mouvements erratiques
+    node.vx = 0;
+    node.vy = 0;
+    node.vz = 0;
+
+    repositionedNodesCount++;
+  });
+
+  return repositionedNodesCount;
+};
+
+/**
+ * Force de séparation entre clusters de districts différents
+ * @param {Function} getNodes - Retourne les nœuds courants de la simulation
+ * @param {Object} clusterDistricts - Map cluster -> thematicGroup
+ * @returns {Function} - Force d3 (alpha) => void
+ */
+export const createDistrictSeparationForce =
+  (getNodes, clusterDistricts) => (alpha) => {
+    const { separationDistance, separationStrength } = DISTRICT_FORCE_SETTINGS;
+    const nodes = getNodes();
+
+    nodes.forEach((nodeA) => {
+      const clusterDistrictA = clusterDistricts[nodeA.cluster];
+      if (nodeA.cluster === undefined || !clusterDistrictA) return;
+
+      nodes.forEach((nodeB) => {
+        const clusterDistrictB = clusterDistricts[nodeB.cluster];
+        if (nodeA === nodeB || nodeB.cluster === undefined || !clusterDistrictB)
+          return;
+
+        // Si les clusters sont dans des districts différents, les repousser
+        if (clusterDistrictA === clusterDistrictB) return;
+
+        const dx = nodeA.x - nodeB.x;
+        const dy = nodeA.y - nodeB.y;
+        const dz = nodeA.z - nodeB.z;
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        if (distance > 0 && distance < separationDistance) {
+          const force =
+            (alpha * separationStrength * (separationDistance - distance)) /
+            distance;
+          const fx = dx * force;
+          const fy = dy * force;
+          const fz = dz * force;
+
+          nodeA.vx += fx;
+          nodeA.vy += fy;
+          nodeA.vz += fz;
+          nodeB.vx -= fx;
+          nodeB.vy -= fy;
+          nodeB.vz -= fz;
+        }
+      });
+    });
+  };
+
+/**
+ * Force d'attraction des clusters vers le centre de leur district
+ * @param {Function} getNodes - Retourne les nœuds courants de la simulation
+ * @param {Object} clusterDistricts - Map cluster -> thematicGroup
+ * @returns {Function} - Force d3 (alpha) => void
+ */
+export const createDistrictCenterForce =
+  (getNodes, clusterDistricts) => (alpha) => {
+    const force = alpha * DISTRICT_FORCE_SETTINGS.centerStrength;
+
+    getNodes().forEach((node) => {
+      if (node.cluster === undefined || !clusterDistricts[node.cluster]) return;
+
+      const districtPosition = getDistrictPosition(
+        clusterDistricts[node.cluster]
+      );
+      node.vx += (districtPosition[0] - node.x) * force;
+      node.vy += (districtPosition[1] - node.y) * force;
+      node.vz += (districtPosition[2] - node.z) * force;
+    });
+  };
+
+/**
+ * Force de cohésion interne des clusters
+ * @param {Function} getNodes - Retourne les nœuds courants de la simulation
+ * @returns {Function} - Force d3 (alpha) => void
+ */
+export const createClusterCohesionForce = (getNodes) => (alpha) => {
+  const nodes = getNodes();
+  const clusterCenters = {};
+
+  // Calculer les centres de chaque cluster
+  nodes.forEach((node) => {
+    if (node.cluster === undefined) return;
+
+    if (!clusterCenters[node.cluster]) {
+      clusterCenters[node.cluster] = { x: 0, y: 0, z: 0, count: 0 };
+    }
+
+    clusterCenters[node.cluster].x += node.x;
+    clusterCenters[node.cluster].y += node.y;
+    clusterCenters[node.cluster].z += node.z;
+    clusterCenters[node.cluster].count++;
+  });
+
+  Object.values(clusterCenters).forEach((center) => {
+    center.x /= center.count;
+    center.y /= center.count;
+    center.z /= center.count;
+  });
+
+  // Appliquer la force de cohésion
+  const force = alpha * DISTRICT_FORCE_SETTINGS.cohesionStrength;
+  nodes.forEach((node) => {
+    const center = clusterCenters[node.cluster];
+    if (!center) return;
+
+    node.vx += (center.x - node.x) * force;
+    node.vy += (center.y - node.y) * force;
+    node.vz += (center.z - node.z) * force;
+  });
+};
+
+/**
+ * Ajoute les trois forces personnalisées à une simulation d3-force-3d
+ * @param {Object} simulation - Simulation exposant nodes() et force(name, fn)
+ * @param {Object} clusterDistricts - Map cluster -> thematicGroup
+ */
+export const applyDistrictForces = (simulation, clusterDistricts) => {
+  const getNodes = () => simulation.nodes();
+
+  simulation.force(
+    "districtSeparation",
+    createDistrictSeparationForce(getNodes, clusterDistricts)
+  );
+  simulation.force(
+    "districtCenter",
+    createDistrictCenterForce(getNodes, clusterDistricts)
+  );
+  simulation.force("clusterCohesion", createClusterCohesionForce(getNodes));
+};
+
+/**
+ * Crée une simulation d3-force-3d arrêtée avec les forces standards de R3fForceGraph
+ * @param {Array} nodes - Nœuds du graphe
+ * @param {Array} links - Liens (source/target en ID, résolus en objets par forceLink).
+ * Les ponts entre clusters sont ignorés pour ne pas rapprocher les districts.
+ * @param {Function} random - Source aléatoire de la simulation
+ * @param {Object} [options]
+ * @param {boolean} [options.center=true] - Ajouter la force de centrage (inutile si des nœuds sont figés)
+ * @returns {Object} - Simulation d3 à faire avancer avec runLayoutSimulation
+ */
+export const createLayoutSimulation = (
+  nodes,
+  links,
+  random,
+  { center = true } = {}
+) =>
+  forceSimulation(nodes, 3)
+    .randomSource(random)
+    .force(
+      "link",
+      forceLink(links.filter((link) => !isBridgeLink(link))).id(
+        (node) => node.id
+      )
+    )
+    .force("charge", forceManyBody())
+    .force("center", center ? forceCenter() : null)
+    .alphaDecay(SIMULATION_SETTINGS.alphaDecay)
+    .velocityDecay(SIMULATION_SETTINGS.velocityDecay)
+    .stop();
+
+/**
+ * Fait avancer une simulation de manière synchrone jusqu'à stabilisation
+ * (arrêt sous alphaMin ou après maxTicks, comme R3fForceGraph)
+ * @param {Object} simulation - Simulation d3
+ * @param {number} maxTicks - Nombre maximum de ticks
+ * @returns {number} - Nombre de ticks effectués
+ */
+export const runLayoutSimulation = (simulation, maxTicks) => {
+  let ticks = 0;
+  while (
+    ticks < maxTicks &&
+    simulation.alpha() >= SIMULATION_SETTINGS.alphaMin
+  ) {
+    simulation.tick();
+    ticks++;
+  }
+  return ticks;
+};
+
+/**
+ * Calcule la disposition complète du graphe de manière synchrone : simulation
+ * d3-force-3d standard, repositionnement par district puis forces personnalisées
+ * jusqu'à stabilisation. Avec une graine, le résultat est identique d'une exécution à l'autre.
+ * Les nœuds reçoivent leurs positions x, y, z sur place.
+ * @param {Array} nodes - Nœuds au format exporté (isClusterMaster, thematicGroup)
+ * @param {Array} links - Liens (source/target en ID, résolus en objets par forceLink)
+ * @param {Object} [options]
+ * @param {number|string|null} [options.seed] - Graine du générateur aléatoire
+ * @param {number} [options.maxTicks] - Nombre maximum de ticks
+ * @returns {{ticks: number, repositioned: number, clusterDistricts: Object}}
+ */
+export const computeDistrictLayout = (
+  nodes,
+  links,
+  { seed = null, maxTicks = SIMULATION_SETTINGS.cooldownTicks } = {}
+) => {
+  const random = createSeededRandom(seed);
+  const simulation = createLayoutSimulation(nodes, links, random);
+
+  // Mêmes étapes que ForceGraph.jsx une fois la simulation disponible
+  const { clusterDistricts } = getClusterDistricts(nodes);
+  const repositioned = repositionClustersByDistrict(
+    nodes,
+    clusterDistricts,
+    random
+  );
+
+  simulation.alpha(SIMULATION_SETTINGS.reheatAlpha);
+  applyDistrictForces(simulation, clusterDistricts);
+
+  const ticks = runLayoutSimulation(simulation, maxTicks);
+
+  return { ticks, repositioned, clusterDistricts };
+};
@@ -1,3 +1,15 @@
+import { createSeededRandom } from "./seededRandom.js";
+import {
+  GRAPH_FORMATS,
+  detectGraphFormat,
+  fromCSV,
+  parseGraph,
+} from "../../../../utils/graphFormats.js";
+import {
+  buildInterClusterLinks,
+  summarizeClusters,
+} from "../../../../utils/interClusterLinks.js";
+
 /**
  * Configuration globale pour les paramètres du graphe - permet de contrôler les réglages
  */
@@ -6,6 +18,10 @@ export const graphConfig = {
   clusterCount: 20, // Augmenté pour permettre plus de clusters (était 10)
   clusterSpreadFactor: 300, // Facteur pour l'espacement des clusters (était 300)
   clusterStrategy: "sequential", // "sequential" ou "modulo" pour la répartition des clusters
+  // Graine des décalages de clusters et de la simulation (null = aléatoire, non reproductible)
+  seed: 1,
+  // Fichier de public/data chargé par loadGraphData (.data.json, .gexf, .graphml ou _nodes.csv)
+  dataFile: "final_spatialized_graph.data.json",
   // Autres paramètres de rendu
   minTextSize: 0.8,
   maxTextSize: 2.5,
@@ -40,6 +56,34 @@ const calculateTextSize = (totalPosts) => {
   return Math.max(minSize, Math.min(maxSize, size));
 };
 
+/**
+ * Récupère un fichier de graphe dans public/data et le convertit en {nodes, links}
+ * selon son format. Pour le CSV, le fichier des liens est déduit de celui des
+ * nœuds (xxx_nodes.csv -> xxx_links.csv).
+ * @param {string} fileName - Nom du fichier dans public/data
+ * @returns {Promise<{nodes: Array, links: Array}>} Graphe
+ */
+const fetchGraphFile = async (fileName) => {
+  const fetchText = async (name) => {
+    const response = await fetch(`${import.meta.env.BASE_URL}data/${name}`);
+    if (!response.ok) {
+      throw new Error(`Erreur HTTP: ${response.status}`);
+    }
+    return response.text();
+  };
+
+  if (detectGraphFormat(fileName) === GRAPH_FORMATS.CSV) {
+    const linksFileName = fileName.replace(/nodes(\.csv)$/i, "links$1");
+    const [nodesText, linksText] = await Promise.all([
+      fetchText(fileName),
+      linksFileName !== fileName ? fetchText(linksFileName) : "",
+    ]);
+    return fromCSV(nodesText, linksText);
+  }
+
+  return parseGraph(await fetchText(fileName), fileName);
+};
+
 /**
  * Loads character data from the database.data.json file and constructs nodes and links for the graph
  * @param {Object} config - Configuration optionnelle pour surcharger les paramètres par défaut
@@ -56,16 +100,9 @@ export const loadGraphData = async (config = {}) => {
     console.log("Début du chargement des données...");
 
     // Charger le fichier final_spatialized_graph.data.json qui contient les thematicGroup et positions
-    const response = await fetch(
-      `${import.meta.env.BASE_URL}data/final_spatialized_graph.data.json`
-    );
-    if (!response.ok) {
-      throw new Error(`Erreur HTTP: ${response.status}`);
-    }
-
-    const graphData = await response.json();
+    const graphData = await fetchGraphFile(graphConfig.dataFile);
     console.log(
-      `Données chargées depuis final_spatialized_graph.data.json: ${graphData.nodes?.length || 0} nodes, ${graphData.links?.length || 0} links`
+      `Données chargées depuis ${graphConfig.dataFile}: ${graphData.nodes?.length || 0} nodes, ${graphData.links?.length || 0} links`
     );
 
     // Vérifier que les données ont la structure attendue
@@ -290,6 +327,9 @@ export const buildGraphFromCharacterData = (characterData) => {
   // La carte des positions des clusters pour maintenir une répartition spatiale équilibrée
   const clusterPositions = {};
 
+  // Générateur déterministe pour que deux constructions identiques donnent la même carte
+  const random = createSeededRandom(graphConfig.seed);
+
   // Tableau pour garder une trace des origines de clusters
   const clusterOrigins = {};
 
@@ -308,6 +348,7 @@ export const buildGraphFromCharacterData = (characterData) => {
     originsDesignated: 0,
     sequentialClusters: 0,
     duplicateCharactersRemoved: 0,
+    interClusterLinks: 0,
   };
 
   // Pour chaque personnage, créer un mini-graphe
@@ -363,9 +404,9 @@ export const buildGraphFromCharacterData = (characterData) => {
       offsetZ = clusterPositions[clusterIndex].z;
     } else {
       // Générer de nouveaux décalages pour ce cluster
-      offsetX = (Math.random() - 0.5) * graphConfig.clusterSpreadFactor;
-      offsetY = (Math.random() - 0.5) * graphConfig.clusterSpreadFactor;
-      offsetZ = (Math.random() - 0.5) * graphConfig.clusterSpreadFactor;
+      offsetX = (random() - 0.5) * graphConfig.clusterSpreadFactor;
+      offsetY = (random() - 0.5) * graphConfig.clusterSpreadFactor;
+      offsetZ = (random() - 0.5) * graphConfig.clusterSpreadFactor;
 
       // Enregistrer ces décalages pour les futurs nœuds du même cluster
       clusterPositions[clusterIndex] = { x: offsetX, y: offsetY, z: offsetZ };
@@ -851,6 +892,11 @@ export const buildGraphFromCharacterData = (characterData) => {
     allLinks.push(newLink);
   });
 
+  // Ponts entre clusters : références entre personas et plateformes partagées
+  const bridgeLinks = buildInterClusterLinks(allNodes, characterData);
+  allLinks.push(...bridgeLinks);
+  stats.interClusterLinks = bridgeLinks.length;
+
   console.log(
     `Début de l'analyse des clusters... ${stats.duplicateCharactersRemoved} personnages dupliqués supprimés`
   );
@@ -879,6 +925,7 @@ export const buildGraphFromCharacterData = (characterData) => {
   console.log(
     `  - Doublons de personnages supprimés: ${stats.duplicateCharactersRemoved}`
   );
+  console.log(`  - Liens inter-clusters: ${stats.interClusterLinks}`);
 
   console.log(
     `[GRAPHE] ${allNodes.length} nœuds (après déduplication) dont ${
@@ -1003,3 +1050,95 @@ export const cleanOrphanLinks = (nodes, links) => {
     links: validLinks
   };
 };
+
+/**
+ * Prépare les nœuds et liens spatialisés pour l'écriture de final_spatialized_graph.data.json.
+ * Utilisé par le bouton d'export de la page et par scripts/spatialize_graph.js.
+ * @param {Array} nodes - Nœuds avec leurs positions
+ * @param {Array} links - Liens du graphe (source/target en ID ou en objet)
+ * @param {Object} [metadata] - Métadonnées supplémentaires à enregistrer
+ * @returns {{metadata: Object, nodes: Array, links: Array}} Données prêtes à être sérialisées
+ */
+export const buildExportData = (nodes, links, metadata = {}) => {
+  // Nettoyer les nœuds pour n'inclure que les propriétés essentielles
+  const cleanNodes = nodes.map((node) => ({
+    id: node.id,
+    name: node.name,
+    type: node.type,
+    cluster: node.cluster,
+    x: node.x,
+    y: node.y,
+    z: node.z,
+    value: node.value || node.val,
+    color: node.color,
+    // Les graphes construits utilisent originalId/isClusterOrigin,
+    // les graphes rechargés depuis un fichier utilisent slug/isClusterMaster
+    slug: node.originalId ?? node.slug,
+    isClusterMaster: node.isClusterOrigin ?? node.isClusterMaster ?? false,
+    // Propriétés supplémentaires demandées
+    displayName: node.displayName,
+    aliases: node.aliases,
+    isJoshua: node.isJoshua,
+    fictionOrImpersonation: node.fictionOrImpersonation,
+    thematic: node.thematic,
+    thematicGroup: node.thematicGroup,
+    career: node.career,
+    genre: node.genre,
+    polarisation: node.polarisation,
+    cercle: node.cercle,
+    politicalSphere: node.politicalSphere,
+    clusterSlug: node.clusterSlug,
+  }));
+
+  // Nettoyer les liens pour n'inclure que les propriétés essentielles
+  const cleanLinks = links.map((link) => {
+    // Assurer que source et target sont des chaînes d'ID et non des objets
+    const source =
+      typeof link.source === "object" ? link.source.id : link.source;
+    const target =
+      typeof link.target === "object" ? link.target.id : link.target;
+
+    // Récupérer les données originales du lien si elles existent
+    const originalData = link.originalLinkData || {};
+
+    // Propriétés importantes - prendre d'abord de originalData, sinon du lien
+    const exportedLink = {
+      source,
+      target,
+      value: link.value,
+      color: link.color,
+      type: originalData.type || link.type,
+      isDirect: originalData.isDirect || link.isDirect,
+      relationType: originalData.relationType || link.relationType,
+      mediaImpact: originalData.mediaImpact || link.mediaImpact,
+      virality: originalData.virality || link.virality,
+      mediaCoverage: originalData.mediaCoverage || link.mediaCoverage,
+      linkType: originalData.linkType || link.linkType,
+      platforms: originalData.platforms || link.platforms,
+      // Absent des liens internes à un cluster
+      isBridge: link.isBridge || undefined,
+    };
+
+    // Ajouter toutes les autres propriétés de originalData qui ne sont pas déjà incluses
+    Object.keys(originalData).forEach((key) => {
+      if (exportedLink[key] === undefined) {
+        exportedLink[key] = originalData[key];
+      }
+    });
+
+    return exportedLink;
+  });
+
+  return {
+    metadata: {
+      exportDate: new Date().toISOString(),
+      // Graine utilisée pour la disposition, permet de reconstruire la même carte
+      seed: graphConfig.seed,
+      clusterCount: new Set(cleanNodes.map((node) => node.cluster)).size,
+      clusterSummary: summarizeClusters(cleanNodes, cleanLinks),
+      ...metadata,
+    },
+    nodes: cleanNodes,
+    links: cleanLinks,
+  };
+};
@@ -0,0 +1,238 @@
+/**
+ * Re-disposition incrémentale : les nœuds déjà présents dans le fichier
+ * précédent gardent leur position (y compris les retouches faites dans
+ * MovablePage), seuls les nœuds nouveaux ou modifiés sont simulés.
+ */
+
+import {
+  SIMULATION_SETTINGS,
+  getClusterDistricts,
+  getDistrictPosition,
+  applyDistrictForces,
+  createLayoutSimulation,
+  runLayoutSimulation,
+} from "./districtForces.js";
+import { createSeededRandom } from "./seededRandom.js";
+import { isBridgeLink } from "../../../../utils/interClusterLinks.js";
+
+// Rayon de dispersion des nœuds libres autour de leur point d'ancrage
+const PLACEMENT_RADIUS = 40;
+
+/**
+ * Clé stable d'un nœud entre deux exports. Les IDs (slug_compteur) changent dès
+ * qu'un personnage est ajouté, on identifie donc un nœud par son cluster
+ * d'origine, son type et son slug (ou son nom pour les plateformes).
+ * @param {Object} node - Nœud au format exporté
+ * @returns {string} - Clé du nœud
+ */
+export const getLayoutKey = (node) => {
+  const cluster = node.clusterSlug ?? `cluster_${node.cluster}`;
+  const name = node.type === "platform" ? node.name : node.slug ?? node.name;
+  return `${cluster}|${node.type}|${name}`;
+};
+
+const getLinkEndId = (end) => (typeof end === "object" ? end.id : end);
+
+/**
+ * Indexe les nœuds d'un graphe par clé stable, avec leurs voisins
+ * @param {Object} graph - Graphe {nodes, links}
+ * @returns {{byKey: Map<string, {node: Object, neighbors: Set<string>}>, keyById: Map<string, string>}}
+ */
+const indexGraph = (graph) => {
+  const byKey = new Map();
+  const keyById = new Map();
+
+  // Une même plateforme peut apparaître plusieurs fois dans un cluster :
+  // les doublons sont distingués par leur rang d'apparition
+  const occurrences = {};
+  graph.nodes.forEach((node) => {
+    const baseKey = getLayoutKey(node);
+    occurrences[baseKey] = (occurrences[baseKey] || 0) + 1;
+    const key =
+      occurrences[baseKey] > 1 ? `${baseKey}#${occurrences[baseKey]}` : baseKey;
+
+    byKey.set(key, { node, neighbors: new Set() });
+    keyById.set(node.id, key);
+  });
+
+  // Les ponts entre clusters n'influencent pas la disposition
+  (graph.links || []).forEach((link) => {
+    if (isBridgeLink(link)) return;
+    const sourceKey = keyById.get(getLinkEndId(link.source));
+    const targetKey = keyById.get(getLinkEndId(link.target));
+    if (!sourceKey || !targetKey) return;
+    byKey.get(sourceKey).neighbors.add(targetKey);
+    byKey.get(targetKey).neighbors.add(sourceKey);
+  });
+
+  return { byKey, keyById };
+};
+
+const hasPosition = (node) =>
+  [node.x, node.y, node.z].every((value) => Number.isFinite(value));
+
+/**
+ * Liste les raisons pour lesquelles un nœud doit être re-simulé
+ * @returns {Array<string>} - Raisons (vide si le nœud peut rester figé)
+ */
+const getChangeReasons = (current, previous) => {
+  const reasons = [];
+  if (!hasPosition(previous.node)) reasons.push("position");
+  if ((current.node.thematicGroup || "") !== (previous.node.thematicGroup || ""))
+    reasons.push("thematicGroup");
+  if (!!current.node.isClusterMaster !== !!previous.node.isClusterMaster)
+    reasons.push("isClusterMaster");
+
+  const sameNeighbors =
+    current.neighbors.size === previous.neighbors.size &&
+    [...current.neighbors].every((key) => previous.neighbors.has(key));
+  if (!sameNeighbors) reasons.push("links");
+
+  return reasons;
+};
+
+/**
+ * Dispose le graphe en conservant les positions du fichier précédent.
+ * Les nœuds reçoivent leurs positions x, y, z sur place.
+ * @param {Array} nodes - Nœuds au format exporté
+ * @param {Array} links - Liens (source/target en ID)
+ * @param {Object} previousGraph - Contenu du final_spatialized_graph.data.json précédent
+ * @param {Object} [options]
+ * @param {number|string|null} [options.seed] - Graine du générateur aléatoire
+ * @param {number} [options.maxTicks] - Nombre maximum de ticks
+ * @returns {{ticks: number, report: Object}} - Rapport {pinned, added, changed, removed, moved}
+ */
+export const computeIncrementalLayout = (
+  nodes,
+  links,
+  previousGraph,
+  { seed = null, maxTicks = SIMULATION_SETTINGS.cooldownTicks } = {}
+) => {
+  const random = createSeededRandom(seed);
+  const { byKey: previousIndex } = indexGraph(previousGraph);
+  const { byKey: currentIndex, keyById } = indexGraph({ nodes, links });
+
+  const report = {
+    pinned: 0,
+    added: [],
+    changed: [],
+    removed: [],
+    moved: [],
+  };
+
+  // Positions de départ des nœuds modifiés, pour mesurer leur déplacement
+  const previousPositions = new Map();
+  const freeNodes = [];
+
+  nodes.forEach((node) => {
+    const key = keyById.get(node.id);
+    const current = currentIndex.get(key);
+    const previous = previousIndex.get(key);
+
+    if (!previous) {
+      report.added.push({ id: node.id, key, name: node.name });
+      freeNodes.push(node);
+      return;
+    }
+
+    const reasons = getChangeReasons(current, previous);
+    if (reasons.length > 0) {
+      report.changed.push({ id: node.id, key, name: node.name, reasons });
+      if (hasPosition(previous.node)) {
+        previousPositions.set(node, previous.node);
+      }
+      freeNodes.push(node);
+      return;
+    }
+
+    // Nœud inchangé : reprendre et figer sa position
+    node.x = node.fx = previous.node.x;
+    node.y = node.fy = previous.node.y;
+    node.z = node.fz = previous.node.z;
+    report.pinned++;
+  });
+
+  previousIndex.forEach(({ node }, key) => {
+    if (!currentIndex.has(key)) {
+      report.removed.push({ id: node.id, key, name: node.name });
+    }
+  });
+
+  const { clusterDistricts } = getClusterDistricts(nodes);
+  const clusterAnchors = {};
+  nodes.forEach((node) => {
+    if (node.fx === undefined) return;
+    const anchor = (clusterAnchors[node.cluster] ??= {
+      x: 0,
+      y: 0,
+      z: 0,
+      count: 0,
+    });
+    anchor.x += node.x;
+    anchor.y += node.y;
+    anchor.z += node.z;
+    anchor.count++;
+  });
+
+  // Point de départ : ancienne position pour un nœud modifié, sinon centre
+  // des nœuds figés du cluster, sinon centre du district
+  const getStartPosition = (node) => {
+    const previous = previousPositions.get(node);
+    if (previous) return [previous.x, previous.y, previous.z];
+
+    const anchor = clusterAnchors[node.cluster];
+    if (anchor) {
+      return [
+        anchor.x / anchor.count,
+        anchor.y / anchor.count,
+        anchor.z / anchor.count,
+      ];
+    }
+
+    return getDistrictPosition(clusterDistricts[node.cluster]);
+  };
+
+  freeNodes.forEach((node) => {
+    const [baseX, baseY, baseZ] = getStartPosition(node);
+    const angle = random() * Math.PI * 2;
+    const distance = random() * PLACEMENT_RADIUS;
+    node.x = baseX + Math.cos(angle) * distance;
+    node.y = baseY + (random() - 0.5) * PLACEMENT_RADIUS;
+    node.z = baseZ + Math.sin(angle) * distance;
+    node.vx = node.vy = node.vz = 0;
+  });
+
+  let ticks = 0;
+  if (freeNodes.length > 0) {
+    // Pas de force de centrage : les nœuds figés servent de référence
+    const simulation = createLayoutSimulation(nodes, links, random, {
+      center: false,
+    });
+    simulation.alpha(SIMULATION_SETTINGS.reheatAlpha);
+    applyDistrictForces(simulation, clusterDistricts);
+    ticks = runLayoutSimulation(simulation, maxTicks);
+  }
+
+  // Libérer les nœuds figés pour l'export et les éditeurs
+  nodes.forEach((node) => {
+    delete node.fx;
+    delete node.fy;
+    delete node.fz;
+  });
+
+  previousPositions.forEach((previous, node) => {
+    const dx = node.x - previous.x;
+    const dy = node.y - previous.y;
+    const dz = node.z - previous.z;
+    report.moved.push({
+      id: node.id,
+      name: node.name,
+      distance: Math.sqrt(dx * dx + dy * dy + dz * dz),
+      from: [previous.x, previous.y, previous.z],
+      to: [node.x, node.y, node.z],
+    });
+  });
+  report.moved.sort((a, b) => b.distance - a.distance);
+
+  return { ticks, report };
+};
@@ -0,0 +1,38 @@
+/**
+ * Convertit une graine (nombre ou chaîne) en entier 32 bits
+ * @param {number|string} seed - Graine fournie par la configuration
+ * @returns {number} - Entier 32 bits non signé
+ */
+const hashSeed = (seed) => {
+  if (typeof seed === "number" && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+
+  // Hachage FNV-1a pour les graines textuelles
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Crée un générateur pseudo-aléatoire déterministe (mulberry32) avec la même
+ * interface que Math.random. Sans graine, retourne Math.random.
+ * @param {number|string|null} seed - Graine du générateur
+ * @returns {Function} - Fonction retournant un nombre dans [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  if (seed === null || seed === undefined) return Math.random;
+
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
@@ -1,7 +1,7 @@
 import { useState, useEffect, memo, useRef } from "react";
 import { Canvas, useThree } from "@react-three/fiber";
 import { Stats } from "@react-three/drei";
-import useGameStore from "./store";
+import useGameStore, { useQualityPreset, PICKING_MODES } from "./store";
 import useAssets from "./hooks/useAssets";
 import { EffectComposer } from "@react-three/postprocessing";
 import { Bloom, ToneMapping } from "@react-three/postprocessing";
@@ -13,14 +13,21 @@ import {
 import { getAudioState } from "./components/GameAudio";
 import HUD from "./components/HUD/HUD";
 import LoadingBar from "./components/LoadingBar/LoadingBar";
+import { hasValidationErrors } from "./services/DataValidator";
 import World from "./scenes/World/World";
 import Stars from "./components/Stars";
 import useCollisionStore, {
   CollisionLayers,
 } from "./services/CollisionService";
 import useDebugMode from "./hooks/useDebugMode";
+import useLevelUrlSync from "./hooks/useLevelUrlSync";
+import { startAnalytics } from "./services/AnalyticsService";
+import { startSyncPublisher } from "./services/SyncService";
 import { AdvancedCameraController } from "./components/AdvancedCameraController/AdvancedCameraController";
 import GameAudio from "./components/GameAudio";
+import QualityManager from "./components/QualityManager";
+import PointerPicking from "./components/PointerPicking";
+import TouchGestures from "./components/TouchGestures";
 import CollisionDebugRenderer from "./components/debug/CollisionDebugRenderer";
 import { useFrame } from "@react-three/fiber";
 
@@ -33,6 +40,7 @@ const CollisionManager = memo(() => {
   const calculateDetectionPoint = useCollisionStore(
     (state) => state.calculateDetectionPoint
   );
+  const findPointedBox = useCollisionStore((state) => state.findPointedBox);
   const { camera } = useThree();
   const setHoveredCluster = useGameStore((state) => state.setHoveredCluster);
   const activeLevel = useGameStore((state) => state.activeLevel);
@@ -57,6 +65,20 @@ const CollisionManager = memo(() => {
       // Calculer le point de détection
       calculateDetectionPoint(camera);
 
+      // Le pointeur (souris, toucher) a priorité sur le viseur
+      const { pickingMode } = useGameStore.getState();
+      const pointedCluster =
+        pickingMode !== PICKING_MODES.CROSSHAIR &&
+        findPointedBox(camera, "clusters");
+      if (pointedCluster) {
+        setHoveredCluster(pointedCluster.id);
+        return;
+      }
+      if (pickingMode === PICKING_MODES.POINTER) {
+        setHoveredCluster(null);
+        return;
+      }
+
       // Détecter les collisions
       const collisions = detectCollisions();
       if (!collisions) return;
@@ -81,6 +103,7 @@ const CollisionManager = memo(() => {
     activeLevel,
     calculateDetectionPoint,
     detectCollisions,
+    findPointedBox,
     setHoveredCluster,
   ]);
 
@@ -97,10 +120,12 @@ const DebugStats = memo(() => {
 const GameCanvas = memo(({ children }) => {
   // Activer l'écoute de la touche P pour le debug mode
   useDebugMode();
+  const quality = useQualityPreset();
 
   return (
     <Canvas
       shadows
+      dpr={quality.dpr}
       style={{
         background: "#000",
         width: "100%",
@@ -118,19 +143,29 @@ const GameCanvas = memo(({ children }) => {
       <AdvancedCameraController />
       <CollisionManager />
       <CollisionDebugRenderer />
-
-      {/* Fond étoilé */}
-      <Stars count={4000} radius={BOUNDING_SPHERE_RADIUS * 4} size={2.5} />
+      <PointerPicking />
+      <TouchGestures />
+      <QualityManager />
+
+      {/* Fond étoilé (recréé quand le nombre d'étoiles change) */}
+      <Stars
+        key={quality.stars}
+        count={quality.stars}
+        radius={BOUNDING_SPHERE_RADIUS * 4}
+        size={2.5}
+      />
 
       {/* Scène 3D */}
       {children}
 
       <EffectComposer>
-        <Bloom
-          intensity={0.15}
-          luminanceThreshold={0.01}
-          luminanceSmoothing={0.03}
-        />
+        {quality.bloom && (
+          <Bloom
+            intensity={0.15}
+            luminanceThreshold={0.01}
+            luminanceSmoothing={0.03}
+          />
+        )}
         <ToneMapping exposure={1.5} gamma={0.8} vignette={0.5} />
       </EffectComposer>
       <DebugStats />
@@ -141,8 +176,10 @@ const GameCanvas = memo(({ children }) => {
 // Composant Game principal
 const Game = () => {
   const activeLevel = useGameStore((state) => state.activeLevel);
+  const debug = useGameStore((state) => state.debug);
   const assets = useAssets({ autoInit: true });
   const [gameReady, setGameReady] = useState(false);
+  const [reportAcknowledged, setReportAcknowledged] = useState(false);
   const [audioProgress, setAudioProgress] = useState(0);
   const [loadingStage, setLoadingStage] = useState(0);
   const TOTAL_LOADING_STAGES = 3;
@@ -214,6 +251,37 @@ const Game = () => {
     return () => clearTimeout(safetyTimer);
   }, [assets.isReady]);
 
+  // En mode debug, les données invalides bloquent le démarrage sur un rapport
+  // lisible plutôt que sur une scène noire
+  const hasDataIssues =
+    debug &&
+    assets.isReady &&
+    (hasValidationErrors(assets.validation) || assets.errors.length > 0);
+  const showDataReport = hasDataIssues && !reportAcknowledged;
+
+  // Niveau actif et pose de la caméra dans l'URL (liens partageables)
+  useLevelUrlSync(gameReady && !showDataReport);
+
+  // Journal de fréquentation local (page opérateur /analytics)
+  useEffect(() => startAnalytics(), []);
+
+  // Écrans secondaires synchronisés (paramètre sync de l'URL)
+  useEffect(() => startSyncPublisher(), []);
+
+  // Touche Entrée pour lancer le jeu malgré les erreurs
+  useEffect(() => {
+    if (!showDataReport) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === "Enter") {
+        setReportAcknowledged(true);
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [showDataReport]);
+
   // Déterminer le message de chargement approprié
   const getLoadingMessage = () => {
     switch (loadingStage) {
@@ -224,7 +292,7 @@ const Game = () => {
       case 2:
         return `preloading audio ${Math.round(audioProgress)}%`;
       case 3:
-        return "starting game...";
+        return showDataReport ? "invalid data" : "starting game...";
       default:
         return "loading...";
     }
@@ -233,7 +301,7 @@ const Game = () => {
   return (
     <div style={{ width: "100vw", height: "100vh", background: "#000" }}>
       {/* Afficher la barre de chargement si le jeu n'est pas prêt */}
-      {!gameReady ? (
+      {!gameReady || showDataReport ? (
         <LoadingBar
           progress={
             loadingStage === 1
@@ -245,6 +313,11 @@ const Game = () => {
           message={getLoadingMessage()}
           stage={loadingStage}
           totalStages={TOTAL_LOADING_STAGES}
+          report={
+            showDataReport
+              ? { reports: assets.validation, loadErrors: assets.errors }
+              : null
+          }
         />
       ) : (
         <>
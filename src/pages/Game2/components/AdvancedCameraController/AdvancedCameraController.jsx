@@ -17,6 +17,7 @@ import {
   ORBIT_SETTINGS,
   AUDIO_SETTINGS,
   ORBIT_DISTANCE,
+  FLY_TO_DISTANCE,
 } from "./navigationConstants";
 import { getInputManager, useInputs } from "./inputManager";
 import {
@@ -25,6 +26,8 @@ import {
   sendStartCountingSignal,
 } from "./CameraIndicators";
 import useGameStore from "../../store";
+import { isTourHandlingIdle } from "../../services/TourService";
+import { ACTIVITY_EVENTS } from "../../services/ActivityService";
 
 /**
  * Contrôleur de caméra avancé en mode vol libre uniquement
@@ -45,6 +48,7 @@ export function AdvancedCameraController({ config = DEFAULT_FLIGHT_CONFIG }) {
     startTarget: new Vector3(),
     endPosition: new Vector3(),
     endTarget: new Vector3(),
+    onComplete: null, // Rappel en fin de transition (vol vers un cluster)
   });
 
   // Définir la valeur de FOV constante
@@ -374,7 +378,12 @@ export function AdvancedCameraController({ config = DEFAULT_FLIGHT_CONFIG }) {
       // Program auto rotation activation after delay
       autoRotateTimerId.current = setTimeout(() => {
         // Vérifier à nouveau qu'on n'est pas en transition ou en orbite avant d'activer
-        if (!transitioning.current.active && !orbitModeActive) {
+        // (la visite guidée, si elle est active, gère elle-même l'inactivité)
+        if (
+          !transitioning.current.active &&
+          !orbitModeActive &&
+          !isTourHandlingIdle()
+        ) {
           console.log(
             `🔄 TRANSITION: Auto-rotation activated after inactivity`
           );
@@ -385,7 +394,11 @@ export function AdvancedCameraController({ config = DEFAULT_FLIGHT_CONFIG }) {
       // Program orbit mode activation after delay
       orbitTimerId.current = setTimeout(() => {
         // Vérifier à nouveau qu'on n'est pas en transition ou en orbite avant d'activer
-        if (!transitioning.current.active && !orbitModeActive) {
+        if (
+          !transitioning.current.active &&
+          !orbitModeActive &&
+          !isTourHandlingIdle()
+        ) {
           orbitAttempted.current = true;
           console.log(
             `📅 SCHEDULED: Auto-orbit mode after extended inactivity`
@@ -413,65 +426,24 @@ export function AdvancedCameraController({ config = DEFAULT_FLIGHT_CONFIG }) {
     }
   };
 
-  // Add event listeners for mouse movements and clicks
+  // Écouter les mêmes événements que le mode borne et le journal de
+  // fréquentation (ActivityService) ; les entrées du gestionnaire sont
+  // traitées plus bas, avec l'état courant de l'orbite
   useEffect(() => {
     const handleMouseActivity = () => detectUserActivity();
 
-    // Add event listeners to window level
-    window.addEventListener("mousemove", handleMouseActivity);
-    window.addEventListener("mousedown", handleMouseActivity);
-    window.addEventListener("mouseup", handleMouseActivity);
-    window.addEventListener("keydown", handleMouseActivity);
-    window.addEventListener("wheel", handleMouseActivity);
-    window.addEventListener("touchstart", handleMouseActivity);
-    window.addEventListener("touchmove", handleMouseActivity);
-
-    // Add specifically to Three.js canvas event listeners
-    // These listeners are essential to detect user interaction
-    if (gl && gl.domElement) {
-      window.addEventListener("mousemove", handleMouseActivity, {
-        passive: true,
-      });
-      window.addEventListener("mousedown", handleMouseActivity, {
-        passive: true,
-      });
-      window.addEventListener("mouseup", handleMouseActivity, {
-        passive: true,
-      });
-      window.addEventListener("touchstart", handleMouseActivity, {
-        passive: true,
-      });
-      window.addEventListener("touchmove", handleMouseActivity, {
-        passive: true,
-      });
-      window.addEventListener("wheel", handleMouseActivity, {
-        passive: true,
-      });
-    }
+    ACTIVITY_EVENTS.forEach((event) =>
+      window.addEventListener(event, handleMouseActivity, { passive: true })
+    );
 
     // Start initial timer
     detectUserActivity();
 
     // Cleanup on unmount
     return () => {
-      // Cleanup window event listeners
-      window.removeEventListener("mousemove", handleMouseActivity);
-      window.removeEventListener("mousedown", handleMouseActivity);
-      window.removeEventListener("mouseup", handleMouseActivity);
-      window.removeEventListener("keydown", handleMouseActivity);
-      window.removeEventListener("wheel", handleMouseActivity);
-      window.removeEventListener("touchstart", handleMouseActivity);
-      window.removeEventListener("touchmove", handleMouseActivity);
-
-      // Cleanup canvas event listeners
-      if (gl && gl.domElement) {
-        gl.domElement.removeEventListener("mousemove", handleMouseActivity);
-        gl.domElement.removeEventListener("mousedown", handleMouseActivity);
-        gl.domElement.removeEventListener("mouseup", handleMouseActivity);
-        gl.domElement.removeEventListener("touchstart", handleMouseActivity);
-        gl.domElement.removeEventListener("touchmove", handleMouseActivity);
-        gl.domElement.removeEventListener("wheel", handleMouseActivity);
-      }
+      ACTIVITY_EVENTS.forEach((event) =>
+        window.removeEventListener(event, handleMouseActivity)
+      );
 
       if (autoRotateTimerId.current) {
         clearTimeout(autoRotateTimerId.current);
@@ -708,6 +680,11 @@ export function AdvancedCameraController({ config = DEFAULT_FLIGHT_CONFIG }) {
           )}, ${camera.position.y.toFixed(2)}, ${camera.position.z.toFixed(2)}]`
         );
 
+        // Prévenir l'appelant du vol (ex : ouverture du cluster recherché)
+        const onComplete = transitioning.current.onComplete;
+        transitioning.current.onComplete = null;
+        if (onComplete) onComplete();
+
         // Reset input handler for allowing new transitions
         const inputManager = getInputManager();
         if (inputManager.inputs.nextPosition) {
@@ -892,7 +869,9 @@ export function AdvancedCameraController({ config = DEFAULT_FLIGHT_CONFIG }) {
     // Initialize transition
     const trans = transitioning.current;
     trans.active = true;
+    trans.onComplete = null;
     trans.startTime = Date.now();
+    trans.duration = TRANSITION_DURATION / 1000;
     trans.startPosition.copy(camera.position);
 
     // Méthode améliorée pour calculer la cible actuelle de la caméra
@@ -954,6 +933,144 @@ export function AdvancedCameraController({ config = DEFAULT_FLIGHT_CONFIG }) {
     }
   };
 
+  /**
+   * Vol fluide vers une pose donnée (position et point regardé)
+   * @param {Object} pose
+   * @param {{x: number, y: number, z: number}} pose.position - Position finale
+   * @param {{x: number, y: number, z: number}} pose.target - Point regardé à l'arrivée
+   * @param {Object} [options]
+   * @param {number} [options.duration=TRANSITION_DURATION] - Durée du vol (ms)
+   * @param {Function} [options.onComplete] - Appelé à la fin du vol
+   * @param {string} [options.message] - Message affiché dans le HUD
+   */
+  const flyToPose = (
+    { position, target },
+    { duration = TRANSITION_DURATION, onComplete = null, message = null } = {}
+  ) => {
+    if (!camera || !position || !target) return;
+
+    if (orbitModeActive) {
+      setOrbitModeActive(false);
+    }
+
+    const trans = transitioning.current;
+    trans.active = true;
+    trans.startTime = Date.now();
+    trans.duration = duration / 1000;
+    trans.startPosition.copy(camera.position);
+    trans.startTarget
+      .copy(camera.position)
+      .add(new Vector3(0, 0, -100).applyQuaternion(camera.quaternion));
+    trans.endPosition.set(position.x || 0, position.y || 0, position.z || 0);
+    trans.endTarget.set(target.x || 0, target.y || 0, target.z || 0);
+    trans.onComplete = onComplete;
+
+    console.log(
+      `🔄 TRANSITION: Vol vers [${trans.endTarget.x.toFixed(
+        2
+      )}, ${trans.endTarget.y.toFixed(2)}, ${trans.endTarget.z.toFixed(2)}]`
+    );
+
+    setIsTransitioning(true);
+    window.__cameraAnimating = true;
+
+    if (message && window.__showHUDMessage) {
+      window.__showHUDMessage(message, 2000);
+    }
+
+    detectUserActivity();
+  };
+
+  /**
+   * Vol fluide vers un point du monde (centroïde d'un cluster) : la caméra
+   * s'arrête à `distance` du point, dans l'axe de son approche, et le regarde
+   * @param {{x: number, y: number, z: number}} point - Point à atteindre
+   * @param {Object} [options]
+   * @param {number} [options.distance=FLY_TO_DISTANCE] - Distance d'arrêt
+   * @param {number} [options.duration=TRANSITION_DURATION] - Durée du vol (ms)
+   * @param {Function} [options.onComplete] - Appelé à la fin du vol
+   * @param {string} [options.message] - Message affiché dans le HUD
+   */
+  const flyToTarget = (
+    point,
+    { distance = FLY_TO_DISTANCE, ...options } = {}
+  ) => {
+    if (!camera || !point) return;
+
+    const target = new Vector3(point.x || 0, point.y || 0, point.z || 0);
+    // Direction d'approche ; si la caméra est déjà sur le point, reculer sur z
+    const approach = new Vector3().subVectors(camera.position, target);
+    if (approach.lengthSq() < 1e-6) approach.set(0, 0, 1);
+    const position = target
+      .clone()
+      .add(approach.normalize().multiplyScalar(distance));
+
+    flyToPose({ position, target }, options);
+  };
+
+  /**
+   * Interrompt la transition en cours sans appeler son rappel de fin ; la
+   * caméra reste où elle est et repasse en vol libre
+   */
+  const stopTransition = () => {
+    const trans = transitioning.current;
+    trans.active = false;
+    trans.onComplete = null;
+    setIsTransitioning(false);
+    window.__cameraAnimating = false;
+
+    if (flightController.current) {
+      flightController.current.reset();
+    }
+  };
+
+  /**
+   * Place immédiatement la caméra (pose partagée dans l'URL), en annulant
+   * toute transition ou orbite en cours
+   * @param {Object} pose
+   * @param {{x: number, y: number, z: number}} pose.position - Position
+   * @param {{x: number, y: number, z: number, w: number}} pose.quaternion - Orientation
+   */
+  const setCameraPose = ({ position, quaternion }) => {
+    if (!camera) return;
+
+    stopTransition();
+    setOrbitModeActive(false);
+
+    camera.position.set(position.x, position.y, position.z);
+    camera.quaternion.set(
+      quaternion.x,
+      quaternion.y,
+      quaternion.z,
+      quaternion.w
+    );
+
+    if (flightController.current) {
+      flightController.current.reset();
+    }
+
+    detectUserActivity();
+  };
+
+  // Exposer les vols (recherche de personas, visite guidée) et la pose directe,
+  // mis à jour à chaque rendu pour ne pas garder un état d'orbite périmé
+  useEffect(() => {
+    const api = {
+      __flyToTarget: flyToTarget,
+      __flyToPose: flyToPose,
+      __stopCameraTransition: stopTransition,
+      __setCameraPose: setCameraPose,
+    };
+    Object.assign(window, api);
+    return () => {
+      Object.entries(api).forEach(([name, fn]) => {
+        if (window[name] === fn) {
+          window[name] = null;
+        }
+      });
+    };
+  });
+
   // Initialize flight controller once camera is available
   useEffect(() => {
     if (camera && !flightController.current) {
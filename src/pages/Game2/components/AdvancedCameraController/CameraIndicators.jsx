@@ -1,6 +1,7 @@
 import { useState, useEffect } from "react";
 import { getInputManager } from "./inputManager";
 import { INPUT_ACTIONS } from "./navigationConstants";
+import { useTouchControls } from "../../store";
 
 /**
  * Indicateur de connexion de manette
@@ -77,6 +78,7 @@ const GamepadIndicator = ({ isCompact = false }) => {
  * @returns {Object} Un objet contenant le texte d'interaction et si une manette est connectée
  */
 export const useInteractionText = () => {
+  const touchControls = useTouchControls();
   const [isGamepadConnected, setIsGamepadConnected] = useState(false);
   const [interactionText, setInteractionText] = useState(
     `Press ${INPUT_ACTIONS.INTERACT.key} to interact`
@@ -116,6 +118,15 @@ export const useInteractionText = () => {
     };
   }, []);
 
+  // Sur écran tactile, le bouton à l'écran remplace la touche
+  if (touchControls && !isGamepadConnected) {
+    return {
+      interactionText: `Tap ${INPUT_ACTIONS.INTERACT.touch} to interact`,
+      isGamepadConnected,
+      interactionKey: INPUT_ACTIONS.INTERACT.touch,
+    };
+  }
+
   return {
     interactionText,
     isGamepadConnected,
@@ -1,6 +1,7 @@
 import { useState, useEffect } from "react";
 
-// Classe pour la gestion unifiée des entrées (clavier et manette)
+// Classe pour la gestion unifiée des entrées (clavier, manette, écran tactile
+// et télécommande)
 export class InputManager {
   constructor() {
     // État des entrées
@@ -21,11 +22,20 @@ export class InputManager {
       action1: false,
       action2: false,
       interact: false, // Nouvelle action pour interagir avec les éléments
+      search: false, // Ouverture de la recherche de personas
     };
 
-    // Entrées séparées pour clavier et manette pour les combiner correctement
+    // Entrées séparées par source pour les combiner correctement
     this.keyboardInputs = { ...this.inputs };
     this.gamepadInputs = { ...this.inputs };
+    // Télécommande (page /remote), reçue par le serveur de synchronisation
+    this.remoteInputs = { ...this.inputs };
+    // Écran tactile : commandes à l'écran (joysticks, boutons) et gestes à
+    // deux doigts sur la scène
+    this.touchInputs = {
+      controls: { ...this.inputs },
+      gestures: { ...this.inputs },
+    };
 
     // Configuration
     this.config = {
@@ -40,6 +50,8 @@ export class InputManager {
     this.previousButtonStates = {};
     this.listeners = [];
     this.gamepadConnected = false;
+    // Entrées ignorées tant qu'une interface (recherche) a le focus
+    this.suspended = false;
 
     // Démarre les écouteurs d'événements
     this.bindEvents();
@@ -62,52 +74,30 @@ export class InputManager {
 
   // Combiner les entrées du clavier et de la manette
   combineInputs() {
-    // Entrées analogiques (addition avec limite)
-    this.inputs.moveForward = Math.max(
-      -1,
-      Math.min(
-        1,
-        this.keyboardInputs.moveForward + this.gamepadInputs.moveForward
-      )
-    );
-    this.inputs.moveRight = Math.max(
-      -1,
-      Math.min(1, this.keyboardInputs.moveRight + this.gamepadInputs.moveRight)
-    );
-    this.inputs.moveUp = Math.max(
-      -1,
-      Math.min(1, this.keyboardInputs.moveUp + this.gamepadInputs.moveUp)
-    );
-    this.inputs.lookHorizontal = Math.max(
-      -1,
-      Math.min(
-        1,
-        this.keyboardInputs.lookHorizontal + this.gamepadInputs.lookHorizontal
-      )
-    );
-    this.inputs.lookVertical = Math.max(
-      -1,
-      Math.min(
-        1,
-        this.keyboardInputs.lookVertical + this.gamepadInputs.lookVertical
-      )
-    );
-    this.inputs.roll = Math.max(
-      -1,
-      Math.min(1, this.keyboardInputs.roll + this.gamepadInputs.roll)
-    );
+    // Entrées suspendues : tout reste à zéro pour la caméra
+    if (this.suspended) {
+      Object.keys(this.inputs).forEach((key) => {
+        this.inputs[key] = typeof this.inputs[key] === "number" ? 0 : false;
+      });
+      return;
+    }
 
-    // Entrées booléennes (combinaison OU)
-    this.inputs.toggleMode =
-      this.keyboardInputs.toggleMode || this.gamepadInputs.toggleMode;
-    this.inputs.nextPosition =
-      this.keyboardInputs.nextPosition || this.gamepadInputs.nextPosition;
-    this.inputs.action1 =
-      this.keyboardInputs.action1 || this.gamepadInputs.action1;
-    this.inputs.action2 =
-      this.keyboardInputs.action2 || this.gamepadInputs.action2;
-    this.inputs.interact =
-      this.keyboardInputs.interact || this.gamepadInputs.interact;
+    // Entrées analogiques (addition avec limite) et booléennes (combinaison OU)
+    const sources = [
+      this.keyboardInputs,
+      this.gamepadInputs,
+      this.remoteInputs,
+      this.touchInputs.controls,
+      this.touchInputs.gestures,
+    ];
+    Object.keys(this.inputs).forEach((key) => {
+      if (typeof this.inputs[key] === "number") {
+        const sum = sources.reduce((total, source) => total + source[key], 0);
+        this.inputs[key] = Math.max(-1, Math.min(1, sum));
+      } else {
+        this.inputs[key] = sources.some((source) => source[key]);
+      }
+    });
   }
 
   // Configurer les écouteurs d'événements
@@ -168,6 +158,13 @@ export class InputManager {
       }
     }
 
+    // Ouverture de la recherche avec la touche F
+    if (event.code === "KeyF") {
+      if (!this.keyboardInputs.search) {
+        this.keyboardInputs.search = true;
+      }
+    }
+
     // Traiter les entrées après avoir géré les actions spéciales
     this.processKeyboardInput();
 
@@ -203,6 +200,14 @@ export class InputManager {
       }, 50);
     }
 
+    if (event.code === "KeyF") {
+      setTimeout(() => {
+        this.keyboardInputs.search = false;
+        this.combineInputs();
+        this.notifyListeners();
+      }, 50);
+    }
+
     // Traiter les entrées
     this.processKeyboardInput();
   };
@@ -357,6 +362,14 @@ export class InputManager {
     }
     this.previousButtonStates.interact = gamepad.buttons[2]?.pressed;
 
+    // Ouverture de la recherche (bouton Start / Options)
+    if (gamepad.buttons[9]?.pressed && !this.previousButtonStates.search) {
+      this.gamepadInputs.search = true;
+    } else {
+      this.gamepadInputs.search = false;
+    }
+    this.previousButtonStates.search = gamepad.buttons[9]?.pressed;
+
     // Autres actions
     this.gamepadInputs.action1 = gamepad.buttons[1]?.pressed || false; // B ou cercle
     this.gamepadInputs.action2 = gamepad.buttons[3]?.pressed || false; // Y ou triangle
@@ -388,11 +401,88 @@ export class InputManager {
     });
   }
 
+  resetRemoteInputs() {
+    Object.keys(this.remoteInputs).forEach((key) => {
+      this.remoteInputs[key] =
+        typeof this.remoteInputs[key] === "number" ? 0 : false;
+    });
+  }
+
+  resetTouchInputs() {
+    Object.values(this.touchInputs).forEach((source) => {
+      Object.keys(source).forEach((key) => {
+        source[key] = typeof source[key] === "number" ? 0 : false;
+      });
+    });
+  }
+
   resetInputs() {
     // Réinitialiser toutes les entrées
     this.resetGamepadInputs();
     this.resetKeyboardInputs();
+    this.resetRemoteInputs();
+    this.resetTouchInputs();
+    this.combineInputs();
+  }
+
+  /**
+   * Remplace les entrées de la télécommande ; seules les clés connues sont
+   * reprises, les axes étant limités à [-1, 1]
+   * @param {Object|null} inputs - Entrées reçues, null pour les remettre à zéro
+   */
+  setRemoteInputs(inputs) {
+    this.resetRemoteInputs();
+    if (inputs && typeof inputs === "object") {
+      Object.keys(this.remoteInputs).forEach((key) => {
+        if (typeof this.remoteInputs[key] === "number") {
+          const value = Number(inputs[key]) || 0;
+          this.remoteInputs[key] = Math.max(-1, Math.min(1, value));
+        } else {
+          this.remoteInputs[key] = Boolean(inputs[key]);
+        }
+      });
+    }
+    this.combineInputs();
+    this.notifyListeners();
+  }
+
+  /**
+   * Met à jour une partie des entrées tactiles ; seules les clés connues sont
+   * reprises, les axes étant limités à [-1, 1]
+   * @param {string} source - "controls" (joysticks, boutons) ou "gestures"
+   * @param {Object} changes - Entrées modifiées
+   */
+  updateTouchInputs(source, changes) {
+    const inputs = this.touchInputs[source];
+    if (!inputs) return;
+
+    Object.keys(changes).forEach((key) => {
+      if (typeof inputs[key] === "number") {
+        const value = Number(changes[key]) || 0;
+        inputs[key] = Math.max(-1, Math.min(1, value));
+      } else if (typeof inputs[key] === "boolean") {
+        inputs[key] = Boolean(changes[key]);
+      }
+    });
+    this.combineInputs();
+    this.notifyListeners();
+  }
+
+  /**
+   * Suspend ou rétablit les entrées (ex : pendant la saisie d'une recherche),
+   * pour que la caméra ne bouge pas et que les touches restées enfoncées
+   * ne soient pas reprises au retour
+   * @param {boolean} suspended - true pour suspendre les entrées
+   */
+  setSuspended(suspended) {
+    this.suspended = suspended;
+    this.keysPressed = {};
+    this.resetKeyboardInputs();
+    this.resetGamepadInputs();
+    this.resetRemoteInputs();
+    this.resetTouchInputs();
     this.combineInputs();
+    this.notifyListeners();
   }
 
   // Mettre à jour la configuration
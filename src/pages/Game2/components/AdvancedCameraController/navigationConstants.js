@@ -43,12 +43,14 @@ export const INPUT_ACTIONS = {
     key: "E",
     keyAlt: "Space",
     gamepad: "R2",
+    touch: "Up", // Bouton des commandes tactiles
     description: "Monter",
   },
   MOVE_DOWN: {
     key: "C",
     keyAlt: "Shift",
     gamepad: "L2",
+    touch: "Down",
     description: "Descendre",
   },
   ROLL_LEFT: {
@@ -75,8 +77,15 @@ export const INPUT_ACTIONS = {
     key: "T",
     gamepad: "X",
     gamepadIndex: 2,
+    touch: "Go",
     description: "Interagir",
   },
+  SEARCH: {
+    key: "F",
+    gamepad: "Start",
+    gamepadIndex: 9,
+    description: "Rechercher un persona",
+  },
 };
 
 // Paramètres du champ de vision
@@ -87,6 +96,7 @@ export const BASE_CAMERA_DISTANCE = 2000;
 export const BOUNDING_SPHERE_RADIUS = 2400; // Rayon de la sphère limite au-delà de laquelle on revient à la position par défaut
 export const ACCELERATION_DISTANCE_THRESHOLD = 10; // Distance à partir de laquelle on applique l'accélération
 export const ORBIT_DISTANCE = 2000; // Distance fixe pour le mode d'orbite automatique
+export const FLY_TO_DISTANCE = 250; // Distance d'arrêt devant un cluster atteint par la recherche
 
 // Configuration du mode vol
 export const DEFAULT_FLIGHT_CONFIG = {
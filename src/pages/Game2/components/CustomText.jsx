@@ -20,6 +20,7 @@ const tempVec = new Vector3();
  * @param {boolean} [props.outline=false] - Si true, ajoute un liseret autour du texte
  * @param {number} [props.outlineWidth=0.5] - Épaisseur du liseret
  * @param {string} [props.outlineColor="#000000"] - Couleur du liseret
+ * @param {number} [props.opacityScale=1] - Facteur appliqué à l'opacité calculée (texte estompé)
  */
 export function CustomText({
   text,
@@ -32,6 +33,7 @@ export function CustomText({
   outline = true,
   outlineWidth = 1.0,
   outlineColor = "#000000",
+  opacityScale = 1,
 }) {
   const groupRef = useRef();
   const textRef = useRef();
@@ -43,11 +45,12 @@ export function CustomText({
       reverseOpacity,
       minDistance,
       maxDistance,
+      opacityScale,
       position: Array.isArray(position)
         ? new Vector3(position[0], position[1], position[2])
         : position,
     }),
-    [reverseOpacity, minDistance, maxDistance, position]
+    [reverseOpacity, minDistance, maxDistance, opacityScale, position]
   );
 
   // Calculer et appliquer l'opacité basée sur la distance à chaque frame
@@ -59,6 +62,7 @@ export function CustomText({
       reverseOpacity,
       minDistance,
       maxDistance,
+      opacityScale,
       position: positionVector,
     } = propSettings;
 
@@ -89,6 +93,8 @@ export function CustomText({
           : Math.max(0, (distance - minDistance) / (maxDistance - minDistance));
     }
 
+    targetOpacity *= opacityScale;
+
     // Mise à jour de la visibilité (plus performant que d'utiliser setState)
     groupRef.current.visible = targetOpacity > 0.01;
 
@@ -19,6 +19,7 @@ const createAudioState = () => {
 
   return {
     interviewAudio: null, // Référence directe à l'élément audio
+    ambientAudio: null, // Référence au son d'ambiance
     isPlaying: false,
     currentTime: 0, // Nous stockons maintenant directement le temps courant
     listeners: new Set(), // Utiliser un Set pour éviter les doublons et optimiser remove
@@ -125,6 +126,18 @@ const createAudioState = () => {
       }
     },
 
+    // Reprendre l'ambiance et l'interview depuis le début (réinitialisation de la borne)
+    restart: function () {
+      [this.ambientAudio, this.interviewAudio].forEach((audio) => {
+        if (!audio) return;
+        audio.currentTime = 0;
+        audio.play().catch((err) => {
+          console.warn("Impossible de relancer l'audio:", err);
+        });
+      });
+      this.notifyListeners();
+    },
+
     // Méthode pour arrêter les notifications
     stopNotifications: function () {
       this._stopNotifications();
@@ -315,6 +328,7 @@ const GameAudio = memo(() => {
           ambientSound.loop = true;
           ambientSound.volume = 0;
           ambientRef.current = ambientSound;
+          audioStateObj.ambientAudio = ambientSound;
 
           // Configurer l'audio d'interview
           interviewSound.loop = true;
@@ -424,6 +438,7 @@ const GameAudio = memo(() => {
         ambientSound.loop = true;
         ambientSound.volume = 0; // Commencer avec un volume à 0
         ambientRef.current = ambientSound;
+        audioStateObj.ambientAudio = ambientSound;
 
         // Configurer l'audio d'interview
         interviewSound.loop = true;
@@ -520,6 +535,7 @@ const GameAudio = memo(() => {
       }
 
       audioStateObj.interviewAudio = null;
+      audioStateObj.ambientAudio = null;
       audioStateObj.isInitializing = false;
       isInitializingRef.current = false;
     };
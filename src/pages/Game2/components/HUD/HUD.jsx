@@ -5,6 +5,18 @@ import { useActiveLevel } from "../../store";
 import AudioStatus from "./components/AudioStatus";
 import TextPanel from "./components/TextPanel";
 import Subtitles from "./components/Subtitles";
+import RelationLegend from "./components/RelationLegend";
+import BridgesToggle from "./components/BridgesToggle";
+import PersonaSearch from "./components/PersonaSearch";
+import GuidedTour from "./components/GuidedTour";
+import CollectionScreen from "./components/CollectionScreen";
+import Minimap from "./components/Minimap";
+import FilterPanel from "./components/FilterPanel";
+import KioskMode from "./components/KioskMode";
+import HeatmapLegend from "./components/HeatmapLegend";
+import QualityPanel from "./components/QualityPanel";
+import PickingModePanel from "./components/PickingModePanel";
+import TouchControls from "./components/TouchControls";
 
 const HUDOverlay = styled(Box)(({ theme }) => ({
   position: "fixed",
@@ -128,6 +140,18 @@ const HUD = () => {
       <AudioStatus />
       <Subtitles />
       <TextPanel />
+      <RelationLegend />
+      <BridgesToggle />
+      <PersonaSearch />
+      <GuidedTour />
+      <CollectionScreen />
+      <Minimap />
+      <FilterPanel />
+      <KioskMode />
+      <HeatmapLegend />
+      <QualityPanel />
+      <PickingModePanel />
+      <TouchControls />
 
       <HUDOverlay>
         <Box
@@ -0,0 +1,66 @@
+import React, { memo, useEffect } from "react";
+import HubOutlinedIcon from "@mui/icons-material/HubOutlined";
+import useGameStore, {
+  useCurrentLevel,
+  useWorldViewMode,
+  GAME_LEVELS,
+  WORLD_VIEW_MODES,
+} from "../../../store";
+
+/**
+ * Bascule entre le graphe complet et la vue des ponts entre clusters
+ * (touche B), disponible uniquement au niveau monde
+ * @returns {JSX.Element|null} - Le composant BridgesToggle
+ */
+const BridgesToggle = memo(() => {
+  const currentLevel = useCurrentLevel();
+  const worldViewMode = useWorldViewMode();
+  const toggleBridgesView = useGameStore((state) => state.toggleBridgesView);
+  const isWorld = currentLevel === GAME_LEVELS.WORLD;
+  const showBridgesOnly = worldViewMode === WORLD_VIEW_MODES.BRIDGES;
+
+  useEffect(() => {
+    if (!isWorld) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === "b" || e.key === "B") {
+        toggleBridgesView();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [isWorld, toggleBridgesView]);
+
+  if (!isWorld) return null;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: "80px",
+        right: "20px",
+        zIndex: 1000,
+        display: "flex",
+        alignItems: "center",
+        gap: "8px",
+        fontFamily: "monospace",
+        fontSize: "12px",
+        color: "#f5f5f5",
+        opacity: showBridgesOnly ? 1 : 0.6,
+        cursor: "pointer",
+      }}
+      onClick={toggleBridgesView}
+      title={
+        showBridgesOnly
+          ? "Afficher le graphe complet (B)"
+          : "Afficher uniquement les ponts entre clusters (B)"
+      }
+    >
+      {showBridgesOnly && <span>bridges (B)</span>}
+      <HubOutlinedIcon fontSize="large" />
+    </div>
+  );
+});
+
+export default BridgesToggle;
@@ -0,0 +1,355 @@
+import React, { memo, useState, useEffect, useMemo, useRef } from "react";
+import CollectionsBookmarkOutlinedIcon from "@mui/icons-material/CollectionsBookmarkOutlined";
+import useGameStore from "../../../store";
+import useAssets from "../../../hooks/useAssets";
+import { getInputManager } from "../../AdvancedCameraController/inputManager";
+import { buildLevelIndex } from "../../../scenes/World/components/Graph/utils/utils";
+import { KIOSK_RESET_EVENT } from "./KioskMode";
+import { isKioskMode } from "../../../../../utils/kiosk";
+
+// Quartier des personas sans thematicGroup
+const OTHER_DISTRICT = "Autres";
+
+const isCollectionKey = (e) => e.key === "i" || e.key === "I";
+
+/**
+ * Date de découverte de chaque persona : visite de son nœud dans un cluster,
+ * ou ouverture du cluster dont il est le personnage principal
+ * @param {Object} index - Index construit par buildLevelIndex
+ * @param {Array} visitedNodes - Nœuds visités (store)
+ * @param {Array} visitedClusters - Clusters visités (store)
+ * @returns {Map<string, string>} - Date ISO de la première visite par slug
+ */
+const getDiscoveryDates = (index, visitedNodes, visitedClusters) => {
+  const dates = new Map();
+  const addVisit = (slug, visitedAt) => {
+    if (!slug || !visitedAt) return;
+    const previous = dates.get(slug);
+    if (!previous || visitedAt < previous) dates.set(slug, visitedAt);
+  };
+
+  visitedNodes.forEach((node) => addVisit(node.slug, node.visitedAt));
+  visitedClusters.forEach((cluster) =>
+    addVisit(index.centroids[cluster.slug]?.slug, cluster.visitedAt)
+  );
+
+  return dates;
+};
+
+/**
+ * Collection des personas regroupés par quartier (thematicGroup)
+ * @param {Array} database - Contenu de database.data.json
+ * @param {Object} index - Index construit par buildLevelIndex
+ * @param {Map<string, string>} dates - Dates de découverte par slug
+ * @returns {Array<{name: string, personas: Array, discovered: number, percentage: number}>}
+ */
+const buildDistricts = (database, index, dates) => {
+  const districts = new Map();
+
+  (database || [])
+    .filter((character) => index.personas.has(character.slug))
+    .forEach((character) => {
+      const name = character.thematicGroup || OTHER_DISTRICT;
+      if (!districts.has(name)) districts.set(name, []);
+      districts.get(name).push({
+        slug: character.slug,
+        displayName: index.personas.get(character.slug).displayName,
+        thematicGroup: name,
+        visitedAt: dates.get(character.slug) || null,
+      });
+    });
+
+  return [...districts.entries()]
+    .map(([name, personas]) => {
+      const discovered = personas.filter((persona) => persona.visitedAt).length;
+      return {
+        name,
+        personas: personas.sort((a, b) =>
+          a.displayName.localeCompare(b.displayName)
+        ),
+        discovered,
+        percentage: Math.round((discovered / personas.length) * 100),
+      };
+    })
+    .sort((a, b) => {
+      // Personas sans quartier en dernier
+      if (a.name === OTHER_DISTRICT) return 1;
+      if (b.name === OTHER_DISTRICT) return -1;
+      return a.name.localeCompare(b.name);
+    });
+};
+
+const formatVisitDate = (visitedAt) =>
+  new Date(visitedAt).toLocaleString("fr-FR", {
+    dateStyle: "short",
+    timeStyle: "short",
+  });
+
+/**
+ * Barre de progression d'un quartier
+ * @param {Object} props
+ * @param {number} props.percentage - Pourcentage de complétion
+ */
+const ProgressBar = ({ percentage }) => (
+  <div
+    style={{
+      flex: 1,
+      height: "2px",
+      backgroundColor: "rgba(255, 255, 255, 0.2)",
+      borderRadius: "2px",
+      overflow: "hidden",
+    }}
+  >
+    <div
+      style={{
+        height: "100%",
+        width: `${percentage}%`,
+        backgroundColor: "#ffffff",
+      }}
+    />
+  </div>
+);
+
+/**
+ * Écran de collection (touche I) : progression du visiteur pour la session en
+ * cours, persona par persona et par quartier
+ * @returns {JSX.Element|null} - Le composant CollectionScreen
+ */
+const CollectionScreen = memo(() => {
+  const [isOpen, setIsOpen] = useState(false);
+  const panelRef = useRef(null);
+
+  const assets = useAssets({ autoInit: false });
+  const visitedNodes = useGameStore((state) => state.visitedNodes);
+  const visitedClusters = useGameStore((state) => state.visitedClusters);
+  const startNewSession = useGameStore((state) => state.startNewSession);
+
+  const index = useMemo(() => {
+    if (!assets.isReady) return null;
+    return buildLevelIndex(
+      assets.getData("graph")?.nodes || [],
+      assets.getData("database")
+    );
+  }, [assets.isReady, assets.getData]);
+
+  const districts = useMemo(() => {
+    if (!index) return [];
+    return buildDistricts(
+      assets.getData("database"),
+      index,
+      getDiscoveryDates(index, visitedNodes, visitedClusters)
+    );
+  }, [index, assets.getData, visitedNodes, visitedClusters]);
+
+  const total = districts.reduce((sum, d) => sum + d.personas.length, 0);
+  const discovered = districts.reduce((sum, d) => sum + d.discovered, 0);
+  const percentage = total ? Math.round((discovered / total) * 100) : 0;
+
+  // Image du personnage chargée par l'AssetManager, ou image par défaut
+  const getCharacterImageUrl = (slug) =>
+    assets.getTexture(`character_${slug}.png`)?.image?.src ||
+    assets.getImagePath("character.svg");
+
+  // Touche I pour ouvrir la collection (la fermeture est gérée par le panneau)
+  useEffect(() => {
+    if (isOpen) return;
+
+    const handleKeyDown = (e) => {
+      if (isCollectionKey(e)) setIsOpen(true);
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [isOpen]);
+
+  // Fermée à la réinitialisation de la borne
+  useEffect(() => {
+    const handleReset = () => setIsOpen(false);
+    window.addEventListener(KIOSK_RESET_EVENT, handleReset);
+    return () => window.removeEventListener(KIOSK_RESET_EVENT, handleReset);
+  }, []);
+
+  // La caméra ne réagit plus aux entrées tant que la collection est ouverte
+  useEffect(() => {
+    if (!isOpen) return;
+    getInputManager().setSuspended(true);
+    panelRef.current?.focus();
+    return () => getInputManager().setSuspended(false);
+  }, [isOpen]);
+
+  const handleKeyDown = (e) => {
+    // Les touches ne doivent pas atteindre les écouteurs de window
+    e.stopPropagation();
+    if (e.key === "Escape" || isCollectionKey(e)) {
+      setIsOpen(false);
+    }
+  };
+
+  const handleNewSession = () => {
+    if (
+      window.confirm("Effacer la progression et démarrer une nouvelle visite ?")
+    ) {
+      startNewSession();
+    }
+  };
+
+  if (!index) return null;
+
+  return (
+    <>
+      <div
+        style={{
+          position: "absolute",
+          top: "200px",
+          right: "20px",
+          zIndex: 1000,
+          display: "flex",
+          alignItems: "center",
+          gap: "8px",
+          fontFamily: "monospace",
+          fontSize: "12px",
+          color: "#f5f5f5",
+          opacity: isOpen ? 1 : 0.6,
+          cursor: "pointer",
+        }}
+        onClick={() => setIsOpen((open) => !open)}
+        title="Collection des personas (I)"
+      >
+        <span>
+          {discovered}/{total}
+        </span>
+        <CollectionsBookmarkOutlinedIcon fontSize="large" />
+      </div>
+
+      {isOpen && (
+        <div
+          ref={panelRef}
+          tabIndex={-1}
+          style={{
+            position: "fixed",
+            top: "10%",
+            left: "50%",
+            transform: "translateX(-50%)",
+            width: "min(900px, 80vw)",
+            maxHeight: "80vh",
+            overflowY: "auto",
+            zIndex: 1100,
+            fontFamily: "monospace",
+            fontSize: "13px",
+            color: "#f5f5f5",
+            background: "rgba(0, 0, 0, 0.85)",
+            border: "1px solid rgba(255, 255, 255, 0.3)",
+            borderRadius: "4px",
+            padding: "16px",
+            outline: "none",
+          }}
+          onKeyDown={handleKeyDown}
+          onKeyUp={(e) => e.stopPropagation()}
+        >
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: "12px",
+              marginBottom: "16px",
+            }}
+          >
+            <div style={{ fontSize: "18px", fontWeight: "bold" }}>
+              Collection
+            </div>
+            <div style={{ opacity: 0.7 }}>
+              {discovered}/{total} personas découverts ({percentage}%)
+            </div>
+            <div style={{ flex: 1 }} />
+            {/* Sur une borne, la session est renouvelée après inactivité */}
+            {!isKioskMode() && (
+              <div
+                style={{ cursor: "pointer", opacity: 0.6 }}
+                onClick={handleNewSession}
+                title="Effacer la progression de cette session"
+              >
+                nouvelle visite
+              </div>
+            )}
+          </div>
+
+          {districts.map((district) => (
+            <div key={district.name} style={{ marginBottom: "16px" }}>
+              <div
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "12px",
+                  marginBottom: "8px",
+                }}
+              >
+                <span style={{ whiteSpace: "nowrap" }}>{district.name}</span>
+                <ProgressBar percentage={district.percentage} />
+                <span style={{ whiteSpace: "nowrap", opacity: 0.7 }}>
+                  {district.discovered}/{district.personas.length} ·{" "}
+                  {district.percentage}%
+                </span>
+              </div>
+
+              <div
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "repeat(auto-fill, minmax(120px, 1fr))",
+                  gap: "8px",
+                }}
+              >
+                {district.personas.map((persona) => {
+                  const isDiscovered = Boolean(persona.visitedAt);
+                  return (
+                    <div
+                      key={persona.slug}
+                      style={{
+                        padding: "6px",
+                        border: "1px solid rgba(255, 255, 255, 0.15)",
+                        opacity: isDiscovered ? 1 : 0.4,
+                      }}
+                    >
+                      <img
+                        src={getCharacterImageUrl(persona.slug)}
+                        alt={isDiscovered ? persona.displayName : ""}
+                        style={{
+                          width: "100%",
+                          aspectRatio: "1",
+                          objectFit: "cover",
+                          filter: isDiscovered ? "none" : "grayscale(1)",
+                        }}
+                      />
+                      <div
+                        style={{
+                          marginTop: "4px",
+                          overflow: "hidden",
+                          textOverflow: "ellipsis",
+                          whiteSpace: "nowrap",
+                        }}
+                        title={isDiscovered ? persona.displayName : undefined}
+                      >
+                        {isDiscovered ? persona.displayName : "???"}
+                      </div>
+                      <div style={{ fontSize: "11px", opacity: 0.6 }}>
+                        {persona.thematicGroup}
+                      </div>
+                      <div style={{ fontSize: "11px", opacity: 0.6 }}>
+                        {isDiscovered
+                          ? formatVisitDate(persona.visitedAt)
+                          : "non découvert"}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+
+          <div style={{ fontSize: "11px", opacity: 0.5 }}>Échap / I fermer</div>
+        </div>
+      )}
+    </>
+  );
+});
+
+export default CollectionScreen;
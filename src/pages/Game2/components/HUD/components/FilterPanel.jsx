@@ -0,0 +1,165 @@
+import React, { memo, useState, useEffect, useMemo } from "react";
+import FilterAltOutlinedIcon from "@mui/icons-material/FilterAltOutlined";
+import useGameStore, {
+  useAttributeFilters,
+  useFilterMode,
+  FILTER_MODES,
+} from "../../../store";
+import useAssets from "../../../hooks/useAssets";
+import { getFilterOptions } from "../../../scenes/World/components/Graph/utils/attributeFilters";
+import { KIOSK_RESET_EVENT } from "./KioskMode";
+
+/**
+ * Panneau de filtres (touche G) : estompe ou masque dans le graphe et les
+ * clusters les personas qui ne correspondent pas aux attributs choisis
+ * @returns {JSX.Element|null} - Le composant FilterPanel
+ */
+const FilterPanel = memo(() => {
+  const [isOpen, setIsOpen] = useState(false);
+  const assets = useAssets({ autoInit: false });
+  const attributeFilters = useAttributeFilters();
+  const filterMode = useFilterMode();
+  const toggleAttributeFilter = useGameStore(
+    (state) => state.toggleAttributeFilter
+  );
+  const clearAttributeFilters = useGameStore(
+    (state) => state.clearAttributeFilters
+  );
+  const toggleFilterMode = useGameStore((state) => state.toggleFilterMode);
+
+  const options = useMemo(() => {
+    if (!assets.isReady) return [];
+    return getFilterOptions(assets.getData("database"));
+  }, [assets.isReady, assets.getData]);
+
+  const activeCount = Object.values(attributeFilters).reduce(
+    (count, values) => count + values.length,
+    0
+  );
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "g" || e.key === "G") {
+        setIsOpen((open) => !open);
+      }
+    };
+    // Fermé à la réinitialisation de la borne
+    const handleReset = () => setIsOpen(false);
+
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener(KIOSK_RESET_EVENT, handleReset);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener(KIOSK_RESET_EVENT, handleReset);
+    };
+  }, []);
+
+  if (options.length === 0) return null;
+
+  return (
+    <>
+      <div
+        style={{
+          position: "absolute",
+          top: "260px",
+          right: "20px",
+          zIndex: 1000,
+          display: "flex",
+          alignItems: "center",
+          gap: "8px",
+          fontFamily: "monospace",
+          fontSize: "12px",
+          color: "#f5f5f5",
+          opacity: isOpen || activeCount > 0 ? 1 : 0.6,
+          cursor: "pointer",
+        }}
+        onClick={() => setIsOpen((open) => !open)}
+        title="Filtrer les personas (G)"
+      >
+        {activeCount > 0 && <span>filters ({activeCount})</span>}
+        <FilterAltOutlinedIcon fontSize="large" />
+      </div>
+
+      {isOpen && (
+        <div
+          style={{
+            position: "absolute",
+            top: "310px",
+            right: "20px",
+            zIndex: 1000,
+            width: "280px",
+            maxHeight: "calc(100vh - 400px)",
+            overflowY: "auto",
+            fontFamily: "monospace",
+            fontSize: "12px",
+            color: "#f5f5f5",
+            background: "rgba(0, 0, 0, 0.7)",
+            border: "1px solid rgba(255, 255, 255, 0.3)",
+            borderRadius: "4px",
+            padding: "10px",
+          }}
+        >
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              marginBottom: "8px",
+            }}
+          >
+            <span
+              style={{ cursor: "pointer" }}
+              onClick={toggleFilterMode}
+              title="Estomper ou masquer les personas exclus"
+            >
+              {filterMode === FILTER_MODES.HIDE ? "masquer" : "estomper"} ⇄
+            </span>
+            {activeCount > 0 && (
+              <span
+                style={{ cursor: "pointer", opacity: 0.6 }}
+                onClick={clearAttributeFilters}
+              >
+                effacer
+              </span>
+            )}
+          </div>
+
+          {options.map((attribute) => {
+            const selected = attributeFilters[attribute.key] || [];
+            return (
+              <div key={attribute.key} style={{ marginBottom: "8px" }}>
+                <div style={{ opacity: 0.6, marginBottom: "4px" }}>
+                  {attribute.label}
+                </div>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: "4px" }}>
+                  {attribute.values.map((value) => {
+                    const isSelected = selected.includes(value);
+                    return (
+                      <span
+                        key={value}
+                        onClick={() =>
+                          toggleAttributeFilter(attribute.key, value)
+                        }
+                        style={{
+                          padding: "2px 6px",
+                          cursor: "pointer",
+                          border: "1px solid rgba(255, 255, 255, 0.3)",
+                          borderRadius: "2px",
+                          color: isSelected ? "#000000" : "#f5f5f5",
+                          background: isSelected ? "#f5f5f5" : "transparent",
+                        }}
+                      >
+                        {value}
+                      </span>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+});
+
+export default FilterPanel;
@@ -0,0 +1,153 @@
+import React, { memo, useEffect } from "react";
+import TourOutlinedIcon from "@mui/icons-material/TourOutlined";
+import useAssets from "../../../hooks/useAssets";
+import useTourStore, { TOUR_STATUS } from "../../../services/TourService";
+import { getInputManager } from "../../AdvancedCameraController/inputManager";
+import { AUTO_ORBIT_DELAY } from "../../AdvancedCameraController/navigationConstants";
+
+// Entrées du gestionnaire qui interrompent la visite
+const INTERRUPTING_INPUTS = [
+  "moveForward",
+  "moveRight",
+  "moveUp",
+  "lookHorizontal",
+  "lookVertical",
+  "roll",
+  "toggleMode",
+  "nextPosition",
+  "action1",
+  "action2",
+  "interact",
+  "search",
+];
+
+const isTourKey = (e) => e.key === "v" || e.key === "V";
+
+/**
+ * Visite guidée (touche V) : charge tour.data.json, l'interrompt à la moindre
+ * entrée de l'utilisateur et la reprend après le délai d'inactivité
+ * @returns {JSX.Element|null} - Le composant GuidedTour
+ */
+const GuidedTour = memo(() => {
+  const assets = useAssets({ autoInit: false });
+  const tour = useTourStore((state) => state.tour);
+  const status = useTourStore((state) => state.status);
+  const stepIndex = useTourStore((state) => state.stepIndex);
+  const loadTour = useTourStore((state) => state.loadTour);
+  const start = useTourStore((state) => state.start);
+  const stop = useTourStore((state) => state.stop);
+
+  // Charger la visite une fois les données prêtes
+  useEffect(() => {
+    if (!assets.isReady) return;
+    loadTour(assets.getData("tour"), {
+      nodes: assets.getData("graph")?.nodes,
+      database: assets.getData("database"),
+      srt: assets.getData("srt_interview"),
+    });
+    return () => useTourStore.getState().stop();
+  }, [assets.isReady, assets.getData, loadTour]);
+
+  // Touche V pour lancer ou arrêter la visite
+  useEffect(() => {
+    if (!tour) return;
+
+    const handleKeyDown = (e) => {
+      if (!isTourKey(e)) return;
+      if (useTourStore.getState().status === TOUR_STATUS.IDLE) {
+        start();
+      } else {
+        stop();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [tour, start, stop]);
+
+  // Interruption sur entrée utilisateur, reprise (ou démarrage automatique)
+  // après le délai d'inactivité. Plus restreinte que l'activité suivie par
+  // ActivityService : survoler la scène à la souris ou appuyer sur la touche
+  // de la visite ne l'interrompt pas
+  useEffect(() => {
+    if (!tour) return;
+
+    let idleTimerId = null;
+    const scheduleIdle = () => {
+      clearTimeout(idleTimerId);
+      idleTimerId = setTimeout(() => {
+        const state = useTourStore.getState();
+        if (state.status === TOUR_STATUS.PAUSED) {
+          state.resume();
+        } else if (state.status === TOUR_STATUS.IDLE && tour.autoStart) {
+          state.start();
+        }
+      }, AUTO_ORBIT_DELAY);
+    };
+
+    const handleActivity = () => {
+      useTourStore.getState().pause();
+      scheduleIdle();
+    };
+
+    const handleKeyDown = (e) => {
+      if (!isTourKey(e)) handleActivity();
+    };
+
+    const removeInputListener = getInputManager().addListener((inputs) => {
+      if (INTERRUPTING_INPUTS.some((name) => inputs[name])) {
+        handleActivity();
+      }
+    });
+    const pointerEvents = ["mousedown", "wheel", "touchstart"];
+    pointerEvents.forEach((event) =>
+      window.addEventListener(event, handleActivity, { passive: true })
+    );
+    window.addEventListener("keydown", handleKeyDown);
+
+    if (tour.autoStart) scheduleIdle();
+
+    return () => {
+      clearTimeout(idleTimerId);
+      removeInputListener();
+      pointerEvents.forEach((event) =>
+        window.removeEventListener(event, handleActivity)
+      );
+      window.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [tour]);
+
+  if (!tour || status === TOUR_STATUS.IDLE) return null;
+
+  const step = tour.steps[stepIndex];
+  const isPaused = status === TOUR_STATUS.PAUSED;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: "140px",
+        right: "20px",
+        zIndex: 1000,
+        display: "flex",
+        alignItems: "center",
+        gap: "8px",
+        fontFamily: "monospace",
+        fontSize: "12px",
+        color: "#f5f5f5",
+        opacity: isPaused ? 0.6 : 1,
+        cursor: "pointer",
+      }}
+      onClick={stop}
+      title="Arrêter la visite guidée (V)"
+    >
+      <span>
+        {isPaused ? "tour paused · " : ""}
+        {stepIndex + 1}/{tour.steps.length} {step?.label}
+      </span>
+      <TourOutlinedIcon fontSize="large" />
+    </div>
+  );
+});
+
+export default GuidedTour;
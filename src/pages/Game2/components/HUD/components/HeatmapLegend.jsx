@@ -0,0 +1,92 @@
+import React, { memo, useEffect } from "react";
+import useGameStore, {
+  useCurrentLevel,
+  useHeatmapMetric,
+  GAME_LEVELS,
+  HEATMAP_METRICS,
+  useTouchControls,
+} from "../../../store";
+import { TOUCH_CONTROLS_HEIGHT } from "./TouchControls";
+
+const METRIC_LABELS = {
+  [HEATMAP_METRICS.DWELL]: "dwell time",
+  [HEATMAP_METRICS.INTERACTIONS]: "interactions",
+};
+
+/**
+ * Légende de la carte de chaleur de fréquentation (mode debug) ; la touche H
+ * passe d'une mesure à l'autre puis masque la carte
+ * @returns {JSX.Element|null} - Le composant HeatmapLegend
+ */
+const HeatmapLegend = memo(() => {
+  const debug = useGameStore((state) => state.debug);
+  const cycleHeatmap = useGameStore((state) => state.cycleHeatmap);
+  const metric = useHeatmapMetric();
+  const currentLevel = useCurrentLevel();
+  const touchControls = useTouchControls();
+
+  useEffect(() => {
+    if (!debug) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === "h" || e.key === "H") {
+        cycleHeatmap();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [debug, cycleHeatmap]);
+
+  if (!debug || !metric || currentLevel !== GAME_LEVELS.WORLD) return null;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        bottom: `${20 + (touchControls ? TOUCH_CONTROLS_HEIGHT : 0)}px`,
+        right: "20px",
+        zIndex: 1000,
+        width: "200px",
+        fontFamily: "monospace",
+        fontSize: "12px",
+        color: "#f5f5f5",
+        background: "rgba(0, 0, 0, 0.6)",
+        padding: "8px 10px",
+        borderRadius: "4px",
+        cursor: "pointer",
+      }}
+      onClick={cycleHeatmap}
+      title="Mesure suivante (H)"
+    >
+      <div style={{ opacity: 0.8, marginBottom: "6px" }}>
+        heatmap: {METRIC_LABELS[metric]} (H)
+      </div>
+      <div
+        style={{
+          height: "6px",
+          borderRadius: "2px",
+          background:
+            "linear-gradient(to right, hsl(238, 100%, 50%), hsl(119, 100%, 50%), hsl(0, 100%, 50%))",
+        }}
+      />
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          marginTop: "4px",
+          opacity: 0.6,
+        }}
+      >
+        <span>low</span>
+        <span>high</span>
+      </div>
+      <div style={{ marginTop: "4px", opacity: 0.6 }}>
+        <span style={{ color: "#666666" }}>●</span> never viewed · lines: camera
+        paths
+      </div>
+    </div>
+  );
+});
+
+export default HeatmapLegend;
@@ -0,0 +1,125 @@
+import React, { memo, useState, useEffect, useRef } from "react";
+import Box from "@mui/material/Box";
+import useGameStore, { WORLD_VIEW_MODES, FILTER_MODES } from "../../../store";
+import useTourStore from "../../../services/TourService";
+import { getAudioState } from "../../GameAudio";
+import { endAnalyticsSession } from "../../../services/AnalyticsService";
+import {
+  subscribeActivity,
+  getLastActivityTime,
+} from "../../../services/ActivityService";
+import { getKioskConfig } from "../../../../../utils/kiosk";
+import { SESSION_END_REASONS } from "../../../../../utils/analyticsLog";
+
+// Événement envoyé aux interfaces ouvertes (recherche, collection...) pour
+// qu'elles se ferment à la réinitialisation
+export const KIOSK_RESET_EVENT = "kioskReset";
+
+const IDLE_CHECK_INTERVAL = 1000;
+
+/**
+ * Remet la borne dans son état d'accueil : niveau monde, nouvelle session
+ * (historique des visites effacé), filtres retirés, audio relancé depuis le
+ * début, puis visite guidée ou orbite automatique de la caméra
+ */
+const resetKiosk = () => {
+  console.log("Mode borne : réinitialisation après inactivité");
+
+  // Le visiteur est parti : sa session s'arrête avant le retour à l'accueil
+  endAnalyticsSession(SESSION_END_REASONS.IDLE);
+
+  useTourStore.getState().stop();
+  window.dispatchEvent(new CustomEvent(KIOSK_RESET_EVENT));
+
+  const game = useGameStore.getState();
+  game.returnToWorld();
+  game.startNewSession();
+  game.clearAttributeFilters();
+  useGameStore.setState({
+    audioEnabled: true,
+    worldViewMode: WORLD_VIEW_MODES.ALL,
+    filterMode: FILTER_MODES.DIM,
+  });
+
+  getAudioState().restart();
+
+  // Boucle d'accueil : la visite guidée si elle existe, sinon l'orbite
+  // automatique déclenchée d'habitude après AUTO_ORBIT_DELAY
+  const tour = useTourStore.getState();
+  if (tour.tour) {
+    tour.start();
+  } else if (window.__animateToCameraPosition) {
+    window.__animateToCameraPosition(0, true);
+  }
+};
+
+/**
+ * Mode borne : après le délai d'inactivité configuré (paramètre kiosk de
+ * l'URL), réinitialise la session et affiche une boucle d'accueil jusqu'à la
+ * prochaine entrée d'un visiteur (ActivityService)
+ * @returns {JSX.Element|null} - Le composant KioskMode
+ */
+const KioskMode = memo(() => {
+  const { enabled, idleDelay } = getKioskConfig();
+  const [isAttracting, setIsAttracting] = useState(enabled);
+  const isAttractingRef = useRef(isAttracting);
+  isAttractingRef.current = isAttracting;
+
+  // La première entrée d'un visiteur interrompt la boucle d'accueil
+  useEffect(() => {
+    if (!enabled) return;
+
+    return subscribeActivity(() => {
+      if (isAttractingRef.current) setIsAttracting(false);
+    });
+  }, [enabled]);
+
+  // Réinitialisation une fois le délai d'inactivité écoulé
+  useEffect(() => {
+    if (!enabled) return;
+
+    const intervalId = setInterval(() => {
+      if (isAttractingRef.current) return;
+      if (Date.now() - getLastActivityTime() < idleDelay) return;
+
+      resetKiosk();
+      setIsAttracting(true);
+    }, IDLE_CHECK_INTERVAL);
+
+    return () => clearInterval(intervalId);
+  }, [enabled, idleDelay]);
+
+  if (!enabled || !isAttracting) return null;
+
+  return (
+    <Box
+      sx={{
+        position: "fixed",
+        bottom: "15%",
+        left: "50%",
+        transform: "translateX(-50%)",
+        zIndex: 1000,
+        pointerEvents: "none",
+        textAlign: "center",
+        fontFamily: "monospace",
+        color: "#ffffff",
+        textShadow: "0 0 5px rgba(255, 255, 255, 0.7)",
+        animation: "attract 3s infinite ease-in-out",
+        "@keyframes attract": {
+          "0%": { opacity: 0.3 },
+          "50%": { opacity: 1 },
+          "100%": { opacity: 0.3 },
+        },
+      }}
+    >
+      <div style={{ fontSize: "32px", fontWeight: "bold" }}>
+        Goldberg's Variations
+      </div>
+      <div style={{ fontSize: "16px", marginTop: "12px" }}>
+        Touch the screen or press any button to explore
+      </div>
+    </Box>
+  );
+});
+
+export default KioskMode;
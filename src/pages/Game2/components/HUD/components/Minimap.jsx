@@ -0,0 +1,222 @@
+import React, { memo, useState, useEffect, useMemo } from "react";
+import { Vector3 } from "three";
+import useGameStore, { useCurrentLevel, GAME_LEVELS } from "../../../store";
+import useAssets from "../../../hooks/useAssets";
+import { DISTRICTS } from "../../DistrictLabels";
+import { BOUNDING_SPHERE_RADIUS } from "../../AdvancedCameraController/navigationConstants";
+import { calculateClusterCentroids } from "../../../scenes/World/components/Graph/utils/utils";
+
+// Taille de la carte en pixels
+export const MINIMAP_SIZE = 180;
+// Distance représentée entre le centre et le bord de la carte. Le graphe occupe
+// moins de la moitié de la sphère limite : au-delà, la caméra reste au bord
+const MINIMAP_RANGE = BOUNDING_SPHERE_RADIUS / 2;
+const CAMERA_UPDATE_INTERVAL = 100;
+
+const CENTER = MINIMAP_SIZE / 2;
+const SCALE = (MINIMAP_SIZE / 2 - 6) / MINIMAP_RANGE;
+
+/**
+ * Projette un point du monde sur la carte vue de dessus (x vers la droite,
+ * z vers le bas : la vue d'ensemble initiale regarde vers le haut)
+ * @param {{x: number, z: number}} point - Point du monde
+ * @param {boolean} [clamp=false] - Ramener le point au bord s'il est hors de portée
+ * @returns {{x: number, y: number}} - Coordonnées sur la carte
+ */
+export const projectToMap = (point, clamp = false) => {
+  let x = point.x;
+  let z = point.z;
+  const distance = Math.hypot(x, z);
+  if (clamp && distance > MINIMAP_RANGE) {
+    x *= MINIMAP_RANGE / distance;
+    z *= MINIMAP_RANGE / distance;
+  }
+  return { x: CENTER + x * SCALE, y: CENTER + z * SCALE };
+};
+
+/**
+ * Position et cap (en degrés, sens horaire depuis le haut) de la caméra
+ * @param {{position: THREE.Vector3, quaternion: THREE.Quaternion}|null} camera - Caméra du jeu
+ * @returns {{x: number, z: number, heading: number}|null}
+ */
+export const getCameraMarker = (camera) => {
+  if (!camera) return null;
+  const forward = new Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+  return {
+    x: camera.position.x,
+    z: camera.position.z,
+    heading: (Math.atan2(forward.x, -forward.z) * 180) / Math.PI,
+  };
+};
+
+/**
+ * Minimap (radar vue de dessus) : quartiers, centroïdes des clusters (visités
+ * ou non) et position de la caméra. Un clic sur un point y fait voler la
+ * caméra, et ouvre le cluster à l'arrivée
+ * @returns {JSX.Element|null} - Le composant Minimap
+ */
+const Minimap = memo(() => {
+  const assets = useAssets({ autoInit: false });
+  const currentLevel = useCurrentLevel();
+  const visitedClusters = useGameStore((state) => state.visitedClusters);
+  const setActiveLevel = useGameStore((state) => state.setActiveLevel);
+  const returnToWorld = useGameStore((state) => state.returnToWorld);
+  const [cameraMarker, setCameraMarker] = useState(null);
+
+  const centroids = useMemo(() => {
+    if (!assets.isReady) return {};
+    return calculateClusterCentroids(assets.getData("graph")?.nodes || []);
+  }, [assets.isReady, assets.getData]);
+
+  const visitedIds = useMemo(
+    () => new Set(visitedClusters.map((cluster) => String(cluster.slug))),
+    [visitedClusters]
+  );
+
+  // Suivre la caméra sans passer par le store (elle bouge à chaque frame)
+  useEffect(() => {
+    const intervalId = setInterval(() => {
+      setCameraMarker(getCameraMarker(useGameStore.getState().camera));
+    }, CAMERA_UPDATE_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  // Voler jusqu'à un point de la carte, puis exécuter onArrival
+  const flyTo = (point, message, onArrival) => {
+    if (window.__cameraAnimating) return;
+
+    if (currentLevel !== GAME_LEVELS.WORLD) {
+      returnToWorld();
+    }
+
+    if (window.__flyToTarget) {
+      window.__flyToTarget(point, { onComplete: onArrival, message });
+    } else {
+      onArrival?.();
+    }
+  };
+
+  const handleClusterClick = (clusterId, centroid) =>
+    flyTo(centroid, centroid.name, () =>
+      setActiveLevel({ id: clusterId, type: "cluster", name: centroid.name })
+    );
+
+  const handleDistrictClick = (district) => {
+    const [x, y, z] = district.position;
+    flyTo({ x, y, z }, district.text);
+  };
+
+  if (!assets.isReady) return null;
+
+  const cameraPoint = cameraMarker && projectToMap(cameraMarker, true);
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: "70px",
+        left: "20px",
+        zIndex: 1000,
+        width: `${MINIMAP_SIZE}px`,
+        height: `${MINIMAP_SIZE}px`,
+        borderRadius: "50%",
+        background: "rgba(0, 0, 0, 0.5)",
+        border: "1px solid rgba(255, 255, 255, 0.3)",
+        overflow: "hidden",
+      }}
+    >
+      <svg
+        width={MINIMAP_SIZE}
+        height={MINIMAP_SIZE}
+        style={{ display: "block", fontFamily: "monospace" }}
+      >
+        {/* Repères de distance */}
+        <circle
+          cx={CENTER}
+          cy={CENTER}
+          r={(MINIMAP_RANGE / 2) * SCALE}
+          fill="none"
+          stroke="rgba(255, 255, 255, 0.15)"
+        />
+        <line
+          x1={CENTER}
+          y1={0}
+          x2={CENTER}
+          y2={MINIMAP_SIZE}
+          stroke="rgba(255, 255, 255, 0.1)"
+        />
+        <line
+          x1={0}
+          y1={CENTER}
+          x2={MINIMAP_SIZE}
+          y2={CENTER}
+          stroke="rgba(255, 255, 255, 0.1)"
+        />
+
+        {/* Quartiers */}
+        {DISTRICTS.map((district) => {
+          const [x, , z] = district.position;
+          const point = projectToMap({ x, z });
+          return (
+            <g
+              key={district.text}
+              style={{ cursor: "pointer" }}
+              onClick={() => handleDistrictClick(district)}
+            >
+              <title>{district.text}</title>
+              <rect
+                x={point.x - 3}
+                y={point.y - 3}
+                width={6}
+                height={6}
+                fill="none"
+                stroke="rgba(255, 255, 255, 0.6)"
+              />
+              <text
+                x={point.x + 5}
+                y={point.y + 3}
+                fontSize="8"
+                fill="rgba(255, 255, 255, 0.6)"
+              >
+                {district.text}
+              </text>
+            </g>
+          );
+        })}
+
+        {/* Clusters : pleins une fois visités */}
+        {Object.entries(centroids).map(([clusterId, centroid]) => {
+          const point = projectToMap(centroid);
+          const isVisited = visitedIds.has(clusterId);
+          return (
+            <circle
+              key={clusterId}
+              cx={point.x}
+              cy={point.y}
+              r={isVisited ? 3 : 2.5}
+              fill={isVisited ? "#ffffff" : "transparent"}
+              stroke="#ffffff"
+              strokeOpacity={isVisited ? 1 : 0.6}
+              style={{ cursor: "pointer" }}
+              onClick={() => handleClusterClick(clusterId, centroid)}
+            >
+              <title>{centroid.name}</title>
+            </circle>
+          );
+        })}
+
+        {/* Caméra et direction du regard */}
+        {cameraPoint && (
+          <polygon
+            points="0,-7 4,5 0,3 -4,5"
+            fill="#4caf50"
+            transform={`translate(${cameraPoint.x} ${cameraPoint.y}) rotate(${cameraMarker.heading})`}
+            pointerEvents="none"
+          />
+        )}
+      </svg>
+    </div>
+  );
+});
+
+export default Minimap;
@@ -0,0 +1,317 @@
+import React, { memo, useState, useEffect, useMemo, useRef } from "react";
+import useGameStore, { useCurrentLevel, GAME_LEVELS } from "../../../store";
+import useAssets from "../../../hooks/useAssets";
+import { getInputManager } from "../../AdvancedCameraController/inputManager";
+import {
+  calculateClusterCentroids,
+  mapCharactersToClusters,
+} from "../../../scenes/World/components/Graph/utils/utils";
+import { fuzzySearch } from "../../../../../utils/fuzzySearch";
+import { KIOSK_RESET_EVENT } from "./KioskMode";
+
+// Champs comparés et leur poids
+const SEARCH_KEYS = [
+  { name: "displayName", weight: 1 },
+  { name: "aliases", weight: 0.9 },
+  { name: "thematic", weight: 0.6 },
+];
+const MAX_RESULTS = 8;
+// Boutons de manette utilisés dans la recherche (mapping standard)
+const GAMEPAD_BUTTONS = { A: 0, B: 1, START: 9, UP: 12, DOWN: 13 };
+const GAMEPAD_POLL_INTERVAL = 100;
+
+/**
+ * Index de recherche : un élément par persona présent dans le graphe, avec le
+ * cluster à rejoindre (le sien s'il en a un, sinon le premier où il apparaît)
+ * @param {Array} database - Contenu de database.data.json
+ * @param {Array} nodes - Nœuds du graphe spatialisé
+ * @returns {Array<{slug: string, displayName: string, aliases: Array, thematic: string, clusterId: string, clusterName: string, centroid: Object}>}
+ */
+const buildSearchIndex = (database, nodes) => {
+  if (!Array.isArray(database) || !Array.isArray(nodes)) return [];
+
+  const centroids = calculateClusterCentroids(nodes);
+  const clusterBySlug = mapCharactersToClusters(nodes);
+
+  return database
+    .filter((character) => clusterBySlug.has(character.slug))
+    .map((character) => {
+      const clusterId = String(clusterBySlug.get(character.slug));
+      const centroid = centroids[clusterId];
+      return {
+        slug: character.slug,
+        displayName: (character.displayName || character.slug).trim(),
+        aliases: character.aliases || [],
+        thematic: character.thematic || "",
+        clusterId,
+        clusterName: centroid?.name || clusterId,
+        centroid,
+      };
+    })
+    .filter((item) => item.centroid)
+    .sort((a, b) => a.displayName.localeCompare(b.displayName));
+};
+
+/**
+ * Recherche de personas (touche F ou bouton Start de la manette) : recherche
+ * approximative sur le nom, les alias et la thématique, puis vol jusqu'au
+ * cluster choisi et ouverture de celui-ci
+ * @returns {JSX.Element|null} - Le composant PersonaSearch
+ */
+const PersonaSearch = memo(() => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const inputRef = useRef(null);
+  const prevSearch = useRef(false);
+
+  const assets = useAssets({ autoInit: false });
+  const currentLevel = useCurrentLevel();
+  const setActiveLevel = useGameStore((state) => state.setActiveLevel);
+  const returnToWorld = useGameStore((state) => state.returnToWorld);
+
+  const searchIndex = useMemo(() => {
+    if (!assets.isReady) return [];
+    return buildSearchIndex(
+      assets.getData("database"),
+      assets.getData("graph")?.nodes
+    );
+  }, [assets.isReady, assets.getData]);
+
+  // Sans saisie (manette), tous les personas par ordre alphabétique
+  const results = useMemo(
+    () =>
+      query.trim()
+        ? fuzzySearch(searchIndex, query, {
+            keys: SEARCH_KEYS,
+            limit: MAX_RESULTS,
+          })
+        : searchIndex.map((item) => ({ item, key: null, match: null })),
+    [searchIndex, query]
+  );
+
+  // Fenêtre de résultats visibles autour de la sélection
+  const windowStart = Math.max(
+    0,
+    Math.min(selectedIndex - MAX_RESULTS + 1, results.length - MAX_RESULTS)
+  );
+  const visibleResults = results.slice(windowStart, windowStart + MAX_RESULTS);
+
+  const close = () => {
+    setIsOpen(false);
+    setQuery("");
+    setSelectedIndex(0);
+  };
+
+  // Voler jusqu'au cluster du persona choisi puis l'ouvrir
+  const selectResult = (result) => {
+    if (!result) return;
+    close();
+
+    const { clusterId, clusterName, centroid } = result.item;
+    const openCluster = () =>
+      setActiveLevel({ id: clusterId, type: "cluster", name: clusterName });
+
+    if (currentLevel !== GAME_LEVELS.WORLD) {
+      returnToWorld();
+    }
+
+    if (window.__flyToTarget) {
+      window.__flyToTarget(centroid, {
+        onComplete: openCluster,
+        message: result.item.displayName,
+      });
+    } else {
+      openCluster();
+    }
+  };
+
+  // Ouverture par l'action "search" du gestionnaire d'entrées (front montant).
+  // Écouteur direct plutôt que useInputs pour ne pas re-rendre à chaque frame
+  useEffect(
+    () =>
+      getInputManager().addListener((inputs) => {
+        if (inputs.search && !prevSearch.current && !window.__cameraAnimating) {
+          setIsOpen(true);
+        }
+        prevSearch.current = inputs.search;
+      }),
+    []
+  );
+
+  // La caméra ne réagit plus aux entrées tant que la recherche est ouverte
+  useEffect(() => {
+    if (!isOpen) return;
+    getInputManager().setSuspended(true);
+    inputRef.current?.focus();
+    return () => getInputManager().setSuspended(false);
+  }, [isOpen]);
+
+  useEffect(() => {
+    setSelectedIndex(0);
+  }, [query]);
+
+  // Fermée à la réinitialisation de la borne
+  useEffect(() => {
+    const handleReset = () => {
+      setIsOpen(false);
+      setQuery("");
+    };
+    window.addEventListener(KIOSK_RESET_EVENT, handleReset);
+    return () => window.removeEventListener(KIOSK_RESET_EVENT, handleReset);
+  }, []);
+
+  // Navigation à la manette : croix haut/bas, A pour choisir, B ou Start pour fermer
+  const resultsRef = useRef(results);
+  const selectedIndexRef = useRef(selectedIndex);
+  resultsRef.current = results;
+  selectedIndexRef.current = selectedIndex;
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    // Boutons déjà enfoncés à l'ouverture (Start) ignorés jusqu'au relâchement
+    const gamepad = navigator.getGamepads?.()[0];
+    const previous = {};
+    Object.values(GAMEPAD_BUTTONS).forEach((index) => {
+      previous[index] = gamepad?.buttons[index]?.pressed || false;
+    });
+
+    const intervalId = setInterval(() => {
+      const pad = navigator.getGamepads?.()[0];
+      if (!pad) return;
+
+      const pressed = (index) => {
+        const isPressed = pad.buttons[index]?.pressed || false;
+        const triggered = isPressed && !previous[index];
+        previous[index] = isPressed;
+        return triggered;
+      };
+
+      const count = resultsRef.current.length;
+      if (pressed(GAMEPAD_BUTTONS.DOWN) && count) {
+        setSelectedIndex((index) => (index + 1) % count);
+      }
+      if (pressed(GAMEPAD_BUTTONS.UP) && count) {
+        setSelectedIndex((index) => (index - 1 + count) % count);
+      }
+      if (pressed(GAMEPAD_BUTTONS.A)) {
+        selectResult(resultsRef.current[selectedIndexRef.current]);
+      }
+      const back = pressed(GAMEPAD_BUTTONS.B);
+      const start = pressed(GAMEPAD_BUTTONS.START);
+      if (back || start) {
+        close();
+      }
+    }, GAMEPAD_POLL_INTERVAL);
+
+    return () => clearInterval(intervalId);
+  }, [isOpen]);
+
+  const handleKeyDown = (e) => {
+    // Les touches saisies ne doivent pas atteindre les écouteurs de window
+    // (déplacements, son, légende...)
+    e.stopPropagation();
+
+    if (e.key === "Escape") {
+      close();
+    } else if (e.key === "ArrowDown" && results.length) {
+      e.preventDefault();
+      setSelectedIndex((index) => (index + 1) % results.length);
+    } else if (e.key === "ArrowUp" && results.length) {
+      e.preventDefault();
+      setSelectedIndex(
+        (index) => (index - 1 + results.length) % results.length
+      );
+    } else if (e.key === "Enter") {
+      selectResult(results[selectedIndex]);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top: "15%",
+        left: "50%",
+        transform: "translateX(-50%)",
+        width: "420px",
+        zIndex: 1100,
+        fontFamily: "monospace",
+        fontSize: "13px",
+        color: "#f5f5f5",
+        background: "rgba(0, 0, 0, 0.8)",
+        border: "1px solid rgba(255, 255, 255, 0.3)",
+        borderRadius: "4px",
+        padding: "10px",
+      }}
+      onKeyDown={handleKeyDown}
+      onKeyUp={(e) => e.stopPropagation()}
+    >
+      <input
+        ref={inputRef}
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onBlur={() => inputRef.current?.focus()}
+        placeholder="Rechercher un persona (nom, alias, thématique)"
+        style={{
+          width: "100%",
+          boxSizing: "border-box",
+          padding: "6px 8px",
+          fontFamily: "monospace",
+          fontSize: "14px",
+          color: "#ffffff",
+          background: "transparent",
+          border: "none",
+          borderBottom: "1px solid rgba(255, 255, 255, 0.3)",
+          outline: "none",
+        }}
+      />
+
+      <div style={{ marginTop: "6px" }}>
+        {visibleResults.length === 0 && (
+          <div style={{ padding: "6px 8px", opacity: 0.6 }}>
+            Aucun persona trouvé
+          </div>
+        )}
+        {visibleResults.map((result, i) => {
+          const index = windowStart + i;
+          const isSelected = index === selectedIndex;
+          return (
+            <div
+              key={result.item.slug}
+              onMouseEnter={() => setSelectedIndex(index)}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                selectResult(result);
+              }}
+              style={{
+                padding: "4px 8px",
+                cursor: "pointer",
+                background: isSelected
+                  ? "rgba(255, 255, 255, 0.15)"
+                  : "transparent",
+              }}
+            >
+              <div>{result.item.displayName}</div>
+              <div style={{ fontSize: "11px", opacity: 0.6 }}>
+                {result.key && result.key !== "displayName"
+                  ? `${result.match} · `
+                  : ""}
+                {result.item.clusterName}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ marginTop: "6px", fontSize: "11px", opacity: 0.5 }}>
+        ↑↓ choisir · Entrée / A aller · Échap / B fermer
+      </div>
+    </div>
+  );
+});
+
+export default PersonaSearch;
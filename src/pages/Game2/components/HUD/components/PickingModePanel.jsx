@@ -0,0 +1,72 @@
+import React, { memo } from "react";
+import useGameStore, {
+  usePickingMode,
+  useTouchControls,
+  PICKING_MODES,
+} from "../../../store";
+import { TOUCH_CONTROLS_HEIGHT } from "./TouchControls";
+
+const MODE_LABELS = {
+  [PICKING_MODES.CROSSHAIR]: "Crosshair",
+  [PICKING_MODES.POINTER]: "Pointer",
+  [PICKING_MODES.BOTH]: "Both",
+};
+
+const buttonStyle = (isSelected) => ({
+  padding: "2px 6px",
+  border: "1px solid rgba(255, 255, 255, 0.3)",
+  borderRadius: "3px",
+  background: isSelected ? "rgba(255, 255, 255, 0.3)" : "transparent",
+  color: "#f5f5f5",
+  fontFamily: "monospace",
+  fontSize: "11px",
+  cursor: "pointer",
+});
+
+/**
+ * Mode de désignation (mode debug) : viseur seul, pointeur seul (souris,
+ * toucher) ou les deux
+ * @returns {JSX.Element|null} - Le composant PickingModePanel
+ */
+const PickingModePanel = memo(() => {
+  const debug = useGameStore((state) => state.debug);
+  const setPickingMode = useGameStore((state) => state.setPickingMode);
+  const pickingMode = usePickingMode();
+  const touchControls = useTouchControls();
+
+  if (!debug) return null;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        bottom: `${200 + (touchControls ? TOUCH_CONTROLS_HEIGHT : 0)}px`,
+        right: "20px",
+        zIndex: 1000,
+        width: "200px",
+        fontFamily: "monospace",
+        fontSize: "12px",
+        color: "#f5f5f5",
+        background: "rgba(0, 0, 0, 0.6)",
+        padding: "8px 10px",
+        borderRadius: "4px",
+      }}
+    >
+      <div style={{ opacity: 0.8, marginBottom: "6px" }}>picking</div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "4px" }}>
+        {Object.values(PICKING_MODES).map((mode) => (
+          <button
+            key={mode}
+            type="button"
+            style={buttonStyle(pickingMode === mode)}
+            onClick={() => setPickingMode(mode)}
+          >
+            {MODE_LABELS[mode]}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+export default PickingModePanel;
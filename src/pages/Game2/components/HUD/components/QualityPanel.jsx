@@ -0,0 +1,76 @@
+import React, { memo } from "react";
+import useGameStore, {
+  useQualityPreset,
+  useTouchControls,
+} from "../../../store";
+import { QUALITY_PRESETS } from "../../../constants/QualityPresets";
+import { TOUCH_CONTROLS_HEIGHT } from "./TouchControls";
+
+const buttonStyle = (isSelected) => ({
+  padding: "2px 6px",
+  border: "1px solid rgba(255, 255, 255, 0.3)",
+  borderRadius: "3px",
+  background: isSelected ? "rgba(255, 255, 255, 0.3)" : "transparent",
+  color: "#f5f5f5",
+  fontFamily: "monospace",
+  fontSize: "11px",
+  cursor: "pointer",
+});
+
+/**
+ * Qualité graphique (mode debug) : préréglage appliqué et choix manuel qui
+ * remplace le mode automatique
+ * @returns {JSX.Element|null} - Le composant QualityPanel
+ */
+const QualityPanel = memo(() => {
+  const debug = useGameStore((state) => state.debug);
+  const qualityOverride = useGameStore((state) => state.qualityOverride);
+  const setQualityOverride = useGameStore((state) => state.setQualityOverride);
+  const quality = useQualityPreset();
+  const touchControls = useTouchControls();
+
+  if (!debug) return null;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        bottom: `${130 + (touchControls ? TOUCH_CONTROLS_HEIGHT : 0)}px`,
+        right: "20px",
+        zIndex: 1000,
+        width: "200px",
+        fontFamily: "monospace",
+        fontSize: "12px",
+        color: "#f5f5f5",
+        background: "rgba(0, 0, 0, 0.6)",
+        padding: "8px 10px",
+        borderRadius: "4px",
+      }}
+    >
+      <div style={{ opacity: 0.8, marginBottom: "6px" }}>
+        quality: {quality.label} ({qualityOverride ? "manual" : "auto"})
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "4px" }}>
+        <button
+          type="button"
+          style={buttonStyle(!qualityOverride)}
+          onClick={() => setQualityOverride(null)}
+        >
+          Auto
+        </button>
+        {QUALITY_PRESETS.map((preset) => (
+          <button
+            key={preset.id}
+            type="button"
+            style={buttonStyle(qualityOverride === preset.id)}
+            onClick={() => setQualityOverride(preset.id)}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+export default QualityPanel;
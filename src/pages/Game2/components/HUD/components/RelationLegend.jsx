@@ -0,0 +1,81 @@
+import React, { memo, useState, useEffect } from "react";
+import { useTouchControls } from "../../../store";
+import { RELATION_CATEGORIES } from "../../../constants/RelationStyles";
+import { TOUCH_CONTROLS_HEIGHT } from "./TouchControls";
+
+// Échantillon de trait (plein ou pointillé) pour la légende
+const LineSample = ({ color, dashed = false }) => (
+  <span
+    style={{
+      display: "inline-block",
+      width: "22px",
+      marginRight: "8px",
+      verticalAlign: "middle",
+      borderTop: `2px ${dashed ? "dashed" : "solid"} ${color}`,
+    }}
+  />
+);
+
+/**
+ * Légende des styles de liens (type de relation et caractère direct/indirect)
+ * Repliable avec la touche L
+ * @returns {JSX.Element} - Le composant RelationLegend
+ */
+const RelationLegend = memo(() => {
+  const [isOpen, setIsOpen] = useState(false);
+  const touchControls = useTouchControls();
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "l" || e.key === "L") {
+        setIsOpen((prev) => !prev);
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        bottom: `${20 + (touchControls ? TOUCH_CONTROLS_HEIGHT : 0)}px`,
+        left: "20px",
+        zIndex: 1000,
+        fontFamily: "monospace",
+        fontSize: "12px",
+        color: "#f5f5f5",
+        background: isOpen ? "rgba(0, 0, 0, 0.6)" : "transparent",
+        padding: "8px 10px",
+        borderRadius: "4px",
+        cursor: "pointer",
+      }}
+      onClick={() => setIsOpen((prev) => !prev)}
+      title={isOpen ? "Masquer la légende (L)" : "Afficher la légende (L)"}
+    >
+      <div style={{ opacity: 0.8 }}>{isOpen ? "▾" : "▸"} legend (L)</div>
+
+      {isOpen && (
+        <div style={{ marginTop: "6px", lineHeight: "18px" }}>
+          {Object.values(RELATION_CATEGORIES).map((category) => (
+            <div key={category.id}>
+              <LineSample color={category.color} />
+              {category.label}
+            </div>
+          ))}
+          <div style={{ marginTop: "6px" }}>
+            <LineSample color="#f5f5f5" />
+            Lien direct
+          </div>
+          <div>
+            <LineSample color="#f5f5f5" dashed />
+            Lien indirect
+          </div>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default RelationLegend;
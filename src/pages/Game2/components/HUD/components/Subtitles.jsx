@@ -6,80 +6,26 @@ import {
   useImperativeHandle,
 } from "react";
 import useAssets from "../../../hooks/useAssets";
-import useGameStore from "../../../store";
+import useGameStore, { useTouchControls } from "../../../store";
 import { getAudioState } from "../../GameAudio";
-
-// Configuration des sous-titres
-const SUBTITLES_CONFIG = {
-  OFFSET_SECONDS: 2.5, // Décalage des sous-titres en secondes
-};
+import { parseSRT, SUBTITLES_OFFSET_SECONDS } from "../../../../../utils/srt";
+import { TOUCH_CONTROLS_HEIGHT } from "./TouchControls";
 
 // Mise en cache des sous-titres déjà parsés
 let parsedSubtitlesCache = null;
 
 /**
- * Fonction pour parser un fichier SRT et obtenir les sous-titres formatés
+ * Parse le fichier SRT de l'interview une seule fois
  * @param {string} srtContent - Contenu du fichier SRT
  * @returns {Array} - Tableau d'objets de sous-titres
  */
-const parseSRT = (srtContent) => {
-  if (!srtContent) return [];
-
-  // Utiliser le cache si disponible
-  if (parsedSubtitlesCache) return parsedSubtitlesCache;
-
-  // Diviser le contenu SRT en blocs de sous-titres
-  const subtitleBlocks = srtContent.trim().split(/\r?\n\r?\n/);
-
-  parsedSubtitlesCache = subtitleBlocks
-    .map((block) => {
-      const lines = block.split(/\r?\n/);
-
-      // Ignorer les blocs mal formés
-      if (lines.length < 3) return null;
-
-      // Extraire l'index (pas utilisé, mais c'est un bon check)
-      const index = parseInt(lines[0], 10);
-
-      // Extraire et parser les timestamps
-      const timestamps = lines[1].split(" --> ");
-      if (timestamps.length !== 2) return null;
-
-      const startTime = parseTimeString(timestamps[0]);
-      const endTime = parseTimeString(timestamps[1]);
-
-      // Extraire le texte (peut être sur plusieurs lignes)
-      const text = lines.slice(2).join(" ");
-
-      return {
-        index,
-        startTime: startTime / 1000, // Convertir en secondes pour correspondre à currentTime
-        endTime: endTime / 1000, // Convertir en secondes pour correspondre à currentTime
-        text,
-      };
-    })
-    .filter(Boolean); // Filtrer les valeurs null
-
+const getParsedSubtitles = (srtContent) => {
+  if (!parsedSubtitlesCache) {
+    parsedSubtitlesCache = parseSRT(srtContent);
+  }
   return parsedSubtitlesCache;
 };
 
-/**
- * Converti un timestamp SRT (HH:MM:SS,MMM) en millisecondes
- * @param {string} timeString - Timestamp au format SRT
- * @returns {number} - Temps en millisecondes
- */
-const parseTimeString = (timeString) => {
-  const [time, milliseconds] = timeString.replace(",", ".").split(".");
-  const [hours, minutes, seconds] = time.split(":").map(Number);
-
-  return (
-    hours * 3600000 + // Heures en ms
-    minutes * 60000 + // Minutes en ms
-    seconds * 1000 + // Secondes en ms
-    parseInt(milliseconds || 0, 10) // Millisecondes
-  );
-};
-
 /**
  * Composant pour afficher les sous-titres synchronisés avec l'audio
  * Cette implémentation évite les re-rendus React et utilise le DOM direct
@@ -87,6 +33,7 @@ const parseTimeString = (timeString) => {
 const Subtitles = memo(() => {
   const assets = useAssets({ autoInit: false });
   const audioEnabled = useGameStore((state) => state.audioEnabled);
+  const touchControls = useTouchControls();
   const containerRef = useRef(null);
   const subtitlesRef = useRef([]);
   const currentSubtitleRef = useRef(null);
@@ -137,13 +84,21 @@ const Subtitles = memo(() => {
     };
   }, []);
 
+  // Remonter les sous-titres au-dessus des commandes tactiles
+  useEffect(() => {
+    if (!containerRef.current) return;
+    containerRef.current.style.bottom = `${
+      40 + (touchControls ? TOUCH_CONTROLS_HEIGHT : 0)
+    }px`;
+  }, [touchControls]);
+
   // Charger les sous-titres une seule fois
   useEffect(() => {
     if (!assets.isReady || subtitlesRef.current.length > 0) return;
 
     const srtContent = assets.getData("srt_interview");
     if (srtContent) {
-      const parsedSubtitles = parseSRT(srtContent);
+      const parsedSubtitles = getParsedSubtitles(srtContent);
       subtitlesRef.current = parsedSubtitles;
       console.log("Sous-titres chargés:", parsedSubtitles.length);
     }
@@ -153,8 +108,7 @@ const Subtitles = memo(() => {
   const findCurrentSubtitle = (time) => {
     if (!subtitlesRef.current.length) return null;
 
-    const offsetSeconds = SUBTITLES_CONFIG.OFFSET_SECONDS;
-    const adjustedTime = Math.max(0, time - offsetSeconds);
+    const adjustedTime = Math.max(0, time - SUBTITLES_OFFSET_SECONDS);
 
     return subtitlesRef.current.find(
       (sub) => adjustedTime >= sub.startTime && adjustedTime <= sub.endTime
@@ -0,0 +1,193 @@
+import React, { memo, useState, useEffect, useCallback, useRef } from "react";
+import TouchJoystick from "../../../../../components/TouchJoystick";
+import useGameStore, { useTouchControls } from "../../../store";
+import { getInputManager } from "../../AdvancedCameraController/inputManager";
+import { INPUT_ACTIONS } from "../../AdvancedCameraController/navigationConstants";
+
+// Hauteur réservée en bas de l'écran par les commandes tactiles (px) : les
+// éléments du HUD placés en bas remontent d'autant quand elles sont affichées
+export const TOUCH_CONTROLS_HEIGHT = 180;
+
+const JOYSTICK_SIZE = 130;
+
+// Écran sans survol et à pointeur grossier : tablette ou borne tactile
+const TOUCH_MEDIA_QUERY = "(hover: none) and (pointer: coarse)";
+
+// Boutons rattachés aux actions de INPUT_ACTIONS ; Up et Down agissent sur
+// le même axe et s'annulent quand ils sont maintenus ensemble
+const TOUCH_BUTTONS = [
+  { action: "MOVE_UP", input: "moveUp", value: 1 },
+  { action: "MOVE_DOWN", input: "moveUp", value: -1 },
+  { action: "INTERACT", input: "interact", value: true },
+];
+
+const ZERO_CONTROLS = {
+  moveForward: 0,
+  moveRight: 0,
+  moveUp: 0,
+  lookHorizontal: 0,
+  lookVertical: 0,
+  interact: false,
+};
+
+const buttonStyle = (isPressed) => ({
+  width: "44px",
+  height: "44px",
+  border: "1px solid rgba(255, 255, 255, 0.4)",
+  borderRadius: "50%",
+  background: isPressed ? "rgba(255, 255, 255, 0.35)" : "rgba(0, 0, 0, 0.4)",
+  color: "#fff",
+  fontFamily: "monospace",
+  fontSize: "12px",
+  touchAction: "none",
+  userSelect: "none",
+  pointerEvents: "auto",
+});
+
+/**
+ * Entrées des boutons maintenus : somme des axes, OU des actions
+ * @param {Object} pressed - Boutons maintenus par action
+ * @returns {Object} - Entrées à transmettre à l'InputManager
+ */
+const getButtonInputs = (pressed) => {
+  const held = TOUCH_BUTTONS.filter((button) => pressed[button.action]);
+  return {
+    moveUp: held
+      .filter((button) => button.input === "moveUp")
+      .reduce((total, button) => total + button.value, 0),
+    interact: held.some((button) => button.input === "interact"),
+  };
+};
+
+/**
+ * Commandes tactiles : joystick de déplacement à gauche, joystick de regard
+ * et boutons (monter, descendre, interagir) à droite. Elles apparaissent
+ * dès qu'un toucher est détecté et disparaissent au premier clic de souris
+ * @returns {JSX.Element|null} - Le composant TouchControls
+ */
+const TouchControls = memo(() => {
+  const touchControls = useTouchControls();
+  const setTouchControls = useGameStore((state) => state.setTouchControls);
+  const [pressed, setPressed] = useState({});
+  const pressedRef = useRef({});
+
+  // Détection du périphérique de pointage
+  useEffect(() => {
+    if (window.matchMedia?.(TOUCH_MEDIA_QUERY).matches) {
+      setTouchControls(true);
+    }
+
+    const handlePointerDown = (event) => {
+      if (event.pointerType === "touch") {
+        setTouchControls(true);
+      } else if (event.pointerType === "mouse") {
+        setTouchControls(false);
+      }
+    };
+
+    window.addEventListener("pointerdown", handlePointerDown, true);
+    return () => {
+      window.removeEventListener("pointerdown", handlePointerDown, true);
+      setTouchControls(false);
+    };
+  }, [setTouchControls]);
+
+  // Les commandes masquées ne doivent laisser aucune entrée active
+  useEffect(() => {
+    if (touchControls) return;
+    pressedRef.current = {};
+    setPressed({});
+    getInputManager().updateTouchInputs("controls", ZERO_CONTROLS);
+  }, [touchControls]);
+
+  const handleMove = useCallback(
+    ({ x, y }) =>
+      getInputManager().updateTouchInputs("controls", {
+        moveForward: y,
+        moveRight: x,
+      }),
+    []
+  );
+
+  const handleLook = useCallback(
+    ({ x, y }) =>
+      getInputManager().updateTouchInputs("controls", {
+        lookHorizontal: x,
+        lookVertical: y,
+      }),
+    []
+  );
+
+  const setButton = (action, isPressed) => {
+    if (Boolean(pressedRef.current[action]) === isPressed) return;
+    pressedRef.current = { ...pressedRef.current, [action]: isPressed };
+    setPressed(pressedRef.current);
+    getInputManager().updateTouchInputs(
+      "controls",
+      getButtonInputs(pressedRef.current)
+    );
+  };
+
+  if (!touchControls) return null;
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        left: "20px",
+        right: "20px",
+        bottom: "20px",
+        height: `${TOUCH_CONTROLS_HEIGHT - 20}px`,
+        zIndex: 1001,
+        display: "flex",
+        alignItems: "flex-end",
+        justifyContent: "space-between",
+        color: "#fff",
+        fontFamily: "monospace",
+        pointerEvents: "none",
+        userSelect: "none",
+      }}
+    >
+      <div style={{ pointerEvents: "auto" }}>
+        <TouchJoystick
+          size={JOYSTICK_SIZE}
+          label="move"
+          onChange={handleMove}
+        />
+      </div>
+      <div style={{ display: "flex", alignItems: "flex-end", gap: "16px" }}>
+        <div
+          style={{
+            display: "flex",
+            flexDirection: "column",
+            gap: "8px",
+          }}
+        >
+          {TOUCH_BUTTONS.map((button) => (
+            <button
+              key={button.action}
+              type="button"
+              title={INPUT_ACTIONS[button.action].description}
+              style={buttonStyle(pressed[button.action])}
+              onPointerDown={() => setButton(button.action, true)}
+              onPointerUp={() => setButton(button.action, false)}
+              onPointerCancel={() => setButton(button.action, false)}
+              onPointerLeave={() => setButton(button.action, false)}
+            >
+              {INPUT_ACTIONS[button.action].touch}
+            </button>
+          ))}
+        </div>
+        <div style={{ pointerEvents: "auto" }}>
+          <TouchJoystick
+            size={JOYSTICK_SIZE}
+            label="look"
+            onChange={handleLook}
+          />
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default TouchControls;
@@ -1,5 +1,6 @@
 import React, { memo } from "react";
 import PreloaderBackground from "./PreloaderBackground";
+import ValidationReport from "./ValidationReport";
 
 /**
  * Composant pour afficher une barre de chargement minimaliste
@@ -8,9 +9,10 @@ import PreloaderBackground from "./PreloaderBackground";
  * @param {string} props.message - Message à afficher
  * @param {number} props.stage - Étape actuelle du chargement
  * @param {number} props.totalStages - Nombre total d'étapes
+ * @param {Object} [props.report] - Rapport de données à afficher en mode debug ({reports, loadErrors})
  * @returns {JSX.Element} - Le composant LoadingBar
  */
-const LoadingBar = memo(({ progress, message, stage, totalStages }) => {
+const LoadingBar = memo(({ progress, message, stage, totalStages, report }) => {
   // Calculer la progression totale en tenant compte de l'étape actuelle
   const totalProgress =
     stage > 0
@@ -68,6 +70,12 @@ const LoadingBar = memo(({ progress, message, stage, totalStages }) => {
           {message || `loading ${Math.round(totalProgress)}%`}
         </div>
       </div>
+      {report && (
+        <ValidationReport
+          reports={report.reports}
+          loadErrors={report.loadErrors}
+        />
+      )}
     </div>
   );
 });
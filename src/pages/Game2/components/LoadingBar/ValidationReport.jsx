@@ -0,0 +1,84 @@
+import React, { memo } from "react";
+
+const ISSUE_COLORS = {
+  error: "#d66",
+  warning: "#c9a227",
+};
+
+/**
+ * Affiche une ligne de problème du rapport
+ */
+const IssueLine = ({ level, path, message }) => (
+  <div style={{ color: ISSUE_COLORS[level], whiteSpace: "pre-wrap" }}>
+    {level === "error" ? "✖" : "!"} {path} — {message}
+  </div>
+);
+
+/**
+ * Rapport lisible des erreurs de chargement et de validation des données,
+ * affiché sous la barre de chargement en mode debug
+ * @param {Object} props - Les propriétés du composant
+ * @param {Array} props.reports - Rapports produits par DataValidator
+ * @param {Array} props.loadErrors - Erreurs de chargement de l'AssetManager [{id, error}]
+ * @returns {JSX.Element} - Le composant ValidationReport
+ */
+const ValidationReport = memo(({ reports = [], loadErrors = [] }) => {
+  return (
+    <div
+      style={{
+        width: "640px",
+        maxWidth: "90vw",
+        maxHeight: "50vh",
+        overflowY: "auto",
+        padding: "12px",
+        border: "1px solid #222",
+        background: "rgba(0, 0, 0, 0.85)",
+        color: "#999",
+        fontSize: "10px",
+        fontFamily: "monospace",
+        lineHeight: 1.5,
+        zIndex: 1,
+      }}
+    >
+      {loadErrors.length > 0 && (
+        <div style={{ marginBottom: "10px" }}>
+          <div style={{ color: "#fff", textTransform: "uppercase" }}>
+            loading errors
+          </div>
+          {loadErrors.map(({ id, error }) => (
+            <IssueLine
+              key={id}
+              level="error"
+              path={id}
+              message={error?.message || String(error)}
+            />
+          ))}
+        </div>
+      )}
+
+      {reports.map((report) => (
+        <div key={report.id} style={{ marginBottom: "10px" }}>
+          <div style={{ color: "#fff", textTransform: "uppercase" }}>
+            {report.id} — {report.errors.length} error(s),{" "}
+            {report.warnings.length} warning(s)
+          </div>
+          {report.errors.map((issue, index) => (
+            <IssueLine key={`e${index}`} level="error" {...issue} />
+          ))}
+          {report.warnings.map((issue, index) => (
+            <IssueLine key={`w${index}`} level="warning" {...issue} />
+          ))}
+          {report.truncated > 0 && (
+            <div>… {report.truncated} more issue(s), see console</div>
+          )}
+        </div>
+      ))}
+
+      <div style={{ color: "#666", textTransform: "uppercase" }}>
+        press enter to continue anyway
+      </div>
+    </div>
+  );
+});
+
+export default ValidationReport;
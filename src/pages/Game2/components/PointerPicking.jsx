@@ -0,0 +1,119 @@
+import { memo, useEffect } from "react";
+import { useThree } from "@react-three/fiber";
+import useGameStore, { usePickingMode, PICKING_MODES } from "../store";
+import useCollisionStore from "../services/CollisionService";
+
+// Au-delà de ce déplacement (px) ou de cette durée (ms), un appui n'est
+// plus un clic ou un toucher bref
+const TAP_MAX_DISTANCE = 10;
+const TAP_MAX_DURATION = 500;
+
+/**
+ * Désignation au pointeur : la souris survole les clusters et les nœuds, un
+ * clic ou un toucher sur un cluster l'ouvre. Le survol est appliqué par les
+ * mêmes boucles de détection que le viseur (CollisionManager,
+ * AdvancedCluster) ; au toucher, le pointeur reste sur le dernier élément
+ * touché jusqu'au toucher suivant
+ * @returns {null}
+ */
+const PointerPicking = memo(() => {
+  const gl = useThree((state) => state.gl);
+  const camera = useThree((state) => state.camera);
+  const pickingMode = usePickingMode();
+
+  useEffect(() => {
+    const { setPointer, clearPointer, findPointedBox } =
+      useCollisionStore.getState();
+    if (pickingMode === PICKING_MODES.CROSSHAIR) return;
+
+    const canvas = gl.domElement;
+    let pressed = null;
+    // Pointeurs appuyés : un deuxième doigt fait du toucher un geste
+    // (TouchGestures), qui n'ouvre rien
+    const activePointers = new Set();
+
+    const updatePointer = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      setPointer(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+    };
+
+    const handlePointerMove = (event) => {
+      // Au toucher, seuls les appuis déplacent le pointeur
+      if (event.pointerType === "touch") return;
+      updatePointer(event);
+    };
+
+    const handlePointerDown = (event) => {
+      activePointers.add(event.pointerId);
+      pressed =
+        activePointers.size === 1
+          ? { x: event.clientX, y: event.clientY, time: event.timeStamp }
+          : null;
+    };
+
+    const handlePointerCancel = (event) => {
+      activePointers.delete(event.pointerId);
+      pressed = null;
+    };
+
+    const handlePointerUp = (event) => {
+      activePointers.delete(event.pointerId);
+      if (!pressed) return;
+      const isTap =
+        Math.hypot(event.clientX - pressed.x, event.clientY - pressed.y) <=
+          TAP_MAX_DISTANCE &&
+        event.timeStamp - pressed.time <= TAP_MAX_DURATION;
+      pressed = null;
+      if (!isTap) return;
+
+      updatePointer(event);
+      const { activeLevel, setHoveredCluster, setActiveLevel } =
+        useGameStore.getState();
+
+      // Dans un cluster, le nœud touché est activé par AdvancedCluster
+      if (activeLevel?.type === "cluster") {
+        if (!findPointedBox(camera, "nodes")) clearPointer();
+        return;
+      }
+
+      const cluster = findPointedBox(camera, "clusters");
+      if (!cluster) {
+        clearPointer();
+        return;
+      }
+
+      setHoveredCluster(cluster.id);
+      setActiveLevel({
+        id: cluster.id,
+        type: "cluster",
+        name: cluster.data?.name || null,
+      });
+    };
+
+    const handlePointerLeave = (event) => {
+      if (event.pointerType !== "touch") clearPointer();
+    };
+
+    canvas.addEventListener("pointermove", handlePointerMove);
+    canvas.addEventListener("pointerdown", handlePointerDown);
+    canvas.addEventListener("pointerup", handlePointerUp);
+    canvas.addEventListener("pointercancel", handlePointerCancel);
+    canvas.addEventListener("pointerleave", handlePointerLeave);
+
+    return () => {
+      canvas.removeEventListener("pointermove", handlePointerMove);
+      canvas.removeEventListener("pointerdown", handlePointerDown);
+      canvas.removeEventListener("pointerup", handlePointerUp);
+      canvas.removeEventListener("pointercancel", handlePointerCancel);
+      canvas.removeEventListener("pointerleave", handlePointerLeave);
+      clearPointer();
+    };
+  }, [gl, camera, pickingMode]);
+
+  return null;
+});
+
+export default PointerPicking;
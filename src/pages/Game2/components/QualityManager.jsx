@@ -0,0 +1,58 @@
+import { memo, useRef } from "react";
+import { PerformanceMonitor } from "@react-three/drei";
+import useGameStore from "../store";
+import { QUALITY_PRESETS } from "../constants/QualityPresets";
+
+// Délai avant de retenter un préréglage abandonné pour lenteur (ms) : sans
+// lui, le rendu oscillerait entre deux préréglages voisins
+const QUALITY_RETRY_DELAY = 60000;
+
+/**
+ * Gestionnaire de qualité : surveille le temps de rendu des images et passe
+ * au préréglage inférieur quand la fréquence chute, au supérieur quand elle
+ * reste au maximum. Inactif quand un préréglage est imposé (mode debug)
+ * @returns {JSX.Element|null} - Le composant QualityManager
+ */
+const QualityManager = memo(() => {
+  const qualityOverride = useGameStore((state) => state.qualityOverride);
+  const setQualityLevel = useGameStore((state) => state.setQualityLevel);
+  // Dernier préréglage abandonné : {index, time}
+  const droppedRef = useRef(null);
+
+  const stepQuality = (direction) => {
+    const { qualityLevel } = useGameStore.getState();
+    const index = QUALITY_PRESETS.findIndex(
+      (preset) => preset.id === qualityLevel
+    );
+    const nextIndex = index + direction;
+    if (nextIndex < 0 || nextIndex >= QUALITY_PRESETS.length) return;
+
+    const dropped = droppedRef.current;
+    if (
+      direction > 0 &&
+      dropped?.index === nextIndex &&
+      performance.now() - dropped.time < QUALITY_RETRY_DELAY
+    ) {
+      return;
+    }
+    if (direction < 0) {
+      droppedRef.current = { index, time: performance.now() };
+    }
+
+    console.log(
+      `Qualité graphique : ${qualityLevel} → ${QUALITY_PRESETS[nextIndex].id}`
+    );
+    setQualityLevel(QUALITY_PRESETS[nextIndex].id);
+  };
+
+  if (qualityOverride) return null;
+
+  return (
+    <PerformanceMonitor
+      onIncline={() => stepQuality(1)}
+      onDecline={() => stepQuality(-1)}
+    />
+  );
+});
+
+export default QualityManager;
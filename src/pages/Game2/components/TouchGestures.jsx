@@ -0,0 +1,104 @@
+import { memo, useEffect } from "react";
+import { useThree } from "@react-three/fiber";
+import { getInputManager } from "./AdvancedCameraController/inputManager";
+
+// Écart depuis le début du geste qui donne une entrée pleine : comme un
+// joystick, le geste maintenu garde la caméra en mouvement
+const PINCH_RANGE = 150; // px d'écartement entre les deux doigts
+const DRAG_RANGE = 120; // px de déplacement du milieu des deux doigts
+const TWIST_RANGE = Math.PI / 4; // rad de rotation des deux doigts
+
+const ZERO_GESTURES = {
+  moveForward: 0,
+  lookHorizontal: 0,
+  lookVertical: 0,
+  roll: 0,
+};
+
+// Écartement, milieu et angle de deux pointeurs
+const measure = ([a, b]) => ({
+  distance: Math.hypot(b.x - a.x, b.y - a.y),
+  midX: (a.x + b.x) / 2,
+  midY: (a.y + b.y) / 2,
+  angle: Math.atan2(b.y - a.y, b.x - a.x),
+});
+
+/**
+ * Gestes à deux doigts sur la scène : écarter les doigts avance, les
+ * rapprocher recule, les glisser ensemble oriente le regard et les faire
+ * tourner incline la caméra. Un seul doigt reste à la désignation au
+ * pointeur (PointerPicking)
+ * @returns {null}
+ */
+const TouchGestures = memo(() => {
+  const gl = useThree((state) => state.gl);
+
+  useEffect(() => {
+    const inputManager = getInputManager();
+    const canvas = gl.domElement;
+    // Sans cela, le navigateur zoome ou fait défiler la page
+    const previousTouchAction = canvas.style.touchAction;
+    canvas.style.touchAction = "none";
+
+    const pointers = new Map();
+    let start = null;
+
+    const handlePointerDown = (event) => {
+      if (event.pointerType !== "touch") return;
+      pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      // Le geste démarre au deuxième doigt ; un troisième l'interrompt
+      start = pointers.size === 2 ? measure([...pointers.values()]) : null;
+      if (pointers.size > 2) {
+        inputManager.updateTouchInputs("gestures", ZERO_GESTURES);
+      }
+    };
+
+    const handlePointerMove = (event) => {
+      if (!pointers.has(event.pointerId)) return;
+      pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      if (!start) return;
+
+      const current = measure([...pointers.values()]);
+      // Écart d'angle ramené dans [-π, π]
+      const twist = Math.atan2(
+        Math.sin(current.angle - start.angle),
+        Math.cos(current.angle - start.angle)
+      );
+
+      inputManager.updateTouchInputs("gestures", {
+        moveForward: (current.distance - start.distance) / PINCH_RANGE,
+        lookHorizontal: (current.midX - start.midX) / DRAG_RANGE,
+        lookVertical: -(current.midY - start.midY) / DRAG_RANGE,
+        // L'axe y de l'écran pointe vers le bas : l'angle croît dans le sens
+        // horaire, alors qu'un roll positif penche à gauche (touche Q)
+        roll: -twist / TWIST_RANGE,
+      });
+    };
+
+    const handlePointerUp = (event) => {
+      if (!pointers.delete(event.pointerId)) return;
+      if (start) {
+        start = null;
+        inputManager.updateTouchInputs("gestures", ZERO_GESTURES);
+      }
+    };
+
+    canvas.addEventListener("pointerdown", handlePointerDown);
+    canvas.addEventListener("pointermove", handlePointerMove);
+    canvas.addEventListener("pointerup", handlePointerUp);
+    canvas.addEventListener("pointercancel", handlePointerUp);
+
+    return () => {
+      canvas.removeEventListener("pointerdown", handlePointerDown);
+      canvas.removeEventListener("pointermove", handlePointerMove);
+      canvas.removeEventListener("pointerup", handlePointerUp);
+      canvas.removeEventListener("pointercancel", handlePointerUp);
+      canvas.style.touchAction = previousTouchAction;
+      inputManager.updateTouchInputs("gestures", ZERO_GESTURES);
+    };
+  }, [gl]);
+
+  return null;
+});
+
+export default TouchGestures;
@@ -0,0 +1,176 @@
+import React, { memo, useState, useEffect, useMemo } from "react";
+import * as THREE from "three";
+import useGameStore, { useHeatmapMetric } from "../../store";
+import useAssets from "../../hooks/useAssets";
+import { CAMERA_SAMPLE_INTERVAL } from "../../services/AnalyticsService";
+import {
+  buildDwellHeatmap,
+  getHeatIntensity,
+} from "../../scenes/World/components/Graph/utils/dwellHeatmap";
+import { getAllEvents, getCameraSamples } from "../../../../utils/analyticsLog";
+
+// Couleur des nœuds et clusters jamais regardés
+const IGNORED_COLOR = new THREE.Color("#666666");
+const NODE_POINT_SIZE = 30;
+const MIN_CLUSTER_RADIUS = 40;
+
+/**
+ * Couleur d'une intensité : du bleu (peu fréquenté) au rouge (très fréquenté)
+ * @param {number} intensity - Intensité normalisée (0-1)
+ * @returns {THREE.Color}
+ */
+const getHeatColor = (intensity) =>
+  intensity > 0
+    ? new THREE.Color().setHSL((1 - intensity) * 0.66, 1, 0.5)
+    : IGNORED_COLOR;
+
+/**
+ * Carte de chaleur de fréquentation (mode debug, touche H) : nœuds et
+ * clusters du monde colorés selon le temps passé ou les interactions des
+ * visiteurs, et trajets de caméra les plus fréquents en traits pâles
+ * @returns {JSX.Element|null} - Le composant DwellHeatmap
+ */
+const DwellHeatmap = memo(() => {
+  const debug = useGameStore((state) => state.debug);
+  const metric = useHeatmapMetric();
+  const assets = useAssets({ autoInit: false });
+  const [heatmap, setHeatmap] = useState(null);
+  const isVisible = debug && metric !== null;
+
+  // Journal relu à chaque affichage de la carte
+  useEffect(() => {
+    if (!isVisible || !assets.isReady) return;
+
+    let cancelled = false;
+    const nodes = assets.getData("graph")?.nodes || [];
+
+    Promise.all([getAllEvents(), getCameraSamples()])
+      .then(([events, samples]) => {
+        if (cancelled) return;
+        const result = buildDwellHeatmap(
+          nodes,
+          events,
+          samples,
+          CAMERA_SAMPLE_INTERVAL
+        );
+        console.log(
+          `Carte de chaleur : ${result.sessionCount} sessions, ${samples.length} positions de caméra`
+        );
+        setHeatmap({ ...result, graphNodes: nodes });
+      })
+      .catch((error) => {
+        console.error(
+          "Carte de chaleur : lecture du journal impossible",
+          error
+        );
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isVisible, assets.isReady, assets.getData]);
+
+  // Nœuds colorés selon la mesure choisie
+  const nodeGeometry = useMemo(() => {
+    if (!heatmap) return null;
+
+    const { graphNodes, nodes, maxima } = heatmap;
+    const positions = new Float32Array(graphNodes.length * 3);
+    const colors = new Float32Array(graphNodes.length * 3);
+
+    graphNodes.forEach((node, i) => {
+      positions.set([node.x || 0, node.y || 0, node.z || 0], i * 3);
+      const intensity = getHeatIntensity(
+        nodes.get(node.id)?.[metric] || 0,
+        maxima.nodes[metric]
+      );
+      const color = getHeatColor(intensity);
+      colors.set([color.r, color.g, color.b], i * 3);
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+    return geometry;
+  }, [heatmap, metric]);
+
+  // Trajets : segments plus lumineux quand ils sont plus empruntés
+  const trajectoryGeometry = useMemo(() => {
+    if (!heatmap || heatmap.trajectories.length === 0) return null;
+
+    const positions = [];
+    const colors = [];
+    heatmap.trajectories.forEach(({ from, to, weight }) => {
+      const brightness = 0.15 + weight * 0.6;
+      positions.push(from.x, from.y, from.z, to.x, to.y, to.z);
+      colors.push(...Array(6).fill(brightness));
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      "position",
+      new THREE.Float32BufferAttribute(positions, 3)
+    );
+    geometry.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+    return geometry;
+  }, [heatmap]);
+
+  // Libérer les géométries remplacées
+  useEffect(() => () => nodeGeometry?.dispose(), [nodeGeometry]);
+  useEffect(() => () => trajectoryGeometry?.dispose(), [trajectoryGeometry]);
+
+  if (!isVisible || !heatmap) return null;
+
+  return (
+    <group>
+      <points geometry={nodeGeometry} raycast={() => null}>
+        <pointsMaterial
+          size={NODE_POINT_SIZE}
+          vertexColors
+          transparent
+          opacity={0.9}
+          depthWrite={false}
+          blending={THREE.AdditiveBlending}
+        />
+      </points>
+
+      {[...heatmap.clusters.entries()].map(([clusterId, cluster]) => {
+        const intensity = getHeatIntensity(
+          cluster[metric],
+          heatmap.maxima.clusters[metric]
+        );
+        return (
+          <mesh
+            key={clusterId}
+            position={[cluster.x, cluster.y, cluster.z]}
+            raycast={() => null}
+          >
+            <sphereGeometry
+              args={[Math.max(cluster.radius, MIN_CLUSTER_RADIUS), 24, 16]}
+            />
+            <meshBasicMaterial
+              color={getHeatColor(intensity)}
+              transparent
+              opacity={0.05 + intensity * 0.15}
+              depthWrite={false}
+            />
+          </mesh>
+        );
+      })}
+
+      {trajectoryGeometry && (
+        <lineSegments geometry={trajectoryGeometry} raycast={() => null}>
+          <lineBasicMaterial
+            vertexColors
+            transparent
+            opacity={0.5}
+            depthWrite={false}
+            blending={THREE.AdditiveBlending}
+          />
+        </lineSegments>
+      )}
+    </group>
+  );
+});
+
+export default DwellHeatmap;
@@ -81,6 +81,10 @@ export const DATA_FILES = [
     id: "srt_interview",
     file: "interview.srt",
   },
+  {
+    id: "tour",
+    file: "tour.data.json",
+  },
 ];
 
 /**
@@ -0,0 +1,61 @@
+/**
+ * Préréglages de qualité graphique, du plus léger au plus coûteux. Le
+ * gestionnaire de qualité (components/QualityManager) passe de l'un à l'autre
+ * selon le temps de rendu des images ; le mode debug permet d'en imposer un.
+ * "ultra" correspond au rendu d'origine de l'installation.
+ */
+
+// Ordre de parcours : un cran vers le bas allège le rendu
+export const QUALITY_PRESETS = [
+  {
+    id: "low",
+    label: "Low",
+    dpr: 0.75, // Résolution de rendu (nombre ou [min, max] pour le Canvas)
+    bloom: false,
+    stars: 1000, // Étoiles du fond
+    blackHoleParticles: 6000,
+    shootingStars: 0, // Étoiles filantes simultanées
+    labelDistance: 0.5, // Facteur des distances d'affichage des labels
+  },
+  {
+    id: "medium",
+    label: "Medium",
+    dpr: 1,
+    bloom: false,
+    stars: 2000,
+    blackHoleParticles: 15000,
+    shootingStars: 3,
+    labelDistance: 0.75,
+  },
+  {
+    id: "high",
+    label: "High",
+    dpr: [1, 1.5],
+    bloom: true,
+    stars: 3000,
+    blackHoleParticles: 25000,
+    shootingStars: 6,
+    labelDistance: 1,
+  },
+  {
+    id: "ultra",
+    label: "Ultra",
+    dpr: [1, 2],
+    bloom: true,
+    stars: 4000,
+    blackHoleParticles: 35000,
+    shootingStars: 8,
+    labelDistance: 1,
+  },
+];
+
+// Préréglage de départ du mode automatique
+export const DEFAULT_QUALITY_PRESET = "ultra";
+
+/**
+ * Retrouve un préréglage par son ID
+ * @param {string} id - ID du préréglage
+ * @returns {Object|undefined} - Le préréglage, undefined si l'ID est inconnu
+ */
+export const findQualityPreset = (id) =>
+  QUALITY_PRESETS.find((preset) => preset.id === id);
@@ -0,0 +1,129 @@
+/**
+ * Styles des liens selon leur type de relation (relationType) et leur
+ * caractère direct ou indirect (isDirect). Partagé par le graphe du monde,
+ * AdvancedLink et la légende du HUD.
+ */
+
+// Catégories de relations, dans l'ordre d'affichage de la légende.
+// `match` contient des débuts de mots de relationType normalisés (minuscules, sans accents)
+export const RELATION_CATEGORIES = {
+  ALLY: {
+    id: "ally",
+    label: "Allié",
+    color: "#4caf50",
+    match: ["allie", "ami", "collaboration"],
+  },
+  ENEMY: {
+    id: "enemy",
+    label: "Ennemi",
+    color: "#f44336",
+    match: ["ennemi"],
+  },
+  THREAT: {
+    id: "threat",
+    label: "Harcèlement / menace",
+    color: "#ff7043",
+    match: ["harcelement", "ciblage", "menace", "incitation"],
+  },
+  MANIPULATION: {
+    id: "manipulation",
+    label: "Manipulation / usurpation",
+    color: "#ba68c8",
+    match: [
+      "manipulation",
+      "instrumentalisation",
+      "usurpation",
+      "infiltration",
+    ],
+  },
+  DISINFORMATION: {
+    id: "disinformation",
+    label: "Désinformation",
+    color: "#ffca28",
+    match: ["desinformation", "fake news"],
+  },
+  INVESTIGATION: {
+    id: "investigation",
+    label: "Enquête",
+    color: "#42a5f5",
+    match: ["enquete"],
+  },
+  PRESENCE: {
+    id: "presence",
+    label: "Présence sur une plateforme",
+    color: "#ffffff",
+    match: ["presence", "communication"],
+  },
+  SHARED_PLATFORM: {
+    id: "shared-platform",
+    label: "Plateforme partagée (pont entre clusters)",
+    color: "#26c6da",
+    match: ["plateforme partagee"],
+  },
+  OTHER: {
+    id: "other",
+    label: "Autre relation",
+    color: "#9e9e9e",
+    match: [],
+  },
+};
+
+// Opacité des liens structurels (personnage - plateforme) et des relations
+const PRESENCE_OPACITY = 0.35;
+const RELATION_OPACITY = 0.85;
+
+const normalizeText = (text) =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+
+/**
+ * Catégorie d'un type de relation
+ * @param {string} relationType - Type de relation ("Ennemi", "Allié", ...)
+ * @returns {Object} - Entrée de RELATION_CATEGORIES
+ */
+export const getRelationCategory = (relationType) => {
+  const normalized = normalizeText(relationType);
+  if (!normalized) return RELATION_CATEGORIES.OTHER;
+
+  return (
+    Object.values(RELATION_CATEGORIES).find((category) =>
+      category.match.some((fragment) =>
+        new RegExp(`\\b${fragment}`).test(normalized)
+      )
+    ) || RELATION_CATEGORIES.OTHER
+  );
+};
+
+/**
+ * Indique si un lien est direct. Les données contiennent "Direct", "Indirect",
+ * "indirect" ou des booléens ; toute autre valeur est considérée comme directe.
+ * @param {string|boolean} isDirect - Valeur isDirect du lien
+ * @returns {boolean}
+ */
+export const isDirectLink = (isDirect) => {
+  if (typeof isDirect === "boolean") return isDirect;
+  return normalizeText(isDirect) !== "indirect";
+};
+
+/**
+ * Style d'affichage d'un lien
+ * @param {Object} link - Lien {relationType, isDirect}
+ * @returns {{key: string, category: Object, color: string, dashed: boolean, opacity: number}}
+ */
+export const getLinkStyle = (link) => {
+  const category = getRelationCategory(link.relationType);
+  const dashed = !isDirectLink(link.isDirect);
+  return {
+    key: `${category.id}${dashed ? "-dashed" : ""}`,
+    category,
+    color: category.color,
+    dashed,
+    opacity:
+      category === RELATION_CATEGORIES.PRESENCE
+        ? PRESENCE_OPACITY
+        : RELATION_OPACITY,
+  };
+};
@@ -15,6 +15,10 @@ const useAssets = (options = { autoInit: true }) => {
   // États locaux pour suivre l'état de chargement
   const [isReady, setIsReady] = useState(useAssetStore.getState().initialized);
   const [progress, setProgress] = useState(0);
+  const [validation, setValidation] = useState(
+    useAssetStore.getState().validation
+  );
+  const [errors, setErrors] = useState(useAssetStore.getState().loading.errors);
 
   // Initialiser le gestionnaire d'assets si autoInit est true
   useEffect(() => {
@@ -26,6 +30,8 @@ const useAssets = (options = { autoInit: true }) => {
       const unsubscribe = useAssetStore.subscribe((state) => {
         setProgress(state.loading.progress);
         setIsReady(!state.loading.inProgress && state.initialized);
+        setValidation(state.validation);
+        setErrors(state.loading.errors);
       });
 
       // Se désabonner quand le composant est démonté
@@ -84,6 +90,8 @@ const useAssets = (options = { autoInit: true }) => {
   return {
     isReady,
     progress,
+    validation,
+    errors,
     getTexture,
     getSound,
     getData,
@@ -1,5 +1,6 @@
 import { useEffect } from "react";
 import useGameStore from "../store";
+import { isKioskMode } from "../../../utils/kiosk";
 
 // Constante pour la clé de stockage
 const DEBUG_MODE_STORAGE_KEY = "goldbergs_debug_mode";
@@ -32,13 +33,15 @@ export function storeDebugMode(isDebugEnabled) {
 
 /**
  * Hook to manage debug mode functionality
- * Toggles debug mode with 'P' key
+ * Toggles debug mode with 'P' key (disabled in kiosk mode)
  * The debug state is managed in the game store
  */
 function useDebugMode() {
   const toggleDebug = useGameStore((state) => state.toggleDebug);
 
   useEffect(() => {
+    if (isKioskMode()) return;
+
     // Utiliser une closure pour limiter les appels à toggleDebug (debounce)
     let lastToggleTime = 0;
     const toggleCooldown = 300; // ms
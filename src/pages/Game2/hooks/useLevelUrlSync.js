@@ -0,0 +1,228 @@
+import { useEffect, useMemo, useRef } from "react";
+import { useHref, useLocation, useNavigate } from "react-router-dom";
+import useGameStore from "../store";
+import useAssets from "./useAssets";
+import {
+  buildLevelIndex,
+  resolveLevel,
+  getLevelTarget,
+} from "../scenes/World/components/Graph/utils/utils";
+
+// Routes du jeu : /game, /game/cluster/:slug et /game/persona/:slug
+const GAME_PATH = "/game";
+const LEVEL_PATH_PATTERN = /^\/game\/(cluster|persona)\/([^/]+)\/?$/;
+
+// Pose de la caméra dans l'URL : ?camera=x,y,z,qx,qy,qz,qw
+const CAMERA_PARAM = "camera";
+const CAMERA_SYNC_INTERVAL = 1000;
+
+// Attente du contrôleur de caméra (monté de façon asynchrone dans le Canvas)
+const CONTROLLER_POLL_INTERVAL = 100;
+const CONTROLLER_MAX_ATTEMPTS = 50;
+
+/**
+ * Sérialise la pose de la caméra (positions arrondies, quaternion à 4 décimales)
+ * @param {THREE.Camera} camera - Caméra du jeu
+ * @returns {string}
+ */
+export const encodeCameraPose = (camera) =>
+  [
+    ...camera.position.toArray().map((value) => Math.round(value)),
+    ...camera.quaternion.toArray().map((value) => Number(value.toFixed(4))),
+  ].join(",");
+
+/**
+ * Lit une pose de caméra sérialisée par encodeCameraPose
+ * @param {string|null} value - Valeur du paramètre camera
+ * @returns {{position: Object, quaternion: Object}|null} - Pose, ou null si invalide
+ */
+export const decodeCameraPose = (value) => {
+  if (!value) return null;
+
+  const parts = value.split(",").map(Number);
+  if (parts.length !== 7 || !parts.every(Number.isFinite)) return null;
+
+  const [x, y, z, qx, qy, qz, qw] = parts;
+  return {
+    position: { x, y, z },
+    quaternion: { x: qx, y: qy, z: qz, w: qw },
+  };
+};
+
+/**
+ * Chemin correspondant à un niveau du store (les clusters sont désignés par
+ * le slug de leur personnage principal)
+ * @param {Object|null} level - activeLevel du store
+ * @param {Object} centroids - Centroïdes des clusters par ID
+ * @returns {string}
+ */
+export const levelToPath = (level, centroids) => {
+  if (!level?.id) return GAME_PATH;
+
+  if (level.type === "cluster") {
+    const slug = centroids[level.id]?.slug || level.id;
+    return `${GAME_PATH}/cluster/${encodeURIComponent(slug)}`;
+  }
+  if (level.type === "persona") {
+    return `${GAME_PATH}/persona/${encodeURIComponent(level.id)}`;
+  }
+
+  return GAME_PATH;
+};
+
+/**
+ * Niveau correspondant à un chemin du jeu
+ * @param {string} pathname - Chemin de l'URL
+ * @param {Object} index - Index construit par buildLevelIndex
+ * @returns {Object|null} - Données du niveau, ou null pour le niveau monde
+ */
+export const pathToLevel = (pathname, index) => {
+  const match = pathname.match(LEVEL_PATH_PATTERN);
+  if (!match) return null;
+
+  try {
+    return resolveLevel(match[1], decodeURIComponent(match[2]), index);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Synchronise le niveau actif et la pose de la caméra avec l'URL, pour pouvoir
+ * partager un lien vers une vue précise. Chaque changement de niveau ajoute une
+ * entrée à l'historique (le bouton retour remonte les niveaux) ; la pose est
+ * réécrite sur l'entrée courante quand la caméra est immobile.
+ * @param {boolean} enabled - Active la synchronisation (jeu affiché)
+ */
+const useLevelUrlSync = (enabled) => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const baseHref = useHref("/");
+  const assets = useAssets({ autoInit: false });
+  const activeLevel = useGameStore((state) => state.activeLevel);
+  const setActiveLevel = useGameStore((state) => state.setActiveLevel);
+  const returnToWorld = useGameStore((state) => state.returnToWorld);
+
+  // Chemin correspondant au niveau du store (null tant que l'URL n'est pas appliquée)
+  const syncedPathRef = useRef(null);
+  const lastPoseRef = useRef(null);
+  const controllerPollRef = useRef(null);
+
+  const index = useMemo(() => {
+    if (!assets.isReady) return null;
+    return buildLevelIndex(
+      assets.getData("graph")?.nodes || [],
+      assets.getData("database")
+    );
+  }, [assets.isReady, assets.getData]);
+
+  const isActive = enabled && index !== null;
+
+  // URL → store : lien ouvert, bouton retour/suivant du navigateur
+  useEffect(() => {
+    if (!isActive || location.pathname === syncedPathRef.current) return;
+
+    const level = pathToLevel(location.pathname, index);
+    const path = levelToPath(level, index.centroids);
+    const pose = decodeCameraPose(
+      new URLSearchParams(location.search).get(CAMERA_PARAM)
+    );
+    syncedPathRef.current = path;
+
+    // Lien invalide ou ID numérique : afficher le chemin canonique
+    if (path !== location.pathname) {
+      navigate(pose ? `${path}${location.search}` : path, { replace: true });
+    }
+
+    if (level) {
+      setActiveLevel(level);
+    } else {
+      returnToWorld();
+    }
+
+    const target = getLevelTarget(level, index);
+    if (!pose && !target) return;
+
+    // Placer la caméra dès que le contrôleur est monté (il lance sa propre
+    // transition initiale au montage)
+    clearInterval(controllerPollRef.current);
+    controllerPollRef.current = null;
+    let attempts = 0;
+    const applyCamera = () => {
+      if (pose && window.__setCameraPose) {
+        window.__setCameraPose(pose);
+      } else if (!pose && window.__flyToTarget) {
+        window.__flyToTarget(target, { message: level.name });
+      } else {
+        return ++attempts >= CONTROLLER_MAX_ATTEMPTS;
+      }
+      return true;
+    };
+
+    if (!applyCamera()) {
+      controllerPollRef.current = setInterval(() => {
+        if (!applyCamera()) return;
+        clearInterval(controllerPollRef.current);
+        controllerPollRef.current = null;
+      }, CONTROLLER_POLL_INTERVAL);
+    }
+  }, [isActive, location.pathname]);
+
+  // Store → URL : nouvelle entrée d'historique à chaque changement de niveau.
+  // Le niveau est relu dans le store car l'effet précédent peut l'avoir
+  // modifié pendant le même rendu
+  useEffect(() => {
+    if (!isActive || syncedPathRef.current === null) return;
+
+    const path = levelToPath(
+      useGameStore.getState().activeLevel,
+      index.centroids
+    );
+    if (path === syncedPathRef.current) return;
+
+    syncedPathRef.current = path;
+    navigate(path);
+  }, [isActive, activeLevel]);
+
+  // Pose de la caméra : remplacée sur l'entrée courante sans passer par le
+  // routeur, pour ne pas re-rendre le jeu à chaque écriture
+  useEffect(() => {
+    if (!isActive) return;
+
+    const intervalId = setInterval(() => {
+      // Pas d'écriture tant que la pose du lien n'est pas appliquée
+      const camera = useGameStore.getState().camera;
+      if (
+        !camera ||
+        !syncedPathRef.current ||
+        controllerPollRef.current ||
+        window.__cameraAnimating
+      ) {
+        return;
+      }
+
+      const pose = encodeCameraPose(camera);
+      if (pose === lastPoseRef.current) return;
+      lastPoseRef.current = pose;
+
+      const href = `${baseHref.replace(/\/$/, "")}${
+        syncedPathRef.current
+      }?${CAMERA_PARAM}=${pose}`;
+      window.history.replaceState(window.history.state, "", href);
+    }, CAMERA_SYNC_INTERVAL);
+
+    return () => clearInterval(intervalId);
+  }, [isActive, baseHref]);
+
+  // Au démontage, l'URL devra être ré-appliquée au prochain montage
+  useEffect(
+    () => () => {
+      clearInterval(controllerPollRef.current);
+      syncedPathRef.current = null;
+      lastPoseRef.current = null;
+    },
+    []
+  );
+};
+
+export default useLevelUrlSync;
@@ -1,8 +1,16 @@
 import React, { memo, useEffect, useMemo } from "react";
 import { useThree } from "@react-three/fiber";
 import useAssets from "../../hooks/useAssets";
-import useGameStore, { useActiveLevel } from "../../store";
+import useGameStore, {
+  useActiveLevel,
+  useAttributeFilters,
+  useFilterMode,
+  FILTER_MODES,
+  PICKING_MODES,
+} from "../../store";
 import { findClusterIdBySlug } from "../World/components/Graph/utils/utils";
+import { buildRelationshipLinks } from "../World/components/Graph/utils/relationshipLinks";
+import { applyAttributeFilters } from "../World/components/Graph/utils/attributeFilters";
 import AdvancedNode from "./components/AdvancedNode";
 import AdvancedLink from "./components/AdvancedLink";
 import useCollisionStore, {
@@ -19,6 +27,8 @@ const AdvancedCluster = memo(() => {
   const returnToWorld = useGameStore((state) => state.returnToWorld);
   const setActiveNodeData = useGameStore((state) => state.setActiveNodeData);
   const activeNodeData = useGameStore((state) => state.activeNodeData);
+  const attributeFilters = useAttributeFilters();
+  const hideFiltered = useFilterMode() === FILTER_MODES.HIDE;
   const registerNodeBoxes = useCollisionStore(
     (state) => state.registerNodeBoxes
   );
@@ -28,6 +38,7 @@ const AdvancedCluster = memo(() => {
   const calculateDetectionPoint = useCollisionStore(
     (state) => state.calculateDetectionPoint
   );
+  const findPointedBox = useCollisionStore((state) => state.findPointedBox);
   const setCollisionMask = useCollisionStore((state) => state.setCollisionMask);
   const camera = useThree((state) => state.camera);
 
@@ -71,10 +82,16 @@ const AdvancedCluster = memo(() => {
       return nodeIds.has(sourceId) && nodeIds.has(targetId);
     });
 
+    // Relations entre personnages du cluster issues de la base de données
+    const relationshipLinks = buildRelationshipLinks(
+      assets.getData("database"),
+      clusterInfo.clusterNodes
+    );
+
     return {
       clusterId: clusterInfo.clusterId,
       nodes: clusterInfo.clusterNodes,
-      links: clusterLinks,
+      links: [...clusterLinks, ...relationshipLinks],
       mainNode: clusterInfo.mainNode,
     };
   }, [activeLevel, assets.isReady, assets.getData]);
@@ -90,12 +107,28 @@ const AdvancedCluster = memo(() => {
     return map;
   }, [clusterData]);
 
-  // Enregistrer les boîtes de collision des nœuds
+  // Nœuds correspondant aux filtres d'attributs (null sans filtre actif)
+  const filterResult = useMemo(
+    () =>
+      clusterData &&
+      applyAttributeFilters(
+        clusterData.nodes,
+        assets.getData("database"),
+        attributeFilters
+      ),
+    [clusterData, assets.getData, attributeFilters]
+  );
+  const isFilteredOut = (nodeId) =>
+    Boolean(filterResult) && !filterResult.matchingNodeIds.has(nodeId);
+
+  // Enregistrer les boîtes de collision des nœuds (sauf ceux masqués par les filtres)
   useEffect(() => {
     if (!clusterData?.nodes) return;
 
     const nodeBoxes = {};
     clusterData.nodes.forEach((node) => {
+      if (hideFiltered && isFilteredOut(node.id)) return;
+
       const box = useCollisionStore
         .getState()
         .createBoundingBox(
@@ -114,7 +147,13 @@ const AdvancedCluster = memo(() => {
       registerNodeBoxes({});
       setCollisionMask(CollisionLayers.CLUSTERS);
     };
-  }, [clusterData, registerNodeBoxes, setCollisionMask]);
+  }, [
+    clusterData,
+    filterResult,
+    hideFiltered,
+    registerNodeBoxes,
+    setCollisionMask,
+  ]);
 
   // Détecter les collisions avec les nœuds
   useEffect(() => {
@@ -124,8 +163,12 @@ const AdvancedCluster = memo(() => {
       // Calculer le point de détection devant la caméra
       calculateDetectionPoint(camera);
 
-      // Trouver le nœud en collision
-      const node = findContainingNode();
+      // Trouver le nœud sous le pointeur (prioritaire) ou en collision
+      const { pickingMode } = useGameStore.getState();
+      const node =
+        (pickingMode !== PICKING_MODES.CROSSHAIR &&
+          findPointedBox(camera, "nodes")) ||
+        (pickingMode !== PICKING_MODES.POINTER ? findContainingNode() : null);
       if (node) {
         const nodeSlug = node.data.slug || String(node.data.id);
 
@@ -178,7 +221,13 @@ const AdvancedCluster = memo(() => {
       clearInterval(interval);
       setActiveNodeData(null);
     };
-  }, [camera, calculateDetectionPoint, findContainingNode, setActiveNodeData]);
+  }, [
+    camera,
+    calculateDetectionPoint,
+    findContainingNode,
+    findPointedBox,
+    setActiveNodeData,
+  ]);
 
   // Gérer la touche Échap pour retourner au monde
   useEffect(() => {
@@ -214,24 +263,35 @@ const AdvancedCluster = memo(() => {
 
         if (!source || !target) return null;
 
+        const filteredOut =
+          isFilteredOut(source.id) || isFilteredOut(target.id);
+        if (filteredOut && hideFiltered) return null;
+
         return (
           <AdvancedLink
             key={`advanced-link-${index}`}
             sourceNode={source}
             targetNode={target}
-            isDirect={link.isDirect !== false}
+            link={link}
+            dimmed={filteredOut}
           />
         );
       })}
 
       {/* Nœuds du cluster */}
-      {clusterData.nodes.map((node) => (
-        <AdvancedNode
-          key={`advanced-node-${node.id}`}
-          node={node}
-          isActive={activeNodeData === (node.slug || String(node.id))}
-        />
-      ))}
+      {clusterData.nodes.map((node) => {
+        const filteredOut = isFilteredOut(node.id);
+        if (filteredOut && hideFiltered) return null;
+
+        return (
+          <AdvancedNode
+            key={`advanced-node-${node.id}`}
+            node={node}
+            isActive={activeNodeData === (node.slug || String(node.id))}
+            dimmed={filteredOut}
+          />
+        );
+      })}
     </group>
   );
 });
@@ -1,11 +1,20 @@
 import React, { memo, useMemo } from "react";
 import * as THREE from "three";
 import { Line } from "@react-three/drei";
+import { getLinkStyle } from "../../../constants/RelationStyles";
+
+// Opacité des liens estompés par les filtres d'attributs
+const DIMMED_OPACITY = 0.08;
 
 /**
  * Composant AdvancedLink - Version améliorée des liens pour le mode avancé
+ * La couleur suit le type de relation du lien, les liens indirects sont en pointillés
  */
-const AdvancedLink = memo(({ sourceNode, targetNode, isDirect = true }) => {
+const AdvancedLink = memo(({ sourceNode, targetNode, link = {}, dimmed }) => {
+  // Style selon relationType et isDirect (estompé si exclu par les filtres)
+  const style = useMemo(() => getLinkStyle(link), [link]);
+  const opacity = dimmed ? DIMMED_OPACITY : Math.max(style.opacity, 0.5);
+
   // Constantes pour les lignes en pointillé
   const dashSize = 2.0;
   const gapSize = 0.25;
@@ -118,11 +127,11 @@ const AdvancedLink = memo(({ sourceNode, targetNode, isDirect = true }) => {
       {/* Ligne principale */}
       <Line
         points={vectorData.points}
-        lineWidth={0.75}
-        color="#ffffff"
-        opacity={0.8}
+        lineWidth={style.category.id === "presence" ? 0.75 : 1.25}
+        color={style.color}
+        opacity={opacity}
         transparent
-        dashed={!isDirect}
+        dashed={style.dashed}
         dashSize={dashSize}
         gapSize={gapSize}
       />
@@ -133,15 +142,15 @@ const AdvancedLink = memo(({ sourceNode, targetNode, isDirect = true }) => {
           <Line
             points={arrowVectors.branch1}
             lineWidth={0.5}
-            color="#ffffff"
-            opacity={0.8}
+            color={style.color}
+            opacity={opacity}
             transparent
           />
           <Line
             points={arrowVectors.branch2}
             lineWidth={0.5}
-            color="#ffffff"
-            opacity={0.8}
+            color={style.color}
+            opacity={opacity}
             transparent
           />
         </>
@@ -6,10 +6,13 @@ import SvgPath from "../../../components/SvgPath";
 import NodeHoverEffect from "./NodeHoverEffect";
 import useGameStore from "../../../store";
 
+// Opacité relative des nœuds estompés par les filtres d'attributs
+const DIMMED_OPACITY_FACTOR = 0.15;
+
 /**
  * Composant AdvancedNode - Version améliorée des nœuds pour le mode avancé
  */
-const AdvancedNode = memo(({ node, isActive = false }) => {
+const AdvancedNode = memo(({ node, isActive = false, dimmed = false }) => {
   const [svgError, setSvgError] = useState(false);
   const [showEffect, setShowEffect] = useState(false);
   const [effectKey, setEffectKey] = useState(0);
@@ -27,19 +30,20 @@ const AdvancedNode = memo(({ node, isActive = false }) => {
   const isClusterMaster = node.isClusterMaster === true;
   const isPlatform = node.type === "platform";
 
-  // Calculer l'opacité en fonction de l'état de visite
+  // Calculer l'opacité en fonction de l'état de visite et des filtres
   const nodeStyle = useMemo(() => {
+    const filterFactor = dimmed ? DIMMED_OPACITY_FACTOR : 1;
     if (isClusterMaster) {
       return {
-        opacity: 1.0,
-        textOpacity: 1.0,
+        opacity: filterFactor,
+        textOpacity: filterFactor,
       };
     }
     return {
-      opacity: isNodeVisited ? 0.1 : 1.0,
-      textOpacity: isNodeVisited ? 0.1 : 1.0,
+      opacity: (isNodeVisited ? 0.1 : 1.0) * filterFactor,
+      textOpacity: (isNodeVisited ? 0.1 : 1.0) * filterFactor,
     };
-  }, [isNodeVisited, isClusterMaster]);
+  }, [isNodeVisited, isClusterMaster, dimmed]);
 
   // Gérer l'effet temporaire quand le nœud devient actif
   useEffect(() => {
@@ -115,6 +119,7 @@ const AdvancedNode = memo(({ node, isActive = false }) => {
             outlineWidth={isClusterMaster ? 0.5 : 0}
             outlineColor="#000000"
             opacity={nodeStyle.textOpacity}
+            opacityScale={dimmed ? DIMMED_OPACITY_FACTOR : 1}
           />
         </Billboard>
       )}
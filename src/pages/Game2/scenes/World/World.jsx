@@ -1,5 +1,10 @@
 import React, { memo } from "react";
-import useGameStore, { useCurrentLevel, GAME_LEVELS } from "../../store";
+import useGameStore, {
+  useCurrentLevel,
+  useQualityPreset,
+  GAME_LEVELS,
+  JOSHUA_PERSONA,
+} from "../../store";
 import {
   BOUNDING_SPHERE_RADIUS,
   BASE_CAMERA_DISTANCE,
@@ -9,6 +14,7 @@ import ShootingStars from "../../components/ShootingStars";
 import BlackHoleEffect from "../../components/BlackHoleEffect";
 import DistrictLabels from "../../components/DistrictLabels";
 import SvgPath from "../../components/SvgPath";
+import DwellHeatmap from "../../components/debug/DwellHeatmap";
 import useAssets from "../../hooks/useAssets";
 import Graph from "./components/Graph/Graph";
 import AdvancedCluster from "../AdvancedCluster/AdvancedCluster";
@@ -21,13 +27,8 @@ const Joshua = memo(() => {
   const [useFallback, setUseFallback] = React.useState(false);
 
   const handleClick = () => {
-    const persona = {
-      id: "joshua-persona",
-      name: "Joshua Goldberg",
-      type: "persona",
-    };
-    setActiveLevel(persona);
-    console.log("Active persona set:", persona);
+    setActiveLevel(JOSHUA_PERSONA);
+    console.log("Active persona set:", JOSHUA_PERSONA);
   };
 
   const handleSvgError = (err) => {
@@ -73,25 +74,35 @@ const Joshua = memo(() => {
 
 // Composant pour le niveau monde principal
 const WorldLevel = memo(() => {
+  const quality = useQualityPreset();
+
   return (
     <>
       {/* Éléments principaux de la scène */}
       <Joshua />
       <Graph />
-      <DistrictLabels textSize={25} maxDistance={2000} minDistance={1000} />
-
-      {/* Effets visuels spatiaux */}
-      <ShootingStars
-        count={8}
-        sphereRadius={BOUNDING_SPHERE_RADIUS}
-        innerRadius={BASE_CAMERA_DISTANCE * 0.25}
-        targetRadius={BASE_CAMERA_DISTANCE * 0.025}
-        spawnInterval={{ min: 5, max: 10 }}
+      <DistrictLabels
+        textSize={25}
+        maxDistance={2000 * quality.labelDistance}
+        minDistance={1000 * quality.labelDistance}
       />
+      <DwellHeatmap />
+
+      {/* Effets visuels spatiaux (selon le préréglage de qualité) */}
+      {quality.shootingStars > 0 && (
+        <ShootingStars
+          count={quality.shootingStars}
+          sphereRadius={BOUNDING_SPHERE_RADIUS}
+          innerRadius={BASE_CAMERA_DISTANCE * 0.25}
+          targetRadius={BASE_CAMERA_DISTANCE * 0.025}
+          spawnInterval={{ min: 5, max: 10 }}
+        />
+      )}
       <BlackHoleEffect
+        key={quality.blackHoleParticles}
         position={[420, 0, 0]}
         size={20}
-        particles={35000}
+        particles={quality.blackHoleParticles}
         rotationSpeed={0.12}
         spiralTightness={5}
         rotation={[0.2, -2.5, 0.5]}
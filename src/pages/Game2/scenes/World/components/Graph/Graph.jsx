@@ -1,5 +1,6 @@
 import React, {
   useEffect,
+  useLayoutEffect,
   useState,
   memo,
   useMemo,
@@ -16,9 +17,31 @@ import {
   calculateClusterCentroids,
   calculateClusterBoundingBoxes,
 } from "./utils/utils";
+import { buildRelationshipLinks } from "./utils/relationshipLinks";
+import { applyAttributeFilters } from "./utils/attributeFilters";
+import {
+  createNodeMaterial,
+  createEdgeMaterial,
+  initNodeInstances,
+  updateNodeInstances,
+  buildEdgeGeometry,
+  updateEdgeColors,
+} from "./utils/graphBuffers";
+import {
+  buildInterClusterLinks,
+  isBridgeLink,
+} from "../../../../../../utils/interClusterLinks";
+import { getLinkStyle } from "../../../../constants/RelationStyles";
 import useCollisionStore from "../../../../services/CollisionService";
-import useGameStore from "../../../../store";
-import { useInputs } from "../../../../components/AdvancedCameraController/inputManager";
+import useGameStore, {
+  useWorldViewMode,
+  useAttributeFilters,
+  useFilterMode,
+  useQualityPreset,
+  WORLD_VIEW_MODES,
+  FILTER_MODES,
+} from "../../../../store";
+import { getInputManager } from "../../../../components/AdvancedCameraController/inputManager";
 import { useInteractionText } from "../../../../components/AdvancedCameraController/CameraIndicators";
 
 // Contexte pour partager l'état d'activité des clusters sans re-rendus inutiles
@@ -28,9 +51,22 @@ const ActiveClusterContext = createContext(null);
 const tempVec3 = new THREE.Vector3();
 const tempBox3 = new THREE.Box3();
 
+// Opacité relative des éléments estompés par les filtres d'attributs
+const FILTERED_OPACITY_FACTOR = 0.15;
+
+// Opacité des nœuds : normale, estompée (vue des ponts, filtres)
+const NODE_OPACITY = 0.9;
+const NODE_DIMMED_OPACITY = 0.15;
+const NODE_RADIUS = 3.5;
+// Mise en avant du cluster survolé
+const HOVERED_NODE_SCALE = 1.4;
+const HOVERED_EDGE_OPACITY_FACTOR = 1.6;
+
 /**
  * Composant simple pour afficher un graphe avec des sphères et des lignes
- * Charge les données du fichier final_spatialized_graph.data.json
+ * Charge les données du fichier final_spatialized_graph.data.json.
+ * Nœuds et liens sont rendus en deux appels (graphBuffers) : survols et
+ * filtres modifient leurs attributs sans re-rendre de composants
  */
 const Graph = memo(() => {
   const [graphData, setGraphData] = useState(null);
@@ -40,12 +76,9 @@ const Graph = memo(() => {
   const { scene } = useThree();
   const lastDetectionTime = useRef(0);
 
-  // Références pour les géométries et matériaux partagés
-  const geometriesRef = useRef({});
-  const materialsRef = useRef({});
-
-  // Accéder aux entrées unifiées (clavier et manette)
-  const inputs = useInputs();
+  // Entrées lues à chaque frame : un état React re-rendrait le graphe à
+  // chaque mise à jour des entrées
+  const interactRef = useRef(false);
   const prevInteract = useRef(false);
 
   // Déplacer les appels de hooks au niveau supérieur
@@ -55,6 +88,12 @@ const Graph = memo(() => {
   const hoveredCluster = useGameStore((state) => state.hoveredCluster);
   const setActiveLevel = useGameStore((state) => state.setActiveLevel);
   const setActiveNodeData = useGameStore((state) => state.setActiveNodeData);
+  const showBridgesOnly = useWorldViewMode() === WORLD_VIEW_MODES.BRIDGES;
+  const attributeFilters = useAttributeFilters();
+  const hideFiltered = useFilterMode() === FILTER_MODES.HIDE;
+  const setHiddenClusterIds = useGameStore(
+    (state) => state.setHiddenClusterIds
+  );
 
   // Mémoriser les fonctions qui utilisent les valeurs du store
   const setHoveredCluster = useMemo(
@@ -121,8 +160,8 @@ const Graph = memo(() => {
   // Vérifier à chaque frame si l'action interact est déclenchée et un cluster est survolé
   useFrame(() => {
     // Détecter si l'action interact vient d'être déclenchée (front montant)
-    const interactTriggered = inputs.interact && !prevInteract.current;
-    prevInteract.current = inputs.interact;
+    const interactTriggered = interactRef.current && !prevInteract.current;
+    prevInteract.current = interactRef.current;
 
     // Si l'action interact vient d'être déclenchée et qu'un cluster est survolé
     if (interactTriggered && hoveredCluster) {
@@ -131,7 +170,7 @@ const Graph = memo(() => {
         useCollisionStore.getState().boundingBoxRefs.clusterBoxes;
       const box = boundingBoxes[activeClusterIdRef.current];
 
-      // Le hoveredCluster est déjà le slug
+      // Le hoveredCluster est déjà l'ID du cluster (clé de sa boîte)
       const clusterData = {
         id: hoveredCluster,
         type: "cluster",
@@ -144,59 +183,48 @@ const Graph = memo(() => {
     }
   });
 
+  useEffect(
+    () =>
+      getInputManager().addListener((inputs) => {
+        interactRef.current = inputs.interact;
+      }),
+    []
+  );
+
   // Charger les données du graphe depuis l'asset manager
   useEffect(() => {
     if (!assets.isReady) return;
 
     const spatializedGraph = assets.getData("graph");
     if (spatializedGraph) {
-      console.log("Graph rendered");
-      setGraphData(spatializedGraph);
+      const database = assets.getData("database");
+      const graphLinks = spatializedGraph.links || [];
+
+      // Ajouter les relations entre personnages issues de la base de données
+      const relationshipLinks = buildRelationshipLinks(
+        database,
+        spatializedGraph.nodes
+      );
+
+      // Les fichiers exportés avant l'ajout des ponts n'en contiennent pas
+      const bridgeLinks = graphLinks.some(isBridgeLink)
+        ? []
+        : buildInterClusterLinks(spatializedGraph.nodes, database);
+
+      console.log(
+        `Graph rendered (${relationshipLinks.length} liens de relation, ${
+          bridgeLinks.length || graphLinks.filter(isBridgeLink).length
+        } ponts entre clusters)`
+      );
+      setGraphData({
+        ...spatializedGraph,
+        links: [...graphLinks, ...relationshipLinks, ...bridgeLinks],
+      });
     } else {
       console.error("Impossible de charger les données du graphe");
     }
   }, [assets.isReady, assets.getData]);
 
-  // Initialiser les géométries et matériaux partagés
-  useEffect(() => {
-    if (!assets.isReady) return;
-
-    // Créer les géométries
-    geometriesRef.current.node = new THREE.SphereGeometry(3.5, 8, 8);
-    geometriesRef.current.line = new THREE.BufferGeometry();
-
-    // Créer les matériaux
-    materialsRef.current.node = new THREE.MeshBasicMaterial({
-      color: "#ffffff",
-      transparent: true,
-      opacity: 0.9,
-    });
-    materialsRef.current.line = new THREE.LineBasicMaterial({
-      color: "#ffffff",
-      transparent: true,
-      opacity: 0.5,
-    });
-
-    // Nettoyage
-    return () => {
-      // Disposer les géométries
-      Object.values(geometriesRef.current).forEach((geometry) => {
-        if (geometry && geometry.dispose) {
-          geometry.dispose();
-        }
-      });
-      geometriesRef.current = {};
-
-      // Disposer les matériaux
-      Object.values(materialsRef.current).forEach((material) => {
-        if (material && material.dispose) {
-          material.dispose();
-        }
-      });
-      materialsRef.current = {};
-    };
-  }, [assets.isReady]);
-
   // Construire le graphe une fois les données chargées
   const nodes = useMemo(() => {
     if (!graphData) return [];
@@ -206,15 +234,49 @@ const Graph = memo(() => {
   // Construire les liens une fois les données chargées
   const edges = useMemo(() => {
     if (!graphData) return [];
-    return (graphData.links || []).map((link) => {
-      const geometry = new THREE.BufferGeometry();
-      return {
-        ...link,
-        geometry,
-      };
-    });
+    return (graphData.links || []).map((link) => ({
+      ...link,
+      style: getLinkStyle(link),
+      isBridge: isBridgeLink(link),
+    }));
   }, [graphData]);
 
+  // Nœuds reliés à un autre cluster, mis en avant dans la vue des ponts
+  const bridgeNodeIds = useMemo(() => {
+    const ids = new Set();
+    edges.forEach((edge) => {
+      if (!edge.isBridge) return;
+      ids.add(edge.source);
+      ids.add(edge.target);
+    });
+    return ids;
+  }, [edges]);
+
+  // Nœuds correspondant aux filtres d'attributs (null sans filtre actif)
+  const filterResult = useMemo(
+    () =>
+      applyAttributeFilters(
+        nodes,
+        assets.getData("database"),
+        attributeFilters
+      ),
+    [nodes, assets.getData, attributeFilters]
+  );
+  const isFilteredOut = useCallback(
+    (nodeId) =>
+      filterResult !== null && !filterResult.matchingNodeIds.has(nodeId),
+    [filterResult]
+  );
+
+  // Les clusters masqués sont ignorés par le service de collision
+  useEffect(() => {
+    setHiddenClusterIds(
+      filterResult && hideFiltered ? [...filterResult.hiddenClusterIds] : []
+    );
+  }, [filterResult, hideFiltered, setHiddenClusterIds]);
+
+  useEffect(() => () => setHiddenClusterIds([]), [setHiddenClusterIds]);
+
   // Créer un map des nœuds pour accéder rapidement par ID
   const nodeMap = useMemo(() => {
     const map = new Map();
@@ -226,6 +288,38 @@ const Graph = memo(() => {
     return map;
   }, [nodes]);
 
+  // Une instance par nœud, dans l'ordre de nodes
+  const nodeMesh = useMemo(() => {
+    if (!nodes.length) return null;
+    const mesh = new THREE.InstancedMesh(
+      new THREE.SphereGeometry(NODE_RADIUS, 8, 8),
+      createNodeMaterial(),
+      nodes.length
+    );
+    initNodeInstances(mesh);
+    return mesh;
+  }, [nodes]);
+
+  // Un segment par lien dont les deux extrémités existent
+  const edgeLines = useMemo(() => {
+    if (!edges.length) return null;
+    const { geometry, segments } = buildEdgeGeometry(edges, nodeMap);
+    const lines = new THREE.LineSegments(geometry, createEdgeMaterial());
+    lines.userData.segments = segments;
+    return lines;
+  }, [edges, nodeMap]);
+
+  // Libérer les tampons remplacés
+  useEffect(
+    () => () => {
+      [nodeMesh, edgeLines].forEach((object) => {
+        object?.geometry.dispose();
+        object?.material.dispose();
+      });
+    },
+    [nodeMesh, edgeLines]
+  );
+
   // Calculer les centroïdes des clusters et récupérer leurs noms
   const { centroids, clusterNames, clusterSlugs } = useMemo(() => {
     if (!nodes || !nodes.length)
@@ -325,15 +419,6 @@ const Graph = memo(() => {
       clusterNamesRef.current = {};
       clusterSlugsRef.current = {};
 
-      // Nettoyer les géométries des liens
-      if (edges) {
-        edges.forEach((edge) => {
-          if (edge.geometry) {
-            edge.geometry.dispose();
-          }
-        });
-      }
-
       // Nettoyer les boîtes de collision
       unregisterClusterBoxes();
 
@@ -344,7 +429,7 @@ const Graph = memo(() => {
       lastDetectionTime.current = 0;
       prevInteract.current = false;
     };
-  }, [edges, setHoveredCluster, unregisterClusterBoxes]);
+  }, [setHoveredCluster, unregisterClusterBoxes]);
 
   // Gérer les effets visuels quand un cluster est survolé
   useEffect(() => {
@@ -372,60 +457,102 @@ const Graph = memo(() => {
     }
   }, [hoveredCluster, setActiveNodeData]);
 
+  // Cluster survolé, désigné par l'ID de sa boîte de collision
+  const hoveredClusterId = hoveredCluster ? String(hoveredCluster) : null;
+
+  // Survol, vue des ponts et filtres : mise à jour des attributs des nœuds
+  // et des liens, avant l'affichage de la frame suivante
+  useLayoutEffect(() => {
+    const isInHoveredCluster = (node) =>
+      hoveredClusterId !== null && String(node?.cluster) === hoveredClusterId;
+
+    if (nodeMesh) {
+      updateNodeInstances(nodeMesh, nodes, (node) => {
+        const filteredOut = isFilteredOut(node.id);
+        if (filteredOut && hideFiltered) return { opacity: 0 };
+        if (filteredOut || (showBridgesOnly && !bridgeNodeIds.has(node.id))) {
+          return { opacity: NODE_DIMMED_OPACITY };
+        }
+        if (isInHoveredCluster(node)) {
+          return { opacity: 1, scale: HOVERED_NODE_SCALE };
+        }
+        return { opacity: NODE_OPACITY };
+      });
+    }
+
+    if (edgeLines) {
+      updateEdgeColors(
+        edgeLines.geometry,
+        edgeLines.userData.segments,
+        (edge) => {
+          const { color, opacity } = edge.style;
+          // Les ponts entre clusters ne sont affichés que dans la vue des
+          // ponts, seuls
+          if (edge.isBridge !== showBridgesOnly) return { color, opacity: 0 };
+
+          // Lien exclu par les filtres si l'une de ses extrémités l'est
+          const filteredOut =
+            isFilteredOut(edge.source) || isFilteredOut(edge.target);
+          if (filteredOut) {
+            return {
+              color,
+              opacity: hideFiltered ? 0 : opacity * FILTERED_OPACITY_FACTOR,
+            };
+          }
+
+          const isHovered =
+            isInHoveredCluster(nodeMap.get(edge.source)) &&
+            isInHoveredCluster(nodeMap.get(edge.target));
+          return {
+            color,
+            opacity: isHovered
+              ? Math.min(1, opacity * HOVERED_EDGE_OPACITY_FACTOR)
+              : opacity,
+          };
+        }
+      );
+    }
+  }, [
+    nodeMesh,
+    edgeLines,
+    nodes,
+    nodeMap,
+    isFilteredOut,
+    hideFiltered,
+    showBridgesOnly,
+    bridgeNodeIds,
+    hoveredClusterId,
+  ]);
+
   // Si les données ne sont pas encore chargées
   if (!graphData) return null;
 
   return (
     <ActiveClusterContext.Provider value={contextValue}>
       <group>
-        {/* Nœuds du graphe représentés par des sphères */}
-        {nodes.map((node, index) => (
-          <mesh
-            key={`node-${index}`}
-            position={[node.x || 0, node.y || 0, node.z || 0]}
-            geometry={geometriesRef.current.node}
-            material={materialsRef.current.node}
-          />
-        ))}
-
-        {/* Liens du graphe représentés par des lignes */}
-        {edges.map((edge, index) => {
-          // Récupérer les nœuds source et cible par ID
-          const source = nodeMap.get(edge.source);
-          const target = nodeMap.get(edge.target);
-
-          // Vérifier que les nœuds existent
-          if (!source || !target) {
-            return null;
-          }
+        {/* Nœuds du graphe représentés par des sphères (une instance par nœud) */}
+        {nodeMesh && <primitive object={nodeMesh} />}
 
-          // Créer les points de la ligne
-          const points = [
-            new THREE.Vector3(source.x || 0, source.y || 0, source.z || 0),
-            new THREE.Vector3(target.x || 0, target.y || 0, target.z || 0),
-          ];
+        {/* Liens du graphe, colorés selon le type de relation (pointillés si indirects) */}
+        {edgeLines && <primitive object={edgeLines} />}
 
-          // Mettre à jour la géométrie de la ligne
-          edge.geometry.setFromPoints(points);
+        {/* Noms des clusters aux centroïdes - apparaissent quand on s'approche */}
+        {Object.entries(centroids).map(([clusterId, centroid]) => {
+          const filteredOut = Boolean(
+            filterResult?.hiddenClusterIds.has(clusterId)
+          );
+          if (filteredOut && hideFiltered) return null;
 
           return (
-            <line
-              key={`edge-${index}`}
-              geometry={edge.geometry}
-              material={materialsRef.current.line}
+            <ClusterLabel
+              key={`cluster-${clusterId}`}
+              id={clusterId}
+              centroid={centroid}
+              name={clusterNames[clusterId] || clusterId}
+              dimmed={filteredOut}
             />
           );
         })}
-
-        {/* Noms des clusters aux centroïdes - apparaissent quand on s'approche */}
-        {Object.entries(centroids).map(([clusterId, centroid]) => (
-          <ClusterLabel
-            key={`cluster-${clusterId}`}
-            id={clusterId}
-            centroid={centroid}
-            name={clusterNames[clusterId] || clusterId}
-          />
-        ))}
       </group>
     </ActiveClusterContext.Provider>
   );
@@ -435,12 +562,13 @@ const Graph = memo(() => {
  * Composant optimisé pour le label de cluster qui ne se met à jour
  * que lorsque son état actif change, sans re-rendre le graphe complet
  */
-const ClusterLabel = memo(({ id, centroid, name }) => {
+const ClusterLabel = memo(({ id, centroid, name, dimmed = false }) => {
   const [isActive, setIsActive] = useState(false);
   const context = useContext(ActiveClusterContext);
   const isInitialRender = useRef(true);
   const { interactionKey } = useInteractionText();
   const hoveredCluster = useGameStore((state) => state.hoveredCluster);
+  const { labelDistance } = useQualityPreset();
 
   // S'assurer que l'état est correctement mis à jour même lors d'un changement synchrone
   const updateActivity = useRef((active) => {
@@ -493,11 +621,12 @@ const ClusterLabel = memo(({ id, centroid, name }) => {
         size={15}
         color="#ffffff"
         reverseOpacity={true}
-        maxDistance={1000}
-        minDistance={300}
+        maxDistance={1000 * labelDistance}
+        minDistance={300 * labelDistance}
         outline={true}
         outlineWidth={2.0}
         outlineColor="#000000"
+        opacityScale={dimmed ? FILTERED_OPACITY_FACTOR : 1}
       />
 
       {/* Indication d'interaction qui s'adapte au périphérique connecté */}
@@ -0,0 +1,103 @@
+/**
+ * Filtres sur les attributs des personas de database.data.json. Les valeurs
+ * retenues pour un même attribut se cumulent (OU), les attributs se combinent
+ * entre eux (ET). Les plateformes suivent le personnage principal de leur
+ * cluster, qui est masqué quand aucun de ses nœuds ne correspond.
+ */
+
+// Attributs filtrables et leur libellé dans le panneau de filtres
+export const FILTER_ATTRIBUTES = [
+  { key: "thematicGroup", label: "Quartier" },
+  { key: "polarisation", label: "Polarisation" },
+  { key: "genre", label: "Genre" },
+  { key: "fictionOrImpersonation", label: "Fiction / usurpation" },
+  { key: "politicalSphere", label: "Sphère politique" },
+  { key: "cercle", label: "Cercle" },
+];
+
+/**
+ * Valeurs possibles de chaque attribut filtrable (valeurs vides ignorées)
+ * @param {Array} database - Contenu de database.data.json
+ * @returns {Array<{key: string, label: string, values: Array<string>}>}
+ */
+export const getFilterOptions = (database) =>
+  FILTER_ATTRIBUTES.map((attribute) => {
+    const values = new Set();
+    (database || []).forEach((character) => {
+      const value = character[attribute.key];
+      if (value !== null && value !== undefined && value !== "") {
+        values.add(String(value));
+      }
+    });
+    return { ...attribute, values: [...values].sort() };
+  });
+
+/**
+ * Indique si au moins une valeur est retenue
+ * @param {Object<string, Array<string>>} filters - Valeurs retenues par attribut
+ * @returns {boolean}
+ */
+export const hasActiveFilters = (filters) =>
+  Object.values(filters || {}).some((values) => values.length > 0);
+
+/**
+ * Vérifie qu'un personnage correspond à tous les attributs filtrés
+ * @param {Object|undefined} character - Entrée de database.data.json
+ * @param {Object<string, Array<string>>} filters - Valeurs retenues par attribut
+ * @returns {boolean}
+ */
+export const matchesAttributeFilters = (character, filters) =>
+  Object.entries(filters).every(
+    ([key, values]) =>
+      values.length === 0 ||
+      (character !== undefined && values.includes(String(character[key])))
+  );
+
+/**
+ * Applique les filtres aux nœuds du graphe
+ * @param {Array} nodes - Nœuds du graphe spatialisé
+ * @param {Array} database - Contenu de database.data.json
+ * @param {Object<string, Array<string>>} filters - Valeurs retenues par attribut
+ * @returns {{matchingNodeIds: Set<string>, hiddenClusterIds: Set<string>}|null} -
+ * Nœuds qui correspondent et clusters sans aucun nœud correspondant, ou null
+ * si aucun filtre n'est actif
+ */
+export const applyAttributeFilters = (nodes, database, filters) => {
+  if (!hasActiveFilters(filters) || !Array.isArray(nodes)) return null;
+
+  const charactersBySlug = new Map(
+    (database || []).map((character) => [character.slug, character])
+  );
+  const isMatching = (node) =>
+    matchesAttributeFilters(charactersBySlug.get(node.slug), filters);
+
+  // Correspondance du personnage principal de chaque cluster
+  const masterMatches = new Map();
+  nodes.forEach((node) => {
+    if (node.type === "character" && node.isClusterMaster) {
+      masterMatches.set(node.cluster, isMatching(node));
+    }
+  });
+
+  const matchingNodeIds = new Set();
+  const visibleClusterIds = new Set();
+  nodes.forEach((node) => {
+    const matches =
+      node.type === "character"
+        ? isMatching(node)
+        : masterMatches.get(node.cluster) === true;
+    if (!matches) return;
+    matchingNodeIds.add(node.id);
+    visibleClusterIds.add(String(node.cluster));
+  });
+
+  const hiddenClusterIds = new Set();
+  nodes.forEach((node) => {
+    const clusterId = String(node.cluster);
+    if (node.cluster !== undefined && !visibleClusterIds.has(clusterId)) {
+      hiddenClusterIds.add(clusterId);
+    }
+  });
+
+  return { matchingNodeIds, hiddenClusterIds };
+};
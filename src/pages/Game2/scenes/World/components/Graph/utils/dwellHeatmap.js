@@ -0,0 +1,233 @@
+/**
+ * Carte de chaleur de fréquentation, calculée à partir du journal local
+ * (utils/analyticsLog) : temps passé devant chaque nœud du monde (points visés
+ * par la caméra), temps passé dans chaque cluster ouvert, interactions, et
+ * trajets de caméra les plus empruntés entre deux zones du graphe.
+ */
+
+import { ANALYTICS_EVENTS } from "../../../../../../../utils/analyticsLog";
+import { calculateClusterCentroids } from "./utils";
+
+// Distance maximale entre le point visé et un nœud pour lui attribuer le temps
+const NODE_HEAT_RADIUS = 200;
+// Taille des zones de l'espace reliées par les trajets
+const TRAJECTORY_CELL_SIZE = 250;
+// Nombre de segments de trajets conservés (les plus fréquents)
+const MAX_TRAJECTORY_SEGMENTS = 300;
+
+const distanceSquared = (a, b) =>
+  (a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2;
+
+/**
+ * Nœud le plus proche d'un point visé, dans le rayon de chaleur
+ * @param {Array} nodes - Nœuds du graphe
+ * @param {{x: number, y: number, z: number}} point - Point visé
+ * @returns {Object|null}
+ */
+const findNearestNode = (nodes, point) => {
+  let nearest = null;
+  let nearestDistance = NODE_HEAT_RADIUS ** 2;
+
+  nodes.forEach((node) => {
+    const distance = distanceSquared(point, {
+      x: node.x || 0,
+      y: node.y || 0,
+      z: node.z || 0,
+    });
+    if (distance < nearestDistance) {
+      nearest = node;
+      nearestDistance = distance;
+    }
+  });
+
+  return nearest;
+};
+
+/**
+ * Segments de trajets les plus fréquents : les positions successives de la
+ * caméra au niveau monde sont regroupées par zones, et chaque passage d'une
+ * zone à l'autre compte pour le segment qui relie leurs positions moyennes
+ * @param {Array} samples - Échantillons de caméra au niveau monde
+ * @param {number} sampleInterval - Période d'échantillonnage (ms)
+ * @returns {Array<{from: Object, to: Object, count: number, weight: number}>}
+ */
+const buildTrajectories = (samples, sampleInterval) => {
+  const cells = new Map();
+  const segments = new Map();
+
+  const getCell = (sample) => {
+    const key = [sample.x, sample.y, sample.z]
+      .map((value) => Math.floor(value / TRAJECTORY_CELL_SIZE))
+      .join(",");
+    if (!cells.has(key)) cells.set(key, { x: 0, y: 0, z: 0, count: 0 });
+    const cell = cells.get(key);
+    cell.x += sample.x;
+    cell.y += sample.y;
+    cell.z += sample.z;
+    cell.count += 1;
+    return key;
+  };
+
+  // Au-delà de cet écart, la visite a été interrompue (cluster, inactivité)
+  const maxGap = sampleInterval * 2.5;
+
+  let previous = null;
+  let previousCell = null;
+  samples.forEach((sample) => {
+    const cell = getCell(sample);
+    const isContinuous =
+      previous &&
+      previous.sessionId === sample.sessionId &&
+      sample.time - previous.time <= maxGap;
+
+    if (isContinuous && cell !== previousCell) {
+      const key = [previousCell, cell].sort().join("|");
+      segments.set(key, (segments.get(key) || 0) + 1);
+    }
+
+    previous = sample;
+    previousCell = cell;
+  });
+
+  const getCenter = (key) => {
+    const cell = cells.get(key);
+    return {
+      x: cell.x / cell.count,
+      y: cell.y / cell.count,
+      z: cell.z / cell.count,
+    };
+  };
+
+  const kept = [...segments.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_TRAJECTORY_SEGMENTS);
+  const maxCount = kept[0]?.[1] || 1;
+
+  return kept.map(([key, count]) => {
+    const [from, to] = key.split("|");
+    return {
+      from: getCenter(from),
+      to: getCenter(to),
+      count,
+      weight: count / maxCount,
+    };
+  });
+};
+
+/**
+ * Agrège le journal en chaleur par nœud et par cluster, et en trajets
+ * @param {Array} nodes - Nœuds du graphe du monde
+ * @param {Array} events - Événements du journal
+ * @param {Array} samples - Échantillons de position de la caméra
+ * @param {number} sampleInterval - Période d'échantillonnage (ms)
+ * @returns {{nodes: Map, clusters: Map, trajectories: Array, maxima: Object, sessionCount: number}}
+ */
+export const buildDwellHeatmap = (nodes, events, samples, sampleInterval) => {
+  const nodeHeat = new Map(
+    nodes.map((node) => [node.id, { dwell: 0, interactions: 0 }])
+  );
+
+  const clusterHeat = new Map();
+  Object.entries(calculateClusterCentroids(nodes)).forEach(
+    ([clusterId, centroid]) => {
+      const radius = Math.sqrt(
+        Math.max(
+          0,
+          ...centroid.nodes.map((node) =>
+            distanceSquared(centroid, {
+              x: node.x || 0,
+              y: node.y || 0,
+              z: node.z || 0,
+            })
+          )
+        )
+      );
+      clusterHeat.set(String(clusterId), {
+        x: centroid.x,
+        y: centroid.y,
+        z: centroid.z,
+        radius,
+        name: centroid.name,
+        dwell: 0,
+        interactions: 0,
+      });
+    }
+  );
+
+  const worldSamples = samples
+    .filter((sample) => sample.level === null)
+    .sort((a, b) => a.sessionId.localeCompare(b.sessionId) || a.time - b.time);
+
+  // Temps passé à viser chaque nœud au niveau monde
+  worldSamples.forEach((sample) => {
+    const node = findNearestNode(nodes, {
+      x: sample.lx,
+      y: sample.ly,
+      z: sample.lz,
+    });
+    if (!node) return;
+
+    nodeHeat.get(node.id).dwell += sampleInterval;
+    const cluster = clusterHeat.get(String(node.cluster));
+    if (cluster) cluster.dwell += sampleInterval;
+  });
+
+  // Temps passé dans les clusters ouverts et interactions
+  const nodesBySlug = new Map();
+  nodes.forEach((node) => {
+    if (!node.slug) return;
+    if (!nodesBySlug.has(node.slug)) nodesBySlug.set(node.slug, []);
+    nodesBySlug.get(node.slug).push(node);
+  });
+
+  events.forEach((event) => {
+    const cluster = clusterHeat.get(event.target);
+    switch (event.type) {
+      case ANALYTICS_EVENTS.LEVEL_EXIT:
+        if (cluster) cluster.dwell += event.duration || 0;
+        break;
+      case ANALYTICS_EVENTS.INTERACT:
+        if (cluster) cluster.interactions += 1;
+        break;
+      // Nœud activé dans un cluster ouvert : le personnage compte pour tous
+      // ses nœuds du monde
+      case ANALYTICS_EVENTS.NODE_OPEN:
+        (nodesBySlug.get(event.target) || []).forEach((node) => {
+          nodeHeat.get(node.id).interactions += 1;
+        });
+        break;
+      default:
+        break;
+    }
+  });
+
+  const getMax = (entries, key) =>
+    Math.max(0, ...[...entries.values()].map((entry) => entry[key]));
+
+  return {
+    nodes: nodeHeat,
+    clusters: clusterHeat,
+    trajectories: buildTrajectories(worldSamples, sampleInterval),
+    maxima: {
+      nodes: {
+        dwell: getMax(nodeHeat, "dwell"),
+        interactions: getMax(nodeHeat, "interactions"),
+      },
+      clusters: {
+        dwell: getMax(clusterHeat, "dwell"),
+        interactions: getMax(clusterHeat, "interactions"),
+      },
+    },
+    sessionCount: new Set(events.map((event) => event.sessionId)).size,
+  };
+};
+
+/**
+ * Intensité normalisée (0-1, échelle logarithmique pour que les zones peu
+ * visitées restent distinctes des zones ignorées)
+ * @param {number} value - Valeur de la mesure
+ * @param {number} max - Valeur maximale de la mesure
+ * @returns {number}
+ */
+export const getHeatIntensity = (value, max) =>
+  value > 0 && max > 0 ? Math.log1p(value) / Math.log1p(max) : 0;
@@ -0,0 +1,208 @@
+/**
+ * Tampons de rendu du graphe du monde : tous les nœuds dans une seule
+ * InstancedMesh et tous les liens dans un seul LineSegments. Couleur et
+ * opacité sont des attributs par instance (nœuds) ou par sommet (liens), mis
+ * à jour par les survols et les filtres sans recréer d'objets ni de
+ * composants. Une opacité nulle masque l'élément.
+ */
+
+import * as THREE from "three";
+
+// Pointillés des liens indirects, en unités du monde
+const DASH_SIZE = 6;
+const GAP_SIZE = 4;
+
+/**
+ * Matériau des nœuds : MeshBasicMaterial dont l'opacité est multipliée par
+ * l'attribut d'instance instanceOpacity
+ * @returns {THREE.MeshBasicMaterial}
+ */
+export const createNodeMaterial = () => {
+  const material = new THREE.MeshBasicMaterial({
+    color: "#ffffff",
+    transparent: true,
+  });
+
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        "void main() {",
+        "attribute float instanceOpacity;\nvarying float vInstanceOpacity;\nvoid main() {"
+      )
+      .replace(
+        "#include <begin_vertex>",
+        "#include <begin_vertex>\nvInstanceOpacity = instanceOpacity;"
+      );
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        "void main() {",
+        "varying float vInstanceOpacity;\nvoid main() {"
+      )
+      .replace(
+        "#include <color_fragment>",
+        // Les nœuds masqués ne doivent pas écrire dans le tampon de profondeur
+        "#include <color_fragment>\ndiffuseColor.a *= vInstanceOpacity;\nif (diffuseColor.a < 0.001) discard;"
+      );
+  };
+  material.customProgramCacheKey = () => "graph-node-instances";
+
+  return material;
+};
+
+/**
+ * Matériau des liens : LineDashedMaterial à couleurs RGBA par sommet, dont
+ * les pointillés ne s'appliquent qu'aux sommets marqués par l'attribut dashed
+ * @returns {THREE.LineDashedMaterial}
+ */
+export const createEdgeMaterial = () => {
+  const material = new THREE.LineDashedMaterial({
+    color: "#ffffff",
+    vertexColors: true,
+    transparent: true,
+    dashSize: DASH_SIZE,
+    gapSize: GAP_SIZE,
+  });
+
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        "void main() {",
+        "attribute float dashed;\nvarying float vDashed;\nvoid main() {"
+      )
+      .replace(
+        "vLineDistance = scale * lineDistance;",
+        "vLineDistance = scale * lineDistance;\nvDashed = dashed;"
+      );
+    shader.fragmentShader = shader.fragmentShader
+      .replace("void main() {", "varying float vDashed;\nvoid main() {")
+      .replace(
+        "if ( mod( vLineDistance, totalSize ) > dashSize ) {",
+        "if ( vDashed > 0.5 && mod( vLineDistance, totalSize ) > dashSize ) {"
+      )
+      .replace(
+        "#include <color_fragment>",
+        "#include <color_fragment>\nif (diffuseColor.a < 0.001) discard;"
+      );
+  };
+  material.customProgramCacheKey = () => "graph-edge-segments";
+
+  return material;
+};
+
+/**
+ * Attributs des instances de nœuds : couleur (instanceColor) et opacité
+ * @param {THREE.InstancedMesh} mesh - Maillage instancié des nœuds
+ */
+export const initNodeInstances = (mesh) => {
+  const count = mesh.count;
+  mesh.instanceColor = new THREE.InstancedBufferAttribute(
+    new Float32Array(count * 3).fill(1),
+    3
+  );
+  mesh.geometry.setAttribute(
+    "instanceOpacity",
+    new THREE.InstancedBufferAttribute(new Float32Array(count).fill(1), 1)
+  );
+};
+
+const tempMatrix = new THREE.Matrix4();
+const tempPosition = new THREE.Vector3();
+const tempQuaternion = new THREE.Quaternion();
+const tempScale = new THREE.Vector3();
+const tempColor = new THREE.Color();
+
+/**
+ * Met à jour position, taille, couleur et opacité de chaque nœud
+ * @param {THREE.InstancedMesh} mesh - Maillage instancié des nœuds
+ * @param {Array} nodes - Nœuds, dans l'ordre des instances
+ * @param {Function} getNodeStyle - (node) => {opacity, scale, color}
+ */
+export const updateNodeInstances = (mesh, nodes, getNodeStyle) => {
+  const opacities = mesh.geometry.getAttribute("instanceOpacity");
+
+  nodes.forEach((node, i) => {
+    const { opacity, scale = 1, color = "#ffffff" } = getNodeStyle(node);
+    tempPosition.set(node.x || 0, node.y || 0, node.z || 0);
+    tempScale.setScalar(opacity > 0 ? scale : 0);
+    mesh.setMatrixAt(
+      i,
+      tempMatrix.compose(tempPosition, tempQuaternion, tempScale)
+    );
+    mesh.setColorAt(i, tempColor.set(color));
+    opacities.setX(i, opacity);
+  });
+
+  mesh.instanceMatrix.needsUpdate = true;
+  mesh.instanceColor.needsUpdate = true;
+  opacities.needsUpdate = true;
+  mesh.computeBoundingSphere();
+};
+
+/**
+ * Géométrie des liens : deux sommets par lien dont les deux extrémités
+ * existent, avec distances des pointillés et attribut dashed
+ * @param {Array} edges - Liens ({source, target, style})
+ * @param {Map} nodeMap - Nœuds par ID
+ * @returns {{geometry: THREE.BufferGeometry, segments: Array}} - segments :
+ *   liens retenus, dans l'ordre des segments de la géométrie
+ */
+export const buildEdgeGeometry = (edges, nodeMap) => {
+  const segments = edges.filter(
+    (edge) => nodeMap.has(edge.source) && nodeMap.has(edge.target)
+  );
+
+  const positions = new Float32Array(segments.length * 6);
+  const lineDistances = new Float32Array(segments.length * 2);
+  const dashed = new Float32Array(segments.length * 2);
+
+  segments.forEach((edge, i) => {
+    const source = nodeMap.get(edge.source);
+    const target = nodeMap.get(edge.target);
+    const from = [source.x || 0, source.y || 0, source.z || 0];
+    const to = [target.x || 0, target.y || 0, target.z || 0];
+    positions.set(from, i * 6);
+    positions.set(to, i * 6 + 3);
+    // Chaque segment recommence ses pointillés à sa source
+    lineDistances[i * 2 + 1] = Math.hypot(
+      to[0] - from[0],
+      to[1] - from[1],
+      to[2] - from[2]
+    );
+    const isDashed = edge.style.dashed ? 1 : 0;
+    dashed[i * 2] = isDashed;
+    dashed[i * 2 + 1] = isDashed;
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute(
+    "lineDistance",
+    new THREE.BufferAttribute(lineDistances, 1)
+  );
+  geometry.setAttribute("dashed", new THREE.BufferAttribute(dashed, 1));
+  geometry.setAttribute(
+    "color",
+    new THREE.BufferAttribute(new Float32Array(segments.length * 8), 4)
+  );
+
+  return { geometry, segments };
+};
+
+/**
+ * Met à jour la couleur et l'opacité de chaque lien
+ * @param {THREE.BufferGeometry} geometry - Géométrie des liens
+ * @param {Array} segments - Liens, dans l'ordre des segments
+ * @param {Function} getEdgeStyle - (edge) => {color, opacity}
+ */
+export const updateEdgeColors = (geometry, segments, getEdgeStyle) => {
+  const colors = geometry.getAttribute("color");
+
+  segments.forEach((edge, i) => {
+    const { color, opacity } = getEdgeStyle(edge);
+    tempColor.set(color);
+    colors.setXYZW(i * 2, tempColor.r, tempColor.g, tempColor.b, opacity);
+    colors.setXYZW(i * 2 + 1, tempColor.r, tempColor.g, tempColor.b, opacity);
+  });
+
+  colors.needsUpdate = true;
+};
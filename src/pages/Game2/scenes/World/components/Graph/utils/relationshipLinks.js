@@ -0,0 +1,71 @@
+/**
+ * Construction des liens de relation personnage - personnage à partir de
+ * database.data.json. Le graphe exporté ne relie les personnages qu'à travers
+ * leurs plateformes ; ces liens ajoutent la relation elle-même (ennemi, allié,
+ * enquête...) entre le personnage principal d'un cluster et chacune de ses
+ * cibles, sans modifier la disposition.
+ */
+
+export const RELATIONSHIP_LINK_TYPE = "character_relationship";
+
+/**
+ * Construit les liens de relation pour les nœuds d'un graphe exporté
+ * @param {Array} database - Contenu de database.data.json
+ * @param {Array} nodes - Nœuds du graphe exporté
+ * @returns {Array} - Liens {source, target, type, relationType, isDirect, ...}
+ */
+export const buildRelationshipLinks = (database, nodes) => {
+  if (!Array.isArray(database) || !Array.isArray(nodes)) return [];
+
+  const charactersBySlug = new Map(
+    database.map((character) => [character.slug, character])
+  );
+
+  // Personnages de chaque cluster, indexés par slug
+  const clusters = new Map();
+  nodes.forEach((node) => {
+    if (node.type !== "character") return;
+    if (!clusters.has(node.cluster)) {
+      clusters.set(node.cluster, { master: null, bySlug: new Map() });
+    }
+    const cluster = clusters.get(node.cluster);
+    const slug = node.slug ?? node.originalId;
+    if (node.isClusterMaster || slug === node.clusterSlug) {
+      cluster.master ??= node;
+    }
+    if (!cluster.bySlug.has(slug)) cluster.bySlug.set(slug, node);
+  });
+
+  const relationshipLinks = [];
+  clusters.forEach(({ master, bySlug }) => {
+    if (!master) return;
+    const character = charactersBySlug.get(master.slug ?? master.originalId);
+
+    // Une même cible peut apparaître plusieurs fois avec la même relation
+    const seen = new Set();
+    (character?.links || []).forEach((link) => {
+      const targetNode = bySlug.get(link.target);
+      if (!targetNode || targetNode === master) return;
+
+      const key = `${link.target}|${link.relationType}|${link.isDirect}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const isIncoming = link.type === "incoming";
+      relationshipLinks.push({
+        source: isIncoming ? targetNode.id : master.id,
+        target: isIncoming ? master.id : targetNode.id,
+        value: 2,
+        type: RELATIONSHIP_LINK_TYPE,
+        relationType: link.relationType || "",
+        isDirect: link.isDirect || "Direct",
+        linkType: link.linkType || "",
+        platforms: link.platforms || [],
+        virality: link.virality || "",
+        mediaCoverage: link.mediaCoverage || "",
+      });
+    });
+  });
+
+  return relationshipLinks;
+};
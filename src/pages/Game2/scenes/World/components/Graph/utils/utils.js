@@ -2,6 +2,8 @@
  * Utilitaires pour le graphe
  */
 
+import { JOSHUA_PERSONA } from "../../../../../store";
+
 // Fonction pour trouver les liens associés à un nœud
 export const getNodeLinks = (nodeId, links) => {
   if (!links || !nodeId) return [];
@@ -374,3 +376,95 @@ export const findClusterIdBySlug = (nodes, slug) => {
     clusterNodes,
   };
 };
+
+/**
+ * Associe chaque personnage à un cluster : celui dont il est le nœud principal
+ * s'il en a un, sinon le premier cluster où il apparaît
+ * @param {Array} nodes - Tableau des nœuds du graphe
+ * @returns {Map<string, number|string>} - ID de cluster par slug de personnage
+ */
+export const mapCharactersToClusters = (nodes) => {
+  const clusterBySlug = new Map();
+  if (!nodes || !nodes.length) return clusterBySlug;
+
+  const masters = new Set();
+  nodes.forEach((node) => {
+    if (node.type !== "character" || !node.slug) return;
+    if (node.isClusterMaster && !masters.has(node.slug)) {
+      masters.add(node.slug);
+      clusterBySlug.set(node.slug, node.cluster);
+    } else if (!clusterBySlug.has(node.slug)) {
+      clusterBySlug.set(node.slug, node.cluster);
+    }
+  });
+
+  return clusterBySlug;
+};
+
+/**
+ * Index des niveaux atteignables par slug (liens partagés, visite guidée)
+ * @param {Array} nodes - Tableau des nœuds du graphe
+ * @param {Array} database - Contenu de database.data.json
+ * @returns {{centroids: Object, personas: Map<string, {displayName: string, clusterId: string}>}}
+ */
+export const buildLevelIndex = (nodes, database) => {
+  const clusterBySlug = mapCharactersToClusters(nodes);
+  const personas = new Map();
+  (database || []).forEach((character) => {
+    if (!clusterBySlug.has(character.slug)) return;
+    personas.set(character.slug, {
+      displayName: (character.displayName || character.slug).trim(),
+      clusterId: String(clusterBySlug.get(character.slug)),
+    });
+  });
+
+  return { centroids: calculateClusterCentroids(nodes), personas };
+};
+
+/**
+ * Données de niveau (activeLevel) d'un cluster ou d'un persona désigné par son slug
+ * @param {string} type - "cluster" ou "persona"
+ * @param {string} slug - Slug du personnage principal du cluster (ou numéro du
+ * cluster), ou slug du persona
+ * @param {Object} index - Index construit par buildLevelIndex
+ * @returns {Object|null} - Données du niveau, ou null si le slug est inconnu
+ */
+export const resolveLevel = (type, slug, { centroids, personas }) => {
+  if (type === "cluster") {
+    const clusterId =
+      Object.keys(centroids).find((id) => centroids[id].slug === slug) ??
+      (centroids[slug] ? slug : null);
+    if (clusterId === null) return null;
+
+    return {
+      id: String(clusterId),
+      type: "cluster",
+      name: centroids[clusterId].name,
+    };
+  }
+
+  if (type === "persona") {
+    if (slug === JOSHUA_PERSONA.id) return JOSHUA_PERSONA;
+
+    const persona = personas.get(slug);
+    return persona
+      ? { id: slug, type: "persona", name: persona.displayName }
+      : null;
+  }
+
+  return null;
+};
+
+/**
+ * Point à viser pour afficher un niveau : centroïde du cluster, ou celui du
+ * cluster du persona (Joshua est au centre du monde)
+ * @param {Object|null} level - Données du niveau
+ * @param {Object} index - Index construit par buildLevelIndex
+ * @returns {{x: number, y: number, z: number}|null}
+ */
+export const getLevelTarget = (level, { centroids, personas }) => {
+  if (!level) return null;
+  if (level.type === "cluster") return centroids[level.id] || null;
+  if (level.id === JOSHUA_PERSONA.id) return { x: 0, y: 0, z: 0 };
+  return centroids[personas.get(level.id)?.clusterId] || null;
+};
@@ -0,0 +1,74 @@
+import { getInputManager } from "../components/AdvancedCameraController/inputManager";
+
+/**
+ * Activité des visiteurs : événements du navigateur (souris, écran tactile,
+ * clavier) et entrées du gestionnaire (manette, télécommande, commandes
+ * tactiles). Source commune du mode borne et du journal de fréquentation.
+ * Le minuteur d'inactivité de la caméra (AUTO_ORBIT_DELAY) écoute les mêmes
+ * événements, mais il est aussi relancé par les vols automatiques (visite
+ * guidée, boucle d'accueil) : il ne dit pas si un visiteur est présent.
+ */
+
+// Événements du navigateur qui signalent un visiteur
+export const ACTIVITY_EVENTS = [
+  "pointermove",
+  "pointerdown",
+  "pointerup",
+  "keydown",
+  "wheel",
+];
+
+const activity = {
+  lastTime: Date.now(),
+  callbacks: new Set(),
+  removeInputListener: null,
+};
+
+const notifyActivity = () => {
+  activity.lastTime = Date.now();
+  activity.callbacks.forEach((callback) => callback());
+};
+
+const handleInputs = (inputs) => {
+  if (Object.values(inputs).some(Boolean)) notifyActivity();
+};
+
+// Les écouteurs ne sont posés qu'une fois, tant qu'il y a des abonnés
+const attachListeners = () => {
+  ACTIVITY_EVENTS.forEach((event) =>
+    window.addEventListener(event, notifyActivity, { passive: true })
+  );
+  activity.removeInputListener = getInputManager().addListener(handleInputs);
+};
+
+const detachListeners = () => {
+  ACTIVITY_EVENTS.forEach((event) =>
+    window.removeEventListener(event, notifyActivity)
+  );
+  activity.removeInputListener?.();
+  activity.removeInputListener = null;
+};
+
+/**
+ * Appelle une fonction à chaque entrée d'un visiteur
+ * @param {Function} callback - Appelée sans argument
+ * @returns {Function} - Désabonnement
+ */
+export const subscribeActivity = (callback) => {
+  if (activity.callbacks.size === 0) {
+    activity.lastTime = Date.now();
+    attachListeners();
+  }
+  activity.callbacks.add(callback);
+
+  return () => {
+    activity.callbacks.delete(callback);
+    if (activity.callbacks.size === 0) detachListeners();
+  };
+};
+
+/**
+ * Heure de la dernière entrée d'un visiteur (ou du premier abonnement)
+ * @returns {number} - Horodatage en millisecondes
+ */
+export const getLastActivityTime = () => activity.lastTime;
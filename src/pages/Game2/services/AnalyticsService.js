@@ -0,0 +1,272 @@
+import useGameStore from "../store";
+import useCollisionStore from "./CollisionService";
+import { getInputManager } from "../components/AdvancedCameraController/inputManager";
+import { subscribeActivity } from "./ActivityService";
+import {
+  ANALYTICS_EVENTS,
+  SESSION_END_REASONS,
+  logEvent,
+  logCameraSample,
+  flushEvents,
+} from "../../../utils/analyticsLog";
+
+/**
+ * Alimente le journal de fréquentation (utils/analyticsLog) à partir du store
+ * du jeu et du gestionnaire d'entrées. Une session du journal commence à la
+ * première entrée d'un visiteur : la boucle d'accueil de la borne n'est pas
+ * comptée comme une visite.
+ */
+
+// Délai sans entrée après lequel le visiteur est considéré comme absent (ms)
+const IDLE_THRESHOLD = 60000;
+const IDLE_CHECK_INTERVAL = 5000;
+// Survols plus courts ignorés (la caméra ne fait que traverser le cluster)
+const MIN_HOVER_DURATION = 500;
+// Période d'échantillonnage de la caméra : chaque échantillon vaut autant de
+// temps passé devant le point visé
+export const CAMERA_SAMPLE_INTERVAL = 2000;
+
+// État du suivi, hors du store car il ne concerne pas l'affichage
+const tracking = {
+  sessionId: null, // Session du journal en cours, null hors visite
+  level: null, // Niveau ouvert : {target, name, value, enteredAt}
+  hover: null, // Cluster survolé : {target, name, startedAt}
+  lastInputTime: 0,
+  isIdle: false,
+  isInteracting: false, // Pour ne compter qu'une fois chaque appui
+};
+
+const log = (type, fields = {}) => {
+  if (!tracking.sessionId) return;
+  logEvent({
+    sessionId: tracking.sessionId,
+    type,
+    time: Date.now(),
+    ...fields,
+  });
+};
+
+const describeLevel = (level) =>
+  level
+    ? { target: String(level.id), name: level.name, value: level.type }
+    : null;
+
+// Le cluster survolé est désigné par la clé de sa boîte de collision, qui
+// est aussi son numéro de niveau : sa boîte donne son nom
+const describeHoveredCluster = (clusterId) => {
+  const box =
+    useCollisionStore.getState().boundingBoxRefs.clusterBoxes[clusterId];
+
+  return {
+    target: String(clusterId),
+    name: box?.data?.name || String(clusterId),
+  };
+};
+
+// Le nœud actif n'est souvent transmis que par son slug : son nom vient de
+// sa boîte de collision quand le cluster est ouvert
+const describeActiveNode = (node) => {
+  const { slug, name } = typeof node === "string" ? { slug: node } : node;
+  if (!slug) return null;
+
+  const box = Object.values(
+    useCollisionStore.getState().boundingBoxRefs.nodeBoxes
+  ).find((nodeBox) => nodeBox.data?.slug === slug);
+
+  return { target: slug, name: name || box?.data?.name || slug };
+};
+
+// Un visiteur inactif ne regarde plus : le temps passé s'arrête à sa
+// dernière entrée
+const getElapsedTime = (since) =>
+  Math.max(0, (tracking.isIdle ? tracking.lastInputTime : Date.now()) - since);
+
+const closeLevel = () => {
+  if (!tracking.level) return;
+  const { enteredAt, ...level } = tracking.level;
+  log(ANALYTICS_EVENTS.LEVEL_EXIT, {
+    ...level,
+    duration: getElapsedTime(enteredAt),
+  });
+  tracking.level = null;
+};
+
+const enterLevel = (activeLevel) => {
+  const level = describeLevel(activeLevel);
+  if (level?.target === tracking.level?.target) return;
+
+  closeLevel();
+  if (!level) return;
+
+  tracking.level = { ...level, enteredAt: Date.now() };
+  log(ANALYTICS_EVENTS.LEVEL_ENTER, level);
+};
+
+const endHover = () => {
+  if (!tracking.hover) return;
+  const { startedAt, ...hover } = tracking.hover;
+  const duration = getElapsedTime(startedAt);
+  if (duration >= MIN_HOVER_DURATION) {
+    log(ANALYTICS_EVENTS.CLUSTER_HOVER, { ...hover, duration });
+  }
+  tracking.hover = null;
+};
+
+const beginSession = () => {
+  const state = useGameStore.getState();
+  tracking.sessionId = state.sessionId;
+  tracking.isIdle = false;
+  log(ANALYTICS_EVENTS.SESSION_START);
+
+  // Niveau déjà ouvert (lien partagé, visite guidée interrompue)
+  tracking.level = null;
+  enterLevel(state.activeLevel);
+};
+
+/**
+ * Termine la session du journal en cours ; la suivante commencera à la
+ * prochaine entrée d'un visiteur
+ * @param {string} reason - Motif (SESSION_END_REASONS)
+ */
+export const endAnalyticsSession = (reason) => {
+  if (!tracking.sessionId) return;
+
+  endHover();
+  closeLevel();
+  log(ANALYTICS_EVENTS.SESSION_END, { reason });
+  tracking.sessionId = null;
+  flushEvents();
+};
+
+const handleActivity = () => {
+  const now = Date.now();
+  if (!tracking.sessionId) {
+    tracking.lastInputTime = now;
+    beginSession();
+    return;
+  }
+
+  if (tracking.isIdle) {
+    const idleTime = now - tracking.lastInputTime;
+    log(ANALYTICS_EVENTS.RESUME, { duration: idleTime });
+    tracking.isIdle = false;
+    // L'inactivité n'est pas comptée dans le temps passé sur le niveau
+    if (tracking.level) tracking.level.enteredAt += idleTime;
+  }
+  tracking.lastInputTime = now;
+};
+
+// L'activité elle-même vient d'ActivityService : seules les interactions
+// sont suivies ici
+const handleInputs = (inputs) => {
+  // Au niveau monde, l'interaction porte sur le cluster survolé
+  if (inputs.interact && !tracking.isInteracting) {
+    // La session doit exister avant d'y consigner l'interaction
+    handleActivity();
+    const subject = tracking.level || tracking.hover;
+    log(ANALYTICS_EVENTS.INTERACT, {
+      target: subject?.target,
+      name: subject?.name,
+    });
+  }
+  tracking.isInteracting = Boolean(inputs.interact);
+};
+
+const handleStoreChange = (state, previousState) => {
+  if (state.sessionId !== previousState.sessionId) {
+    endAnalyticsSession(SESSION_END_REASONS.NEW_SESSION);
+  }
+
+  if (state.activeLevel !== previousState.activeLevel) {
+    enterLevel(state.activeLevel);
+  }
+
+  if (state.hoveredCluster !== previousState.hoveredCluster) {
+    endHover();
+    if (state.hoveredCluster) {
+      tracking.hover = {
+        ...describeHoveredCluster(state.hoveredCluster),
+        startedAt: Date.now(),
+      };
+    }
+  }
+
+  // Au niveau monde, le nœud actif n'est que le personnage principal du
+  // cluster survolé, déjà compté par CLUSTER_HOVER
+  if (
+    state.activeNodeData !== previousState.activeNodeData &&
+    state.activeNodeData &&
+    state.activeLevel?.type === "cluster"
+  ) {
+    const node = describeActiveNode(state.activeNodeData);
+    if (node) log(ANALYTICS_EVENTS.NODE_OPEN, node);
+  }
+
+  if (state.audioEnabled !== previousState.audioEnabled) {
+    log(ANALYTICS_EVENTS.AUDIO_TOGGLE, {
+      value: state.audioEnabled ? "on" : "off",
+    });
+  }
+};
+
+const checkIdle = () => {
+  if (!tracking.sessionId || tracking.isIdle) return;
+
+  const idleTime = Date.now() - tracking.lastInputTime;
+  if (idleTime < IDLE_THRESHOLD) return;
+
+  tracking.isIdle = true;
+  log(ANALYTICS_EVENTS.IDLE, {
+    target: tracking.level?.target,
+    name: tracking.level?.name,
+    duration: idleTime,
+  });
+};
+
+// Position de la caméra et point visé (centre de la boîte de détection des
+// collisions, tenu à jour au niveau monde)
+const sampleCamera = () => {
+  if (!tracking.sessionId || tracking.isIdle) return;
+
+  const camera = useGameStore.getState().camera;
+  if (!camera) return;
+
+  const lookPoint = useCollisionStore.getState().detectionPoint;
+  logCameraSample({
+    sessionId: tracking.sessionId,
+    time: Date.now(),
+    level: tracking.level?.target ?? null,
+    x: camera.position.x,
+    y: camera.position.y,
+    z: camera.position.z,
+    lx: lookPoint.x,
+    ly: lookPoint.y,
+    lz: lookPoint.z,
+  });
+};
+
+const handlePageHide = () => endAnalyticsSession(SESSION_END_REASONS.EXIT);
+
+/**
+ * Démarre le suivi des visiteurs
+ * @returns {Function} - Arrête le suivi et termine la session en cours
+ */
+export const startAnalytics = () => {
+  const unsubscribeStore = useGameStore.subscribe(handleStoreChange);
+  const removeInputListener = getInputManager().addListener(handleInputs);
+  const unsubscribeActivity = subscribeActivity(handleActivity);
+  const idleIntervalId = setInterval(checkIdle, IDLE_CHECK_INTERVAL);
+  const sampleIntervalId = setInterval(sampleCamera, CAMERA_SAMPLE_INTERVAL);
+
+  window.addEventListener("pagehide", handlePageHide);
+
+  return () => {
+    unsubscribeStore();
+    removeInputListener();
+    unsubscribeActivity();
+    clearInterval(idleIntervalId);
+    clearInterval(sampleIntervalId);
+    window.removeEventListener("pagehide", handlePageHide);
+    endAnalyticsSession(SESSION_END_REASONS.EXIT);
+  };
+};
@@ -1,6 +1,7 @@
 import { create } from "zustand";
 import * as THREE from "three";
 import { ASSET_PATHS, getAllAssets } from "../constants/AssetLists";
+import { validateGameData, hasValidationErrors } from "./DataValidator";
 
 // Types d'assets supportés
 export const ASSET_TYPES = {
@@ -28,6 +29,8 @@ const useAssetStore = create((set, get) => ({
     progress: 0,
     errors: [],
   },
+  // Rapports de validation des fichiers de données (database, graph)
+  validation: [],
   initialized: false,
 
   /**
@@ -157,23 +160,37 @@ const useAssetStore = create((set, get) => ({
 
       // Calculer la progression
       const progress = Math.floor((loadedCount / assetsList.length) * 100);
+      const isComplete = loadedCount === assetsList.length;
+
+      // Valider les fichiers de données avant que les scènes ne les consomment
+      const validation = isComplete
+        ? validateGameData(newAssets.data)
+        : get().validation;
 
       // Mettre à jour l'état
       set({
         assets: newAssets,
+        validation,
         loading: {
           ...get().loading,
           loaded: loadedCount,
           progress,
-          inProgress: loadedCount < assetsList.length,
+          inProgress: !isComplete,
         },
       });
 
       // Si tous les assets sont chargés, marquer comme terminé
-      if (loadedCount === assetsList.length) {
+      if (isComplete) {
         console.log(
           `[AssetManager] Tous les assets sont chargés (${loadedCount}/${assetsList.length})`
         );
+
+        if (hasValidationErrors(validation)) {
+          console.warn(
+            "[AssetManager] Les données chargées contiennent des erreurs:",
+            validation
+          );
+        }
       }
     }
 
@@ -336,6 +353,7 @@ const useAssetStore = create((set, get) => ({
         sounds: {},
         data: {},
       },
+      validation: [],
       initialized: false,
     });
   },
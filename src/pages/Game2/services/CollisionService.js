@@ -1,5 +1,13 @@
 import * as THREE from "three";
 import { create } from "zustand";
+import useGameStore from "../store";
+import {
+  buildBoxTree,
+  findBoxesAtPoint,
+  findBoxesInBox,
+  findBoxesInSphere,
+  findBoxesOnRay,
+} from "./boxTree";
 
 /**
  * Définition des layers de collision par défaut
@@ -58,6 +66,75 @@ const ObjectPool = {
   },
 };
 
+// Marge de tolérance autour des boîtes pour la boîte de détection
+const BOX_MARGIN = 2.0;
+
+// Références des boîtes indexées par chaque index spatial
+const INDEX_SOURCES = {
+  clusters: "clusterBoxes",
+  nodes: "nodeBoxes",
+  interactiveElements: "interactiveElements",
+};
+
+const tempSphere = new THREE.Sphere();
+
+// Reconstruit l'index spatial d'un type de boîtes à partir des références
+const rebuildSpatialIndex = (state, type) => {
+  const startTime = performance.now();
+  state.spatialIndex[type] = buildBoxTree(
+    state.boundingBoxRefs[INDEX_SOURCES[type]]
+  );
+  state.stats.indexBuildTime = performance.now() - startTime;
+};
+
+// Ajoute la durée d'une requête aux statistiques (par mutation directe)
+const recordQueryTime = (state, startTime) => {
+  const duration = performance.now() - startTime;
+  const { stats } = state;
+  stats.queryCalls += 1;
+  stats.lastQueryTime = duration;
+  stats.averageQueryTime +=
+    (duration - stats.averageQueryTime) / stats.queryCalls;
+};
+
+// Boîte d'un type la plus proche du point parmi celles qui chevauchent la
+// boîte de détection
+const findNearestDetectedBox = (state, type, point, isExcluded) => {
+  const startTime = performance.now();
+  const searchBox = ObjectPool.getBox3()
+    .copy(state.detectionBox)
+    .expandByScalar(BOX_MARGIN);
+
+  let nearest = null;
+  findBoxesInBox(
+    state.spatialIndex[type],
+    searchBox,
+    state.collisionMask
+  ).forEach(({ id, box }) => {
+    if (isExcluded?.(id)) return;
+
+    const distance = state.distanceToBoxCenter(point, box);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { id, box, distance };
+    }
+  });
+
+  recordQueryTime(state, startTime);
+  return nearest;
+};
+
+// Exécute une requête sur l'index de chaque type de boîtes
+const queryAllIndexes = (state, query) => {
+  const startTime = performance.now();
+  const results = [];
+  Object.entries(state.spatialIndex).forEach(([type, tree]) => {
+    query(tree).forEach((entry) => results.push({ ...entry, type }));
+  });
+
+  recordQueryTime(state, startTime);
+  return results;
+};
+
 /**
  * Service centralisé pour gérer les boîtes de collision et la détection
  * Utilise Zustand pour fournir un état global et des méthodes utilitaires
@@ -77,6 +154,13 @@ const useCollisionStore = create((set, get) => ({
     interactiveElements: {},
   },
 
+  // Index spatiaux (BVH) par type, reconstruits à chaque enregistrement
+  spatialIndex: {
+    clusters: null,
+    nodes: null,
+    interactiveElements: null,
+  },
+
   // Point et boîte de détection devant la caméra
   detectionPoint: new THREE.Vector3(),
   detectionBox: new THREE.Box3(),
@@ -87,6 +171,11 @@ const useCollisionStore = create((set, get) => ({
   // Objet temporaire pour stocker la direction de la caméra (évite l'allocation mémoire)
   directionVector: new THREE.Vector3(0, 0, -1),
 
+  // Pointeur (souris, toucher) en coordonnées normalisées de l'écran, et
+  // rayon lancé depuis la caméra à travers lui
+  pointer: { position: new THREE.Vector2(), active: false },
+  raycaster: new THREE.Raycaster(),
+
   // Paramètres de détection par défaut
   settings: {
     detectionPointDistance: 100,
@@ -138,6 +227,10 @@ const useCollisionStore = create((set, get) => ({
     nodeDetections: 0,
     interactiveElementDetections: 0,
     lastDetectionTime: 0,
+    queryCalls: 0, // Requêtes sur les index spatiaux
+    lastQueryTime: 0, // Durée de la dernière requête (ms)
+    averageQueryTime: 0, // Durée moyenne des requêtes (ms)
+    indexBuildTime: 0, // Durée de la dernière reconstruction d'un index (ms)
   },
 
   // État de debug
@@ -353,9 +446,8 @@ const useCollisionStore = create((set, get) => ({
     );
 
     // Ajouter une marge de tolérance
-    const margin = 2.0;
-    targetBox.min.subScalar(margin);
-    targetBox.max.addScalar(margin);
+    targetBox.min.subScalar(BOX_MARGIN);
+    targetBox.max.addScalar(BOX_MARGIN);
 
     return detectionBox.intersectsBox(targetBox);
   },
@@ -387,6 +479,7 @@ const useCollisionStore = create((set, get) => ({
     if (Object.keys(clusterBoxes).length === 0) {
       // Si on reçoit un objet vide, on réinitialise simplement les boîtes
       get().boundingBoxRefs.clusterBoxes = {};
+      rebuildSpatialIndex(get(), "clusters");
 
       // Mettre à jour l'état uniquement si nécessaire et qu'il y avait des boîtes avant
       if (Object.keys(get().boundingBoxes.clusters).length > 0) {
@@ -445,8 +538,9 @@ const useCollisionStore = create((set, get) => ({
       }
     }
 
-    // Mettre à jour la référence d'abord (important)
+    // Mettre à jour la référence d'abord (important), puis l'index
     state.boundingBoxRefs.clusterBoxes = boxesWithData;
+    rebuildSpatialIndex(state, "clusters");
 
     // Mettre à jour l'état uniquement si nécessaire
     set((state) => ({
@@ -471,6 +565,7 @@ const useCollisionStore = create((set, get) => ({
     if (Object.keys(nodeBoxes).length === 0) {
       // Si on reçoit un objet vide, on réinitialise simplement les boîtes
       get().boundingBoxRefs.nodeBoxes = {};
+      rebuildSpatialIndex(get(), "nodes");
 
       // Mettre à jour l'état uniquement si nécessaire et qu'il y avait des boîtes avant
       if (Object.keys(get().boundingBoxes.nodes).length > 0) {
@@ -521,8 +616,9 @@ const useCollisionStore = create((set, get) => ({
       }
     }
 
-    // Mettre à jour la référence
+    // Mettre à jour la référence, puis l'index
     state.boundingBoxRefs.nodeBoxes = boxesWithLayers;
+    rebuildSpatialIndex(state, "nodes");
 
     // Mettre à jour l'état uniquement si nécessaire
     set((state) => ({
@@ -554,6 +650,7 @@ const useCollisionStore = create((set, get) => ({
 
     // Stocker dans la référence d'abord
     get().boundingBoxRefs.interactiveElements[elementId] = newElement;
+    rebuildSpatialIndex(get(), "interactiveElements");
 
     // Mettre à jour l'état de manière sécurisée (une seule fois)
     set((state) => {
@@ -598,6 +695,7 @@ const useCollisionStore = create((set, get) => ({
 
     // Supprimer de la référence d'abord (important pour éviter les boucles)
     delete get().boundingBoxRefs.interactiveElements[elementId];
+    rebuildSpatialIndex(get(), "interactiveElements");
 
     // Ensuite, mettre à jour l'état global de manière sécurisée
     set((state) => {
@@ -673,33 +771,25 @@ const useCollisionStore = create((set, get) => ({
     }
 
     const checkPoint = point || state.detectionPoint;
-    let containingCluster = null;
-    let minDistance = Infinity;
 
-    // Utiliser les boîtes de la référence pour éviter les boucles de rendu
-    const clusters = state.boundingBoxRefs.clusterBoxes;
+    // Clusters masqués par les filtres d'attributs
+    const { hiddenClusterIds } = useGameStore.getState();
 
     // Mettre à jour les stats par mutation directe sans provoquer de rendu global
     state.stats.detectionCalls += 1;
 
-    // Parcourir toutes les boîtes englobantes des clusters
-    Object.entries(clusters).forEach(([clusterId, box]) => {
-      // Utiliser la fonction utilitaire isPointInBoundingBox
-      if (state.isPointInBoundingBox(checkPoint, box)) {
-        // Calculer la distance au centre
-        const distance = state.distanceToBoxCenter(checkPoint, box);
-
-        // Si cette boîte est plus proche que la précédente, la sélectionner
-        if (distance < minDistance) {
-          minDistance = distance;
-          containingCluster = {
-            id: clusterId,
-            distance,
-            name: box.name || `Cluster ${clusterId}`,
-          };
-        }
-      }
-    });
+    // Chercher dans l'index les clusters qui chevauchent la boîte de détection
+    const nearest = findNearestDetectedBox(
+      state,
+      "clusters",
+      checkPoint,
+      (clusterId) => hiddenClusterIds.includes(clusterId)
+    );
+    const containingCluster = nearest && {
+      id: nearest.id,
+      distance: nearest.distance,
+      name: nearest.box.name || `Cluster ${nearest.id}`,
+    };
 
     // Mettre à jour les stats par mutation directe sans provoquer de rendu global
     if (containingCluster) {
@@ -727,34 +817,18 @@ const useCollisionStore = create((set, get) => ({
     }
 
     const checkPoint = point || state.detectionPoint;
-    let containingNode = null;
-    let minDistance = Infinity;
-
-    // Utiliser les boîtes de la référence
-    const nodes = state.boundingBoxRefs.nodeBoxes;
 
     // Mettre à jour les stats par mutation directe sans provoquer de rendu global
     state.stats.detectionCalls += 1;
 
-    // Parcourir toutes les boîtes englobantes des nœuds
-    Object.entries(nodes).forEach(([nodeId, box]) => {
-      // Utiliser la fonction utilitaire isPointInBoundingBox
-      if (state.isPointInBoundingBox(checkPoint, box)) {
-        // Calculer la distance au centre
-        const distance = state.distanceToBoxCenter(checkPoint, box);
-
-        // Si cette boîte est plus proche que la précédente, la sélectionner
-        if (distance < minDistance) {
-          minDistance = distance;
-          containingNode = {
-            id: nodeId,
-            distance,
-            name: box.name || `Node ${nodeId}`,
-            data: box.data,
-          };
-        }
-      }
-    });
+    // Chercher dans l'index les nœuds qui chevauchent la boîte de détection
+    const nearest = findNearestDetectedBox(state, "nodes", checkPoint);
+    const containingNode = nearest && {
+      id: nearest.id,
+      distance: nearest.distance,
+      name: nearest.box.name || `Node ${nearest.id}`,
+      data: nearest.box.data,
+    };
 
     // Mettre à jour les stats par mutation directe sans provoquer de rendu global
     if (containingNode) {
@@ -782,35 +856,21 @@ const useCollisionStore = create((set, get) => ({
     }
 
     const checkPoint = point || state.detectionPoint;
-    let containingElement = null;
-    let minDistance = Infinity;
-
-    // Utiliser les boîtes de la référence
-    const elements = state.boundingBoxRefs.interactiveElements;
 
     // Mettre à jour les stats par mutation directe sans provoquer de rendu global
     state.stats.detectionCalls += 1;
 
-    // Parcourir toutes les boîtes englobantes des éléments interactifs
-    Object.entries(elements).forEach(([elementId, element]) => {
-      const box = element;
-
-      // Utiliser la fonction utilitaire isPointInBoundingBox
-      if (state.isPointInBoundingBox(checkPoint, box)) {
-        // Calculer la distance au centre
-        const distance = state.distanceToBoxCenter(checkPoint, box);
-
-        // Si cette boîte est plus proche que la précédente, la sélectionner
-        if (distance < minDistance) {
-          minDistance = distance;
-          containingElement = {
-            id: elementId,
-            distance,
-            ...element, // Inclure les métadonnées
-          };
-        }
-      }
-    });
+    // Chercher dans l'index les éléments qui chevauchent la boîte de détection
+    const nearest = findNearestDetectedBox(
+      state,
+      "interactiveElements",
+      checkPoint
+    );
+    const containingElement = nearest && {
+      id: nearest.id,
+      distance: nearest.distance,
+      ...nearest.box, // Inclure les métadonnées
+    };
 
     // Mettre à jour les stats par mutation directe sans provoquer de rendu global
     if (containingElement) {
@@ -957,6 +1017,97 @@ const useCollisionStore = create((set, get) => ({
     return hysteresisResults;
   },
 
+  /**
+   * Place le pointeur (souris, toucher) sur l'écran
+   * @param {number} x - Abscisse normalisée (-1 à gauche, 1 à droite)
+   * @param {number} y - Ordonnée normalisée (-1 en bas, 1 en haut)
+   */
+  setPointer: (x, y) => {
+    const { pointer } = get();
+    pointer.position.set(x, y);
+    pointer.active = true;
+  },
+
+  /**
+   * Retire le pointeur (souris sortie du canvas, toucher dans le vide)
+   */
+  clearPointer: () => {
+    get().pointer.active = false;
+  },
+
+  /**
+   * Trouve la boîte la plus proche sous le pointeur, parmi les layers du
+   * masque courant
+   * @param {THREE.Camera} camera - Caméra THREE.js
+   * @param {string} type - Type de boîte ('clusters', 'nodes', 'interactiveElements')
+   * @returns {Object|null} - {id, distance, name, data} ou null
+   */
+  findPointedBox: (camera, type) => {
+    const state = get();
+    if (!state.pointer.active || !state.collisionEnabled[type]) return null;
+
+    state.raycaster.setFromCamera(state.pointer.position, camera);
+
+    // Clusters masqués par les filtres d'attributs
+    const { hiddenClusterIds } = useGameStore.getState();
+
+    // Seul l'index du type demandé est parcouru
+    const startTime = performance.now();
+    const hit = findBoxesOnRay(
+      state.spatialIndex[type],
+      state.raycaster.ray,
+      state.collisionMask,
+      camera.far
+    ).find(
+      (result) => !(type === "clusters" && hiddenClusterIds.includes(result.id))
+    );
+    recordQueryTime(state, startTime);
+    if (!hit) return null;
+
+    return {
+      id: hit.id,
+      distance: hit.distance,
+      name: hit.box.name || hit.id,
+      data: hit.box.data,
+    };
+  },
+
+  /**
+   * Boîtes contenant un point, tous types confondus
+   * @param {THREE.Vector3} point - Point à tester
+   * @param {number} [mask] - Masque de layers (par défaut le masque courant)
+   * @returns {Array<{id: string, type: string, box: Object}>} - type :
+   *   'clusters', 'nodes' ou 'interactiveElements'
+   */
+  queryPoint: (point, mask = get().collisionMask) =>
+    queryAllIndexes(get(), (tree) => findBoxesAtPoint(tree, point, mask)),
+
+  /**
+   * Boîtes qui touchent une sphère, tous types confondus
+   * @param {THREE.Vector3} center - Centre de la sphère
+   * @param {number} radius - Rayon de la sphère
+   * @param {number} [mask] - Masque de layers (par défaut le masque courant)
+   * @returns {Array<{id: string, type: string, box: Object}>}
+   */
+  querySphere: (center, radius, mask = get().collisionMask) => {
+    tempSphere.set(center, radius);
+    return queryAllIndexes(get(), (tree) =>
+      findBoxesInSphere(tree, tempSphere, mask)
+    );
+  },
+
+  /**
+   * Boîtes traversées par un rayon, de la plus proche à la plus lointaine
+   * @param {THREE.Ray} ray - Rayon (direction normalisée)
+   * @param {number} [mask] - Masque de layers (par défaut le masque courant)
+   * @param {number} [far=Infinity] - Distance maximale le long du rayon
+   * @returns {Array<{id: string, type: string, box: Object, distance: number}>}
+   */
+  queryRay: (ray, mask = get().collisionMask, far = Infinity) =>
+    queryAllIndexes(get(), (tree) => findBoxesOnRay(tree, ray, mask, far)).sort(
+      (a, b) => a.distance - b.distance
+    ),
+
   /**
    * Vérifie si assez de temps s'est écoulé depuis la dernière vérification
    * @returns {boolean} - Vrai si on peut effectuer une nouvelle vérification
@@ -987,6 +1138,10 @@ const useCollisionStore = create((set, get) => ({
         nodeDetections: 0,
         interactiveElementDetections: 0,
         lastDetectionTime: 0,
+        queryCalls: 0,
+        lastQueryTime: 0,
+        averageQueryTime: 0,
+        indexBuildTime: state.stats.indexBuildTime,
       },
     }));
   },
@@ -1029,6 +1184,7 @@ const useCollisionStore = create((set, get) => ({
 
     // Vider les références des boîtes de clusters
     state.boundingBoxRefs.clusterBoxes = {};
+    rebuildSpatialIndex(state, "clusters");
 
     // Mettre à jour l'état
     set((state) => ({
@@ -0,0 +1,268 @@
+import { DISTRICTS } from "../components/DistrictLabels";
+
+// Niveaux de gravité des problèmes détectés
+export const VALIDATION_LEVELS = {
+  ERROR: "error",
+  WARNING: "warning",
+};
+
+// Groupes thématiques reconnus (le groupe vide est autorisé pour les personnages hors quartier)
+const KNOWN_THEMATIC_GROUPS = new Set(["", ...DISTRICTS.map((d) => d.text)]);
+
+// Nombre maximum de problèmes conservés par fichier pour garder un rapport lisible
+const MAX_ISSUES_PER_FILE = 50;
+
+/**
+ * Crée un rapport vide pour un fichier de données
+ * @param {string} id - ID de l'asset validé
+ * @returns {Object} - Rapport avec les méthodes d'ajout de problèmes
+ */
+function createReport(id) {
+  const report = {
+    id,
+    errors: [],
+    warnings: [],
+    truncated: 0,
+  };
+
+  const push = (list, path, message) => {
+    if (report.errors.length + report.warnings.length >= MAX_ISSUES_PER_FILE) {
+      report.truncated++;
+      return;
+    }
+    list.push({ path, message });
+  };
+
+  return {
+    report,
+    error: (path, message) => push(report.errors, path, message),
+    warning: (path, message) => push(report.warnings, path, message),
+  };
+}
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+const isFiniteNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value);
+
+/**
+ * Valide la base de données des personnages (database.data.json)
+ * @param {Array} data - Contenu du fichier
+ * @param {string} [id="database"] - ID de l'asset
+ * @returns {Object} - Rapport {id, errors, warnings, truncated}
+ */
+export function validateDatabase(data, id = "database") {
+  const { report, error, warning } = createReport(id);
+
+  if (!Array.isArray(data)) {
+    error("$", "la base de données doit être un tableau de personnages");
+    return report;
+  }
+
+  // Premier passage : slugs et doublons
+  const slugs = new Set();
+  data.forEach((character, index) => {
+    const path = `[${index}]`;
+    if (!character || typeof character !== "object") {
+      error(path, "entrée invalide (objet attendu)");
+      return;
+    }
+    if (!isNonEmptyString(character.slug)) {
+      error(`${path}.slug`, "slug manquant ou vide");
+      return;
+    }
+    if (slugs.has(character.slug)) {
+      error(`${path}.slug`, `slug dupliqué "${character.slug}"`);
+    }
+    slugs.add(character.slug);
+  });
+
+  // Second passage : champs et liens (nécessite la liste complète des slugs)
+  data.forEach((character, index) => {
+    if (!character || typeof character !== "object") return;
+    const path = isNonEmptyString(character.slug)
+      ? character.slug
+      : `[${index}]`;
+
+    if (
+      character.thematicGroup !== undefined &&
+      !KNOWN_THEMATIC_GROUPS.has(character.thematicGroup)
+    ) {
+      error(
+        `${path}.thematicGroup`,
+        `groupe thématique inconnu "${character.thematicGroup}"`
+      );
+    }
+
+    if (!isNonEmptyString(character.displayName)) {
+      warning(`${path}.displayName`, "displayName manquant");
+    }
+
+    if (character.platform !== undefined && !Array.isArray(character.platform)) {
+      error(`${path}.platform`, "platform doit être un tableau");
+    }
+
+    if (character.aliases !== undefined && !Array.isArray(character.aliases)) {
+      error(`${path}.aliases`, "aliases doit être un tableau");
+    }
+
+    if (character.topWords !== undefined) {
+      if (!Array.isArray(character.topWords)) {
+        error(`${path}.topWords`, "topWords doit être un tableau");
+      } else {
+        character.topWords.forEach((entry, i) => {
+          if (
+            !entry ||
+            typeof entry.word !== "string" ||
+            !isFiniteNumber(entry.score)
+          ) {
+            error(`${path}.topWords[${i}]`, "format {word, score} attendu");
+          }
+        });
+      }
+    }
+
+    if (character.links === undefined) return;
+    if (!Array.isArray(character.links)) {
+      error(`${path}.links`, "links doit être un tableau");
+      return;
+    }
+
+    character.links.forEach((link, i) => {
+      const linkPath = `${path}.links[${i}]`;
+      if (!link || !isNonEmptyString(link.target)) {
+        error(`${linkPath}.target`, "cible manquante");
+        return;
+      }
+      if (!slugs.has(link.target)) {
+        error(`${linkPath}.target`, `cible inexistante "${link.target}"`);
+      }
+      if (link.target === character.slug) {
+        warning(`${linkPath}.target`, "lien vers soi-même");
+      }
+      if (link.platforms !== undefined && !Array.isArray(link.platforms)) {
+        error(`${linkPath}.platforms`, "platforms doit être un tableau");
+      }
+    });
+  });
+
+  return report;
+}
+
+/**
+ * Valide un graphe spatialisé au format {nodes, links}
+ * @param {Object} data - Contenu du fichier
+ * @param {string} [id="graph"] - ID de l'asset
+ * @param {Array} [database] - Base de données pour vérifier les slugs des personnages
+ * @returns {Object} - Rapport {id, errors, warnings, truncated}
+ */
+export function validateGraph(data, id = "graph", database = null) {
+  const { report, error, warning } = createReport(id);
+
+  if (!data || typeof data !== "object") {
+    error("$", "le graphe doit être un objet {nodes, links}");
+    return report;
+  }
+  if (!Array.isArray(data.nodes)) {
+    error("nodes", "nodes doit être un tableau");
+    return report;
+  }
+  if (!Array.isArray(data.links)) {
+    error("links", "links doit être un tableau");
+  }
+
+  const databaseSlugs = Array.isArray(database)
+    ? new Set(database.map((character) => character?.slug))
+    : null;
+
+  const nodeIds = new Set();
+  data.nodes.forEach((node, index) => {
+    const path = `nodes[${index}]`;
+    if (!node || typeof node !== "object") {
+      error(path, "nœud invalide (objet attendu)");
+      return;
+    }
+    if (node.id === undefined || node.id === null || node.id === "") {
+      error(`${path}.id`, "id manquant");
+    } else if (nodeIds.has(node.id)) {
+      error(`${path}.id`, `id dupliqué "${node.id}"`);
+    } else {
+      nodeIds.add(node.id);
+    }
+
+    const label = node.slug || node.id;
+    ["x", "y", "z"].forEach((axis) => {
+      if (!isFiniteNumber(node[axis])) {
+        error(`${path}.${axis}`, `coordonnée invalide (${node[axis]}) pour "${label}"`);
+      }
+    });
+
+    if (
+      node.thematicGroup !== undefined &&
+      !KNOWN_THEMATIC_GROUPS.has(node.thematicGroup)
+    ) {
+      error(
+        `${path}.thematicGroup`,
+        `groupe thématique inconnu "${node.thematicGroup}"`
+      );
+    }
+
+    if (node.type === "character") {
+      if (!isNonEmptyString(node.slug)) {
+        error(`${path}.slug`, "slug manquant pour un personnage");
+      } else if (databaseSlugs && !databaseSlugs.has(node.slug)) {
+        warning(`${path}.slug`, `"${node.slug}" absent de la base de données`);
+      }
+    }
+  });
+
+  if (Array.isArray(data.links)) {
+    data.links.forEach((link, index) => {
+      const path = `links[${index}]`;
+      if (!link || typeof link !== "object") {
+        error(path, "lien invalide (objet attendu)");
+        return;
+      }
+      // Les liens peuvent avoir été résolus en objets par la simulation
+      ["source", "target"].forEach((end) => {
+        const value =
+          link[end] && typeof link[end] === "object" ? link[end].id : link[end];
+        if (!nodeIds.has(value)) {
+          error(`${path}.${end}`, `extrémité inexistante "${value}"`);
+        }
+      });
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Valide l'ensemble des fichiers de données chargés par l'AssetManager
+ * @param {Object} data - Données chargées, indexées par ID d'asset
+ * @returns {Array} - Liste des rapports, un par fichier validé
+ */
+export function validateGameData(data) {
+  const reports = [];
+
+  if (data.database !== undefined) {
+    reports.push(validateDatabase(data.database, "database"));
+  }
+  if (data.graph !== undefined) {
+    reports.push(validateGraph(data.graph, "graph", data.database));
+  }
+
+  return reports;
+}
+
+/**
+ * Indique si au moins un rapport contient des erreurs
+ * @param {Array} reports - Liste des rapports
+ * @returns {boolean}
+ */
+export function hasValidationErrors(reports = []) {
+  return reports.some((report) => report.errors.length > 0);
+}
+
+export default validateGameData;
@@ -0,0 +1,280 @@
+import { useState, useEffect } from "react";
+import { io } from "socket.io-client";
+import useGameStore from "../store";
+import useCollisionStore from "./CollisionService";
+import { getAudioState } from "../components/GameAudio";
+import { getInputManager } from "../components/AdvancedCameraController/inputManager";
+import {
+  DEFAULT_SYNC_PORT,
+  SYNC_ROLES,
+  SYNC_EVENTS,
+  REMOTE_EVENTS,
+  createSyncState,
+  applySyncPatch,
+} from "../../../utils/syncProtocol";
+
+/**
+ * Synchronisation multi-écrans avec le serveur local (scripts/sync_server.js).
+ * Activée par le paramètre sync de l'URL, placé avant le # comme kiosk : vide
+ * pour le serveur de cette machine, ou l'adresse du serveur
+ * (ex. index.html?sync=192.168.1.20:3000#/game).
+ */
+
+const SYNC_PARAM = "sync";
+const CAMERA_PUBLISH_INTERVAL = 100;
+const AUDIO_PUBLISH_INTERVAL = 1000;
+// Déplacement minimal de la caméra pour publier une nouvelle pose
+const CAMERA_EPSILON = 0.01;
+// La télécommande renvoie ses entrées en continu tant qu'elles ne sont pas
+// nulles : au-delà de ce délai sans nouvelles, elles sont remises à zéro
+const REMOTE_INPUT_TIMEOUT = 1000;
+
+/**
+ * Adresse du serveur de synchronisation
+ * @returns {string|null} - null si la synchronisation n'est pas demandée
+ */
+export const getSyncUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has(SYNC_PARAM)) return null;
+
+  const address =
+    params.get(SYNC_PARAM) ||
+    `${window.location.hostname}:${DEFAULT_SYNC_PORT}`;
+  return /^https?:\/\//.test(address) ? address : `http://${address}`;
+};
+
+/**
+ * Adresse du serveur pour les écrans secondaires et les télécommandes, qui
+ * se connectent toujours : par défaut la machine qui sert la page
+ * @returns {string}
+ */
+export const getSyncServerUrl = () =>
+  getSyncUrl() || `http://${window.location.hostname}:${DEFAULT_SYNC_PORT}`;
+
+/**
+ * Connexion au serveur ; socket.io se reconnecte seul après une coupure
+ * @param {string} url - Adresse du serveur
+ * @param {string} role - Rôle de l'écran (SYNC_ROLES)
+ * @returns {import("socket.io-client").Socket}
+ */
+export const connectSync = (url, role) => {
+  const socket = io(url, {
+    auth: { role },
+    reconnectionDelayMax: 5000,
+  });
+
+  socket.on("connect", () => {
+    console.log(`Synchronisation (${role}) connectée à ${url}`);
+  });
+  socket.on("disconnect", (reason) => {
+    console.warn(`Synchronisation (${role}) interrompue: ${reason}`);
+  });
+  socket.on("connect_error", (error) => {
+    console.warn(`Synchronisation (${role}) impossible: ${error.message}`);
+  });
+
+  return socket;
+};
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// Les niveaux de cluster sont identifiés par leur numéro : ajouter le slug du
+// personnage principal pour les écrans qui affichent sa biographie
+const describeLevel = (level) => {
+  if (!level) return null;
+  const clusterBox =
+    level.type === "cluster" &&
+    useCollisionStore.getState().boundingBoxRefs.clusterBoxes[level.id];
+  return {
+    id: String(level.id),
+    type: level.type,
+    name: level.name,
+    slug: level.slug || clusterBox?.data?.slug || null,
+  };
+};
+
+// Le cluster survolé est désigné par la clé de sa boîte de collision (son
+// numéro) : le slug de son personnage principal vient de la boîte
+const describeHover = (clusterId) => {
+  if (!clusterId) return null;
+  const clusterBox =
+    useCollisionStore.getState().boundingBoxRefs.clusterBoxes[clusterId];
+  return { id: String(clusterId), slug: clusterBox?.data?.slug || null };
+};
+
+// Le survol du monde active le nœud par son slug seul
+const describeNode = (node) => {
+  if (!node) return null;
+  if (typeof node === "string") return { slug: node };
+  return { slug: node.slug || null, name: node.name || null };
+};
+
+const getCameraPose = () => {
+  const camera = useGameStore.getState().camera;
+  if (!camera) return null;
+  return {
+    position: camera.position.toArray().map((value) => round(value, 2)),
+    quaternion: camera.quaternion.toArray().map((value) => round(value, 4)),
+  };
+};
+
+const getAudioSnapshot = () => {
+  const audioState = getAudioState();
+  return {
+    enabled: useGameStore.getState().audioEnabled,
+    playing: Boolean(audioState.isPlaying),
+    time: audioState.currentTime || 0,
+  };
+};
+
+const getFullState = () => {
+  const state = useGameStore.getState();
+  return {
+    level: describeLevel(state.activeLevel),
+    node: describeNode(state.activeNodeData),
+    hover: describeHover(state.hoveredCluster),
+    camera: getCameraPose(),
+    audio: getAudioSnapshot(),
+  };
+};
+
+const isSamePose = (a, b) =>
+  a &&
+  b &&
+  [...a.position, ...a.quaternion].every(
+    (value, i) =>
+      Math.abs(value - [...b.position, ...b.quaternion][i]) < CAMERA_EPSILON
+  );
+
+/**
+ * Publie l'état du jeu pour les écrans secondaires, si le paramètre sync est
+ * présent. L'état complet est republié à chaque (re)connexion, ce qui remet
+ * aussi à jour un serveur redémarré
+ * @returns {Function} - Arrête la publication
+ */
+export const startSyncPublisher = () => {
+  const url = getSyncUrl();
+  if (!url) return () => {};
+
+  const socket = connectSync(url, SYNC_ROLES.MAIN);
+  const inputManager = getInputManager();
+  let lastCameraPose = null;
+  let lastAudio = null;
+  let remoteTimeoutId = null;
+
+  const publish = (patch) => {
+    if (socket.connected) socket.emit(SYNC_EVENTS.PUBLISH, patch);
+  };
+
+  socket.on("connect", () => {
+    const state = getFullState();
+    lastCameraPose = state.camera;
+    lastAudio = state.audio;
+    publish(state);
+  });
+
+  // Entrées de la télécommande qui pilote (null quand elle rend la main)
+  socket.on(REMOTE_EVENTS.INPUT, (inputs) => {
+    clearTimeout(remoteTimeoutId);
+    inputManager.setRemoteInputs(inputs);
+    if (inputs) {
+      remoteTimeoutId = setTimeout(
+        () => inputManager.setRemoteInputs(null),
+        REMOTE_INPUT_TIMEOUT
+      );
+    }
+  });
+  socket.on("disconnect", () => {
+    clearTimeout(remoteTimeoutId);
+    inputManager.setRemoteInputs(null);
+  });
+
+  const unsubscribeStore = useGameStore.subscribe((state, previousState) => {
+    const patch = {};
+    if (state.activeLevel !== previousState.activeLevel) {
+      patch.level = describeLevel(state.activeLevel);
+    }
+    if (state.activeNodeData !== previousState.activeNodeData) {
+      patch.node = describeNode(state.activeNodeData);
+    }
+    if (state.hoveredCluster !== previousState.hoveredCluster) {
+      patch.hover = describeHover(state.hoveredCluster);
+    }
+    if (state.audioEnabled !== previousState.audioEnabled) {
+      patch.audio = lastAudio = getAudioSnapshot();
+    }
+    if (Object.keys(patch).length > 0) publish(patch);
+  });
+
+  // La caméra bouge à chaque frame : publiée à intervalle fixe, sans file
+  // d'attente pendant une coupure
+  const cameraIntervalId = setInterval(() => {
+    const pose = getCameraPose();
+    if (!pose || isSamePose(pose, lastCameraPose) || !socket.connected) return;
+    lastCameraPose = pose;
+    socket.volatile.emit(SYNC_EVENTS.PUBLISH, { camera: pose });
+  }, CAMERA_PUBLISH_INTERVAL);
+
+  // Les écrans extrapolent le temps de l'interview entre deux publications
+  const audioIntervalId = setInterval(() => {
+    const audio = getAudioSnapshot();
+    if (
+      lastAudio &&
+      !audio.playing &&
+      !lastAudio.playing &&
+      audio.enabled === lastAudio.enabled &&
+      audio.time === lastAudio.time
+    )
+      return;
+    lastAudio = audio;
+    publish({ audio });
+  }, AUDIO_PUBLISH_INTERVAL);
+
+  return () => {
+    unsubscribeStore();
+    clearInterval(cameraIntervalId);
+    clearInterval(audioIntervalId);
+    clearTimeout(remoteTimeoutId);
+    inputManager.setRemoteInputs(null);
+    socket.disconnect();
+  };
+};
+
+/**
+ * État partagé par l'écran principal, pour les écrans secondaires
+ * @returns {{connected: boolean, state: Object, audioReceivedAt: number}} -
+ *   audioReceivedAt : heure locale de réception du dernier état audio, pour
+ *   extrapoler le temps de l'interview
+ */
+export const useSyncState = () => {
+  const [sync, setSync] = useState({
+    connected: false,
+    state: createSyncState(),
+    audioReceivedAt: 0,
+  });
+
+  useEffect(() => {
+    const socket = connectSync(getSyncServerUrl(), SYNC_ROLES.DISPLAY);
+
+    const receive = (patch, isSnapshot) =>
+      setSync((previous) => ({
+        connected: true,
+        state: applySyncPatch(
+          isSnapshot ? createSyncState() : previous.state,
+          patch
+        ),
+        audioReceivedAt:
+          "audio" in patch ? Date.now() : previous.audioReceivedAt,
+      }));
+
+    socket.on(SYNC_EVENTS.SNAPSHOT, (snapshot) => receive(snapshot, true));
+    socket.on(SYNC_EVENTS.UPDATE, (patch) => receive(patch, false));
+    socket.on("disconnect", () =>
+      setSync((previous) => ({ ...previous, connected: false }))
+    );
+
+    return () => socket.disconnect();
+  }, []);
+
+  return sync;
+};
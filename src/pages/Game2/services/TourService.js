@@ -0,0 +1,324 @@
+import { Vector3 } from "three";
+import { create } from "zustand";
+import useGameStore, { GAME_LEVELS } from "../store";
+import { getAudioState } from "../components/GameAudio";
+import { FLY_TO_DISTANCE } from "../components/AdvancedCameraController/navigationConstants";
+import {
+  buildLevelIndex,
+  resolveLevel,
+  getLevelTarget,
+} from "../scenes/World/components/Graph/utils/utils";
+import { parseSRT, SUBTITLES_OFFSET_SECONDS } from "../../../utils/srt";
+
+/**
+ * Visite guidée : la caméra enchaîne les étapes de tour.data.json (vue
+ * d'ensemble, clusters, personas), ouvre chacune et s'y attarde le temps d'une
+ * durée fixe ou d'un passage de l'interview (indices de sous-titres SRT).
+ */
+
+export const TOUR_STATUS = {
+  IDLE: "idle", // Visite arrêtée
+  PLAYING: "playing", // Visite en cours
+  PAUSED: "paused", // Interrompue par l'utilisateur, reprend après inactivité
+};
+
+export const TOUR_PHASES = {
+  FLIGHT: "flight", // Vol vers l'étape
+  LINGER: "linger", // Arrêt sur l'étape
+};
+
+// Valeurs par défaut d'une étape (secondes)
+const DEFAULT_FLIGHT_DURATION = 6;
+const DEFAULT_LINGER_DURATION = 20;
+// Rotation lente de la caméra autour de l'étape pendant l'arrêt (radians)
+const LINGER_DRIFT_ANGLE = Math.PI / 12;
+// Suivi de l'interview pendant un arrêt sur des sous-titres
+const AUDIO_POLL_INTERVAL = 250;
+const AUDIO_SAFETY_MARGIN = 5000;
+
+// Timers de lecture, hors du store car ils ne concernent pas l'affichage
+const timers = { timeout: null, poll: null };
+
+const clearTimers = () => {
+  clearTimeout(timers.timeout);
+  clearInterval(timers.poll);
+  timers.timeout = null;
+  timers.poll = null;
+};
+
+const toVector = (value) =>
+  Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+    ? { x: value[0], y: value[1], z: value[2] }
+    : null;
+
+/**
+ * Prépare une étape de la visite : niveau à ouvrir, point à rejoindre et
+ * durée de l'arrêt
+ * @param {Object} waypoint - Étape telle que décrite dans tour.data.json
+ * @param {Object} index - Index construit par buildLevelIndex
+ * @param {Map<number, Object>} cues - Sous-titres par indice SRT
+ * @param {Object} defaults - Valeurs communes de la visite
+ * @returns {Object|null} - Étape normalisée, ou null si elle est invalide
+ */
+const normalizeWaypoint = (waypoint, index, cues, defaults) => {
+  const type = waypoint.type || "world";
+  let level = null;
+  let pose = null;
+  let point = null;
+
+  if (type === "world") {
+    const position = toVector(waypoint.position);
+    const target = toVector(waypoint.target) || { x: 0, y: 0, z: 0 };
+    if (position) pose = { position, target };
+    else point = target;
+  } else {
+    level = resolveLevel(type, waypoint.slug, index);
+    point = getLevelTarget(level, index);
+    if (!level || !point) {
+      console.warn(`Visite guidée : étape ${type} "${waypoint.slug}" inconnue`);
+      return null;
+    }
+  }
+
+  // Arrêt sur un passage de l'interview, ou durée fixe
+  let linger = {
+    duration: (waypoint.duration ?? defaults.lingerDuration) * 1000,
+  };
+  if (waypoint.cues !== undefined) {
+    const [first, last = first] = [].concat(waypoint.cues);
+    const firstCue = cues.get(first);
+    const lastCue = cues.get(last);
+    if (firstCue && lastCue && lastCue.endTime > firstCue.startTime) {
+      const start = firstCue.startTime + SUBTITLES_OFFSET_SECONDS;
+      const end = lastCue.endTime + SUBTITLES_OFFSET_SECONDS;
+      linger = { start, end, duration: (end - start) * 1000 };
+    } else {
+      console.warn(
+        `Visite guidée : sous-titres ${first}-${last} introuvables, durée par défaut`
+      );
+    }
+  }
+
+  return {
+    label: waypoint.label || level?.name || "Vue d'ensemble",
+    level,
+    pose,
+    point,
+    distance: waypoint.distance ?? FLY_TO_DISTANCE,
+    flightDuration: (waypoint.flightDuration ?? defaults.flightDuration) * 1000,
+    linger,
+  };
+};
+
+/**
+ * Normalise une définition de visite (tour.data.json)
+ * @param {Object} definition - Définition de la visite
+ * @param {Object} data
+ * @param {Array} data.nodes - Nœuds du graphe spatialisé
+ * @param {Array} data.database - Contenu de database.data.json
+ * @param {string} data.srt - Sous-titres de l'interview
+ * @returns {Object|null} - Visite {name, loop, autoStart, steps}, ou null sans étape valide
+ */
+export const normalizeTour = (definition, { nodes, database, srt }) => {
+  if (!definition || !Array.isArray(definition.waypoints)) return null;
+
+  const index = buildLevelIndex(nodes || [], database);
+  const cues = new Map(parseSRT(srt).map((cue) => [cue.index, cue]));
+  const defaults = {
+    flightDuration: definition.flightDuration ?? DEFAULT_FLIGHT_DURATION,
+    lingerDuration: definition.lingerDuration ?? DEFAULT_LINGER_DURATION,
+  };
+
+  const steps = definition.waypoints
+    .map((waypoint) => normalizeWaypoint(waypoint, index, cues, defaults))
+    .filter(Boolean);
+  if (steps.length === 0) return null;
+
+  return {
+    name: definition.name || "Visite guidée",
+    loop: definition.loop !== false,
+    autoStart: Boolean(definition.autoStart),
+    steps,
+  };
+};
+
+/**
+ * Store de la visite guidée. La caméra est pilotée à travers les fonctions
+ * exposées par AdvancedCameraController (__flyToTarget, __flyToPose,
+ * __stopCameraTransition).
+ */
+const useTourStore = create((set, get) => {
+  // Niveau de l'étape, ouvert à l'arrivée
+  const openStep = (step) => {
+    const game = useGameStore.getState();
+    if (step.level) {
+      game.setActiveLevel(step.level);
+    } else if (game.activeLevel) {
+      game.returnToWorld();
+    }
+  };
+
+  // Fin de l'arrêt : étape suivante, ou fin de la visite
+  const nextStep = () => {
+    const { tour, stepIndex } = get();
+    const next = stepIndex + 1;
+    if (next < tour.steps.length) {
+      playStep(next);
+    } else if (tour.loop) {
+      playStep(0);
+    } else {
+      get().stop();
+    }
+  };
+
+  // Arrêt sur l'étape pendant que l'interview joue le passage choisi
+  const linger = (step) => {
+    set({ phase: TOUR_PHASES.LINGER });
+
+    // Rotation lente autour du point regardé
+    const camera = useGameStore.getState().camera;
+    const center = step.pose?.target || step.point;
+    if (camera && center && window.__flyToPose) {
+      const target = new Vector3(center.x, center.y, center.z);
+      const position = camera.position
+        .clone()
+        .sub(target)
+        .applyAxisAngle(new Vector3(0, 1, 0), LINGER_DRIFT_ANGLE)
+        .add(target);
+      window.__flyToPose(
+        { position, target },
+        { duration: step.linger.duration }
+      );
+    }
+
+    const audio = getAudioState().interviewAudio;
+    const followsInterview =
+      step.linger.start !== undefined && audio && !audio.paused;
+
+    if (!followsInterview) {
+      timers.timeout = setTimeout(nextStep, step.linger.duration);
+      return;
+    }
+
+    // Caler l'interview sur le passage ; les sous-titres suivent l'audio
+    audio.currentTime = step.linger.start;
+    getAudioState().notifyListeners();
+
+    timers.poll = setInterval(() => {
+      // Fin du passage, ou interview revenue au début (lecture en boucle)
+      if (
+        audio.currentTime >= step.linger.end ||
+        audio.currentTime < step.linger.start - 1
+      ) {
+        clearTimers();
+        nextStep();
+      }
+    }, AUDIO_POLL_INTERVAL);
+    timers.timeout = setTimeout(() => {
+      clearTimers();
+      nextStep();
+    }, step.linger.duration + AUDIO_SAFETY_MARGIN);
+  };
+
+  // Vol vers une étape, puis ouverture et arrêt
+  const playStep = (stepIndex) => {
+    clearTimers();
+    const step = get().tour.steps[stepIndex];
+    set({ stepIndex, phase: TOUR_PHASES.FLIGHT });
+
+    // Quitter le cluster ouvert avant de traverser le monde
+    const game = useGameStore.getState();
+    if (game.currentLevel !== GAME_LEVELS.WORLD) {
+      game.returnToWorld();
+    }
+
+    const onArrival = () => {
+      if (get().status !== TOUR_STATUS.PLAYING) return;
+      openStep(step);
+      linger(step);
+    };
+    const options = {
+      duration: step.flightDuration,
+      onComplete: onArrival,
+      message: step.label,
+    };
+
+    if (step.pose && window.__flyToPose) {
+      window.__flyToPose(step.pose, options);
+    } else if (step.point && window.__flyToTarget) {
+      window.__flyToTarget(step.point, {
+        ...options,
+        distance: step.distance,
+      });
+    } else {
+      onArrival();
+    }
+  };
+
+  return {
+    tour: null, // Visite normalisée (voir normalizeTour)
+    status: TOUR_STATUS.IDLE,
+    stepIndex: 0,
+    phase: null,
+
+    // Charger la définition de la visite (arrête la visite en cours)
+    loadTour: (definition, data) => {
+      get().stop();
+      const tour = normalizeTour(definition, data);
+      set({ tour, stepIndex: 0 });
+      if (tour) {
+        console.log(
+          `Visite guidée chargée : ${tour.name} (${tour.steps.length} étapes)`
+        );
+      }
+    },
+
+    // Démarrer la visite à une étape donnée
+    start: (stepIndex = 0) => {
+      const { tour } = get();
+      if (!tour) return;
+      set({ status: TOUR_STATUS.PLAYING });
+      playStep(Math.min(stepIndex, tour.steps.length - 1));
+    },
+
+    // Arrêter la visite, la caméra reste où elle est
+    stop: () => {
+      const { status } = get();
+      clearTimers();
+      if (status === TOUR_STATUS.PLAYING && window.__stopCameraTransition) {
+        window.__stopCameraTransition();
+      }
+      set({ status: TOUR_STATUS.IDLE, phase: null, stepIndex: 0 });
+    },
+
+    // Interrompre la visite (entrée utilisateur) en gardant l'étape courante
+    pause: () => {
+      if (get().status !== TOUR_STATUS.PLAYING) return;
+      clearTimers();
+      if (window.__stopCameraTransition) {
+        window.__stopCameraTransition();
+      }
+      set({ status: TOUR_STATUS.PAUSED });
+    },
+
+    // Reprendre la visite : l'étape interrompue est rejouée depuis le début
+    resume: () => {
+      const { status, stepIndex } = get();
+      if (status !== TOUR_STATUS.PAUSED) return;
+      set({ status: TOUR_STATUS.PLAYING });
+      playStep(stepIndex);
+    },
+  };
+});
+
+/**
+ * Indique si la visite gère l'inactivité de l'utilisateur (visite en cours ou
+ * démarrage automatique), à la place de l'orbite automatique de la caméra
+ * @returns {boolean}
+ */
+export const isTourHandlingIdle = () => {
+  const { status, tour } = useTourStore.getState();
+  return status !== TOUR_STATUS.IDLE || Boolean(tour?.autoStart);
+};
+
+export default useTourStore;
@@ -0,0 +1,149 @@
+/**
+ * Index spatial des boîtes de collision : hiérarchie de volumes englobants
+ * (BVH) construite une fois à l'enregistrement des boîtes. Chaque nœud de
+ * l'arbre garde l'union des layers de ses boîtes, ce qui écarte d'un coup
+ * les branches hors du masque de la requête.
+ */
+
+import * as THREE from "three";
+
+// Nombre maximal de boîtes par feuille
+const MAX_LEAF_SIZE = 4;
+
+const tempSize = new THREE.Vector3();
+const tempHit = new THREE.Vector3();
+
+const toBox3 = (box) =>
+  new THREE.Box3(
+    new THREE.Vector3(box.min.x, box.min.y, box.min.z),
+    new THREE.Vector3(box.max.x, box.max.y, box.max.z)
+  );
+
+const buildNode = (entries) => {
+  const bounds = new THREE.Box3();
+  let layers = 0;
+  entries.forEach((entry) => {
+    bounds.union(entry.bounds);
+    layers |= entry.layer;
+  });
+
+  if (entries.length <= MAX_LEAF_SIZE) {
+    return { bounds, layers, entries };
+  }
+
+  // Découpe à la médiane des centres, sur l'axe le plus long
+  bounds.getSize(tempSize);
+  const axis =
+    tempSize.x >= tempSize.y && tempSize.x >= tempSize.z
+      ? "x"
+      : tempSize.y >= tempSize.z
+        ? "y"
+        : "z";
+  const sorted = [...entries].sort((a, b) => a.center[axis] - b.center[axis]);
+  const middle = sorted.length >> 1;
+
+  return {
+    bounds,
+    layers,
+    left: buildNode(sorted.slice(0, middle)),
+    right: buildNode(sorted.slice(middle)),
+  };
+};
+
+/**
+ * Construit l'index d'un ensemble de boîtes
+ * @param {Object} boxes - Boîtes englobantes par ID ({min, max, layer})
+ * @returns {Object|null} - Racine de l'arbre, null s'il n'y a aucune boîte
+ */
+export const buildBoxTree = (boxes) => {
+  const entries = Object.entries(boxes).map(([id, box]) => {
+    const bounds = toBox3(box);
+    return {
+      id,
+      box,
+      bounds,
+      center: bounds.getCenter(new THREE.Vector3()),
+      layer: box.layer,
+    };
+  });
+
+  return entries.length > 0 ? buildNode(entries) : null;
+};
+
+// Boîtes des branches qui passent le test et dont le layer est dans le masque
+const collect = (node, mask, test, results) => {
+  if (!node || !(node.layers & mask) || !test(node.bounds)) return results;
+
+  if (node.entries) {
+    node.entries.forEach((entry) => {
+      if (entry.layer & mask && test(entry.bounds)) results.push(entry);
+    });
+  } else {
+    collect(node.left, mask, test, results);
+    collect(node.right, mask, test, results);
+  }
+
+  return results;
+};
+
+/**
+ * Boîtes contenant un point
+ * @param {Object|null} tree - Index construit par buildBoxTree
+ * @param {THREE.Vector3} point - Point à tester
+ * @param {number} mask - Masque de layers (CollisionLayers)
+ * @returns {Array<{id: string, box: Object, bounds: THREE.Box3}>}
+ */
+export const findBoxesAtPoint = (tree, point, mask) =>
+  collect(tree, mask, (bounds) => bounds.containsPoint(point), []);
+
+/**
+ * Boîtes qui chevauchent une autre boîte
+ * @param {Object|null} tree - Index construit par buildBoxTree
+ * @param {THREE.Box3} box - Boîte à tester
+ * @param {number} mask - Masque de layers (CollisionLayers)
+ * @returns {Array<{id: string, box: Object, bounds: THREE.Box3}>}
+ */
+export const findBoxesInBox = (tree, box, mask) =>
+  collect(tree, mask, (bounds) => bounds.intersectsBox(box), []);
+
+/**
+ * Boîtes qui touchent une sphère
+ * @param {Object|null} tree - Index construit par buildBoxTree
+ * @param {THREE.Sphere} sphere - Sphère à tester
+ * @param {number} mask - Masque de layers (CollisionLayers)
+ * @returns {Array<{id: string, box: Object, bounds: THREE.Box3}>}
+ */
+export const findBoxesInSphere = (tree, sphere, mask) =>
+  collect(tree, mask, (bounds) => bounds.intersectsSphere(sphere), []);
+
+/**
+ * Boîtes traversées par un rayon, de la plus proche à la plus lointaine
+ * @param {Object|null} tree - Index construit par buildBoxTree
+ * @param {THREE.Ray} ray - Rayon (direction normalisée)
+ * @param {number} mask - Masque de layers (CollisionLayers)
+ * @param {number} [far=Infinity] - Distance maximale le long du rayon
+ * @returns {Array<{id: string, box: Object, bounds: THREE.Box3, distance: number}>}
+ *   - distance : distance de l'origine du rayon à l'entrée dans la boîte
+ *     (0 si l'origine est dans la boîte)
+ */
+export const findBoxesOnRay = (tree, ray, mask, far = Infinity) => {
+  // Ray.intersectBox renvoie le point de sortie quand l'origine est dedans
+  const hitDistance = (bounds) => {
+    if (bounds.containsPoint(ray.origin)) return 0;
+    return ray.intersectBox(bounds, tempHit)
+      ? ray.origin.distanceTo(tempHit)
+      : null;
+  };
+
+  return collect(
+    tree,
+    mask,
+    (bounds) => {
+      const distance = hitDistance(bounds);
+      return distance !== null && distance <= far;
+    },
+    []
+  )
+    .map((entry) => ({ ...entry, distance: hitDistance(entry.bounds) }))
+    .sort((a, b) => a.distance - b.distance);
+};
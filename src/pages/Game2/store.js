@@ -1,7 +1,14 @@
 import { create } from "zustand";
+import { isKioskMode } from "../../utils/kiosk";
+import {
+  DEFAULT_QUALITY_PRESET,
+  findQualityPreset,
+} from "./constants/QualityPresets";
 
-// Fonction pour récupérer l'état debug persisté
+// Fonction pour récupérer l'état debug persisté (jamais actif sur une borne)
 const getInitialDebugState = () => {
+  if (isKioskMode()) return false;
+
   try {
     const storedValue = localStorage.getItem("goldbergs_debug_mode");
     console.log("Initial debug state from localStorage:", storedValue);
@@ -12,64 +19,198 @@ const getInitialDebugState = () => {
   }
 };
 
+// Préréglage de qualité imposé depuis le mode debug, persisté comme le mode
+// debug ; aucun = choix automatique selon le temps de rendu
+const QUALITY_STORAGE_KEY = "goldbergs_quality_preset";
+
+// Fonction pour récupérer le préréglage de qualité persisté
+const getInitialQualityOverride = () => {
+  try {
+    const storedValue = localStorage.getItem(QUALITY_STORAGE_KEY);
+    return findQualityPreset(storedValue) ? storedValue : null;
+  } catch (error) {
+    console.warn("Erreur lors de la lecture du localStorage:", error);
+    return null;
+  }
+};
+
+// Désignation des clusters et des nœuds, persistée comme le préréglage de
+// qualité
+const PICKING_STORAGE_KEY = "goldbergs_picking_mode";
+
+// Fonction pour récupérer le mode de désignation persisté
+const getInitialPickingMode = () => {
+  try {
+    const storedValue = localStorage.getItem(PICKING_STORAGE_KEY);
+    return Object.values(PICKING_MODES).includes(storedValue)
+      ? storedValue
+      : PICKING_MODES.BOTH;
+  } catch (error) {
+    console.warn("Erreur lors de la lecture du localStorage:", error);
+    return PICKING_MODES.BOTH;
+  }
+};
+
+// Session de visite : la progression du visiteur est sauvegardée sous un ID
+// de session, pour pouvoir repartir de zéro (nouveau visiteur) sans effacer
+// les autres sessions
+const SESSION_STORAGE_KEY = "goldbergs_session_id";
+const VISITS_STORAGE_PREFIX = "goldbergs_visits_";
+
+const createSessionId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Fonction pour récupérer (ou créer) l'ID de la session persistée
+const getInitialSessionId = () => {
+  try {
+    const storedValue = localStorage.getItem(SESSION_STORAGE_KEY);
+    if (storedValue) return storedValue;
+
+    const sessionId = createSessionId();
+    localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+    return sessionId;
+  } catch (error) {
+    console.warn("Erreur lors de la lecture du localStorage:", error);
+    return createSessionId();
+  }
+};
+
+// Fonction pour récupérer l'historique des visites d'une session
+const loadVisitHistory = (sessionId) => {
+  const emptyHistory = {
+    visitedClusters: [],
+    visitedNodes: [],
+    visitedPersonasCount: 0,
+  };
+
+  try {
+    const storedValue = localStorage.getItem(
+      `${VISITS_STORAGE_PREFIX}${sessionId}`
+    );
+    if (!storedValue) return emptyHistory;
+
+    const history = JSON.parse(storedValue);
+    const visitedClusters = Array.isArray(history.visitedClusters)
+      ? history.visitedClusters
+      : [];
+    return {
+      visitedClusters,
+      visitedNodes: Array.isArray(history.visitedNodes)
+        ? history.visitedNodes
+        : [],
+      visitedPersonasCount: Number.isFinite(history.visitedPersonasCount)
+        ? history.visitedPersonasCount
+        : visitedClusters.length,
+    };
+  } catch (error) {
+    console.warn("Erreur lors de la lecture des visites:", error);
+    return emptyHistory;
+  }
+};
+
+// Fonction pour sauvegarder l'historique des visites d'une session (sans les
+// données complètes des nœuds, rechargées avec le graphe)
+const saveVisitHistory = (sessionId, state) => {
+  try {
+    localStorage.setItem(
+      `${VISITS_STORAGE_PREFIX}${sessionId}`,
+      JSON.stringify({
+        visitedClusters: state.visitedClusters,
+        visitedNodes: state.visitedNodes.map(({ slug, name, visitedAt }) => ({
+          slug,
+          name,
+          visitedAt,
+        })),
+        visitedPersonasCount: state.visitedPersonasCount,
+      })
+    );
+  } catch (error) {
+    console.warn("Erreur lors de l'écriture dans le localStorage:", error);
+  }
+};
+
+const initialSessionId = getInitialSessionId();
+
 // Définition des niveaux disponibles
 export const GAME_LEVELS = {
   WORLD: "world", // Niveau principal avec le graphe complet
   ADVANCED_CLUSTER: "advanced_cluster", // Niveau cluster avancé
 };
 
+// Modes d'affichage du niveau monde
+export const WORLD_VIEW_MODES = {
+  ALL: "all", // Mini-graphes de chaque persona
+  BRIDGES: "bridges", // Uniquement les liens entre clusters
+};
+
+// Traitement des éléments qui ne correspondent pas aux filtres d'attributs
+export const FILTER_MODES = {
+  DIM: "dim", // Estompés
+  HIDE: "hide", // Masqués et ignorés par les collisions
+};
+
+// Mesures de la carte de chaleur de fréquentation
+export const HEATMAP_METRICS = {
+  DWELL: "dwell", // Temps passé devant les nœuds et dans les clusters
+  INTERACTIONS: "interactions", // Interactions et nœuds activés
+};
+
+// Désignation des clusters et des nœuds à survoler ou ouvrir
+export const PICKING_MODES = {
+  CROSSHAIR: "crosshair", // Point de détection devant la caméra (viseur)
+  POINTER: "pointer", // Souris et toucher
+  BOTH: "both", // Le pointeur a priorité sur le viseur
+};
+
+// Persona central (Joshua Goldberg), affiché au centre du monde
+export const JOSHUA_PERSONA = {
+  id: "joshua-persona",
+  name: "Joshua Goldberg",
+  type: "persona",
+};
+
 // Store unifié avec gestion des niveaux
 const useGameStore = create((set, get) => ({
   // États gérés par ce store
   audioEnabled: true, // État du son (activé par défaut)
   debug: getInitialDebugState(), // État du mode debug initialisé depuis le localStorage
   camera: null, // Référence à la caméra principale
-  hoveredCluster: null, // Slug du cluster survolé actuellement
+  hoveredCluster: null, // ID (clé de la boîte de collision) du cluster survolé
+  qualityLevel: DEFAULT_QUALITY_PRESET, // Préréglage choisi par le gestionnaire de qualité
+  qualityOverride: getInitialQualityOverride(), // Préréglage imposé, null = automatique
+  pickingMode: getInitialPickingMode(), // Viseur, pointeur ou les deux (PICKING_MODES)
+  touchControls: false, // Commandes tactiles affichées (écran tactile détecté)
 
   // Système de niveaux unifié
   currentLevel: GAME_LEVELS.WORLD, // Niveau actuel
   activeLevel: null, // Données du niveau actif (persona, cluster, etc.)
+  worldViewMode: WORLD_VIEW_MODES.ALL, // Mode d'affichage du graphe du monde
+  heatmapMetric: null, // Carte de chaleur de fréquentation (mode debug), null = masquée
+
+  // Filtres sur les attributs des personas (voir attributeFilters.js)
+  attributeFilters: {}, // Valeurs retenues par attribut, aucune = pas de filtre
+  filterMode: FILTER_MODES.DIM,
+  hiddenClusterIds: [], // Clusters masqués par les filtres, ignorés par les collisions
 
   // Données du nœud actif
-  activeNodeData: null, // Données complètes du nœud actif
+  activeNodeData: null, // Slug du nœud actif
 
   // Données de transition pour éviter les baisses de framerate
   transitionData: null, // Données temporaires pendant la transition
   isTransitioning: false, // État de transition
 
-  // Nouvel état pour le suivi des visites
-  visitedClusters: [],
-  visitedNodes: [],
-  visitedPersonasCount: 0,
+  // Suivi des visites, persisté pour la session en cours
+  sessionId: initialSessionId,
+  ...loadVisitHistory(initialSessionId),
 
   // Actions pour modifier les états
 
-  // Fonction pour définir les données du nœud actif
+  // Fonction pour définir le nœud actif (son slug). Les visites sont
+  // enregistrées par AdvancedCluster, qui dispose des données du nœud : le
+  // survol d'un cluster au niveau monde ne compte pas comme une visite
   setActiveNodeData: (nodeData) => {
     set({ activeNodeData: nodeData });
 
-    // Si le nœud est actif et n'a pas encore été visité, l'ajouter à la liste
-    if (nodeData) {
-      const state = get();
-      const alreadyVisited = state.visitedNodes.some(
-        (node) => node.slug === nodeData.slug
-      );
-
-      if (!alreadyVisited) {
-        set((state) => ({
-          visitedNodes: [
-            ...state.visitedNodes,
-            {
-              slug: nodeData.slug,
-              name: nodeData.name,
-              data: nodeData,
-              visitedAt: new Date().toISOString(),
-            },
-          ],
-        }));
-      }
-    }
-
     console.log("Active node data updated:", nodeData);
   },
 
@@ -78,6 +219,8 @@ const useGameStore = create((set, get) => ({
 
   // Fonction pour activer/désactiver le mode debug
   toggleDebug: () => {
+    if (isKioskMode()) return;
+
     const currentState = get().debug;
     console.log("Current debug state before toggle:", currentState);
     const newState = !currentState;
@@ -95,6 +238,8 @@ const useGameStore = create((set, get) => ({
 
   // Fonction pour définir directement l'état du mode debug
   setDebug: (value) => {
+    if (isKioskMode()) return;
+
     console.log("Setting debug state to:", value);
     set({ debug: value });
 
@@ -106,6 +251,92 @@ const useGameStore = create((set, get) => ({
     }
   },
 
+  // Fonction pour changer le préréglage automatique (gestionnaire de qualité)
+  setQualityLevel: (level) => {
+    if (!findQualityPreset(level)) return;
+    set({ qualityLevel: level });
+  },
+
+  // Fonction pour imposer un préréglage de qualité (null = automatique)
+  setQualityOverride: (level) => {
+    const override = findQualityPreset(level) ? level : null;
+    set({ qualityOverride: override });
+
+    // Sauvegarder dans le localStorage
+    try {
+      if (override) {
+        localStorage.setItem(QUALITY_STORAGE_KEY, override);
+      } else {
+        localStorage.removeItem(QUALITY_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn("Erreur lors de l'écriture dans le localStorage:", error);
+    }
+  },
+
+  // Fonction pour choisir le mode de désignation (PICKING_MODES)
+  setPickingMode: (mode) => {
+    if (!Object.values(PICKING_MODES).includes(mode)) return;
+    set({ pickingMode: mode });
+
+    // Sauvegarder dans le localStorage
+    try {
+      localStorage.setItem(PICKING_STORAGE_KEY, mode);
+    } catch (error) {
+      console.warn("Erreur lors de l'écriture dans le localStorage:", error);
+    }
+  },
+
+  // Fonction pour afficher ou masquer les commandes tactiles
+  setTouchControls: (visible) => set({ touchControls: visible }),
+
+  // Fonction pour basculer entre le graphe complet et la vue des ponts
+  toggleBridgesView: () =>
+    set((state) => ({
+      worldViewMode:
+        state.worldViewMode === WORLD_VIEW_MODES.BRIDGES
+          ? WORLD_VIEW_MODES.ALL
+          : WORLD_VIEW_MODES.BRIDGES,
+    })),
+
+  // Fonction pour passer à la mesure suivante de la carte de chaleur
+  // (masquée → temps passé → interactions → masquée)
+  cycleHeatmap: () =>
+    set((state) => {
+      const metrics = [null, ...Object.values(HEATMAP_METRICS)];
+      const index = metrics.indexOf(state.heatmapMetric);
+      return { heatmapMetric: metrics[(index + 1) % metrics.length] };
+    }),
+
+  // Fonction pour ajouter ou retirer une valeur des filtres d'un attribut
+  toggleAttributeFilter: (attribute, value) =>
+    set((state) => {
+      const values = state.attributeFilters[attribute] || [];
+      return {
+        attributeFilters: {
+          ...state.attributeFilters,
+          [attribute]: values.includes(value)
+            ? values.filter((v) => v !== value)
+            : [...values, value],
+        },
+      };
+    }),
+
+  // Fonction pour retirer tous les filtres d'attributs
+  clearAttributeFilters: () => set({ attributeFilters: {} }),
+
+  // Fonction pour basculer entre éléments estompés et masqués
+  toggleFilterMode: () =>
+    set((state) => ({
+      filterMode:
+        state.filterMode === FILTER_MODES.HIDE
+          ? FILTER_MODES.DIM
+          : FILTER_MODES.HIDE,
+    })),
+
+  // Fonction pour définir les clusters masqués (calculés par le graphe)
+  setHiddenClusterIds: (hiddenClusterIds) => set({ hiddenClusterIds }),
+
   // Fonction pour définir la référence à la caméra
   setCamera: (camera) => set({ camera }),
 
@@ -162,6 +393,7 @@ const useGameStore = create((set, get) => ({
             ...state.visitedClusters,
             {
               slug: levelData.id,
+              name: levelData.name,
               visitedAt: new Date().toISOString(),
             },
           ],
@@ -216,8 +448,35 @@ const useGameStore = create((set, get) => ({
       visitedPersonasCount: 0,
       visitedNodes: [],
     }),
+
+  // Démarrer une nouvelle session (nouveau visiteur) : l'historique de la
+  // session précédente est effacé
+  startNewSession: () => {
+    const sessionId = createSessionId();
+    try {
+      localStorage.removeItem(`${VISITS_STORAGE_PREFIX}${get().sessionId}`);
+      localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+    } catch (error) {
+      console.warn("Erreur lors de l'écriture dans le localStorage:", error);
+    }
+
+    console.log("Nouvelle session de visite:", sessionId);
+    set({ sessionId });
+    get().resetAllVisitHistory();
+  },
 }));
 
+// Sauvegarder la progression à chaque nouvelle visite
+useGameStore.subscribe((state, previousState) => {
+  if (
+    state.visitedClusters !== previousState.visitedClusters ||
+    state.visitedNodes !== previousState.visitedNodes ||
+    state.sessionId !== previousState.sessionId
+  ) {
+    saveVisitHistory(state.sessionId, state);
+  }
+});
+
 // Selectors spécifiques pour optimiser les re-rendus
 
 // Selector spécifique pour hoveredCluster
@@ -231,6 +490,34 @@ export const useCurrentLevel = () =>
 // Selector spécifique pour les données du niveau actif
 export const useActiveLevel = () => useGameStore((state) => state.activeLevel);
 
+// Selector spécifique pour le mode d'affichage du monde
+export const useWorldViewMode = () =>
+  useGameStore((state) => state.worldViewMode);
+
+// Selector spécifique pour les filtres d'attributs
+export const useAttributeFilters = () =>
+  useGameStore((state) => state.attributeFilters);
+
+// Selector spécifique pour le traitement des éléments filtrés
+export const useFilterMode = () => useGameStore((state) => state.filterMode);
+
+// Selector spécifique pour la carte de chaleur de fréquentation
+export const useHeatmapMetric = () =>
+  useGameStore((state) => state.heatmapMetric);
+
+// Selector spécifique pour le préréglage de qualité appliqué
+export const useQualityPreset = () =>
+  useGameStore((state) =>
+    findQualityPreset(state.qualityOverride ?? state.qualityLevel)
+  );
+
+// Selector spécifique pour le mode de désignation
+export const usePickingMode = () => useGameStore((state) => state.pickingMode);
+
+// Selector spécifique pour l'affichage des commandes tactiles
+export const useTouchControls = () =>
+  useGameStore((state) => state.touchControls);
+
 // Selector spécifique pour l'état de transition
 export const useIsTransitioning = () =>
   useGameStore((state) => state.isTransitioning);
@@ -0,0 +1,415 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from "react";
+import { Canvas } from "@react-three/fiber";
+import { OrbitControls } from "@react-three/drei";
+import {
+  Paper,
+  MenuItem,
+  Select,
+  Button,
+  FormControlLabel,
+  Checkbox,
+} from "@mui/material";
+import { styled } from "@mui/material/styles";
+import UploadIcon from "@mui/icons-material/Upload";
+
+import PageTransition from "../../components/PageTransition";
+import DiffOverlay, { DIFF_COLORS } from "./components/DiffOverlay";
+import { diffGraphs, isEmptyDiff } from "../../utils/graphDiff";
+import {
+  GRAPH_FORMATS,
+  parseGraph,
+  readGraphFiles,
+} from "../../utils/graphFormats";
+
+// Générations du graphe disponibles dans public/data
+const DATA_FILES = [
+  "final_spatialized_graph.data.json",
+  "final_spatialized_graph.data.json.backup",
+  "final_spatialized_graph.data copy.json",
+  "spatialized_graph-old.data.json",
+  "spatialized_nodes_and_links.data.json",
+  "spatialized_nodes_and_links-old2.data.json",
+];
+
+// Nombre d'entrées affichées par rubrique dans le panneau
+const MAX_LIST_ITEMS = 50;
+
+const IMPORT_ACCEPT = Object.values(GRAPH_FORMATS)
+  .map((format) => `.${format.extension.split(".").pop()}`)
+  .join(",");
+
+// Panneau latéral du diff
+const DiffPanel = styled(Paper)({
+  position: "absolute",
+  top: "80px",
+  left: "20px",
+  bottom: "20px",
+  width: "360px",
+  padding: "12px 16px",
+  backgroundColor: "rgba(0, 0, 0, 0.8)",
+  color: "#fff",
+  zIndex: 100,
+  overflowY: "auto",
+  fontSize: "13px",
+  borderRadius: "4px",
+});
+
+const FileSelect = styled(Select)({
+  color: "#fff",
+  fontSize: "13px",
+  width: "100%",
+  "& .MuiOutlinedInput-notchedOutline": {
+    borderColor: "rgba(255, 255, 255, 0.4)",
+  },
+  "& .MuiSvgIcon-root": { color: "#fff" },
+});
+
+const LOCAL_FILE = "__local__";
+
+/**
+ * Charge un fichier de graphe depuis public/data
+ * @param {string} fileName - Nom du fichier
+ * @returns {Promise<{nodes: Array, links: Array}>} Graphe
+ */
+const fetchDataFile = async (fileName) => {
+  const response = await fetch(
+    `${import.meta.env.BASE_URL}data/${encodeURIComponent(fileName)}`
+  );
+  if (!response.ok) {
+    throw new Error(`Erreur HTTP: ${response.status} (${fileName})`);
+  }
+  // Les sauvegardes (.backup) restent du JSON
+  return parseGraph(await response.text(), fileName.replace(/\.backup$/, ""));
+};
+
+// Sélection d'une version du graphe : fichier de public/data ou fichier local
+const GraphSource = ({ label, value, onSelect, onImport }) => (
+  <div style={{ marginBottom: "10px" }}>
+    <div style={{ marginBottom: "4px", color: "#aaa" }}>{label}</div>
+    <FileSelect
+      size="small"
+      value={value}
+      onChange={(e) => onSelect(e.target.value)}
+    >
+      {DATA_FILES.map((file) => (
+        <MenuItem key={file} value={file}>
+          {file}
+        </MenuItem>
+      ))}
+      <MenuItem value={LOCAL_FILE} disabled>
+        Fichier importé
+      </MenuItem>
+    </FileSelect>
+    <Button
+      size="small"
+      component="label"
+      startIcon={<UploadIcon />}
+      sx={{ color: "#fff", mt: 0.5 }}
+    >
+      Importer
+      <input
+        type="file"
+        hidden
+        multiple
+        accept={IMPORT_ACCEPT}
+        onChange={onImport}
+      />
+    </Button>
+  </div>
+);
+
+// Rubrique du diff, repliable, avec ses entrées cliquables
+const DiffSection = ({ title, color, items, renderItem, onSelect }) => {
+  const [open, setOpen] = useState(false);
+
+  if (items.length === 0) return null;
+
+  return (
+    <div style={{ marginTop: "8px" }}>
+      <div
+        onClick={() => setOpen(!open)}
+        style={{ cursor: "pointer", color, fontWeight: "bold" }}
+      >
+        {open ? "▾" : "▸"} {title} ({items.length})
+      </div>
+      {open &&
+        items.slice(0, MAX_LIST_ITEMS).map((item, i) => (
+          <div
+            key={i}
+            onClick={() => onSelect?.(item)}
+            style={{
+              paddingLeft: "14px",
+              cursor: onSelect ? "pointer" : "default",
+              color: "#ddd",
+            }}
+          >
+            {renderItem(item)}
+          </div>
+        ))}
+      {open && items.length > MAX_LIST_ITEMS && (
+        <div style={{ paddingLeft: "14px", color: "#888" }}>
+          … {items.length - MAX_LIST_ITEMS} de plus
+        </div>
+      )}
+    </div>
+  );
+};
+
+const formatChanges = (changes) =>
+  changes
+    .map(
+      ({ attribute, before, after }) =>
+        `${attribute}: ${before ?? "∅"} → ${after ?? "∅"}`
+    )
+    .join(", ");
+
+const GraphDiffPage = () => {
+  const [sources, setSources] = useState({
+    before: "final_spatialized_graph.data.json.backup",
+    after: "final_spatialized_graph.data.json",
+  });
+  const [graphs, setGraphs] = useState({ before: null, after: null });
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [display, setDisplay] = useState({
+    showBefore: true,
+    showLinks: true,
+    showMoves: true,
+  });
+  const orbitControlsRef = useRef(null);
+
+  // Charger les fichiers de public/data sélectionnés
+  useEffect(() => {
+    let cancelled = false;
+
+    Object.entries(sources).forEach(([side, file]) => {
+      if (file === LOCAL_FILE) return;
+      fetchDataFile(file)
+        .then((graph) => {
+          if (!cancelled) setGraphs((prev) => ({ ...prev, [side]: graph }));
+        })
+        .catch((err) => {
+          console.error("Erreur lors du chargement du graphe:", err);
+          if (!cancelled) setError(err.message);
+        });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sources]);
+
+  const handleImport = useCallback(async (side, event) => {
+    try {
+      const graph = await readGraphFiles(event.target.files);
+      setGraphs((prev) => ({ ...prev, [side]: graph }));
+      setSources((prev) => ({ ...prev, [side]: LOCAL_FILE }));
+      setError(null);
+    } catch (err) {
+      console.error("Erreur lors de l'import du graphe:", err);
+      setError(err.message);
+    } finally {
+      event.target.value = "";
+    }
+  }, []);
+
+  const diff = useMemo(
+    () =>
+      graphs.before && graphs.after
+        ? diffGraphs(graphs.before, graphs.after)
+        : null,
+    [graphs]
+  );
+
+  // Centrer la caméra sur le nœud sélectionné dans la liste
+  const selectNode = useCallback((node) => {
+    setSelectedId(node.id);
+    const position = node.to ?? node.from;
+    const controls = orbitControlsRef.current;
+    if (controls && position) {
+      controls.target.set(...position);
+      controls.update();
+    }
+  }, []);
+
+  // Les entrées de la liste n'ont pas toutes leurs positions : les retrouver
+  const selectById = useCallback(
+    (id, side = "after") => {
+      const node = graphs[side]?.nodes.find((n) => n.id === id);
+      if (!node) return;
+      selectNode({ id, to: [node.x || 0, node.y || 0, node.z || 0] });
+    },
+    [graphs, selectNode]
+  );
+
+  const toggleDisplay = (key) =>
+    setDisplay((prev) => ({ ...prev, [key]: !prev[key] }));
+
+  return (
+    <PageTransition>
+      <div
+        style={{
+          width: "100%",
+          height: "calc(100vh - 64px)",
+          position: "relative",
+        }}
+      >
+        <DiffPanel>
+          <GraphSource
+            label="Avant"
+            value={sources.before}
+            onSelect={(file) =>
+              setSources((prev) => ({ ...prev, before: file }))
+            }
+            onImport={(e) => handleImport("before", e)}
+          />
+          <GraphSource
+            label="Après"
+            value={sources.after}
+            onSelect={(file) =>
+              setSources((prev) => ({ ...prev, after: file }))
+            }
+            onImport={(e) => handleImport("after", e)}
+          />
+
+          {[
+            ["showBefore", "Version avant (fantôme)"],
+            ["showLinks", "Liens"],
+            ["showMoves", "Vecteurs de déplacement"],
+          ].map(([key, label]) => (
+            <FormControlLabel
+              key={key}
+              control={
+                <Checkbox
+                  size="small"
+                  checked={display[key]}
+                  onChange={() => toggleDisplay(key)}
+                  sx={{ color: "#fff" }}
+                />
+              }
+              label={label}
+              sx={{ display: "block", m: 0 }}
+            />
+          ))}
+
+          {error && <div style={{ color: "red" }}>Erreur: {error}</div>}
+          {!diff && !error && <div>Chargement des graphes...</div>}
+
+          {diff && (
+            <>
+              <div style={{ marginTop: "10px" }}>
+                Nœuds: {diff.summary.nodesBefore} → {diff.summary.nodesAfter},
+                liens: {diff.summary.linksBefore} → {diff.summary.linksAfter}
+              </div>
+              {isEmptyDiff(diff) && <div>Aucune différence</div>}
+
+              <DiffSection
+                title="Nœuds ajoutés"
+                color={DIFF_COLORS.added}
+                items={diff.nodes.added}
+                renderItem={(node) => node.name}
+                onSelect={(node) => selectById(node.id)}
+              />
+              <DiffSection
+                title="Nœuds supprimés"
+                color={DIFF_COLORS.removed}
+                items={diff.nodes.removed}
+                renderItem={(node) => node.name}
+                onSelect={(node) => selectById(node.id, "before")}
+              />
+              <DiffSection
+                title="Nœuds renommés"
+                color={DIFF_COLORS.changed}
+                items={diff.nodes.renamed}
+                renderItem={({ before, after }) =>
+                  `${before.name} → ${after.name}`
+                }
+                onSelect={({ after }) => selectById(after.id)}
+              />
+              <DiffSection
+                title="Attributs modifiés"
+                color={DIFF_COLORS.changed}
+                items={diff.nodes.changed}
+                renderItem={(node) =>
+                  `${node.name} — ${formatChanges(node.changes)}`
+                }
+                onSelect={(node) => selectById(node.id)}
+              />
+              <DiffSection
+                title="Changements de cluster"
+                color={DIFF_COLORS.changed}
+                items={diff.nodes.reassigned}
+                renderItem={(node) =>
+                  `${node.name}: ${
+                    node.before.clusterSlug ?? node.before.cluster
+                  } → ${node.after.clusterSlug ?? node.after.cluster}`
+                }
+                onSelect={(node) => selectById(node.id)}
+              />
+              <DiffSection
+                title={`Nœuds déplacés (max ${diff.summary.maxDistance.toFixed(
+                  1
+                )})`}
+                color={DIFF_COLORS.moved}
+                items={diff.nodes.moved}
+                renderItem={(node) =>
+                  `${node.distance.toFixed(1)} — ${node.name}`
+                }
+                onSelect={selectNode}
+              />
+              <DiffSection
+                title="Liens ajoutés"
+                color={DIFF_COLORS.added}
+                items={diff.links.added}
+                renderItem={({ source, target }) => `${source} → ${target}`}
+              />
+              <DiffSection
+                title="Liens supprimés"
+                color={DIFF_COLORS.removed}
+                items={diff.links.removed}
+                renderItem={({ source, target }) => `${source} → ${target}`}
+              />
+              <DiffSection
+                title="Liens modifiés"
+                color={DIFF_COLORS.changed}
+                items={diff.links.changed}
+                renderItem={({ source, target, changes }) =>
+                  `${source} → ${target} — ${formatChanges(changes)}`
+                }
+              />
+            </>
+          )}
+        </DiffPanel>
+
+        <Canvas
+          style={{ background: "#000", width: "100%", height: "100%" }}
+          camera={{ position: [0, 0, 2000], fov: 45, near: 0.1, far: 1000000 }}
+          raycaster={{ params: { Points: { threshold: 6 } } }}
+        >
+          {diff && (
+            <DiffOverlay
+              beforeGraph={graphs.before}
+              afterGraph={graphs.after}
+              diff={diff}
+              selectedId={selectedId}
+              {...display}
+            />
+          )}
+          <OrbitControls
+            ref={orbitControlsRef}
+            enablePan={true}
+            enableZoom={true}
+            enableRotate={true}
+            minDistance={50}
+            maxDistance={5000}
+            dampingFactor={0.25}
+            rotateSpeed={0.5}
+            zoomSpeed={1.2}
+          />
+        </Canvas>
+      </div>
+    </PageTransition>
+  );
+};
+
+export default GraphDiffPage;
@@ -0,0 +1,266 @@
+import { memo, useMemo, useState } from "react";
+import { Html } from "@react-three/drei";
+import * as THREE from "three";
+
+// Couleurs des catégories de différences
+export const DIFF_COLORS = {
+  unchanged: "#555555",
+  before: "#3a6ea5",
+  added: "#4caf50",
+  removed: "#f44336",
+  changed: "#ff9800",
+  moved: "#ffeb3b",
+  selected: "#ffffff",
+};
+
+const getLinkEndId = (end) => (typeof end === "object" ? end.id : end);
+
+const toPosition = (node) => [node.x || 0, node.y || 0, node.z || 0];
+
+/**
+ * Construit les tableaux de positions et de couleurs d'un nuage de points
+ * @param {Array<{position: Array<number>, color: string}>} items - Points
+ * @returns {{positions: Float32Array, colors: Float32Array}}
+ */
+const buildPointBuffers = (items) => {
+  const positions = new Float32Array(items.length * 3);
+  const colors = new Float32Array(items.length * 3);
+  const color = new THREE.Color();
+
+  items.forEach((item, i) => {
+    positions.set(item.position, i * 3);
+    color.set(item.color);
+    colors.set([color.r, color.g, color.b], i * 3);
+  });
+
+  return { positions, colors };
+};
+
+/**
+ * Construit les tableaux d'un ensemble de segments colorés
+ * @param {Array<{from: Array<number>, to: Array<number>, color: string}>} segments - Segments
+ * @returns {{positions: Float32Array, colors: Float32Array}}
+ */
+const buildSegmentBuffers = (segments) =>
+  buildPointBuffers(
+    segments.flatMap(({ from, to, color }) => [
+      { position: from, color },
+      { position: to, color },
+    ])
+  );
+
+// Nuage de points colorés avec survol
+const DiffPoints = ({ items, size, opacity = 1, onHover }) => {
+  const { positions, colors } = useMemo(
+    () => buildPointBuffers(items),
+    [items]
+  );
+
+  if (items.length === 0) return null;
+
+  return (
+    <points
+      onPointerMove={(e) => {
+        e.stopPropagation();
+        onHover?.(items[e.index]);
+      }}
+      onPointerOut={() => onHover?.(null)}
+    >
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" args={[positions, 3]} />
+        <bufferAttribute attach="attributes-color" args={[colors, 3]} />
+      </bufferGeometry>
+      <pointsMaterial
+        vertexColors
+        size={size}
+        sizeAttenuation
+        transparent={opacity < 1}
+        opacity={opacity}
+        depthWrite={opacity === 1}
+      />
+    </points>
+  );
+};
+
+// Segments colorés (liens, vecteurs de déplacement)
+const DiffSegments = ({ segments, opacity = 1 }) => {
+  const { positions, colors } = useMemo(
+    () => buildSegmentBuffers(segments),
+    [segments]
+  );
+
+  if (segments.length === 0) return null;
+
+  return (
+    <lineSegments>
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" args={[positions, 3]} />
+        <bufferAttribute attach="attributes-color" args={[colors, 3]} />
+      </bufferGeometry>
+      <lineBasicMaterial
+        vertexColors
+        transparent={opacity < 1}
+        opacity={opacity}
+      />
+    </lineSegments>
+  );
+};
+
+/**
+ * Superpose les deux versions d'un graphe : la version "après" colorée selon
+ * le diff, la version "avant" en fantôme, les nœuds supprimés en rouge et les
+ * déplacements sous forme de vecteurs.
+ */
+const DiffOverlay = ({
+  beforeGraph,
+  afterGraph,
+  diff,
+  showBefore = true,
+  showLinks = true,
+  showMoves = true,
+  selectedId = null,
+}) => {
+  const [hovered, setHovered] = useState(null);
+
+  const scene = useMemo(() => {
+    const beforeById = new Map(
+      beforeGraph.nodes.map((node) => [node.id, node])
+    );
+    const afterById = new Map(afterGraph.nodes.map((node) => [node.id, node]));
+
+    const addedIds = new Set(diff.nodes.added.map(({ id }) => id));
+    const changedIds = new Set([
+      ...diff.nodes.changed.map(({ id }) => id),
+      ...diff.nodes.renamed.map(({ after }) => after.id),
+      ...diff.nodes.reassigned.map(({ id }) => id),
+    ]);
+    const movedIds = new Set(diff.nodes.moved.map(({ id }) => id));
+
+    const getStatus = (id) => {
+      if (addedIds.has(id)) return "added";
+      if (changedIds.has(id)) return "changed";
+      if (movedIds.has(id)) return "moved";
+      return "unchanged";
+    };
+
+    const afterPoints = afterGraph.nodes.map((node) => {
+      const status = getStatus(node.id);
+      return {
+        id: node.id,
+        name: node.name,
+        status,
+        position: toPosition(node),
+        color: DIFF_COLORS[status],
+      };
+    });
+
+    const removedPoints = diff.nodes.removed
+      .map(({ id }) => beforeById.get(id))
+      .filter(Boolean)
+      .map((node) => ({
+        id: node.id,
+        name: node.name,
+        status: "removed",
+        position: toPosition(node),
+        color: DIFF_COLORS.removed,
+      }));
+
+    const beforePoints = beforeGraph.nodes.map((node) => ({
+      id: node.id,
+      name: node.name,
+      status: "before",
+      position: toPosition(node),
+      color: DIFF_COLORS.before,
+    }));
+
+    // Liens : version "après" en gris, ajouts en vert, suppressions en rouge
+    const addedLinkKeys = new Set(
+      diff.links.added.map(({ source, target }) => `${source}->${target}`)
+    );
+    const linkSegments = [];
+    afterGraph.links.forEach((link) => {
+      const source = afterById.get(getLinkEndId(link.source));
+      const target = afterById.get(getLinkEndId(link.target));
+      if (!source || !target) return;
+      const isAdded = addedLinkKeys.has(`${source.id}->${target.id}`);
+      linkSegments.push({
+        from: toPosition(source),
+        to: toPosition(target),
+        color: isAdded ? DIFF_COLORS.added : DIFF_COLORS.unchanged,
+      });
+    });
+    diff.links.removed.forEach(({ source, target }) => {
+      const sourceNode = beforeById.get(source);
+      const targetNode = beforeById.get(target);
+      if (!sourceNode || !targetNode) return;
+      linkSegments.push({
+        from: toPosition(sourceNode),
+        to: toPosition(targetNode),
+        color: DIFF_COLORS.removed,
+      });
+    });
+
+    const moveSegments = diff.nodes.moved.map(({ from, to }) => ({
+      from,
+      to,
+      color: DIFF_COLORS.moved,
+    }));
+
+    return {
+      afterPoints,
+      removedPoints,
+      beforePoints,
+      linkSegments,
+      moveSegments,
+    };
+  }, [beforeGraph, afterGraph, diff]);
+
+  const selectedPoint = useMemo(
+    () =>
+      selectedId
+        ? (scene.afterPoints.find(({ id }) => id === selectedId) ??
+          scene.removedPoints.find(({ id }) => id === selectedId))
+        : null,
+    [scene, selectedId]
+  );
+
+  return (
+    <group>
+      {showLinks && (
+        <DiffSegments segments={scene.linkSegments} opacity={0.35} />
+      )}
+      {showMoves && <DiffSegments segments={scene.moveSegments} />}
+      {showBefore && (
+        <DiffPoints items={scene.beforePoints} size={6} opacity={0.35} />
+      )}
+      <DiffPoints items={scene.afterPoints} size={10} onHover={setHovered} />
+      <DiffPoints items={scene.removedPoints} size={10} onHover={setHovered} />
+
+      {selectedPoint && (
+        <mesh position={selectedPoint.position}>
+          <sphereGeometry args={[12, 16, 16]} />
+          <meshBasicMaterial color={DIFF_COLORS.selected} wireframe />
+        </mesh>
+      )}
+
+      {hovered && (
+        <Html position={hovered.position} style={{ pointerEvents: "none" }}>
+          <div
+            style={{
+              color: hovered.color,
+              background: "rgba(0, 0, 0, 0.7)",
+              padding: "2px 6px",
+              borderRadius: "4px",
+              fontSize: "12px",
+              whiteSpace: "nowrap",
+            }}
+          >
+            {hovered.name} ({hovered.status})
+          </div>
+        </Html>
+      )}
+    </group>
+  );
+};
+
+export default memo(DiffOverlay);
@@ -0,0 +1,3 @@
+import GraphDiffPage from "./GraphDiffPage";
+
+export default GraphDiffPage;
@@ -3,22 +3,21 @@ import { Stats } from "@react-three/drei";
 import { useState, useEffect, useRef } from "react";
 import MovableGraph from "./components/MovableGraph";
 import GridReferences from "./components/GridReferences";
+import {
+  GRAPH_FORMATS,
+  downloadGraph,
+  readGraphFiles,
+} from "../../utils/graphFormats";
+import useLayoutStore from "../../hooks/useLayoutStore";
 import "./MovablePage.css";
 
-// Fonction utilitaire pour télécharger un fichier JSON
-const downloadJSON = (content, fileName) => {
-  const blob = new Blob([JSON.stringify(content, null, 2)], {
-    type: "application/json",
-  });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = fileName;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
-};
+// Extensions acceptées par le bouton d'import
+const IMPORT_ACCEPT = Object.values(GRAPH_FORMATS)
+  .map((format) => `.${format.extension.split(".").pop()}`)
+  .join(",");
+
+// Destination de l'export : public/data via le serveur de développement
+const DATA_FOLDER = "public-data";
 
 const MovablePage = () => {
   const [graphData, setGraphData] = useState(null);
@@ -26,6 +25,8 @@ const MovablePage = () => {
   const graphInstanceRef = useRef(null);
   // Nouvel état pour suivre le mode cluster
   const [isClusterMode, setIsClusterMode] = useState(false);
+  const [exportFormat, setExportFormat] = useState(GRAPH_FORMATS.JSON.id);
+  const layoutStore = useLayoutStore();
 
   // Ajout des états pour les paramètres de la grille
   const [showGrid, setShowGrid] = useState(true);
@@ -75,13 +76,42 @@ const MovablePage = () => {
     loadJsonData();
   }, []);
 
+  // Import d'un graphe GEXF, GraphML, CSV (nœuds + liens) ou JSON
+  const importGraphFiles = async (event) => {
+    const { files } = event.target;
+    try {
+      const importedData = await readGraphFiles(files);
+      setGraphData(importedData);
+      console.log("Graphe importé:", importedData);
+    } catch (error) {
+      console.error("Erreur lors de l'import du graphe:", error);
+      alert(`Erreur pendant l'import: ${error.message}`);
+    } finally {
+      // Permettre de réimporter le même fichier
+      event.target.value = "";
+    }
+  };
+
   // Fonction pour basculer l'affichage de la grille
   const toggleGrid = () => {
     setShowGrid(!showGrid);
   };
 
-  // Fonction pour exporter les données spatialisées
-  const exportSpatializedData = () => {
+  // Rechargement d'une version enregistrée dans public/data
+  const loadSavedLayout = async (name) => {
+    try {
+      const layoutData = await layoutStore.load(name);
+      setGraphData(layoutData);
+      console.log(`Disposition ${name} chargée:`, layoutData);
+    } catch (error) {
+      console.error("Erreur lors du chargement de la disposition:", error);
+      alert(`Erreur pendant le chargement: ${error.message}`);
+    }
+  };
+
+  // Fonction pour exporter les données spatialisées (téléchargement, ou
+  // enregistrement dans public/data avec destination === DATA_FOLDER)
+  const exportSpatializedData = async (destination) => {
     console.log("Début de l'exportation...");
     console.log("État actuel des données:");
     console.log("- graphData:", graphData);
@@ -181,12 +211,27 @@ const MovablePage = () => {
         links: links || [],
       };
 
+      if (destination === DATA_FOLDER) {
+        const name = prompt("Nom de la version", "final_spatialized_graph");
+        if (!name) return;
+
+        const { file, backup } = await layoutStore.save(
+          name,
+          spatializedNodesAndLinks
+        );
+        alert(`Enregistré dans public/data/${file}
+- Noeuds: ${nodesWithPositions.length}
+- Liens: ${links.length}${backup ? `\n- Sauvegarde: data-backups/${backup}` : ""}`);
+        return;
+      }
+
       console.log(
-        `Export des nœuds: ${nodesWithPositions.length}, liens: ${links.length}`
+        `Export des nœuds: ${nodesWithPositions.length}, liens: ${links.length} (${exportFormat})`
       );
-      downloadJSON(
+      downloadGraph(
         spatializedNodesAndLinks,
-        "final_spatialized_graph.data.json"
+        exportFormat,
+        "final_spatialized_graph"
       );
 
       // 7. Afficher un message de confirmation
@@ -209,9 +254,50 @@ const MovablePage = () => {
             <button onClick={toggleGrid}>
               {showGrid ? "Hide grid" : "Show grid"}
             </button>
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+            >
+              {Object.values(GRAPH_FORMATS).map((format) => (
+                <option key={format.id} value={format.id}>
+                  {format.label}
+                </option>
+              ))}
+            </select>
             <button onClick={exportSpatializedData}>
               Export spatialized data
             </button>
+            {layoutStore.available && (
+              <>
+                <button onClick={() => exportSpatializedData(DATA_FOLDER)}>
+                  Save to public/data
+                </button>
+                <select
+                  value=""
+                  onFocus={layoutStore.refresh}
+                  onChange={(e) => loadSavedLayout(e.target.value)}
+                >
+                  <option value="" disabled>
+                    Load saved layout
+                  </option>
+                  {layoutStore.layouts.map((layout) => (
+                    <option key={layout.name} value={layout.name}>
+                      {layout.name} ({layout.nodes} nodes)
+                    </option>
+                  ))}
+                </select>
+              </>
+            )}
+            <label className="import-button">
+              Import graph
+              <input
+                type="file"
+                hidden
+                multiple
+                accept={IMPORT_ACCEPT}
+                onChange={importGraphFiles}
+              />
+            </label>
             <div className="mode-indicator">
               Mode: {isClusterMode ? "Cluster (g)" : "Normal"}
               {isClusterMode && (
@@ -0,0 +1,251 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import TouchJoystick from "../../components/TouchJoystick";
+import { INPUT_ACTIONS } from "../Game2/components/AdvancedCameraController/navigationConstants";
+import { connectSync, getSyncServerUrl } from "../Game2/services/SyncService";
+import { SYNC_ROLES, REMOTE_EVENTS } from "../../utils/syncProtocol";
+
+// Période d'envoi des entrées tant qu'elles ne sont pas nulles (ms)
+const REMOTE_SEND_INTERVAL = 50;
+
+const ZERO_INPUTS = {
+  moveForward: 0,
+  moveRight: 0,
+  moveUp: 0,
+  lookHorizontal: 0,
+  lookVertical: 0,
+  roll: 0,
+  toggleMode: false,
+  nextPosition: false,
+  interact: false,
+};
+
+// Boutons, rattachés aux actions de INPUT_ACTIONS : les axes s'additionnent
+// quand deux boutons opposés sont maintenus, les actions restent vraies
+// tant que le bouton est appuyé
+const REMOTE_BUTTONS = [
+  { action: "MOVE_UP", label: "Up", input: "moveUp", value: 1 },
+  { action: "MOVE_DOWN", label: "Down", input: "moveUp", value: -1 },
+  { action: "ROLL_LEFT", label: "Roll ⟲", input: "roll", value: 1 },
+  { action: "ROLL_RIGHT", label: "Roll ⟳", input: "roll", value: -1 },
+  {
+    action: "NEXT_POSITION",
+    label: "Next",
+    input: "nextPosition",
+    value: true,
+  },
+  { action: "TOGGLE_MODE", label: "Mode", input: "toggleMode", value: true },
+  { action: "INTERACT", label: "Interact", input: "interact", value: true },
+];
+
+const hasActiveInput = (inputs) => Object.values(inputs).some(Boolean);
+
+const buttonStyle = (isPressed) => ({
+  minWidth: "72px",
+  padding: "14px 10px",
+  border: "1px solid rgba(255, 255, 255, 0.4)",
+  borderRadius: "8px",
+  background: isPressed ? "rgba(255, 255, 255, 0.35)" : "rgba(0, 0, 0, 0.4)",
+  color: "#fff",
+  fontSize: "14px",
+  touchAction: "none",
+  userSelect: "none",
+});
+
+/**
+ * Télécommande (#/remote) : un téléphone ou une tablette du réseau local
+ * pilote l'écran principal par le serveur de synchronisation. Une seule
+ * télécommande a la main à la fois
+ */
+const RemotePage = () => {
+  const socketRef = useRef(null);
+  const inputsRef = useRef({ ...ZERO_INPUTS });
+  const pressedRef = useRef({});
+  const isDirtyRef = useRef(false);
+  const [connected, setConnected] = useState(false);
+  const [driverId, setDriverId] = useState(null);
+  const [pressed, setPressed] = useState({});
+
+  useEffect(() => {
+    const socket = connectSync(getSyncServerUrl(), SYNC_ROLES.REMOTE);
+    socketRef.current = socket;
+
+    socket.on("connect", () => setConnected(true));
+    socket.on("disconnect", () => {
+      setConnected(false);
+      setDriverId(null);
+    });
+    socket.on(REMOTE_EVENTS.LOCK, (lock) =>
+      setDriverId(lock?.driverId ?? null)
+    );
+
+    // Téléphone verrouillé ou page quittée : rendre la main
+    const release = () => socket.emit(REMOTE_EVENTS.RELEASE);
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") release();
+    };
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    window.addEventListener("pagehide", release);
+
+    return () => {
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      window.removeEventListener("pagehide", release);
+      release();
+      socket.disconnect();
+    };
+  }, []);
+
+  const isDriver =
+    connected && driverId !== null && driverId === socketRef.current?.id;
+
+  const sendInputs = useCallback(() => {
+    isDirtyRef.current = false;
+    socketRef.current?.emit(REMOTE_EVENTS.INPUT, inputsRef.current);
+  }, []);
+
+  // Envoi régulier : l'écran principal remet les entrées à zéro s'il n'a
+  // plus de nouvelles
+  useEffect(() => {
+    if (!isDriver) {
+      inputsRef.current = { ...ZERO_INPUTS };
+      pressedRef.current = {};
+      setPressed({});
+      return;
+    }
+
+    const intervalId = setInterval(() => {
+      if (isDirtyRef.current || hasActiveInput(inputsRef.current)) {
+        sendInputs();
+      }
+    }, REMOTE_SEND_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [isDriver, sendInputs]);
+
+  const updateInputs = useCallback((changes) => {
+    inputsRef.current = { ...inputsRef.current, ...changes };
+    isDirtyRef.current = true;
+  }, []);
+
+  const handleMove = useCallback(
+    ({ x, y }) => updateInputs({ moveForward: y, moveRight: x }),
+    [updateInputs]
+  );
+
+  const handleLook = useCallback(
+    ({ x, y }) => updateInputs({ lookHorizontal: x, lookVertical: y }),
+    [updateInputs]
+  );
+
+  const setButton = (button, isPressed) => {
+    if (Boolean(pressedRef.current[button.action]) === isPressed) return;
+    pressedRef.current = { ...pressedRef.current, [button.action]: isPressed };
+    setPressed(pressedRef.current);
+
+    const held = REMOTE_BUTTONS.filter(
+      (other) =>
+        other.input === button.input && pressedRef.current[other.action]
+    );
+    updateInputs({
+      [button.input]:
+        typeof button.value === "number"
+          ? held.reduce((total, other) => total + other.value, 0)
+          : held.length > 0,
+    });
+    // Les boutons partent aussitôt : un appui bref ne doit pas être perdu
+    sendInputs();
+  };
+
+  let status = null;
+  if (!connected) {
+    status = "Connecting to the installation...";
+  } else if (!driverId) {
+    status = "The big screen is free";
+  } else if (!isDriver) {
+    status = "Someone else is driving, please wait";
+  }
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        zIndex: 2000,
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: "20px",
+        padding: "16px",
+        background: "#000",
+        color: "#fff",
+        fontFamily: "monospace",
+        touchAction: "none",
+        userSelect: "none",
+      }}
+    >
+      {!isDriver ? (
+        <>
+          <div style={{ fontSize: "18px", textAlign: "center" }}>{status}</div>
+          <button
+            type="button"
+            style={{
+              ...buttonStyle(false),
+              fontSize: "18px",
+              padding: "16px 24px",
+            }}
+            disabled={!connected || Boolean(driverId)}
+            onClick={() => socketRef.current?.emit(REMOTE_EVENTS.CLAIM)}
+          >
+            Take control
+          </button>
+        </>
+      ) : (
+        <>
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "space-around",
+              flexWrap: "wrap",
+              gap: "24px",
+              width: "100%",
+            }}
+          >
+            <TouchJoystick label="move" onChange={handleMove} />
+            <div
+              style={{
+                display: "grid",
+                gridTemplateColumns: "repeat(2, auto)",
+                gap: "10px",
+              }}
+            >
+              {REMOTE_BUTTONS.map((button) => (
+                <button
+                  key={button.action}
+                  type="button"
+                  title={INPUT_ACTIONS[button.action].description}
+                  style={buttonStyle(pressed[button.action])}
+                  onPointerDown={() => setButton(button, true)}
+                  onPointerUp={() => setButton(button, false)}
+                  onPointerCancel={() => setButton(button, false)}
+                  onPointerLeave={() => setButton(button, false)}
+                >
+                  {button.label}
+                </button>
+              ))}
+            </div>
+            <TouchJoystick label="look" onChange={handleLook} />
+          </div>
+          <button
+            type="button"
+            style={{ ...buttonStyle(false), opacity: 0.7 }}
+            onClick={() => socketRef.current?.emit(REMOTE_EVENTS.RELEASE)}
+          >
+            Release control
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RemotePage;
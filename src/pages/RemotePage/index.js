@@ -0,0 +1,3 @@
+import RemotePage from "./RemotePage";
+
+export default RemotePage;
@@ -0,0 +1,60 @@
+import { useParams, Navigate } from "react-router-dom";
+import { useSyncState } from "../Game2/services/SyncService";
+import BiographyView from "./components/BiographyView";
+import MapView from "./components/MapView";
+import SubtitlesView from "./components/SubtitlesView";
+
+const VIEWS = {
+  bio: BiographyView,
+  map: MapView,
+  subtitles: SubtitlesView,
+};
+
+/**
+ * Écran secondaire de l'installation (#/screen/bio, #/screen/map,
+ * #/screen/subtitles), synchronisé avec l'écran principal du jeu par le
+ * serveur local (scripts/sync_server.js)
+ */
+const SyncScreen = () => {
+  const { view } = useParams();
+  const { connected, state, audioReceivedAt } = useSyncState();
+  const View = VIEWS[view];
+
+  if (!View) return <Navigate to="/screen/bio" replace />;
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        zIndex: 2000,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        padding: "4rem",
+        background: "#000",
+        color: "#fff",
+        cursor: "none",
+      }}
+    >
+      <View state={state} audioReceivedAt={audioReceivedAt} />
+
+      {!connected && (
+        <div
+          style={{
+            position: "absolute",
+            bottom: "20px",
+            right: "20px",
+            fontFamily: "monospace",
+            fontSize: "12px",
+            color: "#888",
+          }}
+        >
+          waiting for sync server...
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SyncScreen;
@@ -0,0 +1,71 @@
+import { useMemo } from "react";
+import useDataFile from "../hooks/useDataFile";
+import { CHARACTER_IMAGES } from "../../Game2/constants/AssetLists";
+
+/**
+ * Mur de biographies : personnage du nœud actif, à défaut celui du cluster
+ * ouvert ou survolé sur l'écran principal
+ * @param {Object} props
+ * @param {Object} props.state - État partagé (utils/syncProtocol)
+ */
+const BiographyView = ({ state }) => {
+  const database = useDataFile("database.data.json");
+
+  const personasBySlug = useMemo(
+    () => new Map((database || []).map((persona) => [persona.slug, persona])),
+    [database]
+  );
+
+  const slug = state.node?.slug || state.level?.slug || state.hover?.slug;
+  const persona = slug ? personasBySlug.get(slug) : null;
+
+  if (!persona) {
+    return (
+      <div style={{ fontSize: "3rem", opacity: 0.6 }}>
+        {state.level?.name || "Goldberg's Variations"}
+      </div>
+    );
+  }
+
+  const image = CHARACTER_IMAGES.includes(`${persona.slug}.png`)
+    ? `${import.meta.env.BASE_URL}img/characters/${persona.slug}.png`
+    : null;
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        alignItems: "center",
+        gap: "4rem",
+        maxWidth: "min(1400px, 90vw)",
+      }}
+    >
+      {image && (
+        <img
+          src={image}
+          alt={persona.displayName}
+          style={{ width: "30vw", maxWidth: "480px", objectFit: "contain" }}
+        />
+      )}
+      <div>
+        <div style={{ fontSize: "3rem", fontWeight: "bold" }}>
+          {persona.displayName}
+        </div>
+        {persona.thematic && (
+          <div style={{ fontSize: "1.5rem", opacity: 0.6, marginTop: "8px" }}>
+            {persona.thematic}
+          </div>
+        )}
+        {persona.biography && (
+          <div
+            style={{ fontSize: "1.6rem", lineHeight: 1.5, marginTop: "2rem" }}
+          >
+            {persona.biography}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BiographyView;
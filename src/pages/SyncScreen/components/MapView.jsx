@@ -0,0 +1,104 @@
+import { useMemo } from "react";
+import { Vector3, Quaternion } from "three";
+import useDataFile from "../hooks/useDataFile";
+import { DISTRICTS } from "../../Game2/components/DistrictLabels";
+import {
+  MINIMAP_SIZE,
+  projectToMap,
+  getCameraMarker,
+} from "../../Game2/components/HUD/components/Minimap";
+import { calculateClusterCentroids } from "../../Game2/scenes/World/components/Graph/utils/utils";
+
+/**
+ * Carte vue de dessus en grand format : même projection que la minimap du
+ * jeu, avec le cluster ouvert ou survolé et la caméra de l'écran principal
+ * @param {Object} props
+ * @param {Object} props.state - État partagé (utils/syncProtocol)
+ */
+const MapView = ({ state }) => {
+  const graph = useDataFile("final_spatialized_graph.data.json");
+
+  const centroids = useMemo(
+    () => calculateClusterCentroids(graph?.nodes || []),
+    [graph]
+  );
+
+  const cameraMarker = useMemo(() => {
+    if (!state.camera) return null;
+    return getCameraMarker({
+      position: new Vector3(...state.camera.position),
+      quaternion: new Quaternion(...state.camera.quaternion),
+    });
+  }, [state.camera]);
+
+  const activeClusterId =
+    state.level?.type === "cluster" ? state.level.id : null;
+  const cameraPoint = cameraMarker && projectToMap(cameraMarker, true);
+
+  return (
+    <svg
+      viewBox={`0 0 ${MINIMAP_SIZE} ${MINIMAP_SIZE}`}
+      style={{ width: "90vmin", height: "90vmin", fontFamily: "monospace" }}
+    >
+      {DISTRICTS.map((district) => {
+        const [x, , z] = district.position;
+        const point = projectToMap({ x, z });
+        return (
+          <g key={district.text}>
+            <rect
+              x={point.x - 2}
+              y={point.y - 2}
+              width={4}
+              height={4}
+              fill="none"
+              stroke="rgba(255, 255, 255, 0.6)"
+              strokeWidth={0.5}
+            />
+            <text
+              x={point.x + 4}
+              y={point.y + 2}
+              fontSize="5"
+              fill="rgba(255, 255, 255, 0.6)"
+            >
+              {district.text}
+            </text>
+          </g>
+        );
+      })}
+
+      {Object.entries(centroids).map(([clusterId, centroid]) => {
+        const point = projectToMap(centroid);
+        const isActive =
+          clusterId === activeClusterId || clusterId === state.hover?.id;
+        return (
+          <g key={clusterId}>
+            <circle
+              cx={point.x}
+              cy={point.y}
+              r={isActive ? 2.5 : 1.5}
+              fill={isActive ? "#ffffff" : "transparent"}
+              stroke="#ffffff"
+              strokeWidth={0.5}
+              strokeOpacity={isActive ? 1 : 0.6}
+            />
+            {isActive && (
+              <text x={point.x + 4} y={point.y - 3} fontSize="6" fill="#ffffff">
+                {centroid.name}
+              </text>
+            )}
+          </g>
+        );
+      })}
+
+      {cameraPoint && (
+        <polygon
+          points="0,-5 3,4 0,2 -3,4"
+          fill="#4caf50"
+          transform={`translate(${cameraPoint.x} ${cameraPoint.y}) rotate(${cameraMarker.heading})`}
+        />
+      )}
+    </svg>
+  );
+};
+
+export default MapView;
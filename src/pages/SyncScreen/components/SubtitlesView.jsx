@@ -0,0 +1,53 @@
+import { useState, useEffect, useMemo } from "react";
+import useDataFile from "../hooks/useDataFile";
+import { parseSRT, SUBTITLES_OFFSET_SECONDS } from "../../../utils/srt";
+
+// Période de rafraîchissement du sous-titre affiché (ms)
+const SUBTITLE_TICK = 200;
+
+/**
+ * Sous-titres de l'interview en grand format. L'écran principal publie le
+ * temps de lecture chaque seconde : entre deux publications, il est
+ * extrapolé depuis l'heure de réception
+ * @param {Object} props
+ * @param {Object} props.state - État partagé (utils/syncProtocol)
+ * @param {number} props.audioReceivedAt - Réception du dernier état audio (ms)
+ */
+const SubtitlesView = ({ state, audioReceivedAt }) => {
+  const srtContent = useDataFile("interview.srt", "text");
+  const subtitles = useMemo(() => parseSRT(srtContent), [srtContent]);
+  const [now, setNow] = useState(Date.now());
+  const audio = state.audio;
+
+  useEffect(() => {
+    if (!audio?.playing) return;
+    const intervalId = setInterval(() => setNow(Date.now()), SUBTITLE_TICK);
+    return () => clearInterval(intervalId);
+  }, [audio?.playing]);
+
+  if (!audio?.enabled) return null;
+
+  const time = audio.playing
+    ? audio.time + Math.max(0, now - audioReceivedAt) / 1000
+    : audio.time;
+  const adjustedTime = Math.max(0, time - SUBTITLES_OFFSET_SECONDS);
+  const subtitle = subtitles.find(
+    (sub) => adjustedTime >= sub.startTime && adjustedTime <= sub.endTime
+  );
+
+  return (
+    <div
+      style={{
+        maxWidth: "80vw",
+        fontSize: "3rem",
+        fontWeight: 500,
+        lineHeight: 1.4,
+        textAlign: "center",
+      }}
+    >
+      {subtitle?.text}
+    </div>
+  );
+};
+
+export default SubtitlesView;
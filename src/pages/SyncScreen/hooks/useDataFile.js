@@ -0,0 +1,38 @@
+import { useState, useEffect } from "react";
+
+/**
+ * Charge un fichier de public/data (les écrans secondaires n'utilisent pas
+ * l'AssetManager du jeu)
+ * @param {string} fileName - Nom du fichier
+ * @param {"json"|"text"} [format="json"] - Format du contenu
+ * @returns {*} - Contenu du fichier, null pendant le chargement ou en cas d'erreur
+ */
+const useDataFile = (fileName, format = "json") => {
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch(`${import.meta.env.BASE_URL}data/${encodeURIComponent(fileName)}`)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Erreur HTTP: ${response.status} (${fileName})`);
+        }
+        return format === "json" ? response.json() : response.text();
+      })
+      .then((content) => {
+        if (!cancelled) setData(content);
+      })
+      .catch((error) => {
+        console.error(`Erreur lors du chargement de ${fileName}:`, error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fileName, format]);
+
+  return data;
+};
+
+export default useDataFile;
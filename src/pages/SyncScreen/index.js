@@ -0,0 +1,3 @@
+import SyncScreen from "./SyncScreen";
+
+export default SyncScreen;
@@ -0,0 +1,458 @@
+/**
+ * Journal local de fréquentation de l'installation : les événements des
+ * visiteurs (niveaux ouverts, survols, interactions, abandons) et les
+ * positions de leur caméra sont écrits dans IndexedDB, sans aucun appel
+ * réseau. Ils restent sur la machine et ne contiennent que l'ID de session
+ * anonyme du store, jamais d'information personnelle. Lu par la page
+ * opérateur /analytics.
+ */
+
+import { downloadText, escapeCSV } from "./graphFormats.js";
+
+const DB_NAME = "goldbergs_analytics";
+const DB_VERSION = 2;
+const STORE_NAME = "events";
+// Positions de la caméra échantillonnées pendant les visites (carte de chaleur)
+const CAMERA_STORE_NAME = "camera_samples";
+
+// Regroupement des écritures : un événement par survol ou interaction
+// déclencherait sinon une transaction à chaque fois
+const FLUSH_DELAY = 2000;
+
+export const ANALYTICS_EVENTS = {
+  SESSION_START: "session_start", // Première entrée d'un visiteur
+  SESSION_END: "session_end", // Fin de visite (reason)
+  LEVEL_ENTER: "level_enter", // Ouverture d'un cluster ou du persona central
+  LEVEL_EXIT: "level_exit", // Sortie du niveau (duration)
+  CLUSTER_HOVER: "cluster_hover", // Survol d'un cluster depuis le monde (duration)
+  NODE_OPEN: "node_open", // Nœud activé dans un cluster
+  AUDIO_TOGGLE: "audio_toggle", // Son coupé ou rétabli (value)
+  INTERACT: "interact", // Appui sur la touche ou le bouton d'interaction
+  IDLE: "idle", // Aucune entrée depuis un moment (duration)
+  RESUME: "resume", // Retour après inactivité (duration de l'inactivité)
+};
+
+export const SESSION_END_REASONS = {
+  IDLE: "idle", // Borne réinitialisée après inactivité
+  NEW_SESSION: "new_session", // Nouvelle visite démarrée depuis la collection
+  EXIT: "exit", // Page quittée ou fermée
+};
+
+// Colonnes de l'export CSV, dans l'ordre des champs d'un événement
+const CSV_COLUMNS = [
+  "id",
+  "sessionId",
+  "type",
+  "time",
+  "target",
+  "name",
+  "duration",
+  "reason",
+  "value",
+];
+
+let databasePromise = null;
+let pendingRecords = { [STORE_NAME]: [], [CAMERA_STORE_NAME]: [] };
+let flushTimerId = null;
+
+/**
+ * Ouvre (ou crée) la base IndexedDB du journal
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (databasePromise) return databasePromise;
+
+  databasePromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB non disponible"));
+      return;
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      [STORE_NAME, CAMERA_STORE_NAME].forEach((storeName) => {
+        if (database.objectStoreNames.contains(storeName)) return;
+        const store = database.createObjectStore(storeName, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        store.createIndex("sessionId", "sessionId");
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Nouvel essai possible à la prochaine écriture
+  databasePromise.catch(() => {
+    databasePromise = null;
+  });
+
+  return databasePromise;
+};
+
+/**
+ * Exécute une opération dans une transaction sur un ou plusieurs stores
+ * @param {IDBTransactionMode} mode - "readonly" ou "readwrite"
+ * @param {Function} operation - Reçoit la transaction, retourne une requête ou rien
+ * @param {Array<string>} [storeNames] - Stores concernés (événements par défaut)
+ * @returns {Promise<any>} - Résultat de la requête une fois la transaction terminée
+ */
+const runTransaction = async (mode, operation, storeNames = [STORE_NAME]) => {
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeNames, mode);
+    const request = operation(transaction);
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Écrit les événements et échantillons en attente
+ * @returns {Promise<void>}
+ */
+export const flushEvents = async () => {
+  clearTimeout(flushTimerId);
+  flushTimerId = null;
+
+  const records = pendingRecords;
+  const storeNames = Object.keys(records).filter(
+    (storeName) => records[storeName].length > 0
+  );
+  if (storeNames.length === 0) return;
+
+  pendingRecords = { [STORE_NAME]: [], [CAMERA_STORE_NAME]: [] };
+
+  try {
+    await runTransaction(
+      "readwrite",
+      (transaction) => {
+        storeNames.forEach((storeName) => {
+          const store = transaction.objectStore(storeName);
+          records[storeName].forEach((record) => store.add(record));
+        });
+      },
+      storeNames
+    );
+  } catch (error) {
+    console.warn("Journal de fréquentation : écriture impossible", error);
+  }
+};
+
+const queueRecord = (storeName, record) => {
+  pendingRecords[storeName].push(record);
+  if (!flushTimerId) {
+    flushTimerId = setTimeout(flushEvents, FLUSH_DELAY);
+  }
+};
+
+/**
+ * Ajoute un événement au journal (écrit par lots)
+ * @param {Object} event - {sessionId, type, time, target?, name?, duration?, reason?, value?}
+ */
+export const logEvent = (event) => queueRecord(STORE_NAME, event);
+
+/**
+ * Ajoute un échantillon de position de la caméra (écrit par lots)
+ * @param {Object} sample - {sessionId, time, level, x, y, z, lx, ly, lz} :
+ * niveau ouvert (null au niveau monde), position de la caméra et point visé
+ */
+export const logCameraSample = (sample) =>
+  queueRecord(CAMERA_STORE_NAME, sample);
+
+const readAll = async (storeName) => {
+  await flushEvents();
+  return (
+    (await runTransaction(
+      "readonly",
+      (transaction) => transaction.objectStore(storeName).getAll(),
+      [storeName]
+    )) || []
+  );
+};
+
+/**
+ * Lit tous les événements du journal, dans l'ordre d'écriture
+ * @returns {Promise<Array>}
+ */
+export const getAllEvents = () => readAll(STORE_NAME);
+
+/**
+ * Lit tous les échantillons de position de la caméra
+ * @returns {Promise<Array>}
+ */
+export const getCameraSamples = () => readAll(CAMERA_STORE_NAME);
+
+/**
+ * Efface le journal (événements et positions de la caméra)
+ * @returns {Promise<void>}
+ */
+export const clearEvents = async () => {
+  pendingRecords = { [STORE_NAME]: [], [CAMERA_STORE_NAME]: [] };
+  await runTransaction(
+    "readwrite",
+    (transaction) => {
+      transaction.objectStore(STORE_NAME).clear();
+      transaction.objectStore(CAMERA_STORE_NAME).clear();
+    },
+    [STORE_NAME, CAMERA_STORE_NAME]
+  );
+};
+
+/**
+ * Sérialise les événements en CSV (une ligne par événement, dates ISO)
+ * @param {Array} events - Événements du journal
+ * @returns {string} - Contenu CSV
+ */
+export const toEventsCSV = (events) =>
+  [
+    CSV_COLUMNS.join(","),
+    ...events.map((event) =>
+      CSV_COLUMNS.map((column) =>
+        escapeCSV(
+          column === "time" ? new Date(event.time).toISOString() : event[column]
+        )
+      ).join(",")
+    ),
+  ].join("\n");
+
+/**
+ * Télécharge le journal complet en JSON ou en CSV
+ * @param {Array} events - Événements du journal
+ * @param {"json"|"csv"} format - Format du fichier
+ */
+export const downloadEvents = (events, format) => {
+  const baseName = `goldbergs_analytics_${new Date()
+    .toISOString()
+    .slice(0, 10)}`;
+
+  if (format === "csv") {
+    downloadText(toEventsCSV(events), `${baseName}.csv`, "text/csv");
+  } else {
+    downloadText(
+      JSON.stringify(events, null, 2),
+      `${baseName}.json`,
+      "application/json"
+    );
+  }
+};
+
+/**
+ * Résume une session : durée active (hors inactivité et hors périodes où la
+ * page était fermée), niveaux ouverts, interactions et lieu de l'abandon
+ * @param {string} sessionId - ID de la session
+ * @param {Array} events - Événements de la session, dans l'ordre
+ * @returns {Object} - Résumé de la session
+ */
+const summarizeSession = (sessionId, events) => {
+  const session = {
+    sessionId,
+    start: events[0].time,
+    end: events[events.length - 1].time,
+    activeTime: 0,
+    levels: {},
+    hovers: {},
+    nodesOpened: 0,
+    interactCount: 0,
+    audioToggles: 0,
+    endReason: null,
+    abandoned: false,
+    // Niveau où se trouvait le visiteur au moment de l'abandon
+    abandonedAt: null,
+  };
+
+  let segmentStart = null;
+  let idleSince = null;
+  let currentLevel = null;
+  let previousTime = session.start;
+
+  const closeSegment = (time) => {
+    if (segmentStart === null) return;
+    session.activeTime += Math.max(0, (idleSince ?? time) - segmentStart);
+    segmentStart = null;
+  };
+
+  const markAbandoned = () => {
+    session.abandoned = true;
+    session.abandonedAt = currentLevel?.name || null;
+  };
+
+  events.forEach((event) => {
+    switch (event.type) {
+      case ANALYTICS_EVENTS.SESSION_START:
+        // Page fermée sans événement de fin : la visite s'était arrêtée au
+        // dernier événement connu
+        closeSegment(previousTime);
+        segmentStart = event.time;
+        idleSince = null;
+        currentLevel = null;
+        session.endReason = null;
+        session.abandoned = false;
+        session.abandonedAt = null;
+        break;
+      case ANALYTICS_EVENTS.SESSION_END:
+        closeSegment(event.time);
+        session.endReason = event.reason;
+        if (event.reason === SESSION_END_REASONS.IDLE || idleSince !== null) {
+          markAbandoned();
+        }
+        idleSince = null;
+        currentLevel = null;
+        break;
+      case ANALYTICS_EVENTS.LEVEL_ENTER: {
+        currentLevel = { target: event.target, name: event.name };
+        if (!session.levels[event.target]) {
+          session.levels[event.target] = {
+            target: event.target,
+            name: event.name,
+            type: event.value,
+            opens: 0,
+            dwell: 0,
+          };
+        }
+        session.levels[event.target].opens += 1;
+        break;
+      }
+      case ANALYTICS_EVENTS.LEVEL_EXIT:
+        if (session.levels[event.target]) {
+          session.levels[event.target].dwell += event.duration || 0;
+        }
+        currentLevel = null;
+        break;
+      case ANALYTICS_EVENTS.CLUSTER_HOVER: {
+        if (!session.hovers[event.target]) {
+          session.hovers[event.target] = {
+            target: event.target,
+            name: event.name,
+            count: 0,
+            duration: 0,
+          };
+        }
+        session.hovers[event.target].count += 1;
+        session.hovers[event.target].duration += event.duration || 0;
+        break;
+      }
+      case ANALYTICS_EVENTS.NODE_OPEN:
+        session.nodesOpened += 1;
+        break;
+      case ANALYTICS_EVENTS.INTERACT:
+        session.interactCount += 1;
+        break;
+      case ANALYTICS_EVENTS.AUDIO_TOGGLE:
+        session.audioToggles += 1;
+        break;
+      case ANALYTICS_EVENTS.IDLE:
+        idleSince = event.time - (event.duration || 0);
+        break;
+      case ANALYTICS_EVENTS.RESUME:
+        session.activeTime -= event.duration || 0;
+        idleSince = null;
+        break;
+      default:
+        break;
+    }
+    previousTime = event.time;
+  });
+
+  // Visite encore en cours, ou laissée inactive jusqu'à la fermeture
+  if (segmentStart !== null && idleSince !== null) markAbandoned();
+  closeSegment(session.end);
+
+  session.activeTime = Math.max(0, session.activeTime);
+  return session;
+};
+
+/**
+ * Agrège le journal par session puis sur l'ensemble des visites
+ * @param {Array} events - Événements du journal
+ * @returns {{sessions: Array, levels: Array, abandonments: Array, totals: Object}}
+ */
+export const aggregateSessions = (events) => {
+  const bySession = new Map();
+  [...events]
+    .sort((a, b) => a.time - b.time)
+    .forEach((event) => {
+      if (!bySession.has(event.sessionId)) bySession.set(event.sessionId, []);
+      bySession.get(event.sessionId).push(event);
+    });
+
+  const sessions = [...bySession.entries()]
+    .map(([sessionId, sessionEvents]) =>
+      summarizeSession(sessionId, sessionEvents)
+    )
+    .sort((a, b) => b.start - a.start);
+
+  // Niveaux ouverts et survolés, toutes sessions confondues
+  const levels = new Map();
+  const getLevel = (target, name, type) => {
+    if (!levels.has(target)) {
+      levels.set(target, {
+        target,
+        name,
+        type,
+        opens: 0,
+        sessions: 0,
+        dwell: 0,
+        hovers: 0,
+      });
+    }
+    const level = levels.get(target);
+    level.name = level.name || name;
+    level.type = level.type || type;
+    return level;
+  };
+
+  const abandonments = new Map();
+
+  sessions.forEach((session) => {
+    Object.values(session.levels).forEach(
+      ({ target, name, type, opens, dwell }) => {
+        const level = getLevel(target, name, type);
+        level.opens += opens;
+        level.sessions += 1;
+        level.dwell += dwell;
+      }
+    );
+    Object.values(session.hovers).forEach(({ target, name, count }) => {
+      getLevel(target, name, "cluster").hovers += count;
+    });
+
+    if (session.abandoned) {
+      const place = session.abandonedAt || "Monde";
+      abandonments.set(place, (abandonments.get(place) || 0) + 1);
+    }
+  });
+
+  const count = sessions.length;
+  const sum = (key) => sessions.reduce((total, s) => total + s[key], 0);
+
+  return {
+    sessions,
+    levels: [...levels.values()]
+      .map((level) => ({
+        ...level,
+        averageDwell: level.opens ? level.dwell / level.opens : 0,
+      }))
+      .sort((a, b) => b.opens - a.opens || b.hovers - a.hovers),
+    abandonments: [...abandonments.entries()]
+      .map(([name, total]) => ({ name, count: total }))
+      .sort((a, b) => b.count - a.count),
+    totals: {
+      sessions: count,
+      events: events.length,
+      averageActiveTime: count ? sum("activeTime") / count : 0,
+      averageInteractions: count ? sum("interactCount") / count : 0,
+      averageLevelsOpened: count
+        ? sessions.reduce(
+            (total, s) => total + Object.keys(s.levels).length,
+            0
+          ) / count
+        : 0,
+      abandoned: sessions.filter((session) => session.abandoned).length,
+    },
+  };
+};
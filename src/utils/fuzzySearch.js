@@ -0,0 +1,87 @@
+/**
+ * Recherche approximative insensible à la casse et aux accents : correspondance
+ * exacte, sous-chaîne (en privilégiant les débuts de mots) puis sous-séquence
+ * (les caractères de la requête dans l'ordre, éventuellement espacés).
+ */
+
+/**
+ * Normalise un texte pour la comparaison (minuscules, sans accents)
+ * @param {string} text - Texte à normaliser
+ * @returns {string}
+ */
+export const normalizeSearchText = (text) =>
+  String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+
+const WORD_SEPARATOR = /[\s\-_.@/]/;
+
+/**
+ * Score d'une requête dans un texte, entre 0 (absente) et 1 (identique)
+ * @param {string} query - Requête normalisée
+ * @param {string} text - Texte normalisé
+ * @returns {number}
+ */
+const scoreText = (query, text) => {
+  if (!query || !text) return 0;
+  if (text === query) return 1;
+
+  const index = text.indexOf(query);
+  if (index !== -1) {
+    const isWordStart = index === 0 || WORD_SEPARATOR.test(text[index - 1]);
+    return (isWordStart ? 0.9 : 0.7) - Math.min(index, 20) * 0.005;
+  }
+
+  // Sous-séquence : plus les caractères trouvés sont rapprochés, meilleur est le score
+  let firstMatch = -1;
+  let position = 0;
+  for (const char of query.replace(/\s+/g, "")) {
+    const found = text.indexOf(char, position);
+    if (found === -1) return 0;
+    if (firstMatch === -1) firstMatch = found;
+    position = found + 1;
+  }
+  const span = position - firstMatch;
+  return 0.5 * (query.replace(/\s+/g, "").length / span);
+};
+
+/**
+ * Classe des éléments selon leur correspondance avec une requête
+ * @param {Array} items - Éléments à filtrer
+ * @param {string} query - Texte saisi
+ * @param {Object} options
+ * @param {Array<{name: string, weight?: number}>} options.keys - Champs comparés
+ * (chaîne ou tableau de chaînes) et leur poids
+ * @param {number} [options.limit=10] - Nombre maximum de résultats
+ * @param {number} [options.minScore=0.1] - Score en dessous duquel un élément est écarté
+ * @returns {Array<{item: Object, score: number, key: string, match: string}>} - Résultats
+ * du meilleur au moins bon, avec le champ et la valeur qui correspondent le mieux
+ */
+export const fuzzySearch = (
+  items,
+  query,
+  { keys, limit = 10, minScore = 0.1 }
+) => {
+  const normalizedQuery = normalizeSearchText(query);
+  if (!normalizedQuery) return [];
+
+  const results = [];
+  items.forEach((item) => {
+    let best = null;
+    keys.forEach(({ name, weight = 1 }) => {
+      const values = [].concat(item[name] ?? []);
+      values.forEach((value) => {
+        const score =
+          scoreText(normalizedQuery, normalizeSearchText(value)) * weight;
+        if (score > 0 && (!best || score > best.score)) {
+          best = { item, score, key: name, match: String(value) };
+        }
+      });
+    });
+    if (best && best.score >= minScore) results.push(best);
+  });
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+};
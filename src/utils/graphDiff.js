@@ -0,0 +1,279 @@
+/**
+ * Comparaison de deux fichiers de graphe exportés ({nodes, links}) :
+ * nœuds ajoutés / supprimés / renommés, attributs modifiés, changements de
+ * cluster, déplacements et liens. Module sans dépendance au navigateur,
+ * partagé par la page /graph-diff et scripts/diff_graphs.js.
+ */
+
+import { NODE_ATTRIBUTES, LINK_ATTRIBUTES } from "./graphFormats.js";
+
+// Déplacement en dessous duquel un nœud est considéré immobile
+export const DEFAULT_MOVE_THRESHOLD = 0.01;
+
+// Attributs comparés un à un ; nom, slug et cluster ont leurs propres rubriques
+const COMPARED_NODE_ATTRIBUTES = NODE_ATTRIBUTES.map(({ key }) => key).filter(
+  (key) => !["slug", "cluster", "clusterSlug"].includes(key)
+);
+const COMPARED_LINK_ATTRIBUTES = LINK_ATTRIBUTES.map(({ key }) => key);
+
+const getLinkEndId = (end) => (typeof end === "object" ? end.id : end);
+
+const normalizeValue = (value) =>
+  value === undefined || value === "" ? null : value;
+
+const hasPosition = (node) =>
+  [node.x, node.y, node.z].every((value) => Number.isFinite(value));
+
+const describeNode = (node) => ({
+  id: node.id,
+  name: node.name,
+  type: node.type,
+});
+
+/**
+ * Identité d'un nœud indépendante de son ID : les anciens exports utilisent
+ * le slug seul, les nouveaux slug_compteur, et les plateformes n'ont pas de
+ * slug (le numéro de cluster, présent dans tous les formats, les distingue)
+ * @param {Object} node - Nœud exporté
+ * @returns {string} - Clé d'identité
+ */
+const getIdentityKey = (node) => {
+  const name =
+    node.type === "platform"
+      ? `${node.cluster}|${node.name}`
+      : (node.slug ?? node.originalId ?? String(node.id).replace(/_\d+$/, ""));
+  return `${node.type}|${name}`;
+};
+
+/**
+ * Apparie les nœuds des deux versions : d'abord par ID, puis par identité
+ * pour les nœuds restants (IDs renumérotés entre deux exports)
+ * @returns {{pairs: Array<[Object, Object]>, added: Array, removed: Array}}
+ */
+const matchNodes = (beforeNodes, afterNodes) => {
+  const afterById = new Map(afterNodes.map((node) => [node.id, node]));
+  const pairs = [];
+  const unmatchedBefore = [];
+  const matchedAfter = new Set();
+
+  beforeNodes.forEach((node) => {
+    const match = afterById.get(node.id);
+    if (match && !matchedAfter.has(match)) {
+      pairs.push([node, match]);
+      matchedAfter.add(match);
+    } else {
+      unmatchedBefore.push(node);
+    }
+  });
+
+  // Second passage par identité, dans l'ordre d'apparition pour les doublons
+  const afterByIdentity = new Map();
+  afterNodes.forEach((node) => {
+    if (matchedAfter.has(node)) return;
+    const key = getIdentityKey(node);
+    if (!afterByIdentity.has(key)) afterByIdentity.set(key, []);
+    afterByIdentity.get(key).push(node);
+  });
+
+  const removed = [];
+  unmatchedBefore.forEach((node) => {
+    const match = afterByIdentity.get(getIdentityKey(node))?.shift();
+    if (match) {
+      pairs.push([node, match]);
+      matchedAfter.add(match);
+    } else {
+      removed.push(node);
+    }
+  });
+
+  const added = afterNodes.filter((node) => !matchedAfter.has(node));
+  return { pairs, added, removed };
+};
+
+/**
+ * Indexe des liens par extrémités (dans l'espace d'IDs de la version "après"),
+ * les liens en double étant distingués par leur rang d'apparition
+ * @param {Array} links - Liens à indexer
+ * @param {Function} mapId - Conversion d'un ID d'extrémité vers la version "après"
+ * @returns {Map<string, Object>} - Liens indexés
+ */
+const indexLinks = (links, mapId) => {
+  const index = new Map();
+  const occurrences = {};
+
+  links.forEach((link) => {
+    const source = mapId(getLinkEndId(link.source));
+    const target = mapId(getLinkEndId(link.target));
+    const baseKey = `${source}->${target}`;
+    occurrences[baseKey] = (occurrences[baseKey] || 0) + 1;
+    const key =
+      occurrences[baseKey] > 1 ? `${baseKey}#${occurrences[baseKey]}` : baseKey;
+    index.set(key, { link, source, target });
+  });
+
+  return index;
+};
+
+/**
+ * Compare les attributs listés de deux objets
+ * @returns {Array<{attribute: string, before: any, after: any}>}
+ */
+const compareAttributes = (before, after, attributes) =>
+  attributes
+    .map((attribute) => ({
+      attribute,
+      before: normalizeValue(before[attribute]),
+      after: normalizeValue(after[attribute]),
+    }))
+    .filter(({ before, after }) => before !== after);
+
+/**
+ * Compare deux versions d'un graphe exporté
+ * @param {{nodes: Array, links: Array}} beforeGraph - Version de référence
+ * @param {{nodes: Array, links: Array}} afterGraph - Nouvelle version
+ * @param {Object} [options]
+ * @param {number} [options.moveThreshold] - Déplacement minimum signalé
+ * @returns {Object} - Différences {summary, nodes, links}
+ */
+export const diffGraphs = (
+  beforeGraph,
+  afterGraph,
+  { moveThreshold = DEFAULT_MOVE_THRESHOLD } = {}
+) => {
+  const beforeNodes = beforeGraph.nodes || [];
+  const afterNodes = afterGraph.nodes || [];
+  const beforeLinks = beforeGraph.links || [];
+  const afterLinks = afterGraph.links || [];
+
+  const { pairs, added, removed } = matchNodes(beforeNodes, afterNodes);
+
+  const nodes = {
+    added: added.map(describeNode),
+    removed: removed.map(describeNode),
+    renamed: [],
+    changed: [],
+    reassigned: [],
+    moved: [],
+  };
+
+  pairs.forEach(([before, after]) => {
+    if (before.name !== after.name) {
+      nodes.renamed.push({
+        before: describeNode(before),
+        after: describeNode(after),
+      });
+    }
+
+    const changes = compareAttributes(before, after, COMPARED_NODE_ATTRIBUTES);
+    if (changes.length > 0) {
+      nodes.changed.push({ ...describeNode(after), changes });
+    }
+
+    // Les numéros de cluster sont renumérotés à chaque export : le slug du
+    // cluster fait foi quand les deux versions l'ont
+    const clusterChanged =
+      before.clusterSlug && after.clusterSlug
+        ? before.clusterSlug !== after.clusterSlug
+        : normalizeValue(before.cluster) !== normalizeValue(after.cluster);
+    if (clusterChanged) {
+      nodes.reassigned.push({
+        ...describeNode(after),
+        before: { cluster: before.cluster, clusterSlug: before.clusterSlug },
+        after: { cluster: after.cluster, clusterSlug: after.clusterSlug },
+      });
+    }
+
+    if (hasPosition(before) && hasPosition(after)) {
+      const delta = [
+        after.x - before.x,
+        after.y - before.y,
+        after.z - before.z,
+      ];
+      const distance = Math.hypot(...delta);
+      if (distance > moveThreshold) {
+        nodes.moved.push({
+          ...describeNode(after),
+          distance,
+          delta,
+          from: [before.x, before.y, before.z],
+          to: [after.x, after.y, after.z],
+        });
+      }
+    }
+  });
+  nodes.moved.sort((a, b) => b.distance - a.distance);
+
+  // Exprimer les liens "avant" avec les IDs "après" pour les comparer
+  const afterIdByBeforeId = new Map(
+    pairs.map(([before, after]) => [before.id, after.id])
+  );
+  const removedIds = new Set(removed.map((node) => node.id));
+  const beforeIndex = indexLinks(beforeLinks, (id) => {
+    if (afterIdByBeforeId.has(id)) return afterIdByBeforeId.get(id);
+    return removedIds.has(id) ? `removed:${id}` : id;
+  });
+  const afterIndex = indexLinks(afterLinks, (id) => id);
+
+  const links = { added: [], removed: [], changed: [] };
+  beforeIndex.forEach(({ link }, key) => {
+    const match = afterIndex.get(key);
+    if (!match) {
+      links.removed.push({
+        source: getLinkEndId(link.source),
+        target: getLinkEndId(link.target),
+        type: link.type,
+      });
+      return;
+    }
+    const changes = compareAttributes(
+      link,
+      match.link,
+      COMPARED_LINK_ATTRIBUTES
+    );
+    if (changes.length > 0) {
+      links.changed.push({
+        source: match.source,
+        target: match.target,
+        changes,
+      });
+    }
+  });
+  afterIndex.forEach(({ link, source, target }, key) => {
+    if (!beforeIndex.has(key)) {
+      links.added.push({ source, target, type: link.type });
+    }
+  });
+
+  return {
+    summary: {
+      nodesBefore: beforeNodes.length,
+      nodesAfter: afterNodes.length,
+      linksBefore: beforeLinks.length,
+      linksAfter: afterLinks.length,
+      nodesAdded: nodes.added.length,
+      nodesRemoved: nodes.removed.length,
+      nodesRenamed: nodes.renamed.length,
+      nodesChanged: nodes.changed.length,
+      nodesReassigned: nodes.reassigned.length,
+      nodesMoved: nodes.moved.length,
+      maxDistance: nodes.moved[0]?.distance ?? 0,
+      linksAdded: links.added.length,
+      linksRemoved: links.removed.length,
+      linksChanged: links.changed.length,
+    },
+    nodes,
+    links,
+  };
+};
+
+/**
+ * Indique si le diff ne contient aucune différence
+ * @param {Object} diff - Résultat de diffGraphs
+ * @returns {boolean}
+ */
+export const isEmptyDiff = (diff) =>
+  Object.entries(diff.summary)
+    .filter(([key]) => !/Before$|After$|^maxDistance$/.test(key))
+    .every(([, count]) => count === 0);
+
+export default diffGraphs;
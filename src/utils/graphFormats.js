@@ -0,0 +1,596 @@
+/**
+ * Import / export du graphe des personas dans les formats utilisés par les
+ * chercheurs (Gephi, tableurs) : GEXF, GraphML et paire de CSV nœuds / liens.
+ * Le format interne reste {nodes, links} ; seuls les attributs listés
+ * ci-dessous font l'aller-retour.
+ */
+
+// Attributs des nœuds conservés à l'export (hors id, name et positions)
+export const NODE_ATTRIBUTES = [
+  { key: "type", type: "string" },
+  { key: "slug", type: "string" },
+  { key: "cluster", type: "integer" },
+  { key: "clusterSlug", type: "string" },
+  { key: "isClusterMaster", type: "boolean" },
+  { key: "thematicGroup", type: "string" },
+  { key: "polarisation", type: "string" },
+  { key: "isJoshua", type: "boolean" },
+  { key: "value", type: "double" },
+];
+
+// Attributs des liens conservés à l'export (hors source et target)
+export const LINK_ATTRIBUTES = [
+  { key: "type", type: "string" },
+  { key: "relationType", type: "string" },
+  { key: "isDirect", type: "string" },
+  { key: "value", type: "double" },
+  { key: "isBridge", type: "boolean" },
+];
+
+const POSITION_KEYS = ["x", "y", "z"];
+
+// Formats supportés, indexés par identifiant
+export const GRAPH_FORMATS = {
+  JSON: { id: "json", label: "JSON", extension: ".data.json" },
+  GEXF: { id: "gexf", label: "GEXF", extension: ".gexf" },
+  GRAPHML: { id: "graphml", label: "GraphML", extension: ".graphml" },
+  CSV: { id: "csv", label: "CSV", extension: ".csv" },
+};
+
+const hasValue = (value) =>
+  value !== undefined && value !== null && value !== "";
+
+const getLinkEndId = (end) => (typeof end === "object" ? end.id : end);
+
+/**
+ * Convertit une valeur texte selon le type déclaré de l'attribut
+ * @param {string} text - Valeur lue dans le fichier
+ * @param {string} type - Type de l'attribut (string, integer, double, boolean)
+ * @returns {any} - Valeur typée, undefined si vide
+ */
+const parseValue = (text, type) => {
+  if (!hasValue(text)) return undefined;
+
+  switch (type) {
+    case "integer":
+    case "int":
+    case "long":
+      return Number.parseInt(text, 10);
+    case "double":
+    case "float":
+      return Number.parseFloat(text);
+    case "boolean":
+      return String(text).toLowerCase() === "true";
+    default:
+      return text;
+  }
+};
+
+const escapeXML = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Préserver les retours à la ligne, normalisés en espaces dans les attributs XML
+    .replace(/\n/g, "&#10;")
+    .replace(/\r/g, "&#13;");
+
+/**
+ * Parse un document XML (navigateur uniquement)
+ * @param {string} text - Contenu XML
+ * @returns {Document} - Document parsé
+ */
+const parseXML = (text) => {
+  const document = new DOMParser().parseFromString(text, "application/xml");
+  const parserError = document.getElementsByTagName("parsererror")[0];
+  if (parserError) {
+    throw new Error(`XML invalide: ${parserError.textContent}`);
+  }
+  return document;
+};
+
+// -----------------------------------------------------------------------------
+// GEXF
+// -----------------------------------------------------------------------------
+
+/**
+ * Sérialise le graphe au format GEXF 1.3 (positions dans viz:position)
+ * @param {{nodes: Array, links: Array}} graph - Graphe à exporter
+ * @returns {string} - Document GEXF
+ */
+export const toGEXF = ({ nodes, links }) => {
+  const attributeDeclarations = (attributes, prefix) =>
+    attributes
+      .map(
+        ({ key, type }) =>
+          `      <attribute id="${prefix}${key}" title="${key}" type="${type}"/>`
+      )
+      .join("\n");
+
+  const attValues = (item, attributes, prefix) =>
+    attributes
+      .filter(({ key }) => hasValue(item[key]))
+      .map(
+        ({ key }) =>
+          `          <attvalue for="${prefix}${key}" value="${escapeXML(
+            item[key]
+          )}"/>`
+      )
+      .join("\n");
+
+  const nodeElements = nodes
+    .map((node) => {
+      const position = POSITION_KEYS.every((axis) => hasValue(node[axis]))
+        ? `\n        <viz:position x="${node.x}" y="${node.y}" z="${node.z}"/>`
+        : "";
+      return `      <node id="${escapeXML(node.id)}" label="${escapeXML(
+        node.name ?? node.id
+      )}">
+        <attvalues>
+${attValues(node, NODE_ATTRIBUTES, "n_")}
+        </attvalues>${position}
+      </node>`;
+    })
+    .join("\n");
+
+  const edgeElements = links
+    .map(
+      (link, index) => `      <edge id="${index}" source="${escapeXML(
+        getLinkEndId(link.source)
+      )}" target="${escapeXML(getLinkEndId(link.target))}">
+        <attvalues>
+${attValues(link, LINK_ATTRIBUTES, "e_")}
+        </attvalues>
+      </edge>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">
+  <graph defaultedgetype="directed" mode="static">
+    <attributes class="node">
+${attributeDeclarations(NODE_ATTRIBUTES, "n_")}
+    </attributes>
+    <attributes class="edge">
+${attributeDeclarations(LINK_ATTRIBUTES, "e_")}
+    </attributes>
+    <nodes>
+${nodeElements}
+    </nodes>
+    <edges>
+${edgeElements}
+    </edges>
+  </graph>
+</gexf>
+`;
+};
+
+/**
+ * Lit un document GEXF (exporté par le projet ou par Gephi)
+ * @param {string} text - Contenu GEXF
+ * @returns {{nodes: Array, links: Array}} - Graphe importé
+ */
+export const fromGEXF = (text) => {
+  const document = parseXML(text);
+
+  // Déclarations d'attributs : id -> {title, type}
+  const declarations = {};
+  Array.from(document.getElementsByTagName("attribute")).forEach((element) => {
+    declarations[element.getAttribute("id")] = {
+      title: element.getAttribute("title") || element.getAttribute("id"),
+      type: element.getAttribute("type"),
+    };
+  });
+
+  const readAttValues = (element, target) => {
+    Array.from(element.getElementsByTagName("attvalue")).forEach((attvalue) => {
+      const declaration = declarations[attvalue.getAttribute("for")];
+      if (!declaration) return;
+      const value = parseValue(attvalue.getAttribute("value"), declaration.type);
+      if (value !== undefined) target[declaration.title] = value;
+    });
+    return target;
+  };
+
+  const nodes = Array.from(document.getElementsByTagName("node")).map(
+    (element) => {
+      const node = readAttValues(element, {
+        id: element.getAttribute("id"),
+        name: element.getAttribute("label") ?? undefined,
+      });
+
+      // viz:position (getElementsByTagNameNS pour ignorer le préfixe)
+      const position =
+        element.getElementsByTagNameNS("*", "position")[0] || null;
+      if (position) {
+        POSITION_KEYS.forEach((axis) => {
+          const value = parseValue(position.getAttribute(axis), "double");
+          if (value !== undefined) node[axis] = value;
+        });
+      }
+      return node;
+    }
+  );
+
+  const links = Array.from(document.getElementsByTagName("edge")).map(
+    (element) =>
+      readAttValues(element, {
+        source: element.getAttribute("source"),
+        target: element.getAttribute("target"),
+      })
+  );
+
+  return { nodes, links };
+};
+
+// -----------------------------------------------------------------------------
+// GraphML
+// -----------------------------------------------------------------------------
+
+// Les positions sont des attributs GraphML comme les autres
+const GRAPHML_NODE_ATTRIBUTES = [
+  { key: "name", type: "string" },
+  ...NODE_ATTRIBUTES,
+  ...POSITION_KEYS.map((key) => ({ key, type: "double" })),
+];
+
+/**
+ * Sérialise le graphe au format GraphML
+ * @param {{nodes: Array, links: Array}} graph - Graphe à exporter
+ * @returns {string} - Document GraphML
+ */
+export const toGraphML = ({ nodes, links }) => {
+  const keyDeclarations = (attributes, domain, prefix) =>
+    attributes
+      .map(
+        ({ key, type }) =>
+          `  <key id="${prefix}${key}" for="${domain}" attr.name="${key}" attr.type="${type === "integer" ? "int" : type}"/>`
+      )
+      .join("\n");
+
+  const dataElements = (item, attributes, prefix) =>
+    attributes
+      .filter(({ key }) => hasValue(item[key]))
+      .map(
+        ({ key }) =>
+          `      <data key="${prefix}${key}">${escapeXML(item[key])}</data>`
+      )
+      .join("\n");
+
+  const nodeElements = nodes
+    .map(
+      (node) => `    <node id="${escapeXML(node.id)}">
+${dataElements(node, GRAPHML_NODE_ATTRIBUTES, "n_")}
+    </node>`
+    )
+    .join("\n");
+
+  const edgeElements = links
+    .map(
+      (link, index) => `    <edge id="e${index}" source="${escapeXML(
+        getLinkEndId(link.source)
+      )}" target="${escapeXML(getLinkEndId(link.target))}">
+${dataElements(link, LINK_ATTRIBUTES, "e_")}
+    </edge>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+${keyDeclarations(GRAPHML_NODE_ATTRIBUTES, "node", "n_")}
+${keyDeclarations(LINK_ATTRIBUTES, "edge", "e_")}
+  <graph id="G" edgedefault="directed">
+${nodeElements}
+${edgeElements}
+  </graph>
+</graphml>
+`;
+};
+
+/**
+ * Lit un document GraphML
+ * @param {string} text - Contenu GraphML
+ * @returns {{nodes: Array, links: Array}} - Graphe importé
+ */
+export const fromGraphML = (text) => {
+  const document = parseXML(text);
+
+  // Déclarations de clés : id -> {name, type}
+  const declarations = {};
+  Array.from(document.getElementsByTagName("key")).forEach((element) => {
+    declarations[element.getAttribute("id")] = {
+      name: element.getAttribute("attr.name") || element.getAttribute("id"),
+      type: element.getAttribute("attr.type"),
+    };
+  });
+
+  const readData = (element, target) => {
+    Array.from(element.getElementsByTagName("data")).forEach((data) => {
+      const declaration = declarations[data.getAttribute("key")];
+      if (!declaration) return;
+      const value = parseValue(data.textContent, declaration.type);
+      if (value !== undefined) target[declaration.name] = value;
+    });
+    return target;
+  };
+
+  const nodes = Array.from(document.getElementsByTagName("node")).map(
+    (element) => readData(element, { id: element.getAttribute("id") })
+  );
+
+  const links = Array.from(document.getElementsByTagName("edge")).map(
+    (element) =>
+      readData(element, {
+        source: element.getAttribute("source"),
+        target: element.getAttribute("target"),
+      })
+  );
+
+  return { nodes, links };
+};
+
+// -----------------------------------------------------------------------------
+// CSV (paire nœuds / liens, en-têtes compatibles avec l'import tableur de Gephi)
+// -----------------------------------------------------------------------------
+
+// Colonnes : [en-tête, clé interne, type]
+const CSV_NODE_COLUMNS = [
+  ["Id", "id", "string"],
+  ["Label", "name", "string"],
+  ...NODE_ATTRIBUTES.map(({ key, type }) => [key, key, type]),
+  ...POSITION_KEYS.map((key) => [key, key, "double"]),
+];
+
+const CSV_LINK_COLUMNS = [
+  ["Source", "source", "string"],
+  ["Target", "target", "string"],
+  ...LINK_ATTRIBUTES.map(({ key, type }) => [key, key, type]),
+];
+
+export const escapeCSV = (value) => {
+  if (!hasValue(value)) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Découpe un texte CSV en lignes de cellules (guillemets et retours à la ligne gérés)
+ * @param {string} text - Contenu CSV
+ * @returns {Array<Array<string>>} - Lignes
+ */
+const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value !== ""));
+};
+
+const toCSVTable = (items, columns) =>
+  [
+    columns.map(([header]) => header).join(","),
+    ...items.map((item) =>
+      columns
+        .map(([, key]) =>
+          escapeCSV(
+            key === "source" || key === "target"
+              ? getLinkEndId(item[key])
+              : item[key]
+          )
+        )
+        .join(",")
+    ),
+  ].join("\n") + "\n";
+
+const fromCSVTable = (text, columns) => {
+  const [headers = [], ...rows] = parseCSVRows(text);
+
+  // En-têtes insensibles à la casse ; les colonnes inconnues restent des chaînes
+  const columnByHeader = {};
+  columns.forEach(([header, key, type]) => {
+    columnByHeader[header.toLowerCase()] = { key, type };
+    columnByHeader[key.toLowerCase()] = { key, type };
+  });
+  const headerColumns = headers.map(
+    (header) =>
+      columnByHeader[header.trim().toLowerCase()] || {
+        key: header.trim(),
+        type: "string",
+      }
+  );
+
+  return rows.map((cells) => {
+    const item = {};
+    headerColumns.forEach(({ key, type }, index) => {
+      const value = parseValue(cells[index], type);
+      if (value !== undefined) item[key] = value;
+    });
+    return item;
+  });
+};
+
+/**
+ * Sérialise le graphe en deux CSV (nœuds et liens)
+ * @param {{nodes: Array, links: Array}} graph - Graphe à exporter
+ * @returns {{nodes: string, links: string}} - Contenus CSV
+ */
+export const toCSV = ({ nodes, links }) => ({
+  nodes: toCSVTable(nodes, CSV_NODE_COLUMNS),
+  links: toCSVTable(links, CSV_LINK_COLUMNS),
+});
+
+/**
+ * Lit une paire de CSV nœuds / liens
+ * @param {string} nodesText - CSV des nœuds
+ * @param {string} [linksText] - CSV des liens
+ * @returns {{nodes: Array, links: Array}} - Graphe importé
+ */
+export const fromCSV = (nodesText, linksText = "") => ({
+  nodes: fromCSVTable(nodesText, CSV_NODE_COLUMNS),
+  links: linksText ? fromCSVTable(linksText, CSV_LINK_COLUMNS) : [],
+});
+
+// -----------------------------------------------------------------------------
+// Détection du format, téléchargement et lecture de fichiers
+// -----------------------------------------------------------------------------
+
+/**
+ * Détermine le format d'un fichier à partir de son nom
+ * @param {string} fileName - Nom ou URL du fichier
+ * @returns {Object|null} - Entrée de GRAPH_FORMATS
+ */
+export const detectGraphFormat = (fileName) => {
+  const name = fileName.toLowerCase().split("?")[0];
+  if (name.endsWith(".gexf")) return GRAPH_FORMATS.GEXF;
+  if (name.endsWith(".graphml") || name.endsWith(".xml"))
+    return GRAPH_FORMATS.GRAPHML;
+  if (name.endsWith(".csv")) return GRAPH_FORMATS.CSV;
+  if (name.endsWith(".json")) return GRAPH_FORMATS.JSON;
+  return null;
+};
+
+/**
+ * Parse le contenu d'un fichier de graphe selon son extension
+ * (pour le CSV, seul le fichier des nœuds est lu ; voir readGraphFiles)
+ * @param {string} text - Contenu du fichier
+ * @param {string} fileName - Nom du fichier
+ * @returns {{nodes: Array, links: Array}} - Graphe
+ */
+export const parseGraph = (text, fileName) => {
+  const format = detectGraphFormat(fileName);
+
+  switch (format) {
+    case GRAPH_FORMATS.GEXF:
+      return fromGEXF(text);
+    case GRAPH_FORMATS.GRAPHML:
+      return fromGraphML(text);
+    case GRAPH_FORMATS.CSV:
+      return fromCSV(text);
+    case GRAPH_FORMATS.JSON:
+      return JSON.parse(text);
+    default:
+      throw new Error(`Format de graphe non pris en charge: ${fileName}`);
+  }
+};
+
+/**
+ * Lit un ou plusieurs fichiers choisis par l'utilisateur. Pour le CSV, les deux
+ * fichiers doivent être sélectionnés ensemble ; celui dont le nom contient
+ * "link" ou "edge" est lu comme fichier des liens.
+ * @param {FileList|Array<File>} files - Fichiers sélectionnés
+ * @returns {Promise<{nodes: Array, links: Array}>} - Graphe importé
+ */
+export const readGraphFiles = async (files) => {
+  const fileArray = Array.from(files);
+  if (fileArray.length === 0) {
+    throw new Error("Aucun fichier sélectionné");
+  }
+
+  const csvFiles = fileArray.filter(
+    (file) => detectGraphFormat(file.name) === GRAPH_FORMATS.CSV
+  );
+  if (csvFiles.length > 0) {
+    const isLinksFile = (file) => /link|edge/i.test(file.name);
+    const nodesFile = csvFiles.find((file) => !isLinksFile(file));
+    const linksFile = csvFiles.find(isLinksFile);
+    if (!nodesFile) {
+      throw new Error("Fichier CSV des nœuds manquant");
+    }
+    return fromCSV(
+      await nodesFile.text(),
+      linksFile ? await linksFile.text() : ""
+    );
+  }
+
+  return parseGraph(await fileArray[0].text(), fileArray[0].name);
+};
+
+/**
+ * Télécharge un fichier texte dans le navigateur
+ * @param {string} content - Contenu du fichier
+ * @param {string} fileName - Nom du fichier
+ * @param {string} type - Type MIME
+ */
+export const downloadText = (content, fileName, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+
+  // Nettoyer
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 100);
+};
+
+/**
+ * Télécharge le graphe dans le format demandé
+ * @param {Object} graph - Graphe {nodes, links} (et éventuellement metadata pour le JSON)
+ * @param {string} formatId - Identifiant du format (json, gexf, graphml, csv)
+ * @param {string} [baseName="spatialized_graph"] - Nom du fichier sans extension
+ */
+export const downloadGraph = (
+  graph,
+  formatId,
+  baseName = "spatialized_graph"
+) => {
+  switch (formatId) {
+    case GRAPH_FORMATS.GEXF.id:
+      downloadText(toGEXF(graph), `${baseName}.gexf`, "application/xml");
+      break;
+    case GRAPH_FORMATS.GRAPHML.id:
+      downloadText(toGraphML(graph), `${baseName}.graphml`, "application/xml");
+      break;
+    case GRAPH_FORMATS.CSV.id: {
+      const csv = toCSV(graph);
+      downloadText(csv.nodes, `${baseName}_nodes.csv`, "text/csv");
+      downloadText(csv.links, `${baseName}_links.csv`, "text/csv");
+      break;
+    }
+    default:
+      downloadText(
+        JSON.stringify(graph, null, 2),
+        `${baseName}.data.json`,
+        "application/json"
+      );
+  }
+};
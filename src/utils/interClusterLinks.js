@@ -0,0 +1,173 @@
+/**
+ * Liens inter-clusters ("ponts") : relient les mini-graphes de deux personas
+ * quand l'un référence l'autre dans database.data.json ou qu'ils partagent
+ * une plateforme. Les ponts sont marqués `isBridge` et ne participent pas aux
+ * simulations de disposition, pour ne pas rapprocher les districts entre eux.
+ * Module sans dépendance au navigateur, partagé par la construction du graphe,
+ * scripts/spatialize_graph.js et le monde de Game2.
+ */
+
+export const BRIDGE_LINK_TYPES = {
+  REFERENCE: "inter_cluster_reference",
+  SHARED_PLATFORM: "inter_cluster_platform",
+};
+
+// Type de relation des ponts de plateforme (catégorie dédiée dans RelationStyles)
+export const SHARED_PLATFORM_RELATION = "Plateforme partagée";
+
+/**
+ * Indique si un lien est un pont entre deux clusters
+ * @param {Object} link - Lien du graphe
+ * @returns {boolean}
+ */
+export const isBridgeLink = (link) => Boolean(link?.isBridge);
+
+const getLinkEndId = (end) => (typeof end === "object" ? end.id : end);
+
+// Les graphes construits utilisent originalId/isClusterOrigin,
+// les graphes exportés utilisent slug/isClusterMaster
+const getSlug = (node) => node.slug ?? node.originalId;
+const isClusterMaster = (node) =>
+  Boolean(
+    node.isClusterOrigin ??
+    node.isClusterMaster ??
+    (node.clusterSlug && getSlug(node) === node.clusterSlug)
+  );
+
+const compareClusterIds = (a, b) =>
+  String(a).localeCompare(String(b), undefined, { numeric: true });
+
+/**
+ * Construit les ponts entre clusters :
+ * - un lien entre les personnages principaux de deux clusters quand l'un
+ *   référence l'autre (relationType et isDirect du lien d'origine) ;
+ * - pour chaque plateforme présente dans plusieurs clusters, une chaîne
+ *   reliant ses occurrences dans l'ordre des clusters (n - 1 liens plutôt
+ *   que toutes les paires).
+ * @param {Array} nodes - Nœuds du graphe (construit ou exporté)
+ * @param {Array} characterData - Contenu de database.data.json
+ * @returns {Array} - Liens {source, target, type, isBridge, relationType, isDirect, ...}
+ */
+export const buildInterClusterLinks = (nodes, characterData) => {
+  if (!Array.isArray(nodes)) return [];
+
+  // Personnage principal de chaque persona, indexé par slug
+  const mastersBySlug = new Map();
+  // Première occurrence de chaque plateforme par cluster, indexée par nom
+  const platformsByName = new Map();
+
+  nodes.forEach((node) => {
+    if (node.type === "character" && isClusterMaster(node)) {
+      const slug = getSlug(node);
+      if (!mastersBySlug.has(slug)) mastersBySlug.set(slug, node);
+    } else if (node.type === "platform" && node.name) {
+      if (!platformsByName.has(node.name)) {
+        platformsByName.set(node.name, new Map());
+      }
+      const byCluster = platformsByName.get(node.name);
+      if (!byCluster.has(node.cluster)) byCluster.set(node.cluster, node);
+    }
+  });
+
+  const bridges = [];
+
+  // Références d'un persona à un autre persona ayant son propre cluster
+  const seen = new Set();
+  (Array.isArray(characterData) ? characterData : []).forEach((character) => {
+    const master = mastersBySlug.get(character.slug);
+    if (!master) return;
+
+    (character.links || []).forEach((link) => {
+      const other = mastersBySlug.get(link.target);
+      if (!other || other.cluster === master.cluster) return;
+
+      const [source, target] =
+        link.type === "incoming" ? [other, master] : [master, other];
+
+      // Une relation apparaît souvent des deux côtés (outgoing et incoming)
+      const key = `${source.id}|${target.id}|${link.relationType}|${link.isDirect}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      bridges.push({
+        source: source.id,
+        target: target.id,
+        value: 1,
+        type: BRIDGE_LINK_TYPES.REFERENCE,
+        isBridge: true,
+        relationType: link.relationType || "",
+        isDirect: link.isDirect || "Direct",
+        linkType: link.linkType || "",
+        platforms: link.platforms || [],
+        virality: link.virality || "",
+        mediaCoverage: link.mediaCoverage || "",
+      });
+    });
+  });
+
+  // Plateformes partagées par plusieurs clusters
+  platformsByName.forEach((byCluster, name) => {
+    const occurrences = [...byCluster.values()].sort((a, b) =>
+      compareClusterIds(a.cluster, b.cluster)
+    );
+    for (let i = 1; i < occurrences.length; i++) {
+      bridges.push({
+        source: occurrences[i - 1].id,
+        target: occurrences[i].id,
+        value: 1,
+        type: BRIDGE_LINK_TYPES.SHARED_PLATFORM,
+        isBridge: true,
+        relationType: SHARED_PLATFORM_RELATION,
+        isDirect: "Indirect",
+        platforms: [name],
+      });
+    }
+  });
+
+  return bridges;
+};
+
+/**
+ * Résumé par cluster (metadata.clusterSummary des fichiers exportés)
+ * @param {Array} nodes - Nœuds du graphe
+ * @param {Array} links - Liens du graphe (source/target en ID ou en objet)
+ * @returns {Array<{id: number|string, nodeCount: number, characterCount: number, platformCount: number, interClusterLinkCount: number}>}
+ */
+export const summarizeClusters = (nodes, links) => {
+  const summaries = new Map();
+  const clusterById = new Map();
+
+  nodes.forEach((node) => {
+    clusterById.set(node.id, node.cluster);
+    if (!summaries.has(node.cluster)) {
+      summaries.set(node.cluster, {
+        id: node.cluster,
+        nodeCount: 0,
+        characterCount: 0,
+        platformCount: 0,
+        interClusterLinkCount: 0,
+      });
+    }
+    const summary = summaries.get(node.cluster);
+    summary.nodeCount++;
+    if (node.type === "character") summary.characterCount++;
+    if (node.type === "platform") summary.platformCount++;
+  });
+
+  // Un lien inter-cluster compte pour ses deux extrémités
+  (links || []).forEach((link) => {
+    const sourceCluster = clusterById.get(getLinkEndId(link.source));
+    const targetCluster = clusterById.get(getLinkEndId(link.target));
+    if (
+      sourceCluster === undefined ||
+      targetCluster === undefined ||
+      sourceCluster === targetCluster
+    ) {
+      return;
+    }
+    summaries.get(sourceCluster).interClusterLinkCount++;
+    summaries.get(targetCluster).interClusterLinkCount++;
+  });
+
+  return [...summaries.values()].sort((a, b) => compareClusterIds(a.id, b.id));
+};
@@ -0,0 +1,44 @@
+/**
+ * Mode borne (installation) : activé par le paramètre kiosk de l'URL, placé
+ * avant le # du HashRouter pour ne pas être perdu lors des changements de
+ * route. Sa valeur est le délai d'inactivité avant réinitialisation, en
+ * minutes (ex. index.html?kiosk=5#/game).
+ */
+
+const KIOSK_PARAM = "kiosk";
+const DEFAULT_IDLE_MINUTES = 3;
+
+let kioskConfig = null;
+
+/**
+ * Configuration du mode borne, lue une fois au chargement de la page
+ * @returns {{enabled: boolean, idleDelay: number}} - idleDelay en millisecondes
+ */
+export const getKioskConfig = () => {
+  if (kioskConfig) return kioskConfig;
+
+  const params = new URLSearchParams(window.location.search);
+  const minutes = Number(params.get(KIOSK_PARAM));
+  kioskConfig = {
+    enabled: params.has(KIOSK_PARAM),
+    idleDelay:
+      (Number.isFinite(minutes) && minutes > 0
+        ? minutes
+        : DEFAULT_IDLE_MINUTES) * 60000,
+  };
+
+  if (kioskConfig.enabled) {
+    console.log(
+      `Mode borne activé (réinitialisation après ${
+        kioskConfig.idleDelay / 60000
+      } min d'inactivité)`
+    );
+  }
+  return kioskConfig;
+};
+
+/**
+ * Indique si l'application tourne en mode borne
+ * @returns {boolean}
+ */
+export const isKioskMode = () => getKioskConfig().enabled;
@@ -0,0 +1,58 @@
+/**
+ * Client du plugin de développement layout-store
+ * (scripts/vite-plugin-layout-store.js) : enregistre, liste et recharge des
+ * versions nommées de la disposition du graphe dans public/data.
+ */
+
+const LAYOUT_STORE_URL = "/__layouts";
+
+// Le point d'écriture n'existe qu'avec le serveur de développement
+export const isLayoutStoreAvailable = import.meta.env.DEV;
+
+/**
+ * Appelle le point d'écriture et retourne la réponse JSON
+ * @param {string} path - Chemin relatif à /__layouts
+ * @param {RequestInit} [init] - Options de fetch
+ * @returns {Promise<Object>} - Réponse décodée
+ */
+const request = async (path, init) => {
+  if (!isLayoutStoreAvailable) {
+    throw new Error(
+      "Enregistrement indisponible hors du serveur de développement"
+    );
+  }
+
+  const response = await fetch(`${LAYOUT_STORE_URL}${path}`, init);
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error || `Erreur HTTP: ${response.status}`);
+  }
+  return body;
+};
+
+/**
+ * Liste les dispositions enregistrées dans public/data
+ * @returns {Promise<Array<{name: string, file: string, nodes: number, links: number, exportDate: string|null, seed: number|string|null, modified: string}>>}
+ */
+export const listLayouts = async () => (await request("")).layouts;
+
+/**
+ * Charge une disposition de public/data
+ * @param {string} name - Nom de la version (sans .data.json)
+ * @returns {Promise<{nodes: Array, links: Array}>} - Graphe
+ */
+export const loadLayout = (name) => request(`/${encodeURIComponent(name)}`);
+
+/**
+ * Enregistre une disposition dans public/data/<name>.data.json. L'ancienne
+ * version est sauvegardée dans data-backups/ par le serveur.
+ * @param {string} name - Nom de la version (sans .data.json)
+ * @param {Object} graph - Graphe {nodes, links} (et éventuellement metadata)
+ * @returns {Promise<{name: string, file: string, backup: string|null}>}
+ */
+export const saveLayout = (name, graph) =>
+  request(`/${encodeURIComponent(name)}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(graph),
+  });
@@ -0,0 +1,65 @@
+/**
+ * Lecture des sous-titres de l'interview (format SRT)
+ */
+
+// Décalage entre les sous-titres et l'audio de l'interview, en secondes
+export const SUBTITLES_OFFSET_SECONDS = 2.5;
+
+/**
+ * Converti un timestamp SRT (HH:MM:SS,MMM) en millisecondes
+ * @param {string} timeString - Timestamp au format SRT
+ * @returns {number} - Temps en millisecondes
+ */
+export const parseTimeString = (timeString) => {
+  const [time, milliseconds] = timeString.replace(",", ".").split(".");
+  const [hours, minutes, seconds] = time.split(":").map(Number);
+
+  return (
+    hours * 3600000 + // Heures en ms
+    minutes * 60000 + // Minutes en ms
+    seconds * 1000 + // Secondes en ms
+    parseInt(milliseconds || 0, 10) // Millisecondes
+  );
+};
+
+/**
+ * Fonction pour parser un fichier SRT et obtenir les sous-titres formatés
+ * @param {string} srtContent - Contenu du fichier SRT
+ * @returns {Array<{index: number, startTime: number, endTime: number, text: string}>} -
+ * Sous-titres, temps en secondes
+ */
+export const parseSRT = (srtContent) => {
+  if (!srtContent) return [];
+
+  // Diviser le contenu SRT en blocs de sous-titres
+  const subtitleBlocks = srtContent.trim().split(/\r?\n\r?\n/);
+
+  return subtitleBlocks
+    .map((block) => {
+      const lines = block.split(/\r?\n/);
+
+      // Ignorer les blocs mal formés
+      if (lines.length < 3) return null;
+
+      // Extraire l'index (pas utilisé, mais c'est un bon check)
+      const index = parseInt(lines[0], 10);
+
+      // Extraire et parser les timestamps
+      const timestamps = lines[1].split(" --> ");
+      if (timestamps.length !== 2) return null;
+
+      const startTime = parseTimeString(timestamps[0]);
+      const endTime = parseTimeString(timestamps[1]);
+
+      // Extraire le texte (peut être sur plusieurs lignes)
+      const text = lines.slice(2).join(" ");
+
+      return {
+        index,
+        startTime: startTime / 1000, // Convertir en secondes pour correspondre à currentTime
+        endTime: endTime / 1000, // Convertir en secondes pour correspondre à currentTime
+        text,
+      };
+    })
+    .filter(Boolean); // Filtrer les valeurs null
+};
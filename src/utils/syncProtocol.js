@@ -0,0 +1,85 @@
+/**
+ * Protocole de synchronisation multi-écrans, partagé entre le serveur local
+ * (scripts/sync_server.js) et les clients du jeu (Game2/services/SyncService).
+ *
+ * L'écran principal publie des changements partiels de l'état partagé ; le
+ * serveur les fusionne, les relaie aux écrans secondaires et envoie l'état
+ * complet à chaque (re)connexion, pour que les écrans arrivés en cours de
+ * visite se mettent à jour immédiatement.
+ */
+
+export const DEFAULT_SYNC_PORT = 3000;
+
+export const SYNC_ROLES = {
+  MAIN: "main", // Écran du jeu, seul à publier
+  DISPLAY: "display", // Écrans secondaires (biographie, carte, sous-titres)
+  REMOTE: "remote", // Télécommandes (téléphones, tablettes)
+};
+
+export const SYNC_EVENTS = {
+  PUBLISH: "sync:publish", // Écran principal → serveur : changements partiels
+  UPDATE: "sync:update", // Serveur → écrans : changements partiels relayés
+  SNAPSHOT: "sync:snapshot", // Serveur → écran : état complet à la connexion
+};
+
+// Télécommande : une seule à la fois pilote l'écran principal
+export const REMOTE_EVENTS = {
+  CLAIM: "remote:claim", // Télécommande → serveur : prendre la main
+  RELEASE: "remote:release", // Télécommande → serveur : rendre la main
+  INPUT: "remote:input", // Télécommande → serveur → écran principal : entrées
+  LOCK: "remote:lock", // Serveur → télécommandes : {driverId} (null si libre)
+};
+
+// Sans entrée de la télécommande qui pilote pendant ce délai, la main est
+// rendue (visiteur parti avec son téléphone en poche)
+export const REMOTE_IDLE_TIMEOUT = 30000;
+
+// Événements de l'ancien client (pages/Game/Posts/hooks/useNearestPostDetection)
+export const LEGACY_EVENTS = {
+  UPDATE_ACTIVE_POST: "updateActivePost",
+  ACTIVE_POST_UPDATED: "activePostUpdated",
+  ACTIVE_NODE_UPDATED: "activeNodeUpdated",
+  RESET_VIEW: "resetView",
+};
+
+// Clés de l'état partagé ; toute autre clé publiée est ignorée
+const SYNC_STATE_KEYS = ["level", "node", "hover", "camera", "audio"];
+
+/**
+ * État partagé vide (aucun écran principal connecté depuis le démarrage)
+ * @returns {{level: Object|null, node: Object|null, hover: Object|null, camera: Object|null, audio: Object|null}}
+ *   - level : niveau ouvert {id, type, name, slug}
+ *   - node : nœud actif {slug, name}
+ *   - hover : cluster survolé au niveau monde {id, slug}
+ *   - camera : {position: [x, y, z], quaternion: [x, y, z, w]}
+ *   - audio : interview {enabled, playing, time}
+ */
+export const createSyncState = () => ({
+  level: null,
+  node: null,
+  hover: null,
+  camera: null,
+  audio: null,
+});
+
+/**
+ * Fusionne des changements partiels dans l'état partagé
+ * @param {Object} state - État courant
+ * @param {Object} patch - Changements publiés
+ * @returns {Object} - Nouvel état
+ */
+export const applySyncPatch = (state, patch) => {
+  const next = { ...state };
+  SYNC_STATE_KEYS.forEach((key) => {
+    if (key in patch) next[key] = patch[key] ?? null;
+  });
+  return next;
+};
+
+/**
+ * Deux nœuds actifs désignent-ils le même personnage ?
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+export const isSameSyncNode = (a, b) => (a?.slug ?? null) === (b?.slug ?? null);
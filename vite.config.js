@@ -1,8 +1,10 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import layoutStore from "./scripts/vite-plugin-layout-store.js";
 
 // https://vite.dev/config/
 export default defineConfig(({ mode }) => ({
-  plugins: [react()],
+  // layoutStore n'est actif qu'avec le serveur de développement
+  plugins: [react(), layoutStore()],
   base: mode === "production" ? "/goldbergs-variations/" : "/",
 }));